@@ -33,6 +33,7 @@ initDashboard({
   title: 'Admin',
   tableName: 'admin',
   weightColumn: 'weight',
+  latencyColumn: 'cdn.time_elapsed_msec',
   timeSeriesTemplate: 'time-series-backend',
   defaultHiddenFacets: DEFAULT_HIDDEN_FACETS,
 });
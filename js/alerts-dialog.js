@@ -0,0 +1,346 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Alert rules dialog: rule list, rule editor and recently fired alerts. */
+
+import {
+  ALERT_METRICS, MAX_ALERT_MINUTES, loadAlertRules, saveAlertRules, loadAlertHistory,
+  clearAlertHistory, getAlertRuleStatus, normalizeAlertRule, describeAlertRule,
+  formatAlertValue, requestAlertNotifications, evaluateAlertRules,
+} from './alerts.js';
+import { getBreakdowns } from './breakdowns/index.js';
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+
+let dialog = null;
+let draft = null; // Rule being edited (null: editor closed)
+
+const CONDITION_OPS = {
+  is: { filterOp: '=', exclude: false, label: 'is' },
+  'is-not': { filterOp: '=', exclude: true, label: 'is not' },
+  like: { filterOp: 'LIKE', exclude: false, label: 'like' },
+  'not-like': { filterOp: 'LIKE', exclude: true, label: 'not like' },
+};
+
+function emptyDraft() {
+  return {
+    name: '', metric: '5xx-rate', threshold: '', minutes: 5, filters: [],
+  };
+}
+
+// Filterable columns of this dashboard's facets, labelled with the facet title
+function getConditionColumns() {
+  return getBreakdowns()
+    .filter((b) => typeof b.col === 'string')
+    .map((b) => {
+      const card = document.getElementById(b.id);
+      return {
+        col: b.filterCol || b.col,
+        label: card?.dataset.title || b.id.replace('breakdown-', ''),
+      };
+    });
+}
+
+function formatFireTime(ms) {
+  return `${new Date(ms).toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+function buildRuleItemHtml(rule) {
+  const status = getAlertRuleStatus(rule.id);
+  let statusHtml = '<span class="alert-status">not checked yet</span>';
+  if (!rule.enabled) {
+    statusHtml = '<span class="alert-status">paused</span>';
+  } else if (status?.status === 'error') {
+    statusHtml = `<span class="alert-status alert-status-error" title="${escapeHtml(status.error)}">query failed</span>`;
+  } else if (status) {
+    statusHtml = `<span class="alert-status alert-status-${status.status}">${status.status === 'firing' ? 'firing' : 'ok'} · ${formatAlertValue(rule.metric, status.value)}</span>`;
+  }
+  return `
+    <li class="alert-rule" data-rule-id="${escapeHtml(rule.id)}">
+      <input type="checkbox" data-action="alert-toggle" ${rule.enabled ? 'checked' : ''} aria-label="Enabled">
+      <div class="alert-rule-text">
+        ${rule.name ? `<strong>${escapeHtml(rule.name)}</strong>` : ''}
+        <span>${escapeHtml(describeAlertRule(rule))}</span>
+      </div>
+      ${statusHtml}
+      <button type="button" class="alert-link-btn" data-action="alert-edit">Edit</button>
+      <button type="button" class="alert-link-btn" data-action="alert-delete">Delete</button>
+    </li>
+  `;
+}
+
+function buildFireItemHtml(fire, ongoing) {
+  return `
+    <li class="alert-fire${ongoing ? ' ongoing' : ''}">
+      <span class="alert-fire-time">${formatFireTime(fire.firedAt)}</span>
+      <span class="alert-fire-text">${escapeHtml(fire.name || fire.description)}</span>
+      <span class="alert-fire-value">${formatAlertValue(fire.metric, fire.value)}</span>
+      <span class="alert-fire-duration">${Math.round((fire.endMs - fire.startMs) / 60000)}m${ongoing ? ', ongoing' : ''}</span>
+    </li>
+  `;
+}
+
+// Newest fire of each currently firing rule is still ongoing
+function buildFiresHtml(history) {
+  const seen = new Set();
+  return history.map((fire) => {
+    const ongoing = !seen.has(fire.ruleId)
+      && getAlertRuleStatus(fire.ruleId)?.status === 'firing';
+    seen.add(fire.ruleId);
+    return buildFireItemHtml(fire, ongoing);
+  }).join('');
+}
+
+function buildConditionHtml(filter, index) {
+  let op = filter.exclude ? 'is-not' : 'is';
+  if (filter.filterOp === 'LIKE') {
+    op = filter.exclude ? 'not-like' : 'like';
+  }
+  const col = (filter.filterCol || filter.col).replace(/`/g, '');
+  const value = filter.filterValue ?? filter.value;
+  return `
+    <li class="alert-condition">
+      <code>${escapeHtml(col)}</code> ${CONDITION_OPS[op].label} <code>${escapeHtml(String(value))}</code>
+      <button type="button" class="alert-link-btn" data-action="alert-remove-condition" data-index="${index}" aria-label="Remove condition">×</button>
+    </li>
+  `;
+}
+
+function buildEditorHtml() {
+  const metricOptions = Object.entries(ALERT_METRICS).map(([key, { label, unit }]) => (
+    `<option value="${key}" ${draft.metric === key ? 'selected' : ''}>${label} (${unit})</option>`
+  )).join('');
+  const columnOptions = getConditionColumns().map(({ col, label }) => (
+    `<option value="${escapeHtml(col)}">${escapeHtml(label)}</option>`
+  )).join('');
+  const opOptions = Object.entries(CONDITION_OPS).map(([key, { label }]) => (
+    `<option value="${key}">${label}</option>`
+  )).join('');
+  return `
+    <h3>${draft.id ? 'Edit rule' : 'New rule'}</h3>
+    <div class="alert-editor-row">
+      <label>Name <input type="text" name="name" value="${escapeHtml(draft.name)}" placeholder="Optional"></label>
+    </div>
+    <div class="alert-editor-row">
+      <label>When <select name="metric">${metricOptions}</select></label>
+      <label>is above <input type="number" name="threshold" min="0" step="any" value="${escapeHtml(String(draft.threshold))}" required></label>
+      <label>for <input type="number" name="minutes" min="1" max="${MAX_ALERT_MINUTES}" value="${escapeHtml(String(draft.minutes))}" required> minutes</label>
+    </div>
+    <ul class="alert-conditions">
+      ${draft.filters.map(buildConditionHtml).join('') || '<li class="alert-empty">All traffic on this dashboard</li>'}
+    </ul>
+    <div class="alert-editor-row">
+      <select name="conditionCol" aria-label="Column">${columnOptions}</select>
+      <select name="conditionOp" aria-label="Operator">${opOptions}</select>
+      <input type="text" name="conditionValue" placeholder="Value (% wildcard for like)" aria-label="Value">
+      <button type="button" class="manage-cols-btn" data-action="alert-add-condition">Add condition</button>
+      <button type="button" class="manage-cols-btn" data-action="alert-use-filters" ${state.filters.length ? '' : 'disabled'}>Use current filters</button>
+    </div>
+    <div class="alert-error" role="alert"></div>
+    <div class="alert-editor-actions">
+      <button type="button" class="manage-cols-btn" data-action="alert-cancel">Cancel</button>
+      <button type="button" class="manage-cols-btn primary" data-action="alert-save">Save rule</button>
+    </div>
+  `;
+}
+
+function buildNotificationHtml() {
+  if (typeof Notification === 'undefined') {
+    return 'Desktop notifications are not supported in this browser.';
+  }
+  if (Notification.permission === 'granted') {
+    return 'Desktop notifications are on. Keep this tab open to keep watching.';
+  }
+  if (Notification.permission === 'denied') {
+    return 'Desktop notifications are blocked for this site; fired alerts only show here and on the chart.';
+  }
+  return 'Desktop notifications are off. <button type="button" class="alert-link-btn" data-action="alert-notify">Enable</button>';
+}
+
+function render() {
+  if (!dialog) {
+    return;
+  }
+  const rules = loadAlertRules();
+  const history = loadAlertHistory();
+  dialog.querySelector('[data-list="rules"]').innerHTML = rules.length
+    ? rules.map(buildRuleItemHtml).join('')
+    : '<li class="alert-empty">No rules yet</li>';
+  dialog.querySelector('[data-list="fires"]').innerHTML = history.length
+    ? buildFiresHtml(history)
+    : '<li class="alert-empty">Nothing fired recently</li>';
+  dialog.querySelector('.alert-notifications').innerHTML = buildNotificationHtml();
+  // The editor is only rebuilt on editor actions so a background refresh keeps typed input
+  dialog.querySelector('.alert-editor').hidden = !draft;
+  dialog.querySelector('[data-action="alert-new"]').hidden = !!draft;
+}
+
+// Copy the editor's scalar fields into the draft before it is re-rendered
+function readEditorFields() {
+  const form = dialog.querySelector('.alert-editor');
+  ['name', 'metric', 'threshold', 'minutes'].forEach((name) => {
+    draft[name] = form.querySelector(`[name="${name}"]`).value;
+  });
+}
+
+function rerenderEditor() {
+  dialog.querySelector('.alert-editor').innerHTML = buildEditorHtml();
+}
+
+function openEditor(rule) {
+  draft = rule;
+  rerenderEditor();
+  render();
+}
+
+function addCondition() {
+  const form = dialog.querySelector('.alert-editor');
+  const value = form.querySelector('[name="conditionValue"]').value.trim();
+  if (!value) {
+    return;
+  }
+  const op = CONDITION_OPS[form.querySelector('[name="conditionOp"]').value];
+  readEditorFields();
+  draft.filters.push({
+    col: form.querySelector('[name="conditionCol"]').value,
+    value,
+    exclude: op.exclude,
+    filterOp: op.filterOp,
+  });
+  rerenderEditor();
+}
+
+function saveDraft() {
+  readEditorFields();
+  let rule;
+  try {
+    rule = normalizeAlertRule({ ...draft, minutes: Number(draft.minutes) });
+  } catch (err) {
+    dialog.querySelector('.alert-error').textContent = err.message;
+    return;
+  }
+  const rules = loadAlertRules();
+  const idx = rules.findIndex((r) => r.id === rule.id);
+  if (idx === -1) {
+    rules.push(rule);
+  } else {
+    rules[idx] = rule;
+  }
+  draft = null;
+  saveAlertRules(rules);
+  requestAlertNotifications().finally(render);
+  evaluateAlertRules();
+}
+
+function updateRule(ruleId, update) {
+  const rules = loadAlertRules();
+  const rule = rules.find((r) => r.id === ruleId);
+  if (!rule) {
+    return;
+  }
+  if (update) {
+    Object.assign(rule, update);
+    saveAlertRules(rules);
+  } else {
+    saveAlertRules(rules.filter((r) => r.id !== ruleId));
+  }
+  render();
+}
+
+function handleDialogAction(action, target) {
+  const ruleId = target.closest('[data-rule-id]')?.dataset.ruleId;
+  const handlers = {
+    'alert-close': () => dialog.close(),
+    'alert-new': () => openEditor(emptyDraft()),
+    'alert-cancel': () => { draft = null; render(); },
+    'alert-save': saveDraft,
+    'alert-add-condition': addCondition,
+    'alert-use-filters': () => {
+      readEditorFields();
+      draft.filters = state.filters.map((f) => ({ ...f }));
+      rerenderEditor();
+    },
+    'alert-remove-condition': () => {
+      readEditorFields();
+      draft.filters.splice(Number(target.dataset.index), 1);
+      rerenderEditor();
+    },
+    'alert-edit': () => {
+      const rule = loadAlertRules().find((r) => r.id === ruleId);
+      if (rule) {
+        openEditor({ ...rule, filters: [...rule.filters] });
+      }
+    },
+    'alert-delete': () => updateRule(ruleId, null),
+    'alert-clear-history': () => { clearAlertHistory(); render(); },
+    'alert-notify': () => requestAlertNotifications().finally(render),
+  };
+  handlers[action]?.();
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'alertRulesModal';
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>Alert rules</h2>
+      <button type="button" class="modal-close" data-action="alert-close" aria-label="Close">×</button>
+    </div>
+    <div class="alert-body">
+      <section>
+        <ul class="alert-list" data-list="rules"></ul>
+        <button type="button" class="manage-cols-btn" data-action="alert-new">Add rule</button>
+        <div class="alert-editor" hidden></div>
+      </section>
+      <section>
+        <h3>Recently fired <button type="button" class="alert-link-btn" data-action="alert-clear-history">Clear</button></h3>
+        <ul class="alert-list" data-list="fires"></ul>
+      </section>
+    </div>
+    <div class="manage-cols-footer alert-notifications"></div>
+  `;
+  document.body.appendChild(dialog);
+
+  dialog.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target || !dialog.contains(target)) { return; }
+    e.stopPropagation();
+    handleDialogAction(target.dataset.action, target);
+  });
+
+  dialog.addEventListener('change', (e) => {
+    if (e.target.dataset.action === 'alert-toggle') {
+      const { ruleId } = e.target.closest('[data-rule-id]').dataset;
+      updateRule(ruleId, { enabled: e.target.checked });
+      evaluateAlertRules();
+    }
+  });
+
+  return dialog;
+}
+
+/** Refresh the dialog (if open) and the header button's firing indicator. */
+export function refreshAlertsUi() {
+  const firing = loadAlertRules().some((r) => r.enabled && getAlertRuleStatus(r.id)?.status === 'firing');
+  document.getElementById('alertsBtn')?.classList.toggle('alerts-firing', firing);
+  if (dialog?.open) {
+    render();
+  }
+}
+
+export function openAlertsDialog() {
+  buildDialog();
+  draft = null;
+  render();
+  dialog.showModal();
+}
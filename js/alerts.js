@@ -0,0 +1,459 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Threshold alert rules evaluated in the browser.
+ * Each rule re-runs the dashboard's time series query over its own trailing window and
+ * filters; it fires when every minute of that window is above the threshold.
+ * Rules and fired alerts are stored per dashboard in localStorage.
+ */
+
+import { query, isAbortError, getQueryErrorDetails } from './api.js';
+import { getRowTotal } from './chart-compare.js';
+import { DATABASE } from './config.js';
+import { compileFilters } from './filter-sql.js';
+import { formatNumber } from './format.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import { getTable, getTrailingMinutesWindow } from './time.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id
+ * @property {string} name - Optional display name
+ * @property {'5xx-rate'|'4xx-rate'|'count'} metric
+ * @property {number} threshold - Percent for rates, requests per minute for count
+ * @property {number} minutes - How long the threshold must be exceeded
+ * @property {import('./filter-sql.js').Filter[]} filters
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} AlertFire
+ * @property {string} id
+ * @property {string} ruleId
+ * @property {string} name
+ * @property {string} description
+ * @property {string} metric
+ * @property {number} value - Latest minute's value
+ * @property {number} startMs - Breach start (ms)
+ * @property {number} endMs - Breach end (ms, exclusive); extended while it keeps firing
+ * @property {number} firedAt
+ */
+
+export const ALERT_METRICS = {
+  '5xx-rate': { label: '5xx rate', unit: '%' },
+  '4xx-rate': { label: '4xx rate', unit: '%' },
+  count: { label: 'Requests', unit: '/min' },
+};
+
+const ALERT_CHECK_INTERVAL_MS = 60 * 1000;
+export const MAX_ALERT_MINUTES = 60;
+const MAX_ALERT_HISTORY = 50;
+// The newest minutes are still being ingested, so windows end this far before now
+const ALERT_LAG_MS = 2 * 60 * 1000;
+
+// Latest evaluation per rule id: { status: 'ok'|'firing'|'error', value, checkedAt, error }
+const ruleStatus = new Map();
+let watcherInterval = null;
+let evaluating = false;
+let onAlertsChange = null;
+
+function getRulesKey() {
+  return state.title ? `alertRules_${state.title}` : 'alertRules';
+}
+
+function getHistoryKey() {
+  return state.title ? `alertHistory_${state.title}` : 'alertHistory';
+}
+
+function readList(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeList(key, list) {
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch {
+    // Storage full or unavailable; alerts keep working for this session
+  }
+}
+
+function notifyChange(firesChanged = false) {
+  if (onAlertsChange) {
+    onAlertsChange({ firesChanged });
+  }
+}
+
+/**
+ * Register a callback for rule, status or history changes.
+ * firesChanged is set when fired alerts changed and the chart marks need a redraw.
+ * @param {((change: { firesChanged: boolean }) => void)|null} callback
+ */
+export function setOnAlertsChange(callback) {
+  onAlertsChange = callback;
+}
+
+/** @returns {AlertRule[]} */
+export function loadAlertRules() {
+  return readList(getRulesKey());
+}
+
+/** @param {AlertRule[]} rules */
+export function saveAlertRules(rules) {
+  writeList(getRulesKey(), rules);
+  notifyChange();
+}
+
+/** @returns {AlertFire[]} Newest first */
+export function loadAlertHistory() {
+  return readList(getHistoryKey());
+}
+
+export function clearAlertHistory() {
+  writeList(getHistoryKey(), []);
+  notifyChange(true);
+}
+
+/**
+ * Latest evaluation result for a rule.
+ * @param {string} ruleId
+ * @returns {{ status: string, value: number|null, checkedAt: number, error?: string }|null}
+ */
+export function getAlertRuleStatus(ruleId) {
+  return ruleStatus.get(ruleId) || null;
+}
+
+/**
+ * Validate editor input and build a rule.
+ * @param {Object} input - { id?, name, metric, threshold, minutes, filters, enabled? }
+ * @returns {AlertRule}
+ * @throws {Error} With a user-facing message when the input is invalid
+ */
+export function normalizeAlertRule(input) {
+  if (!Object.hasOwn(ALERT_METRICS, input.metric)) {
+    throw new Error('Choose a metric');
+  }
+  const threshold = Number(input.threshold);
+  if (input.threshold === '' || !Number.isFinite(threshold) || threshold < 0) {
+    throw new Error('Threshold must be a non-negative number');
+  }
+  const minutes = Number(input.minutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ALERT_MINUTES) {
+    throw new Error(`Duration must be between 1 and ${MAX_ALERT_MINUTES} minutes`);
+  }
+  return {
+    id: input.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: String(input.name || '').trim(),
+    metric: input.metric,
+    threshold,
+    minutes,
+    filters: (input.filters || []).map((f) => ({
+      col: f.col,
+      value: f.value,
+      exclude: !!f.exclude,
+      ...(f.filterCol ? { filterCol: f.filterCol } : {}),
+      ...(f.filterValue !== undefined ? { filterValue: f.filterValue } : {}),
+      ...(f.filterOp ? { filterOp: f.filterOp } : {}),
+    })),
+    enabled: input.enabled !== false,
+  };
+}
+
+/**
+ * Format a metric value with its unit.
+ * @param {string} metric
+ * @param {number|null} value
+ * @returns {string}
+ */
+export function formatAlertValue(metric, value) {
+  if (value === null || value === undefined) {
+    return '–';
+  }
+  if (ALERT_METRICS[metric]?.unit === '%') {
+    return `${Number(value.toFixed(2))}%`;
+  }
+  return `${formatNumber(value)}/min`;
+}
+
+function describeFilter(filter) {
+  const col = filter.col.replace(/`/g, '');
+  let op = filter.exclude ? '!=' : '=';
+  if (filter.filterOp === 'LIKE') {
+    op = filter.exclude ? 'NOT LIKE' : 'LIKE';
+  }
+  return `${col} ${op} ${filter.value}`;
+}
+
+/**
+ * Human-readable rule summary, e.g. "5xx rate above 2% for 5m where request.host = x".
+ * @param {AlertRule} rule
+ * @returns {string}
+ */
+export function describeAlertRule(rule) {
+  const { label } = ALERT_METRICS[rule.metric];
+  const base = `${label} above ${formatAlertValue(rule.metric, rule.threshold)} for ${rule.minutes}m`;
+  if (rule.filters.length === 0) {
+    return base;
+  }
+  return `${base} where ${rule.filters.map(describeFilter).join(' and ')}`;
+}
+
+/**
+ * Value of a rule's metric for one per-minute time series row.
+ * Rates are 0 for minutes without traffic so idle periods never fire.
+ * @param {Object} row - Row with cnt_ok, cnt_4xx, cnt_5xx
+ * @param {string} metric
+ * @returns {number}
+ */
+export function getAlertMetricValue(row, metric) {
+  const total = getRowTotal(row);
+  if (metric === 'count') {
+    return total;
+  }
+  if (total === 0) {
+    return 0;
+  }
+  const errors = parseInt(metric === '5xx-rate' ? row.cnt_5xx : row.cnt_4xx, 10) || 0;
+  return (errors / total) * 100;
+}
+
+/**
+ * Check a rule against its per-minute rows.
+ * @param {AlertRule} rule
+ * @param {Array<Object>} rows
+ * @returns {{ breached: boolean, value: number|null }} value is the latest minute's
+ */
+export function checkAlertRows(rule, rows) {
+  if (!rows || rows.length === 0) {
+    return { breached: false, value: null };
+  }
+  const values = rows.map((row) => getAlertMetricValue(row, rule.metric));
+  return {
+    breached: values.every((value) => value > rule.threshold),
+    value: values[values.length - 1],
+  };
+}
+
+/**
+ * Trailing evaluation window for a rule.
+ * @param {AlertRule} rule
+ * @param {Date} now
+ */
+export function getAlertWindow(rule, now) {
+  return getTrailingMinutesWindow(rule.minutes, new Date(now.getTime() - ALERT_LAG_MS));
+}
+
+/**
+ * Per-minute time series SQL for a rule, using the dashboard's time series template.
+ * The dashboard's own host and facet filters are not applied; only the rule's.
+ * @param {AlertRule} rule
+ * @param {{ timeFilter: string, rangeStart: string, rangeEnd: string }} timeWindow
+ * @returns {Promise<string>}
+ */
+export function buildAlertRuleSql(rule, timeWindow) {
+  return loadSql(state.timeSeriesTemplate || 'time-series', {
+    bucket: 'toStartOfMinute(timestamp)',
+    database: DATABASE,
+    table: getTable(),
+    timeFilter: timeWindow.timeFilter,
+    hostFilter: '',
+    facetFilters: compileFilters(rule.filters).sql,
+    additionalWhereClause: state.additionalWhereClause || '',
+    rangeStart: timeWindow.rangeStart,
+    rangeEnd: timeWindow.rangeEnd,
+    step: 'INTERVAL 1 MINUTE',
+  });
+}
+
+/**
+ * Record a breach. Extends the rule's latest fire when the windows touch,
+ * so a rule that keeps breaching fires only once.
+ * @param {AlertRule} rule
+ * @param {number} value
+ * @param {{ startMs: number, endMs: number }} timeWindow
+ * @param {number} [firedAt]
+ * @returns {AlertFire|null} The new fire, or null when an ongoing one was extended
+ */
+export function recordAlertBreach(rule, value, timeWindow, firedAt = Date.now()) {
+  const history = loadAlertHistory();
+  const ongoing = history.find((e) => e.ruleId === rule.id && e.endMs >= timeWindow.startMs);
+  if (ongoing) {
+    ongoing.endMs = Math.max(ongoing.endMs, timeWindow.endMs);
+    ongoing.value = value;
+    writeList(getHistoryKey(), history);
+    return null;
+  }
+  const fire = {
+    id: `${rule.id}-${firedAt}`,
+    ruleId: rule.id,
+    name: rule.name,
+    description: describeAlertRule(rule),
+    metric: rule.metric,
+    value,
+    startMs: timeWindow.startMs,
+    endMs: timeWindow.endMs,
+    firedAt,
+  };
+  writeList(getHistoryKey(), [fire, ...history].slice(0, MAX_ALERT_HISTORY));
+  return fire;
+}
+
+function showAlertNotification(fire) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+    return;
+  }
+  const label = fire.name || ALERT_METRICS[fire.metric].label;
+  const notification = new Notification(`${state.title || 'Klickhaus'} alert: ${label}`, {
+    body: `${fire.description}\nLatest: ${formatAlertValue(fire.metric, fire.value)}`,
+    tag: `alert-${fire.ruleId}`,
+  });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+}
+
+/**
+ * Ask for desktop notification permission (must be called from a user gesture).
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export async function requestAlertNotifications() {
+  if (typeof Notification === 'undefined') {
+    return 'unsupported';
+  }
+  if (Notification.permission !== 'default') {
+    return Notification.permission;
+  }
+  return Notification.requestPermission();
+}
+
+// Returns true when the rule breached and its fire was recorded or extended
+async function evaluateAlertRule(rule, now) {
+  const timeWindow = getAlertWindow(rule, now);
+  try {
+    const sql = await buildAlertRuleSql(rule, timeWindow);
+    const result = await query(sql, { cacheTtl: 60 });
+    const { breached, value } = checkAlertRows(rule, result.data);
+    ruleStatus.set(rule.id, {
+      status: breached ? 'firing' : 'ok', value, checkedAt: now.getTime(),
+    });
+    if (!breached) {
+      return false;
+    }
+    const fire = recordAlertBreach(rule, value, timeWindow, now.getTime());
+    if (fire) {
+      showAlertNotification(fire);
+    }
+    return true;
+  } catch (err) {
+    if (!isAbortError(err)) {
+      ruleStatus.set(rule.id, {
+        status: 'error', value: null, checkedAt: now.getTime(), error: getQueryErrorDetails(err).message,
+      });
+    }
+    return false;
+  }
+}
+
+/**
+ * Evaluate all enabled rules once. Skipped while a previous run is still in flight.
+ * @param {Date} [now]
+ */
+export async function evaluateAlertRules(now = new Date()) {
+  const rules = loadAlertRules().filter((rule) => rule.enabled);
+  if (evaluating || !state.credentials || rules.length === 0) {
+    return;
+  }
+  evaluating = true;
+  let results;
+  try {
+    results = await Promise.all(rules.map((rule) => evaluateAlertRule(rule, now)));
+  } finally {
+    evaluating = false;
+  }
+  notifyChange(results.some(Boolean));
+}
+
+/** Start re-evaluating rules on a timer (no-op when already running). */
+export function startAlertWatcher() {
+  if (watcherInterval) {
+    return;
+  }
+  evaluateAlertRules();
+  watcherInterval = setInterval(() => evaluateAlertRules(), ALERT_CHECK_INTERVAL_MS);
+}
+
+export function stopAlertWatcher() {
+  clearInterval(watcherInterval);
+  watcherInterval = null;
+}
+
+/**
+ * Fired alerts overlapping a time range.
+ * @param {number} startMs
+ * @param {number} endMs
+ * @returns {AlertFire[]}
+ */
+export function getAlertFiresInRange(startMs, endMs) {
+  return loadAlertHistory().filter((fire) => fire.startMs < endMs && fire.endMs > startMs);
+}
+
+/**
+ * Shade fired alert windows on the chart, with a solid strip along the top edge.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} chartDimensions - { padding, chartWidth, chartHeight }
+ * @param {{ start: number, end: number }} timeRange - Chart time range (ms)
+ * @param {string} color
+ */
+export function drawAlertFires(ctx, chartDimensions, timeRange, color) {
+  const { padding, chartWidth, chartHeight } = chartDimensions;
+  const span = timeRange.end - timeRange.start;
+  if (!(span > 0)) {
+    return;
+  }
+  const toX = (ms) => {
+    const clamped = Math.min(Math.max(ms, timeRange.start), timeRange.end);
+    return padding.left + ((clamped - timeRange.start) / span) * chartWidth;
+  };
+  ctx.save();
+  ctx.fillStyle = color;
+  for (const fire of getAlertFiresInRange(timeRange.start, timeRange.end)) {
+    const x = toX(fire.startMs);
+    const w = Math.max(2, toX(fire.endMs) - x);
+    ctx.globalAlpha = 0.08;
+    ctx.fillRect(x, padding.top, w, chartHeight);
+    ctx.globalAlpha = 1;
+    ctx.fillRect(x, padding.top, w, 3);
+  }
+  ctx.restore();
+}
+
+/**
+ * Scrubber badge for a fired alert covering the hovered time.
+ * @param {Date} time
+ * @returns {string} HTML, empty when no alert fired at that time
+ */
+export function buildAlertScrubberInfo(time) {
+  const ms = time.getTime();
+  const fire = loadAlertHistory().find((f) => f.startMs <= ms && f.endMs > ms);
+  if (!fire) {
+    return '';
+  }
+  return `<span class="scrubber-alert" title="${escapeHtml(fire.description)}">Alert: ${escapeHtml(fire.name || fire.description)}</span>`;
+}
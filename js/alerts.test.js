@@ -0,0 +1,318 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  loadAlertRules,
+  saveAlertRules,
+  loadAlertHistory,
+  clearAlertHistory,
+  setOnAlertsChange,
+  getAlertRuleStatus,
+  normalizeAlertRule,
+  formatAlertValue,
+  describeAlertRule,
+  getAlertMetricValue,
+  checkAlertRows,
+  getAlertWindow,
+  buildAlertRuleSql,
+  recordAlertBreach,
+  evaluateAlertRules,
+  getAlertFiresInRange,
+  buildAlertScrubberInfo,
+} from './alerts.js';
+import { state } from './state.js';
+
+const MINUTE_MS = 60 * 1000;
+const NOW = new Date('2026-01-20T12:34:56Z');
+
+// Minimal time series template echoing the params alerts fill in
+const TIME_SERIES_TEMPLATE = 'SELECT {{bucket}} as t FROM {{database}}.{{table}} WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}} WITH FILL FROM {{rangeStart}} TO {{rangeEnd}} STEP {{step}}';
+
+function row(ok, c4 = 0, c5 = 0) {
+  return { cnt_ok: String(ok), cnt_4xx: String(c4), cnt_5xx: String(c5) };
+}
+
+function makeRule(overrides = {}) {
+  return normalizeAlertRule({
+    id: 'r1', name: '', metric: '5xx-rate', threshold: 2, minutes: 3, filters: [], ...overrides,
+  });
+}
+
+function mockFetch(rows) {
+  const calls = [];
+  window.fetch = async (url, options) => {
+    calls.push({ url, options });
+    if (typeof url === 'string' && url.endsWith('.sql')) {
+      return { ok: true, text: async () => TIME_SERIES_TEMPLATE };
+    }
+    return { ok: true, json: async () => ({ data: rows }) };
+  };
+  return calls;
+}
+
+let originalFetch;
+let savedState;
+
+beforeEach(() => {
+  originalFetch = window.fetch;
+  savedState = {
+    title: state.title,
+    credentials: state.credentials,
+    tableName: state.tableName,
+    timeSeriesTemplate: state.timeSeriesTemplate,
+    additionalWhereClause: state.additionalWhereClause,
+  };
+  state.title = 'alerts-test';
+  state.credentials = { user: 'u', password: 'p' };
+  state.tableName = 'delivery';
+  state.timeSeriesTemplate = null;
+  state.additionalWhereClause = '';
+  localStorage.removeItem('alertRules_alerts-test');
+  localStorage.removeItem('alertHistory_alerts-test');
+});
+
+afterEach(() => {
+  window.fetch = originalFetch;
+  setOnAlertsChange(null);
+  Object.assign(state, savedState);
+  localStorage.removeItem('alertRules_alerts-test');
+  localStorage.removeItem('alertHistory_alerts-test');
+});
+
+describe('alert rule storage', () => {
+  it('stores rules per dashboard title', () => {
+    saveAlertRules([makeRule()]);
+    assert.strictEqual(loadAlertRules()[0].id, 'r1');
+    state.title = 'other-dashboard';
+    assert.deepEqual(loadAlertRules(), []);
+  });
+
+  it('ignores corrupt storage', () => {
+    localStorage.setItem('alertRules_alerts-test', '{not json');
+    assert.deepEqual(loadAlertRules(), []);
+  });
+
+  it('notifies listeners on change', () => {
+    const changes = [];
+    setOnAlertsChange((change) => changes.push(change));
+    saveAlertRules([]);
+    clearAlertHistory();
+    assert.deepEqual(changes, [{ firesChanged: false }, { firesChanged: true }]);
+  });
+});
+
+describe('normalizeAlertRule', () => {
+  it('coerces numeric fields and keeps filter overrides', () => {
+    const rule = normalizeAlertRule({
+      metric: 'count',
+      threshold: '100',
+      minutes: 1,
+      filters: [{
+        col: '`response.headers.x_error`', value: 'timeout%', filterOp: 'LIKE', extra: 'x',
+      }],
+    });
+    assert.strictEqual(rule.threshold, 100);
+    assert.isTrue(rule.enabled);
+    assert.isString(rule.id);
+    assert.deepEqual(rule.filters, [{
+      col: '`response.headers.x_error`', value: 'timeout%', exclude: false, filterOp: 'LIKE',
+    }]);
+  });
+
+  it('rejects unknown metrics', () => {
+    assert.throws(() => normalizeAlertRule({ metric: 'toString', threshold: 1, minutes: 1 }), 'metric');
+  });
+
+  it('rejects missing or negative thresholds', () => {
+    assert.throws(() => normalizeAlertRule({ metric: 'count', threshold: '', minutes: 1 }), 'Threshold');
+    assert.throws(() => normalizeAlertRule({ metric: 'count', threshold: -1, minutes: 1 }), 'Threshold');
+  });
+
+  it('rejects durations outside 1-60 minutes', () => {
+    assert.throws(() => normalizeAlertRule({ metric: 'count', threshold: 1, minutes: 0 }), 'Duration');
+    assert.throws(() => normalizeAlertRule({ metric: 'count', threshold: 1, minutes: 61 }), 'Duration');
+    assert.throws(() => normalizeAlertRule({ metric: 'count', threshold: 1, minutes: 1.5 }), 'Duration');
+  });
+});
+
+describe('describeAlertRule', () => {
+  it('describes rate rules with their filters', () => {
+    const rule = makeRule({
+      minutes: 5,
+      filters: [{ col: '`request.host`', value: 'x.aem.live', exclude: false }],
+    });
+    assert.strictEqual(describeAlertRule(rule), '5xx rate above 2% for 5m where request.host = x.aem.live');
+  });
+
+  it('describes count rules with LIKE and exclusions', () => {
+    const rule = makeRule({
+      metric: 'count',
+      threshold: 100,
+      minutes: 1,
+      filters: [
+        { col: '`response.headers.x_error`', value: 'timeout%', filterOp: 'LIKE' },
+        { col: '`request.method`', value: 'GET', exclude: true },
+      ],
+    });
+    assert.strictEqual(
+      describeAlertRule(rule),
+      'Requests above 100/min for 1m where response.headers.x_error LIKE timeout% and request.method != GET',
+    );
+  });
+});
+
+describe('formatAlertValue', () => {
+  it('formats rates, counts and missing values', () => {
+    assert.strictEqual(formatAlertValue('5xx-rate', 2.3456), '2.35%');
+    assert.strictEqual(formatAlertValue('count', 1500), '1.50K/min');
+    assert.strictEqual(formatAlertValue('count', null), '–');
+  });
+});
+
+describe('getAlertMetricValue', () => {
+  it('computes per-minute rates and totals', () => {
+    assert.strictEqual(getAlertMetricValue(row(90, 5, 5), '5xx-rate'), 5);
+    assert.strictEqual(getAlertMetricValue(row(80, 20, 0), '4xx-rate'), 20);
+    assert.strictEqual(getAlertMetricValue(row(80, 20, 0), 'count'), 100);
+  });
+
+  it('treats minutes without traffic as a zero rate', () => {
+    assert.strictEqual(getAlertMetricValue(row(0), '5xx-rate'), 0);
+  });
+});
+
+describe('checkAlertRows', () => {
+  it('breaches only when every minute is above the threshold', () => {
+    const rule = makeRule();
+    assert.deepEqual(checkAlertRows(rule, [row(95, 0, 5), row(90, 0, 10), row(96, 0, 4)]), {
+      breached: true, value: 4,
+    });
+    assert.isFalse(checkAlertRows(rule, [row(95, 0, 5), row(99, 0, 1), row(96, 0, 4)]).breached);
+  });
+
+  it('does not breach without rows', () => {
+    assert.deepEqual(checkAlertRows(makeRule(), []), { breached: false, value: null });
+  });
+});
+
+describe('buildAlertRuleSql', () => {
+  it('uses the dashboard template with the rule filters and a per-minute window', async () => {
+    mockFetch([]);
+    state.hostFilter = 'ignored.example';
+    state.timeSeriesTemplate = 'time-series-delivery-alerts-test';
+    const rule = makeRule({ filters: [{ col: '`request.host`', value: "o'hara.aem.live", exclude: false }] });
+    const sql = await buildAlertRuleSql(rule, getAlertWindow(rule, NOW));
+    state.hostFilter = '';
+    assert.include(sql, 'toStartOfMinute(timestamp) as t');
+    assert.include(sql, "AND `request.host` = 'o\\'hara.aem.live'");
+    assert.notInclude(sql, 'ignored.example');
+    assert.include(sql, 'STEP INTERVAL 1 MINUTE');
+    // Window ends two minutes before now to skip minutes still being ingested
+    assert.include(sql, "toDateTime('2026-01-20 12:29:00')");
+    assert.include(sql, "TO toDateTime('2026-01-20 12:32:00')");
+  });
+});
+
+describe('recordAlertBreach', () => {
+  it('records a new fire and extends it while windows touch', () => {
+    const rule = makeRule({ name: 'Errors' });
+    const first = recordAlertBreach(rule, 5, { startMs: 0, endMs: 3 * MINUTE_MS }, 10);
+    assert.strictEqual(first.name, 'Errors');
+    const extended = recordAlertBreach(rule, 6, { startMs: MINUTE_MS, endMs: 4 * MINUTE_MS }, 20);
+    assert.isNull(extended);
+    const history = loadAlertHistory();
+    assert.lengthOf(history, 1);
+    assert.strictEqual(history[0].endMs, 4 * MINUTE_MS);
+    assert.strictEqual(history[0].value, 6);
+  });
+
+  it('records a separate fire after a gap', () => {
+    const rule = makeRule();
+    recordAlertBreach(rule, 5, { startMs: 0, endMs: 3 * MINUTE_MS });
+    const second = recordAlertBreach(rule, 5, { startMs: 10 * MINUTE_MS, endMs: 13 * MINUTE_MS });
+    assert.isNotNull(second);
+    assert.lengthOf(loadAlertHistory(), 2);
+    assert.strictEqual(loadAlertHistory()[0].startMs, 10 * MINUTE_MS);
+  });
+});
+
+describe('evaluateAlertRules', () => {
+  let originalNotification;
+  let notifications;
+
+  beforeEach(() => {
+    originalNotification = window.Notification;
+    notifications = [];
+    window.Notification = class {
+      static permission = 'granted';
+
+      constructor(title, options) {
+        notifications.push({ title, options });
+      }
+    };
+  });
+
+  afterEach(() => {
+    window.Notification = originalNotification;
+  });
+
+  it('fires once, notifies and records the breach', async () => {
+    mockFetch([row(90, 0, 10), row(90, 0, 10), row(90, 0, 10)]);
+    const changes = [];
+    setOnAlertsChange((change) => changes.push(change));
+    saveAlertRules([makeRule({ name: 'Host errors' })]);
+
+    await evaluateAlertRules(NOW);
+    await evaluateAlertRules(new Date(NOW.getTime() + MINUTE_MS));
+
+    assert.strictEqual(getAlertRuleStatus('r1').status, 'firing');
+    assert.lengthOf(notifications, 1);
+    assert.include(notifications[0].title, 'Host errors');
+    assert.lengthOf(loadAlertHistory(), 1);
+    assert.isTrue(changes[changes.length - 1].firesChanged);
+  });
+
+  it('skips disabled rules', async () => {
+    const calls = mockFetch([row(90, 0, 10)]);
+    saveAlertRules([{ ...makeRule({ id: 'r2' }), enabled: false }]);
+    await evaluateAlertRules(NOW);
+    assert.lengthOf(calls, 0);
+    assert.isNull(getAlertRuleStatus('r2'));
+  });
+
+  it('marks rules whose query fails', async () => {
+    window.fetch = async (url) => {
+      if (url.endsWith('.sql')) {
+        return { ok: true, text: async () => TIME_SERIES_TEMPLATE };
+      }
+      return { ok: false, status: 500, text: async () => 'Code: 62. DB::Exception: Syntax error' };
+    };
+    saveAlertRules([makeRule({ id: 'r3' })]);
+    await evaluateAlertRules(NOW);
+    assert.strictEqual(getAlertRuleStatus('r3').status, 'error');
+    assert.lengthOf(notifications, 0);
+  });
+});
+
+describe('fired alerts on the chart', () => {
+  it('finds fires overlapping a range', () => {
+    recordAlertBreach(makeRule(), 5, { startMs: 10 * MINUTE_MS, endMs: 13 * MINUTE_MS });
+    assert.lengthOf(getAlertFiresInRange(0, 11 * MINUTE_MS), 1);
+    assert.lengthOf(getAlertFiresInRange(13 * MINUTE_MS, 20 * MINUTE_MS), 0);
+  });
+
+  it('builds a scrubber badge for the hovered time', () => {
+    recordAlertBreach(makeRule({ name: '<b>Errors</b>' }), 5, { startMs: 10 * MINUTE_MS, endMs: 13 * MINUTE_MS });
+    assert.include(buildAlertScrubberInfo(new Date(11 * MINUTE_MS)), 'Alert: &lt;b&gt;Errors&lt;/b&gt;');
+    assert.strictEqual(buildAlertScrubberInfo(new Date(14 * MINUTE_MS)), '');
+  });
+});
@@ -11,15 +11,30 @@
  */
 
 /**
- * Breakdown-row investigation (ClickHouse facet vs baseline) is disabled.
- * Chart step detection + vertical anomaly bands remain in chart.js / step-detection.js.
+ * Breakdown-row investigation of the anomalies found by step detection (chart.js). For each
+ * visible facet one batched query (investigate-facet.sql) covers every anomaly; the facet
+ * values that over-contribute to an anomaly's status class against the baseline are
+ * highlighted (top HIGHLIGHT_TOP_N per facet) and summarized as likely causes below the chart.
  *
- * Stubs preserve the public API and css/investigation.css (row highlight styles) for a
- * future implementation. Re-wire investigateFacet in investigation-data.js and restore
- * logic here when ready.
+ * Queries run after the facets have loaded, at most MAX_CONCURRENT at a time, for at most
+ * MAX_FACETS facets and until MAX_SERVER_SECONDS of query time are spent. Drag-selection
+ * investigation (investigateTimeRange) is still disabled.
  */
 
-import { clearAllInvestigationCaches } from './investigation-data.js';
+import { isAbortError } from './api.js';
+import { getBreakdowns, getFacetFilters } from './breakdowns/index.js';
+import { getDetectedAnomalies, getLastChartData, parseUTC } from './chart-state.js';
+import { createLimiter } from './concurrency-limiter.js';
+import {
+  CATEGORY_COLUMNS, HIGHLIGHT_TOP_N, clearAllInvestigationCaches, cleanupOldCaches,
+  generateAnomalyId, generateCacheKey, investigateFacet, loadCachedInvestigation,
+  saveCachedInvestigation,
+} from './investigation-data.js';
+import { buildOncallLineHtml, renderOncallLines } from './oncall.js';
+import { getRequestContext, isRequestCurrent } from './request-context.js';
+import { state } from './state.js';
+import { getHostFilter, getPeriodMs, getTimeFilter } from './time.js';
+import { escapeHtml } from './utils.js';
 
 const ROW_HIGHLIGHT_CLASSES = [
   'investigation-highlight',
@@ -29,6 +44,21 @@ const ROW_HIGHLIGHT_CLASSES = [
   'investigation-blue',
 ];
 
+// Query budget for one investigation
+const MAX_FACETS = 8;
+const MAX_CONCURRENT = 2;
+const MAX_SERVER_SECONDS = 30;
+
+// Facets whose values are the anomaly categories themselves
+const SKIPPED_FACETS = new Set(['breakdown-status-range']);
+
+const LIKELY_CAUSES_PER_ANOMALY = 5;
+const CATEGORY_LABELS = { red: '5xx', yellow: '4xx', green: '2xx' };
+
+let lastResults = [];
+// Investigations by anomaly ID, so zooming into an anomaly keeps its causes
+const investigationsById = new Map();
+
 function stripRowClasses(selector) {
   document.querySelectorAll(selector).forEach((el) => {
     el.classList.remove(...ROW_HIGHLIGHT_CLASSES);
@@ -62,40 +92,279 @@ export function clearHighlights() {
   stripRowClasses('.investigation-highlight');
 }
 
-export async function investigateAnomalies() {
-  window.anomalyIdsByRank = {};
+function formatShare(share) {
+  return `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+}
+
+function getFacetTitle(facetId) {
+  const card = document.getElementById(facetId);
+  return card?.dataset.title || card?.querySelector('h3')?.textContent?.trim() || facetId;
+}
+
+function describeAnomaly(result) {
+  const kind = result.type === 'dip' ? 'Dip' : 'Spike';
+  return `${kind} #${result.rank} (${CATEGORY_LABELS[result.category]})`;
+}
+
+/**
+ * Best contributors per facet across all anomalies, each dim once.
+ * @param {Array<Object>} results - Investigation results
+ * @returns {Map<string, Array<Object>>} facet id -> top HIGHLIGHT_TOP_N contributors
+ */
+function pickHighlights(results) {
+  const byFacet = new Map();
+  for (const result of results) {
+    for (const { facetId, contributors } of result.facets) {
+      const list = byFacet.get(facetId) || [];
+      contributors.forEach((c) => list.push({ ...c, result }));
+      byFacet.set(facetId, list);
+    }
+  }
+  for (const [facetId, list] of byFacet) {
+    const seen = new Set();
+    const top = list
+      .sort((a, b) => b.score - a.score)
+      .filter((c) => !seen.has(c.dim) && seen.add(c.dim))
+      .slice(0, HIGHLIGHT_TOP_N);
+    byFacet.set(facetId, top);
+  }
+  return byFacet;
+}
+
+function applyHighlights(results) {
   clearHighlights();
-  return [];
+  for (const [facetId, contributors] of pickHighlights(results)) {
+    const rows = document.querySelectorAll(`#${facetId} tr[data-dim]`);
+    for (const c of contributors) {
+      const row = [...rows].find((tr) => tr.dataset.dim === c.dim);
+      if (row) {
+        row.classList.add('investigation-highlight', `investigation-${c.result.category}`);
+        const statusColor = row.querySelector('.status-color');
+        if (statusColor) {
+          statusColor.title = `Likely cause of ${describeAnomaly(c.result)}: `
+            + `${formatShare(c.anomalyShare)} of the anomaly vs ${formatShare(c.baselineShare)} before`;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Ranked likely causes of one anomaly across all facets.
+ * @param {Object} result - Investigation result of one anomaly
+ * @returns {Array<{ facetId: string, dim: string, score: number, anomalyShare: number,
+ *   baselineShare: number }>}
+ */
+export function getLikelyCauses(result) {
+  return result.facets
+    .flatMap(({ facetId, contributors }) => contributors.map((c) => ({ facetId, ...c })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, LIKELY_CAUSES_PER_ANOMALY);
+}
+
+function renderLikelyCauses(results) {
+  const section = document.querySelector('.chart-section');
+  if (!section) { return; }
+  let panel = section.querySelector('.likely-causes');
+  const withCauses = results.filter((r) => r.facets.length > 0);
+  if (withCauses.length === 0) {
+    panel?.remove();
+    return;
+  }
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.className = 'likely-causes';
+    section.appendChild(panel);
+  }
+  panel.innerHTML = withCauses.map((result) => {
+    const items = getLikelyCauses(result).map((c) => `
+      <li title="${escapeHtml(`${formatShare(c.anomalyShare)} of the anomaly vs ${formatShare(c.baselineShare)} before`)}">
+        <span class="likely-cause-facet">${escapeHtml(getFacetTitle(c.facetId))}</span>
+        <span class="likely-cause-dim">${escapeHtml(c.dim || '(empty)')}</span>
+        <span class="likely-cause-share">${formatShare(c.anomalyShare)} vs ${formatShare(c.baselineShare)}</span>
+      </li>`).join('');
+    return `<div class="likely-causes-anomaly investigation-${result.category}">
+      <span class="likely-causes-title">Likely causes · ${escapeHtml(describeAnomaly(result))}</span>
+      ${buildOncallLineHtml(result.startTime, result.endTime)}
+      <ol>${items}</ol>
+    </div>`;
+  }).join('');
+  renderOncallLines();
+}
+
+// Request anomalies with their windows, widened to the end of the last chart bucket
+function getInvestigableAnomalies() {
+  const data = getLastChartData();
+  if (!data || data.length < 2) { return []; }
+  const bucketMs = parseUTC(data[1].t) - parseUTC(data[0].t);
+  const baseTimeRange = `${getTimeFilter()} ${getHostFilter()}`;
+  const baseFilters = getFacetFilters();
+  return getDetectedAnomalies()
+    .filter((a) => a.metric === 'requests' && CATEGORY_COLUMNS[a.category] && a.startTime)
+    .map((a) => {
+      const start = new Date(a.startTime);
+      const end = new Date(new Date(a.endTime).getTime() + bucketMs - 1000);
+      return {
+        id: generateAnomalyId(baseTimeRange, baseFilters, start, end, a.category),
+        rank: a.rank,
+        category: a.category,
+        type: a.type,
+        start,
+        end,
+      };
+    });
 }
 
+/**
+ * Visible facets that can be investigated with investigate-facet.sql, in display order.
+ * @returns {Array<Object>} At most MAX_FACETS breakdown definitions
+ */
+export function getInvestigableBreakdowns() {
+  const periodHours = getPeriodMs() / (60 * 60 * 1000);
+  return getBreakdowns()
+    .filter((b) => !SKIPPED_FACETS.has(b.id)
+      && !state.hiddenFacets.includes(b.id)
+      && !b.rawCol
+      && !b.noRawFallback
+      && !(b.maxTimeRangeHours && periodHours > b.maxTimeRangeHours)
+      && document.getElementById(b.id))
+    .slice(0, MAX_FACETS);
+}
+
+async function queryFacets(anomalies, requestStatus) {
+  const limit = createLimiter(MAX_CONCURRENT);
+  let serverSeconds = 0;
+  const facets = await Promise.all(getInvestigableBreakdowns().map((b) => limit(async () => {
+    // Stop spending once the budget is used up or the dashboard moved on
+    if (serverSeconds >= MAX_SERVER_SECONDS || !requestStatus.isCurrent()) {
+      return null;
+    }
+    try {
+      const { contributors, elapsed } = await investigateFacet(b, anomalies, {
+        signal: requestStatus.signal,
+      });
+      serverSeconds += elapsed;
+      return { facetId: b.id, contributors };
+    } catch (err) {
+      if (!isAbortError(err)) {
+        // eslint-disable-next-line no-console
+        console.warn(`Investigation failed (${b.id}):`, err);
+      }
+      return null;
+    }
+  })));
+  return facets.filter(Boolean);
+}
+
+function showResults(results) {
+  lastResults = results;
+  applyHighlights(results);
+  renderLikelyCauses(results);
+}
+
+/**
+ * Investigate the anomalies currently detected on the chart: rank the facet values that
+ * over-contribute to each, highlight them and show the likely causes. Cached results are
+ * reused; when zoomed into an investigated anomaly (?anomaly=), its results are shown.
+ * @param {Object} [requestContext] - Context of the facet load this belongs to
+ * @returns {Promise<Array<Object>>} One result per anomaly
+ */
+export async function investigateAnomalies(requestContext = getRequestContext('facets')) {
+  const requestStatus = {
+    signal: requestContext.signal,
+    isCurrent: () => isRequestCurrent(requestContext.requestId, requestContext.scope),
+  };
+  const focused = investigationsById.get(getFocusedAnomalyId());
+  if (focused) {
+    showResults([focused]);
+    return lastResults;
+  }
+
+  const anomalies = state.liveMode ? [] : getInvestigableAnomalies();
+  window.anomalyIdsByRank = Object.fromEntries(anomalies.map((a) => [a.rank, a.id]));
+  if (anomalies.length === 0) {
+    showResults([]);
+    return [];
+  }
+
+  const cacheKey = generateCacheKey();
+  const cached = loadCachedInvestigation(cacheKey);
+  let results = cached?.results;
+  if (!results || !anomalies.every((a) => results.some((r) => r.anomalyId === a.id))) {
+    const facets = await queryFacets(anomalies, requestStatus);
+    if (!requestStatus.isCurrent()) {
+      return [];
+    }
+    results = anomalies.map((a) => ({
+      anomalyId: a.id,
+      rank: a.rank,
+      category: a.category,
+      type: a.type,
+      startTime: a.start.toISOString(),
+      endTime: a.end.toISOString(),
+      facets: facets
+        .map(({ facetId, contributors }) => ({ facetId, contributors: contributors[a.rank] }))
+        .filter((f) => f.contributors.length > 0),
+    }));
+    saveCachedInvestigation(cacheKey, { results });
+    cleanupOldCaches();
+  }
+
+  results.forEach((r) => investigationsById.set(r.anomalyId, r));
+  showResults(results);
+  return results;
+}
+
+/**
+ * Dims currently highlighted, as `${facetId}:${dim}` keys.
+ * @returns {Set<string>}
+ */
 export function getHighlightedDimensions() {
-  return new Set();
+  const keys = new Set();
+  for (const [facetId, contributors] of pickHighlights(lastResults)) {
+    contributors.forEach((c) => keys.add(`${facetId}:${c.dim}`));
+  }
+  return keys;
 }
 
 export function invalidateInvestigationCache() {
   window.anomalyIdsByRank = {};
+  lastResults = [];
+  investigationsById.clear();
   clearHighlights();
+  renderLikelyCauses([]);
   clearAllInvestigationCaches();
 }
 
-/** @returns {null} */
-export function getInvestigationByAnomalyId() {
-  return null;
+/**
+ * @param {string} anomalyId
+ * @returns {Object|null} Investigation result of the anomaly
+ */
+export function getInvestigationByAnomalyId(anomalyId) {
+  return investigationsById.get(anomalyId) || null;
 }
 
-/** @returns {null} */
-export function getAnomalyIdByRank() {
-  return null;
+/**
+ * @param {number} rank
+ * @returns {string|null}
+ */
+export function getAnomalyIdByRank(rank) {
+  return window.anomalyIdsByRank?.[rank] || null;
 }
 
 export function getLastInvestigationResults() {
-  return [];
+  return lastResults;
 }
 
-export function reapplyHighlightsIfCached() {}
+/** Re-apply highlights after facets re-render (their rows are replaced) */
+export function reapplyHighlightsIfCached() {
+  if (lastResults.length > 0) {
+    applyHighlights(lastResults);
+  }
+}
 
 export function hasCachedInvestigation() {
-  return false;
+  return lastResults.length > 0;
 }
 
 export function clearSelectionHighlights() {
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { state } from './state.js';
+import {
+  setLastChartData, setDetectedSteps, resetAnomalyBounds, addAnomalyBounds,
+} from './chart-state.js';
+import {
+  investigateAnomalies, invalidateInvestigationCache, getLikelyCauses, getAnomalyIdByRank,
+  getInvestigationByAnomalyId,
+} from './anomaly-investigation.js';
+import { setOncallShifts } from './oncall.js';
+
+const startTime = new Date('2026-01-15T10:05:00Z');
+const endTime = new Date('2026-01-15T10:08:00Z');
+
+describe('getLikelyCauses', () => {
+  it('ranks contributors across facets', () => {
+    const causes = getLikelyCauses({
+      facets: [
+        { facetId: 'breakdown-hosts', contributors: [{ dim: 'a', score: 0.2 }] },
+        { facetId: 'breakdown-paths', contributors: [{ dim: '/x', score: 0.6 }, { dim: '/y', score: 0.1 }] },
+      ],
+    });
+    assert.deepEqual(causes.map((c) => [c.facetId, c.dim]), [
+      ['breakdown-paths', '/x'], ['breakdown-hosts', 'a'], ['breakdown-paths', '/y'],
+    ]);
+  });
+});
+
+describe('investigateAnomalies', () => {
+  let originalFetch;
+  let container;
+  let queries;
+  const saved = {};
+
+  beforeEach(() => {
+    ['credentials', 'breakdowns', 'hiddenFacets', 'liveMode', 'aggregations', 'weightColumn']
+      .forEach((key) => { saved[key] = state[key]; });
+    state.credentials = { user: 'test', password: 'test' };
+    state.breakdowns = [
+      { id: 'breakdown-status-range', col: '`status`' },
+      { id: 'breakdown-hosts', col: '`request.host`' },
+    ];
+    state.hiddenFacets = [];
+    state.liveMode = null;
+    state.aggregations = null;
+    state.weightColumn = null;
+
+    container = document.createElement('div');
+    container.innerHTML = `
+      <section class="chart-section"></section>
+      <div class="breakdown-card" id="breakdown-status-range"></div>
+      <div class="breakdown-card" id="breakdown-hosts" data-title="Hosts">
+        <table class="breakdown-table">
+          <tr data-dim="a.example"><td class="dim"><span class="status-color"></span></td></tr>
+          <tr data-dim="b.example"><td class="dim"><span class="status-color"></span></td></tr>
+        </table>
+      </div>`;
+    document.body.appendChild(container);
+
+    setLastChartData([
+      { t: '2026-01-15 10:00:00' }, { t: '2026-01-15 10:01:00' }, { t: '2026-01-15 10:10:00' },
+    ]);
+    setDetectedSteps([{
+      rank: 1, category: 'red', type: 'spike', metric: 'requests', magnitude: 3, startTime, endTime,
+    }]);
+    resetAnomalyBounds();
+    addAnomalyBounds({
+      rank: 1, left: 0, right: 10, startTime, endTime,
+    });
+
+    queries = [];
+    originalFetch = window.fetch;
+    window.fetch = async (url, options) => {
+      if (url.endsWith('.sql')) {
+        return { ok: true, text: async () => 'SELECT dim, {{stepColumns}} FROM {{table}} WHERE {{col}}' };
+      }
+      queries.push(options.body);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({
+          data: [
+            { dim: 'a.example', step_1: '900', base_5xx: '100' },
+            { dim: 'b.example', step_1: '100', base_5xx: '900' },
+          ],
+          statistics: { elapsed: 0.2 },
+        }),
+      };
+    };
+    invalidateInvestigationCache();
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    container.remove();
+    invalidateInvestigationCache();
+    resetAnomalyBounds();
+    setDetectedSteps([]);
+    setLastChartData(null);
+    setOncallShifts([]);
+    Object.assign(state, saved);
+  });
+
+  it('queries each facet once and highlights the top contributors', async () => {
+    const results = await investigateAnomalies();
+    assert.lengthOf(queries, 1, 'status range facet is skipped');
+    assert.include(queries[0], '`request.host`');
+    assert.lengthOf(results, 1);
+    assert.strictEqual(getAnomalyIdByRank(1), results[0].anomalyId);
+    assert.strictEqual(getInvestigationByAnomalyId(results[0].anomalyId), results[0]);
+
+    const row = container.querySelector('tr[data-dim="a.example"]');
+    assert.isTrue(row.classList.contains('investigation-highlight'));
+    assert.isTrue(row.classList.contains('investigation-red'));
+    assert.include(row.querySelector('.status-color').title, 'Spike #1 (5xx)');
+    assert.isFalse(container.querySelector('tr[data-dim="b.example"]').classList.contains('investigation-highlight'));
+
+    const panel = container.querySelector('.likely-causes');
+    assert.include(panel.textContent, 'Hosts');
+    assert.include(panel.textContent, 'a.example');
+    assert.include(panel.textContent, '90% vs 10%');
+  });
+
+  it('names who was on call during the anomaly', async () => {
+    setOncallShifts([
+      { user: 'alice', shift_start: '2026-01-15 08:00:00.000', shift_end: '2026-01-15 16:00:00.000' },
+      { user: 'bob', shift_start: '2026-01-15 16:00:00.000', shift_end: '2026-01-16 00:00:00.000' },
+    ]);
+    await investigateAnomalies();
+    const line = container.querySelector('.likely-causes-oncall');
+    assert.strictEqual(line.textContent, 'On call: alice');
+  });
+
+  it('reuses the cached investigation for the same anomalies', async () => {
+    await investigateAnomalies();
+    await investigateAnomalies();
+    assert.lengthOf(queries, 1);
+  });
+
+  it('does not investigate in live mode', async () => {
+    state.liveMode = '30s';
+    const results = await investigateAnomalies();
+    assert.deepEqual(results, []);
+    assert.lengthOf(queries, 0);
+  });
+});
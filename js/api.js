@@ -12,6 +12,7 @@
 import { CLICKHOUSE_URL } from './config.js';
 import { TIME_RANGES } from './constants.js';
 import { state } from './state.js';
+import { logQueryEnd, logQueryStart } from './query-log.js';
 
 // Force refresh state - set by dashboard when refresh button is clicked
 const refreshState = { force: false };
@@ -217,12 +218,62 @@ export function getQueryErrorDetails(err) {
   };
 }
 
+/**
+ * Whether an error came from ClickHouse or the network rather than from our own code.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isQueryFailure(err) {
+  if (!err || isAbortError(err)) {
+    return false;
+  }
+  return !!err.isQueryError || getQueryErrorDetails(err).category === 'network';
+}
+
+function getAuthHeader() {
+  return `Basic ${btoa(`${state.credentials.user}:${state.credentials.password}`)}`;
+}
+
+async function toQueryError(response) {
+  const text = await response.text();
+  // Check for authentication errors (401 or auth-related message)
+  if (response.status === 401 || text.includes('Authentication failed') || text.includes('REQUIRED_PASSWORD')) {
+    window.dispatchEvent(authErrorEvent);
+  }
+  const parsed = parseQueryError(text, response.status);
+  return new QueryError(parsed.message, parsed);
+}
+
+async function fetchJson(url, body, signal) {
+  const fetchStart = performance.now();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: getAuthHeader(),
+    },
+    body,
+    signal,
+  });
+  const fetchEnd = performance.now();
+
+  if (!response.ok) {
+    throw await toQueryError(response);
+  }
+
+  const data = await response.json();
+  // Wall clock timing from fetch call to response
+  data.networkTime = fetchEnd - fetchStart;
+  return data;
+}
+
 export async function query(
   sql,
   {
     cacheTtl: initialCacheTtl = null,
     skipCache = false,
     signal,
+    settings = null,
+    label = null,
   } = {},
 ) {
   const params = new URLSearchParams();
@@ -244,6 +295,11 @@ export async function query(
     params.set('query_cache_nondeterministic_function_handling', 'save');
   }
 
+  // Per-query ClickHouse settings (e.g. max_execution_time), sent as URL parameters
+  if (settings) {
+    Object.entries(settings).forEach(([key, value]) => params.set(key, String(value)));
+  }
+
   // Normalize SQL whitespace for consistent cache keys.
   // Only collapse horizontal whitespace (spaces/tabs), not newlines — collapsing
   // newlines would turn SQL line comments (--) into block comments that eat
@@ -251,29 +307,102 @@ export async function query(
   const normalizedSql = sql.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
 
   const url = `${CLICKHOUSE_URL}?${params}`;
-  const fetchStart = performance.now();
-  const response = await fetch(url, {
+  const logEntry = logQueryStart(normalizedSql, Object.fromEntries(params), label);
+  let data;
+  try {
+    data = await fetchJson(url, `${normalizedSql} FORMAT JSON`, signal);
+  } catch (err) {
+    logQueryEnd(logEntry, {
+      status: isAbortError(err) ? 'cancelled' : 'error',
+      error: err.message,
+    });
+    throw err;
+  }
+
+  logQueryEnd(logEntry, {
+    status: 'ok',
+    networkTime: data.networkTime,
+    statistics: data.statistics,
+    rows: data.rows,
+  });
+  return data;
+}
+
+/**
+ * Estimate what a SELECT would read, without running it (EXPLAIN ESTIMATE).
+ * @param {string} sql - SELECT statement
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.label] - Query inspector label
+ * @returns {Promise<Array<{ database: string, table: string, parts: number,
+ *   rows: number, marks: number }>>} One entry per table read
+ */
+export async function estimateQuery(sql, { signal, label = null } = {}) {
+  const result = await query(`EXPLAIN ESTIMATE ${sql}`, { skipCache: true, signal, label });
+  return result.data.map((row) => ({
+    database: row.database,
+    table: row.table,
+    parts: Number(row.parts) || 0,
+    rows: Number(row.rows) || 0,
+    marks: Number(row.marks) || 0,
+  }));
+}
+
+/**
+ * Run a statement that returns no rows (e.g. INSERT ... FORMAT JSONEachRow).
+ * The body is sent as-is: no FORMAT suffix and no query cache.
+ * @param {string} sql - Statement, including any inline data
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ */
+export async function execute(sql, { signal } = {}) {
+  const response = await fetch(CLICKHOUSE_URL, {
     method: 'POST',
     headers: {
-      Authorization: `Basic ${btoa(`${state.credentials.user}:${state.credentials.password}`)}`,
+      Authorization: getAuthHeader(),
     },
-    body: `${normalizedSql} FORMAT JSON`,
+    body: sql,
     signal,
   });
-  const fetchEnd = performance.now();
-
   if (!response.ok) {
-    const text = await response.text();
-    // Check for authentication errors (401 or auth-related message)
-    if (response.status === 401 || text.includes('Authentication failed') || text.includes('REQUIRED_PASSWORD')) {
-      window.dispatchEvent(authErrorEvent);
-    }
-    const parsed = parseQueryError(text, response.status);
-    throw new QueryError(parsed.message, parsed);
+    throw await toQueryError(response);
   }
+}
 
-  const data = await response.json();
-  // Wall clock timing from fetch call to response
-  data.networkTime = fetchEnd - fetchStart;
-  return data;
+/**
+ * Run a query in one of ClickHouse's own output formats (e.g. CSVWithNames, Parquet) and
+ * hand the response body to the caller chunk by chunk, without buffering it.
+ * The query cache is not used.
+ * @param {string} sql - Query without FORMAT clause
+ * @param {Object} options
+ * @param {string} options.format - ClickHouse output format
+ * @param {(chunk: Uint8Array) => (void|Promise<void>)} options.onChunk - Awaited per chunk
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<number>} Bytes received
+ */
+export async function queryStream(sql, { format, onChunk, signal }) {
+  const response = await fetch(CLICKHOUSE_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: getAuthHeader(),
+    },
+    body: `${sql.trim()} FORMAT ${format}`,
+    signal,
+  });
+  if (!response.ok) {
+    throw await toQueryError(response);
+  }
+  const reader = response.body.getReader();
+  let bytes = 0;
+  // Read and hand over one chunk at a time so a slow sink applies backpressure
+  const pump = async () => {
+    const { done, value } = await reader.read();
+    if (done) {
+      return bytes;
+    }
+    bytes += value.length;
+    await onChunk(value);
+    return pump();
+  };
+  return pump();
 }
@@ -13,15 +13,20 @@ import { assert } from 'chai';
 import {
   QueryError,
   classifyCategory,
+  estimateQuery,
+  execute,
   extractErrorType,
   getQueryErrorDetails,
   isAbortError,
+  isQueryFailure,
   isForceRefresh,
   parseQueryError,
   query,
+  queryStream,
   setForceRefresh,
   summarizeErrorText,
 } from './api.js';
+import { clearQueryLog, getQueryLog } from './query-log.js';
 import { state } from './state.js';
 
 describe('api error helpers', () => {
@@ -163,6 +168,13 @@ describe('api error helpers', () => {
     assert.strictEqual(details.category, 'cancelled');
     assert.isTrue(details.isAbort);
   });
+
+  it('tells query and network failures from code errors', () => {
+    assert.isTrue(isQueryFailure(new QueryError('Timeout', { category: 'timeout' })));
+    assert.isTrue(isQueryFailure(new TypeError('Failed to fetch')));
+    assert.isFalse(isQueryFailure(new TypeError('x is undefined')));
+    assert.isFalse(isQueryFailure(new DOMException('Aborted', 'AbortError')));
+  });
 });
 
 describe('isForceRefresh / setForceRefresh', () => {
@@ -375,4 +387,143 @@ describe('query()', () => {
     const params = new URL(url).searchParams;
     assert.strictEqual(params.get('query_cache_ttl'), '1');
   });
+
+  it('sends per-query settings as URL parameters', async () => {
+    mockFetch(okResponse({ data: [] }));
+    await query('SELECT 1', { settings: { max_execution_time: 60 } });
+
+    const { url } = mockFetch.lastCall;
+    const params = new URL(url).searchParams;
+    assert.strictEqual(params.get('max_execution_time'), '60');
+  });
+
+  it('logs each query with its label, settings and statistics', async () => {
+    clearQueryLog();
+    mockFetch(okResponse({
+      data: [{ n: 1 }], rows: 1, statistics: { elapsed: 0.05, rows_read: 2000, bytes_read: 8000 },
+    }));
+    await query('SELECT  1', { label: 'chart' });
+
+    const [entry] = getQueryLog();
+    assert.strictEqual(entry.label, 'chart');
+    assert.strictEqual(entry.sql, 'SELECT 1');
+    assert.strictEqual(entry.settings.use_query_cache, '1');
+    assert.strictEqual(entry.status, 'ok');
+    assert.strictEqual(entry.statistics.rows_read, 2000);
+    assert.isNumber(entry.networkTime);
+  });
+
+  it('logs failed queries with their error', async () => {
+    clearQueryLog();
+    mockFetch(errorResponse(500, 'Code: 62. DB::Exception: Syntax error'));
+    await query('SELECT 1').catch(() => {});
+
+    const [entry] = getQueryLog();
+    assert.strictEqual(entry.status, 'error');
+    assert.include(entry.error, 'Syntax error');
+  });
+
+  it('estimateQuery() runs EXPLAIN ESTIMATE uncached and returns rows per table', async () => {
+    mockFetch(okResponse({
+      data: [{
+        database: 'helix_logs_production', table: 'delivery', parts: '12', rows: '3400000', marks: '420',
+      }],
+    }));
+    const estimate = await estimateQuery('SELECT 1');
+
+    const { url, opts } = mockFetch.lastCall;
+    assert.match(opts.body, /^EXPLAIN ESTIMATE SELECT 1/);
+    assert.isNull(new URL(url).searchParams.get('use_query_cache'));
+    assert.deepEqual(estimate, [{
+      database: 'helix_logs_production', table: 'delivery', parts: 12, rows: 3400000, marks: 420,
+    }]);
+  });
+});
+
+describe('execute()', () => {
+  let originalFetch;
+  let savedCredentials;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'testuser', password: 'testpass' };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  it('posts the statement as-is without FORMAT suffix or cache params', async () => {
+    let call;
+    window.fetch = async (url, opts) => {
+      call = { url, opts };
+      return { ok: true, status: 200, text: async () => '' };
+    };
+    const sql = 'INSERT INTO t FORMAT JSONEachRow\n{"a":1}';
+    await execute(sql);
+    assert.strictEqual(call.opts.body, sql);
+    assert.isNull(new URL(call.url).searchParams.get('use_query_cache'));
+    assert.strictEqual(call.opts.headers.Authorization, `Basic ${btoa('testuser:testpass')}`);
+  });
+
+  it('throws a QueryError on failure', async () => {
+    window.fetch = async () => ({
+      ok: false, status: 500, text: async () => 'Code: 497. DB::Exception: Not enough privileges',
+    });
+    try {
+      await execute('INSERT INTO t VALUES (1)');
+      assert.fail('should have thrown');
+    } catch (err) {
+      assert.instanceOf(err, QueryError);
+      assert.strictEqual(err.status, 500);
+    }
+  });
+});
+
+describe('queryStream()', () => {
+  let originalFetch;
+  let savedCredentials;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'testuser', password: 'testpass' };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  it('requests the given format and hands over every chunk in order', async () => {
+    let body;
+    window.fetch = async (url, opts) => {
+      body = opts.body;
+      return { ok: true, status: 200, body: new Blob(['a,b\n', '1,2\n']).stream() };
+    };
+    const chunks = [];
+    const bytes = await queryStream('SELECT 1 ', {
+      format: 'CSVWithNames',
+      onChunk: (chunk) => { chunks.push(chunk); },
+    });
+    assert.strictEqual(body, 'SELECT 1 FORMAT CSVWithNames');
+    assert.strictEqual(bytes, 8);
+    const text = chunks.map((c) => new TextDecoder().decode(c)).join('');
+    assert.strictEqual(text, 'a,b\n1,2\n');
+  });
+
+  it('throws a QueryError before streaming on failure', async () => {
+    window.fetch = async () => ({
+      ok: false, status: 400, text: async () => 'Code: 62. DB::Exception: Syntax error (SYNTAX_ERROR)',
+    });
+    try {
+      await queryStream('SELEC 1', { format: 'Parquet', onChunk: () => assert.fail('no chunks') });
+      assert.fail('should have thrown');
+    } catch (err) {
+      assert.instanceOf(err, QueryError);
+      assert.strictEqual(err.category, 'syntax');
+    }
+  });
 });
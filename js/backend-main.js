@@ -32,6 +32,7 @@ initDashboard({
   title: 'Backend',
   tableName: 'backend',
   weightColumn: 'weight',
+  latencyColumn: 'cdn.time_elapsed_msec',
   timeSeriesTemplate: 'time-series-backend',
   defaultHiddenFacets: DEFAULT_HIDDEN_FACETS,
   hostFilterColumn: 'request.url',
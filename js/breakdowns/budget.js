@@ -0,0 +1,94 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Query cost budget: high-cardinality facets are pre-flighted with EXPLAIN ESTIMATE, and
+ * those estimated to read more than state.facetRowBudget rows wait for "Run anyway".
+ */
+
+import { estimateQuery, isAbortError, query } from '../api.js';
+import { formatBytes, formatNumber } from '../format.js';
+import { loadSql } from '../sql-loader.js';
+import { state } from '../state.js';
+
+/** Compressed bytes per row by `database.table` (promises, shared by concurrent facets) */
+const bytesPerRowCache = new Map();
+
+/** Clears cached bytes-per-row figures (e.g. test isolation). */
+export function clearBytesPerRowCache() {
+  bytesPerRowCache.clear();
+}
+
+async function fetchBytesPerRow(database, table) {
+  const sql = await loadSql('table-bytes-per-row', { database, table });
+  const result = await query(sql, { cacheTtl: 3600 });
+  const row = result.data[0];
+  const rows = Number(row?.rows) || 0;
+  return rows > 0 ? Number(row.bytes) / rows : null;
+}
+
+// Average compressed row size from system.parts; null if unknown (e.g. no access)
+function getBytesPerRow(database, table) {
+  const key = `${database}.${table}`;
+  if (!bytesPerRowCache.has(key)) {
+    const pending = fetchBytesPerRow(database, table).catch(() => {
+      bytesPerRowCache.delete(key);
+      return null;
+    });
+    bytesPerRowCache.set(key, pending);
+  }
+  return bytesPerRowCache.get(key);
+}
+
+/**
+ * Estimate what a breakdown query reads.
+ * @param {string} sql - Breakdown SELECT
+ * @param {AbortSignal} [signal]
+ * @param {string} [label] - Query inspector label
+ * @returns {Promise<{ rows: number, bytes: number|null }|null>} null if ClickHouse could
+ *   not estimate the query (the facet then runs unbudgeted)
+ */
+export async function estimateBreakdownCost(sql, signal, label = null) {
+  let tables;
+  try {
+    tables = await estimateQuery(sql, { signal, label });
+  } catch (err) {
+    if (isAbortError(err)) {
+      throw err;
+    }
+    return null;
+  }
+
+  const rows = tables.reduce((sum, t) => sum + t.rows, 0);
+  const rates = await Promise.all(tables.map((t) => getBytesPerRow(t.database, t.table)));
+  const bytes = rates.every((rate) => rate !== null)
+    ? Math.round(tables.reduce((sum, t, i) => sum + t.rows * rates[i], 0))
+    : null;
+  return { rows, bytes };
+}
+
+/**
+ * @param {{ rows: number }|null} estimate
+ * @returns {boolean} Whether the estimate exceeds the dashboard's row budget
+ */
+export function isOverBudget(estimate) {
+  return !!estimate && estimate.rows > state.facetRowBudget;
+}
+
+/**
+ * @param {{ rows: number, bytes: number|null }} estimate
+ * @returns {string} e.g. "~1.20B rows · 84.00 GB"
+ */
+export function formatEstimate(estimate) {
+  const rows = `~${formatNumber(estimate.rows)} rows`;
+  return estimate.bytes === null ? rows : `${rows} · ${formatBytes(estimate.bytes)}`;
+}
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  clearBytesPerRowCache, estimateBreakdownCost, formatEstimate, isOverBudget,
+} from './budget.js';
+import { state } from '../state.js';
+
+const PARTS_TEMPLATE = "SELECT sum(data_compressed_bytes) AS bytes, sum(rows) AS rows FROM system.parts WHERE database = '{{database}}' AND table = '{{table}}'";
+
+function jsonResponse(data) {
+  return { ok: true, json: async () => ({ data }) };
+}
+
+describe('estimateBreakdownCost', () => {
+  let originalFetch;
+  let savedCredentials;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'u', password: 'p' };
+    clearBytesPerRowCache();
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  it('sums estimated rows and prices them with the table bytes per row', async () => {
+    window.fetch = async (url, options) => {
+      if (String(url).endsWith('.sql')) {
+        return { ok: true, text: async () => PARTS_TEMPLATE };
+      }
+      if (options.body.startsWith('EXPLAIN ESTIMATE')) {
+        return jsonResponse([{
+          database: 'db', table: 'delivery', parts: '3', rows: '2000000', marks: '250',
+        }]);
+      }
+      return jsonResponse([{ bytes: '500', rows: '10' }]);
+    };
+    const estimate = await estimateBreakdownCost('SELECT 1');
+    assert.deepEqual(estimate, { rows: 2000000, bytes: 100000000 });
+  });
+
+  it('leaves bytes unknown when system.parts cannot be read', async () => {
+    window.fetch = async (url, options) => {
+      if (String(url).endsWith('.sql')) {
+        return { ok: true, text: async () => PARTS_TEMPLATE };
+      }
+      if (options.body.startsWith('EXPLAIN ESTIMATE')) {
+        return jsonResponse([{
+          database: 'db', table: 'delivery', parts: '3', rows: '2000000', marks: '250',
+        }]);
+      }
+      return { ok: false, status: 403, text: async () => 'Code: 497. DB::Exception: Not enough privileges' };
+    };
+    const estimate = await estimateBreakdownCost('SELECT 1');
+    assert.deepEqual(estimate, { rows: 2000000, bytes: null });
+  });
+
+  it('returns null when the estimate fails', async () => {
+    window.fetch = async () => ({ ok: false, status: 400, text: async () => 'Code: 62. DB::Exception: Syntax error' });
+    assert.isNull(await estimateBreakdownCost('SELECT 1'));
+  });
+});
+
+describe('isOverBudget / formatEstimate', () => {
+  let savedBudget;
+
+  beforeEach(() => {
+    savedBudget = state.facetRowBudget;
+    state.facetRowBudget = 1e9;
+  });
+
+  afterEach(() => {
+    state.facetRowBudget = savedBudget;
+  });
+
+  it('compares estimated rows with the row budget', () => {
+    assert.isTrue(isOverBudget({ rows: 2e9, bytes: null }));
+    assert.isFalse(isOverBudget({ rows: 5e8, bytes: null }));
+    assert.isFalse(isOverBudget(null));
+  });
+
+  it('formats rows and, when known, bytes', () => {
+    assert.strictEqual(formatEstimate({ rows: 1.2e9, bytes: 8.4e10 }), '~1.20B rows · 84.00 GB');
+    assert.strictEqual(formatEstimate({ rows: 3000, bytes: null }), '~3.00K rows');
+  });
+});
@@ -22,7 +22,7 @@ import { formatAsn, formatForwardedHost } from './definitions.js';
 // but adds cdn.script_name and cdn.request_source (Cloudflare worker subrequests).
 export const daBreakdowns = [
   {
-    id: 'breakdown-status-range', col: "concat(toString(intDiv(`response.status`, 100)), 'xx')", summaryCountIf: '`response.status` >= 500', summaryDimCondition: "dim = '5xx'", summaryLabel: 'error rate', summaryColor: 'error',
+    id: 'breakdown-status-range', col: "concat(toString(intDiv(`response.status`, 100)), 'xx')", facetName: 'status_range', summaryCountIf: '`response.status` >= 500', summaryDimCondition: "dim = '5xx'", summaryLabel: 'error rate', summaryColor: 'error',
   },
   {
     id: 'breakdown-hosts', col: COLUMN_DEFS.host.facetCol, linkFn: hostLink, summaryCountIf: "`request.host` LIKE '%da.live'", summaryDimCondition: "dim LIKE '%da.live'", summaryLabel: 'live', highCardinality: true,
@@ -31,14 +31,15 @@ export const daBreakdowns = [
     id: 'breakdown-forwarded-hosts', col: '`request.headers.x_forwarded_host`', linkFn: forwardedHostLink, dimFormatFn: formatForwardedHost, summaryCountIf: "`request.headers.x_forwarded_host` != ''", summaryDimCondition: "dim != ''", summaryLabel: 'forwarded', highCardinality: true,
   },
   {
-    id: 'breakdown-content-types', col: COLUMN_DEFS.contentType.facetCol, modeToggle: 'contentTypeMode',
+    id: 'breakdown-content-types', col: COLUMN_DEFS.contentType.facetCol, facetName: 'content_type', modeToggle: 'contentTypeMode',
   },
   {
-    id: 'breakdown-status', col: COLUMN_DEFS.status.facetCol, modeToggle: 'contentTypeMode',
+    id: 'breakdown-status', col: COLUMN_DEFS.status.facetCol, facetName: 'status', modeToggle: 'contentTypeMode',
   },
   {
     id: 'breakdown-errors',
     col: COLUMN_DEFS.errorGrouped.facetCol,
+    facetName: 'x_error_grouped',
     filterCol: '`response.headers.x_error`',
     filterValueFn: (v) => v.replace(/\/\.\.\./g, '/%'),
     filterOp: 'LIKE',
@@ -57,16 +58,16 @@ export const daBreakdowns = [
     id: 'breakdown-ips', col: COLUMN_DEFS.originatingIp.facetCol, linkPrefix: 'https://centralops.net/co/DomainDossier?dom_whois=1&net_whois=1&addr=', summaryCountIf: '`cdn.originating_ip` LIKE \'%:%\'', summaryDimCondition: "dim LIKE '%:%'", summaryLabel: 'IPv6', highCardinality: true,
   },
   {
-    id: 'breakdown-methods', col: COLUMN_DEFS.method.facetCol, summaryCountIf: "`request.method` IN ('POST', 'PUT', 'PATCH', 'DELETE')", summaryDimCondition: "dim IN ('POST', 'PUT', 'PATCH', 'DELETE')", summaryLabel: 'writes', summaryColor: 'warning',
+    id: 'breakdown-methods', col: COLUMN_DEFS.method.facetCol, facetName: 'method', summaryCountIf: "`request.method` IN ('POST', 'PUT', 'PATCH', 'DELETE')", summaryDimCondition: "dim IN ('POST', 'PUT', 'PATCH', 'DELETE')", summaryLabel: 'writes', summaryColor: 'warning',
   },
   {
-    id: 'breakdown-datacenters', col: '`cdn.datacenter`', modeToggle: 'contentTypeMode',
+    id: 'breakdown-datacenters', col: '`cdn.datacenter`', facetName: 'datacenter', modeToggle: 'contentTypeMode',
   },
   {
     id: 'breakdown-asn', col: "concat(toString(`client.asn`), ' ', dictGet('helix_logs_production.asn_dict', 'name', `client.asn`))", filterCol: '`client.asn`', filterValueFn: (v) => parseInt(v.split(' ')[0], 10), dimFormatFn: formatAsn, extraFilter: 'AND `client.asn` != 0', linkPrefix: 'https://mxtoolbox.com/SuperTool.aspx?action=asn%3aAS', linkSuffix: '&run=toolpage', modeToggle: 'contentTypeMode',
   },
   {
-    id: 'breakdown-script-name', col: '`cdn.script_name`', extraFilter: "AND `cdn.script_name` != ''",
+    id: 'breakdown-script-name', col: '`cdn.script_name`', facetName: 'script_name', extraFilter: "AND `cdn.script_name` != ''",
   },
   { id: 'breakdown-helix-route', col: '`helix.route`', extraFilter: "AND `helix.route` != ''" },
   {
@@ -76,7 +77,7 @@ export const daBreakdowns = [
     id: 'breakdown-helix-repo', col: '`helix.repo`', extraFilter: "AND `helix.repo` != ''", highCardinality: true,
   },
   {
-    id: 'breakdown-accept-encoding', col: COLUMN_DEFS.acceptEncoding.facetCol, extraFilter: "AND `request.headers.accept_encoding` != ''", modeToggle: 'contentTypeMode',
+    id: 'breakdown-accept-encoding', col: COLUMN_DEFS.acceptEncoding.facetCol, facetName: 'accept_encoding', extraFilter: "AND `request.headers.accept_encoding` != ''", modeToggle: 'contentTypeMode',
   },
   {
     id: 'breakdown-content-length', col: contentLengthBuckets, rawCol: '`response.headers.content_length`', orderBy: 'min(`response.headers.content_length`)', modeToggle: 'contentTypeMode', getExpectedLabels: getContentLengthLabels,
@@ -19,21 +19,26 @@ export const helixMixerBreakdowns = [
   {
     id: 'breakdown-outcome',
     col: '`outcome`',
+    facetName: 'outcome',
     summaryCountIf: "`outcome` IN ('exception', 'exceeded')",
+    summaryDimCondition: "dim IN ('exception', 'exceeded')",
     summaryLabel: 'error rate',
     summaryColor: 'error',
   },
   {
     id: 'breakdown-status',
     col: COLUMN_DEFS.status.facetCol,
+    facetName: 'status',
   },
   {
     id: 'breakdown-script-name',
     col: '`script_name`',
+    facetName: 'script_name',
   },
   {
     id: 'breakdown-method',
     col: COLUMN_DEFS.method.facetCol,
+    facetName: 'method',
   },
   {
     id: 'breakdown-url',
@@ -15,6 +15,16 @@ import { timeElapsedBuckets, getTimeElapsedLabels } from './buckets.js';
 /** Raw column for admin.duration in ms (message_json.admin.duration is in milliseconds). */
 const ADMIN_DURATION_MS = 'toFloat64OrZero(CAST(message_json.admin.duration, \'String\'))';
 
+/**
+ * Status class aggregations for lambda_logs: warnings count as 4xx, errors as 5xx.
+ */
+export const lambdaAggregations = {
+  aggTotal: 'count()',
+  aggOk: "countIf(lower(level) NOT IN ('error', 'warn', 'warning'))",
+  agg4xx: "countIf(lower(level) IN ('warn', 'warning'))",
+  agg5xx: "countIf(lower(level) = 'error')",
+};
+
 /**
  * Breakdown (facet) definitions for the lambda_logs table.
  */
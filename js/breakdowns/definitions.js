@@ -124,17 +124,27 @@ export const allBreakdowns = [
     id: 'breakdown-time-elapsed', col: timeElapsedBuckets, rawCol: '`cdn.time_elapsed_msec`', orderBy: 'min(`cdn.time_elapsed_msec`)', summaryCountIf: '`cdn.time_elapsed_msec` >= 1000', summaryLabel: 'slow (≥1s)', summaryColor: 'warning', getExpectedLabels: getTimeElapsedLabels,
   },
   {
-    id: 'breakdown-subsystem', col: COLUMN_DEFS.subsystem.facetCol, extraFilter: "AND `subsystem` != ''",
+    id: 'breakdown-subsystem', col: COLUMN_DEFS.subsystem.facetCol, facetName: 'subsystem', extraFilter: "AND `subsystem` != ''",
   },
   {
-    id: 'breakdown-rso', col: COLUMN_DEFS.rso.facetCol, extraFilter: "AND `helix.rso` != ''",
+    id: 'breakdown-rso', col: COLUMN_DEFS.rso.facetCol, facetName: 'rso', extraFilter: "AND `helix.rso` != ''",
+  },
+  {
+    id: 'breakdown-cdn-version', col: '`cdn.version`', facetName: 'cdn_version', extraFilter: "AND `cdn.version` != ''",
   },
-  { id: 'breakdown-cdn-version', col: '`cdn.version`', extraFilter: "AND `cdn.version` != ''" },
   { id: 'breakdown-restarts', col: COLUMN_DEFS.restarts.facetCol },
-  { id: 'breakdown-helix-route', col: '`helix.route`', extraFilter: "AND `helix.route` != ''" },
-  { id: 'breakdown-severity', col: COLUMN_DEFS.severity.facetCol, extraFilter: "AND `response.headers.x_severity` != ''" },
-  { id: 'breakdown-helix-topic', col: '`helix.topic`', extraFilter: "AND `helix.topic` != ''" },
-  { id: 'breakdown-helix-org', col: '`helix.org`', extraFilter: "AND `helix.org` != ''" },
+  {
+    id: 'breakdown-helix-route', col: '`helix.route`', facetName: 'helix_route', extraFilter: "AND `helix.route` != ''",
+  },
+  {
+    id: 'breakdown-severity', col: COLUMN_DEFS.severity.facetCol, facetName: 'severity', extraFilter: "AND `response.headers.x_severity` != ''",
+  },
+  {
+    id: 'breakdown-helix-topic', col: '`helix.topic`', facetName: 'helix_topic', extraFilter: "AND `helix.topic` != ''",
+  },
+  {
+    id: 'breakdown-helix-org', col: '`helix.org`', facetName: 'helix_org', extraFilter: "AND `helix.org` != ''",
+  },
   {
     id: 'breakdown-helix-site', col: '`helix.site`', extraFilter: "AND `helix.site` != ''", highCardinality: true,
   },
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Facet delta mode: count each dim in the selected window and in the equal-length
+ * window before it (prev_cnt) in a single query.
+ */
+
+import { DATABASE } from '../config.js';
+import { state } from '../state.js';
+import { getDeltaTimeWindow, getTable } from '../time.js';
+import { loadSql } from '../sql-loader.js';
+import { buildSummaryCountBucketInnerFragment } from '../query-aggregations.js';
+import { getFacetTableName } from './facet-tables.js';
+import { FACET_ROLLUP_TABLE, buildRollupFilters } from './rollup.js';
+
+/** Delta modes in toggle order: off → show change → sort by biggest mover → off */
+export const FACET_DELTA_MODES = [null, 'count', 'mover'];
+
+/**
+ * Next delta mode in the header toggle cycle.
+ * @param {string|null} mode
+ * @returns {string|null}
+ */
+export function getNextDeltaMode(mode) {
+  const idx = FACET_DELTA_MODES.indexOf(mode);
+  return FACET_DELTA_MODES[(idx + 1) % FACET_DELTA_MODES.length];
+}
+
+/**
+ * ORDER BY for delta queries; "mover" ranks dims by absolute change.
+ * Continuous (bucketed) facets keep their natural order.
+ * @param {Object} b - Breakdown definition
+ * @returns {string}
+ */
+export function getDeltaOrderBy(b) {
+  if (state.facetDeltaMode === 'mover' && !b.getExpectedLabels) {
+    return 'abs(cnt - prev_cnt) DESC';
+  }
+  return b.orderBy || 'cnt DESC';
+}
+
+const OUTER_SUMMARY_COL = ',\n  sumIf(summary_cnt, is_current) as summary_cnt';
+
+/**
+ * Delta SQL against the pre-aggregated facet table.
+ * @param {Object} b - Breakdown definition
+ * @param {Object} [options]
+ * @param {boolean} [options.rollup] - Read the host rollup with the active filters
+ * @returns {Promise<string>}
+ */
+export function buildFacetTableDeltaSql(b, options = {}) {
+  const { startTime, endTime, currentStartTime } = getDeltaTimeWindow();
+  const hasSummary = !!b.summaryDimCondition;
+  return loadSql('breakdown-facet-delta', {
+    database: DATABASE,
+    facetTable: options.rollup ? FACET_ROLLUP_TABLE : getFacetTableName(),
+    facetName: b.facetName,
+    startTime,
+    endTime,
+    currentStartTime,
+    rollupFilters: options.rollup ? buildRollupFilters(b) : '',
+    dimFilter: b.extraFilter ? "AND dim != ''" : '',
+    innerSummaryCol: hasSummary
+      ? `,\n    if(${b.summaryDimCondition}, cnt, 0) as summary_cnt`
+      : '',
+    summaryCol: hasSummary ? OUTER_SUMMARY_COL : '',
+    orderBy: getDeltaOrderBy(b),
+    topN: String(state.topN),
+  });
+}
+
+/**
+ * Delta SQL against the raw table (plain or bucketed facets).
+ * @param {Object} b - Breakdown definition
+ * @param {Object} params - Query params from buildBreakdownQueryParams
+ * @param {Object} aggs - Status aggregations
+ * @returns {Promise<string>}
+ */
+export function buildRawDeltaSql(b, params, aggs) {
+  const { timeFilter, currentCondition } = getDeltaTimeWindow();
+  const shared = {
+    ...aggs,
+    currentCondition,
+    innerSummaryCol: buildSummaryCountBucketInnerFragment(b.summaryCountIf, ''),
+    outerSummaryCol: b.summaryCountIf ? OUTER_SUMMARY_COL : '',
+    database: DATABASE,
+    table: getTable(),
+    timeFilter,
+    hostFilter: params.hostFilter,
+    facetFilters: params.facetFilters,
+    extra: params.extra,
+    additionalWhereClause: state.additionalWhereClause || '',
+    topN: String(state.topN),
+  };
+
+  if (b.rawCol && typeof b.col === 'function') {
+    return loadSql('breakdown-bucketed-delta', {
+      ...shared,
+      bucketExpr: b.col(state.topN, 'val'),
+      rawCol: b.rawCol,
+    });
+  }
+
+  return loadSql('breakdown-delta', {
+    ...shared,
+    col: params.col,
+    orderBy: getDeltaOrderBy(b),
+  });
+}
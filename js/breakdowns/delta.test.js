@@ -0,0 +1,160 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  FACET_DELTA_MODES,
+  getNextDeltaMode,
+  getDeltaOrderBy,
+  buildFacetTableDeltaSql,
+  buildRawDeltaSql,
+} from './delta.js';
+import { state } from '../state.js';
+
+// Minimal templates echoing the params each builder is expected to fill in
+const TEMPLATES = {
+  'breakdown-facet-delta': 'FROM {{facetTable}} WHERE facet = \'{{facetName}}\' AND minute >= \'{{startTime}}\' CURRENT \'{{currentStartTime}}\' {{rollupFilters}} {{dimFilter}}{{innerSummaryCol}}{{summaryCol}} ORDER BY {{orderBy}} LIMIT {{topN}}',
+  'breakdown-delta': 'SELECT {{col}} FROM {{table}} WHERE {{timeFilter}} CURRENT {{currentCondition}}{{outerSummaryCol}} ORDER BY {{orderBy}} LIMIT {{topN}}',
+  'breakdown-bucketed-delta': 'SELECT {{bucketExpr}} FROM (SELECT {{rawCol}} as val, {{currentCondition}} as is_current FROM {{table}}) LIMIT {{topN}}',
+};
+
+const AGGS = {
+  aggTotal: 'count()', aggOk: 'ok', agg4xx: 'c4', agg5xx: 'c5',
+};
+
+describe('getNextDeltaMode', () => {
+  it('cycles off → count → mover → off', () => {
+    assert.deepEqual(FACET_DELTA_MODES, [null, 'count', 'mover']);
+    assert.strictEqual(getNextDeltaMode(null), 'count');
+    assert.strictEqual(getNextDeltaMode('count'), 'mover');
+    assert.isNull(getNextDeltaMode('mover'));
+  });
+});
+
+describe('getDeltaOrderBy', () => {
+  afterEach(() => {
+    state.facetDeltaMode = null;
+  });
+
+  it('keeps the facet order in count mode', () => {
+    state.facetDeltaMode = 'count';
+    assert.strictEqual(getDeltaOrderBy({}), 'cnt DESC');
+    assert.strictEqual(getDeltaOrderBy({ orderBy: 'dim ASC' }), 'dim ASC');
+  });
+
+  it('sorts by absolute change in mover mode', () => {
+    state.facetDeltaMode = 'mover';
+    assert.strictEqual(getDeltaOrderBy({}), 'abs(cnt - prev_cnt) DESC');
+  });
+
+  it('keeps natural order for continuous facets in mover mode', () => {
+    state.facetDeltaMode = 'mover';
+    assert.strictEqual(getDeltaOrderBy({ getExpectedLabels: () => [] }), 'cnt DESC');
+  });
+});
+
+describe('delta SQL builders', () => {
+  let originalFetch;
+  let savedState;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    window.fetch = async (url) => {
+      const name = Object.keys(TEMPLATES).find((key) => url.endsWith(`/${key}.sql`));
+      return { ok: true, text: async () => TEMPLATES[name] };
+    };
+    savedState = {
+      timeRange: state.timeRange,
+      tableName: state.tableName,
+      topN: state.topN,
+      facetDeltaMode: state.facetDeltaMode,
+    };
+    state.timeRange = '1h';
+    state.tableName = 'delivery';
+    state.topN = 5;
+    state.facetDeltaMode = 'mover';
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    Object.assign(state, savedState);
+  });
+
+  it('queries the facet table with the previous window as baseline', async () => {
+    const sql = await buildFacetTableDeltaSql({ facetName: 'host', extraFilter: 'x' });
+    assert.include(sql, 'FROM cdn_facet_minutes');
+    assert.include(sql, "facet = 'host'");
+    assert.include(sql, "AND dim != ''");
+    assert.include(sql, 'ORDER BY abs(cnt - prev_cnt) DESC');
+    assert.include(sql, 'LIMIT 5');
+  });
+
+  it('reads the host rollup with the active filters', async () => {
+    const savedFilters = state.filters;
+    state.filters = [{ col: '`request.host`', value: 'www.example.com', exclude: false }];
+    try {
+      const sql = await buildFacetTableDeltaSql({ col: '`source`', facetName: 'source' }, { rollup: true });
+      assert.include(sql, 'FROM cdn_facet_host_minutes');
+      assert.include(sql, "`host` = 'www.example.com'");
+    } finally {
+      state.filters = savedFilters;
+    }
+  });
+
+  it('uses the lambda facet table for lambda logs', async () => {
+    state.tableName = 'lambda_logs';
+    const sql = await buildFacetTableDeltaSql({ facetName: 'level' });
+    assert.include(sql, 'FROM lambda_facet_minutes');
+  });
+
+  it('adds outer summary columns when the facet has a summary', async () => {
+    const sql = await buildFacetTableDeltaSql({ facetName: 'status', summaryDimCondition: "dim >= '500'" });
+    assert.include(sql, "if(dim >= '500', cnt, 0) as summary_cnt");
+    assert.include(sql, 'sumIf(summary_cnt, is_current) as summary_cnt');
+  });
+
+  it('marks the current window on raw-table queries', async () => {
+    const params = {
+      col: '`request.host`', hostFilter: '', facetFilters: '', extra: '',
+    };
+    const sql = await buildRawDeltaSql({}, params, AGGS);
+    assert.include(sql, 'SELECT `request.host`');
+    assert.include(sql, 'CURRENT toStartOfMinute(timestamp) >= toStartOfMinute(');
+    assert.include(sql, 'ORDER BY abs(cnt - prev_cnt) DESC');
+  });
+
+  it('uses the bucketed template for continuous facets', async () => {
+    const b = {
+      rawCol: '`cdn.time_elapsed_msec`',
+      col: (topN, val) => `bucket(${val}, ${topN})`,
+    };
+    const params = {
+      col: '', hostFilter: '', facetFilters: '', extra: '',
+    };
+    const sql = await buildRawDeltaSql(b, params, AGGS);
+    assert.include(sql, 'SELECT bucket(val, 5)');
+    assert.include(sql, '`cdn.time_elapsed_msec` as val');
+  });
+});
+
+describe('breakdown-facet-delta.sql', () => {
+  // ClickHouse aliases are global within a SELECT: an aggregate over `cnt` next to
+  // `... as cnt` would read the aggregate, not the facet table column
+  it('aggregates inner columns that no outer alias shadows', async () => {
+    const response = await fetch(new URL('../../sql/queries/breakdown-facet-delta.sql', import.meta.url));
+    const template = await response.text();
+    const outerSelect = template.slice(0, template.indexOf('FROM ('));
+    const aliases = [...outerSelect.matchAll(/ as (\w+)/g)].map((m) => m[1]);
+    const args = [...outerSelect.matchAll(/\w+\((\w+),/g)].map((m) => m[1]);
+    assert.deepEqual(args, ['agg_total', 'agg_ok', 'agg_4xx', 'agg_5xx', 'agg_total']);
+    args.forEach((arg) => assert.notInclude(aliases, arg));
+  });
+});
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { state } from '../state.js';
+
+/**
+ * Pre-aggregated facet tables: one row per (minute, facet, dim), filled by a materialized
+ * view on the source table (sql/*_facet_tables.sql). `facets` lists the facet names its
+ * ARRAY JOIN covers; a breakdown uses the table only if its facetName is one of them.
+ * cdn_facet_minutes is defined in the schema backup.
+ */
+export const FACET_TABLES = {
+  delivery: {
+    table: 'cdn_facet_minutes',
+    facets: [
+      'datacenter', 'request_type', 'backend_type', 'content_type', 'status', 'accept',
+      'accept_encoding', 'cache_control', 'byo_cdn', 'x_error_grouped', 'method',
+      'cache_status', 'status_range', 'source', 'tier',
+    ],
+  },
+  lambda_logs: {
+    table: 'lambda_facet_minutes',
+    facets: [
+      'level', 'function_name', 'function_version', 'app_name', 'subsystem', 'log_group',
+      'admin_method',
+    ],
+  },
+  backend: {
+    table: 'backend_facet_minutes',
+    facets: [
+      'status_range', 'source', 'content_type', 'status', 'x_error_grouped', 'request_type',
+      'backend_type', 'tier', 'method', 'datacenter', 'accept_encoding', 'subsystem', 'rso',
+      'cdn_version',
+    ],
+  },
+  admin: {
+    table: 'admin_facet_minutes',
+    facets: [
+      'status_range', 'source', 'content_type', 'status', 'x_error_grouped', 'method',
+      'datacenter', 'accept_encoding', 'helix_route', 'helix_topic', 'helix_org', 'severity',
+      'cdn_version',
+    ],
+  },
+  da: {
+    table: 'da_facet_minutes',
+    facets: [
+      'status_range', 'content_type', 'status', 'x_error_grouped', 'method', 'datacenter',
+      'script_name', 'accept_encoding',
+    ],
+  },
+  da_worker_logs: {
+    table: 'da_worker_facet_minutes',
+    facets: ['outcome', 'status', 'script_name', 'method'],
+  },
+  helix_mixer_logs: {
+    table: 'helix_mixer_facet_minutes',
+    facets: ['outcome', 'status', 'script_name', 'method'],
+  },
+};
+
+/**
+ * Facet table of the current dashboard's table.
+ * @returns {string|null} e.g. 'cdn_facet_minutes', or null if the table has none
+ */
+export function getFacetTableName() {
+  return FACET_TABLES[state.tableName]?.table || null;
+}
+
+/**
+ * Whether the current table's facet table carries a breakdown. Facet tables only hold
+ * request counts, so byte mode and bucketed facets always need the raw table.
+ * @param {Object} b - Breakdown definition
+ * @returns {boolean}
+ */
+export function isFacetTableFacet(b) {
+  const facetTable = FACET_TABLES[state.tableName];
+  if (!facetTable || !b.facetName || b.rawCol) {
+    return false;
+  }
+  const mode = b.modeToggle ? state[b.modeToggle] : 'count';
+  if (mode === 'bytes') {
+    return false;
+  }
+  return facetTable.facets.includes(b.facetName);
+}
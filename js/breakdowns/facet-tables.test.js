@@ -0,0 +1,76 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { state } from '../state.js';
+import { FACET_TABLES, getFacetTableName, isFacetTableFacet } from './facet-tables.js';
+import { allBreakdowns } from './definitions.js';
+import { daBreakdowns } from './definitions-da.js';
+import { daWorkerBreakdowns } from './definitions-da-workers.js';
+import { helixMixerBreakdowns } from './definitions-helix-mixer.js';
+
+const DASHBOARD_BREAKDOWNS = {
+  backend: allBreakdowns,
+  admin: allBreakdowns,
+  da: daBreakdowns,
+  da_worker_logs: daWorkerBreakdowns,
+  helix_mixer_logs: helixMixerBreakdowns,
+};
+
+describe('FACET_TABLES', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { tableName: state.tableName, contentTypeMode: state.contentTypeMode };
+    state.contentTypeMode = 'count';
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+  });
+
+  it('gives each dashboard table its facet table', () => {
+    state.tableName = 'da_worker_logs';
+    assert.strictEqual(getFacetTableName(), 'da_worker_facet_minutes');
+    state.tableName = 'delivery_errors';
+    assert.isNull(getFacetTableName());
+  });
+
+  it('every facet of the new facet tables is tagged on its dashboard', () => {
+    Object.entries(DASHBOARD_BREAKDOWNS).forEach(([tableName, breakdowns]) => {
+      const tagged = breakdowns.map((b) => b.facetName);
+      FACET_TABLES[tableName].facets.forEach((facet) => {
+        assert.include(tagged, facet, `${tableName}: ${facet}`);
+      });
+    });
+  });
+
+  it('routes only the facets a table covers', () => {
+    const subsystem = allBreakdowns.find((b) => b.id === 'breakdown-subsystem');
+    const requestType = allBreakdowns.find((b) => b.id === 'breakdown-request-type');
+    state.tableName = 'backend';
+    assert.isTrue(isFacetTableFacet(subsystem));
+    assert.isTrue(isFacetTableFacet(requestType));
+    state.tableName = 'admin';
+    assert.isFalse(isFacetTableFacet(subsystem));
+    assert.isFalse(isFacetTableFacet(requestType));
+    state.tableName = 'delivery';
+    assert.isFalse(isFacetTableFacet(subsystem));
+  });
+
+  it('needs the raw table in bytes mode', () => {
+    const contentTypes = daBreakdowns.find((b) => b.id === 'breakdown-content-types');
+    state.tableName = 'da';
+    assert.isTrue(isFacetTableFacet(contentTypes));
+    state.contentTypeMode = 'bytes';
+    assert.isFalse(isFacetTableFacet(contentTypes));
+  });
+});
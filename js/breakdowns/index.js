@@ -19,19 +19,27 @@ import {
   getTimeFilter, getHostFilter, getTable, getFacetTimeFilter,
   queryTimestamp, customTimeRange, getPeriodMs,
 } from '../time.js';
-import { waitUntilFacetNearViewport } from '../timer.js';
+import { isBreakdownNearViewport, waitUntilFacetNearViewport } from '../timer.js';
 import { allBreakdowns as defaultBreakdowns } from './definitions.js';
 import {
-  renderBreakdownTable, renderBreakdownError, renderBreakdownUnavailable, getNextTopN,
+  renderBreakdownTable, renderBreakdownError, renderBreakdownUnavailable,
+  renderBreakdownOverBudget, renderFacetEstimate, getNextTopN,
 } from './render.js';
 import { compileFilters } from '../filter-sql.js';
 import { getFiltersForColumn } from '../filters.js';
 import { loadSql } from '../sql-loader.js';
 import { createLimiter } from '../concurrency-limiter.js';
+import { buildFacetTableDeltaSql, buildRawDeltaSql } from './delta.js';
+import { getFacetTableName, isFacetTableFacet } from './facet-tables.js';
+import { FACET_ROLLUP_TABLE, buildRollupFilters, canUseFacetRollup } from './rollup.js';
+import { estimateBreakdownCost, formatEstimate, isOverBudget } from './budget.js';
+import { OVER_BUDGET_QUERY_SETTINGS } from '../constants.js';
 import {
   buildStatusAggregations,
   buildSummaryCountBreakdownFragment,
   buildSummaryCountBucketInnerFragment,
+  buildSampleCountFragment,
+  buildSampleCountBucketFragments,
 } from '../query-aggregations.js';
 
 // Intentionally limits only breakdown queries: breakdowns fan out 20+ parallel
@@ -56,6 +64,7 @@ function computeFacetLoadSignature(timeFilter, hostFilter) {
     filters: state.filters,
     topN: state.topN,
     contentTypeMode: state.contentTypeMode,
+    facetDeltaMode: state.facetDeltaMode,
     additionalWhereClause: state.additionalWhereClause || '',
     tableName: state.tableName || '',
     weightColumn: state.weightColumn || '',
@@ -73,17 +82,11 @@ export function getBreakdowns() {
 export const facetTimings = {};
 
 /**
- * Check whether a breakdown can use a pre-aggregated facet table
- * (cdn_facet_minutes for delivery, lambda_facet_minutes for lambda_logs).
- * Requires: facetName set, no active filters, not bucketed.
+ * Check whether a breakdown can use its table's pre-aggregated facet table
+ * (FACET_TABLES, e.g. cdn_facet_minutes for delivery).
+ * Requires: facetName covered by the facet table, no active filters, not bucketed.
  */
 export function canUseFacetTable(b) {
-  if (!b.facetName) {
-    return false;
-  }
-  if (b.rawCol) {
-    return false; // bucketed facets need raw table
-  }
   if (state.hostFilter) {
     return false;
   }
@@ -93,29 +96,56 @@ export function canUseFacetTable(b) {
   if (state.additionalWhereClause) {
     return false;
   }
+  return isFacetTableFacet(b);
+}
 
-  if (state.tableName === 'delivery') {
-    if (b.highCardinality) {
-      return false; // delivery facet table only covers low-cardinality facets
-    }
-    const mode = b.modeToggle ? state[b.modeToggle] : 'count';
-    if (mode === 'bytes') {
-      return false;
-    }
-    // ASN uses dictGet which produces different dim values than the facet table
-    if (b.id === 'breakdown-asn') {
-      return false;
-    }
-    return true;
-  }
-
-  if (state.tableName === 'lambda_logs') {
-    // lambda_facet_minutes covers all facets tagged with facetName,
-    // including those marked highCardinality (which only affects delivery routing)
-    return true;
+/**
+ * Pick where a breakdown's top values come from: the facet table (no filters), the
+ * host × status class rollup (only filters it covers, see rollup.js) or the raw table.
+ * @param {Object} b - Breakdown definition
+ * @returns {'facet'|'rollup'|'raw'}
+ */
+export function planFacetSource(b) {
+  if (canUseFacetTable(b)) {
+    return 'facet';
   }
+  return canUseFacetRollup(b) ? 'rollup' : 'raw';
+}
 
-  return false; // no facet table for other tables
+/**
+ * SQL for the top values of a breakdown from its pre-aggregated facet table.
+ * Only valid when planFacetSource(b) is 'facet', or 'rollup' with options.rollup.
+ * @param {Object} b - Breakdown definition
+ * @param {number} topN
+ * @param {Object} [options]
+ * @param {{ startTime: string, endTime: string }} [options.facetTimes] - Default: time range
+ * @param {boolean} [options.rollup] - Read the rollup with the active filters
+ * @returns {Promise<string>}
+ */
+export function buildFacetTableSql(b, topN, options = {}) {
+  const { startTime, endTime } = options.facetTimes || getFacetTimeFilter();
+  const hasSummary = !!b.summaryDimCondition;
+  let facetSqlName = state.tableName === 'lambda_logs' ? 'breakdown-facet-lambda' : 'breakdown-facet';
+  if (options.rollup) {
+    facetSqlName = 'breakdown-facet-rollup';
+  }
+  return loadSql(facetSqlName, {
+    database: DATABASE,
+    facetTable: options.rollup ? FACET_ROLLUP_TABLE : getFacetTableName(),
+    facetName: b.facetName,
+    startTime,
+    endTime,
+    dimFilter: b.extraFilter ? "AND dim != ''" : '',
+    innerSummaryCol: hasSummary
+      ? `,\n    if(${b.summaryDimCondition}, cnt, 0) as summary_cnt`
+      : '',
+    summaryCol: hasSummary
+      ? ',\n  sum(summary_cnt) as summary_cnt'
+      : '',
+    rollupFilters: options.rollup ? buildRollupFilters(b) : '',
+    orderBy: b.orderBy || 'cnt DESC',
+    topN: String(topN),
+  });
 }
 
 export function resetFacetTimings() {
@@ -197,6 +227,7 @@ async function appendMissingFilteredValues(data, b, col, aggs, queryParams, requ
     aggOk: aggs.aggOk,
     agg4xx: aggs.agg4xx,
     agg5xx: aggs.agg5xx,
+    sampleCol: buildSampleCountFragment(),
     database: DATABASE,
     table: getTable(),
     timeFilter: queryParams.timeFilter,
@@ -211,7 +242,7 @@ async function appendMissingFilteredValues(data, b, col, aggs, queryParams, requ
     if (!shouldApply()) {
       return data;
     }
-    const missingResult = await query(missingValuesSql, { signal });
+    const missingResult = await query(missingValuesSql, { signal, label: b.id });
     if (!shouldApply()) {
       return data;
     }
@@ -280,30 +311,58 @@ function prepareBreakdownCard(card, b) {
   return true;
 }
 
+/**
+ * Build SQL for facet delta mode (current window plus the previous one)
+ */
+async function buildDeltaBreakdownSql(b, baseCol, timeFilter, hostFilter) {
+  const source = planFacetSource(b);
+
+  if (source === 'rollup') {
+    const sql = await buildFacetTableDeltaSql(b, { rollup: true });
+    const params = buildBreakdownQueryParams(b, baseCol, timeFilter, hostFilter);
+    return { sql, params, aggs: buildStatusAggregations(false, '') };
+  }
+
+  if (source === 'facet') {
+    const sql = await buildFacetTableDeltaSql(b);
+    const params = {
+      col: baseCol,
+      originalCol: baseCol,
+      hasActiveFilter: false,
+      isBytes: false,
+      extra: '',
+      facetFilters: '',
+      timeFilter,
+      hostFilter,
+    };
+    return { sql, params, aggs: buildStatusAggregations(false, '') };
+  }
+
+  const params = buildBreakdownQueryParams(b, baseCol, timeFilter, hostFilter);
+  const aggs = buildStatusAggregations(params.isBytes, '');
+  const sql = await buildRawDeltaSql(b, params, aggs);
+  return { sql, params, aggs };
+}
+
 async function buildBreakdownSql(b, timeFilter, hostFilter) {
   const baseCol = typeof b.col === 'function' ? b.col(state.topN) : b.col;
 
+  if (state.facetDeltaMode) {
+    return buildDeltaBreakdownSql(b, baseCol, timeFilter, hostFilter);
+  }
+
+  const source = planFacetSource(b);
+
+  // Filters covered by the rollup: same pre-aggregated facets, raw params for follow-ups
+  if (source === 'rollup') {
+    const sql = await buildFacetTableSql(b, state.topN, { rollup: true });
+    const params = buildBreakdownQueryParams(b, baseCol, timeFilter, hostFilter);
+    return { sql, params, aggs: buildStatusAggregations(false, '') };
+  }
+
   // Use pre-aggregated facet table when no filters are active
-  if (canUseFacetTable(b)) {
-    const { startTime, endTime } = getFacetTimeFilter();
-    const dimFilter = b.extraFilter ? "AND dim != ''" : '';
-    const hasSummary = !!b.summaryDimCondition;
-    const facetSqlName = state.tableName === 'lambda_logs' ? 'breakdown-facet-lambda' : 'breakdown-facet';
-    const sql = await loadSql(facetSqlName, {
-      database: DATABASE,
-      facetName: b.facetName,
-      startTime,
-      endTime,
-      dimFilter,
-      innerSummaryCol: hasSummary
-        ? `,\n    if(${b.summaryDimCondition}, cnt, 0) as summary_cnt`
-        : '',
-      summaryCol: hasSummary
-        ? ',\n  sum(summary_cnt) as summary_cnt'
-        : '',
-      orderBy: b.orderBy || 'cnt DESC',
-      topN: String(state.topN),
-    });
+  if (source === 'facet') {
+    const sql = await buildFacetTableSql(b, state.topN);
 
     const params = {
       col: baseCol,
@@ -335,6 +394,7 @@ async function buildBreakdownSql(b, timeFilter, hostFilter) {
       ...aggs,
       innerSummaryCol: innerSummary,
       outerSummaryCol: outerSummary,
+      ...buildSampleCountBucketFragments(),
       database: DATABASE,
       table: getTable(),
       timeFilter,
@@ -354,6 +414,7 @@ async function buildBreakdownSql(b, timeFilter, hostFilter) {
     col: params.col,
     ...aggs,
     summaryCol,
+    sampleCol: buildSampleCountFragment(),
     database: DATABASE,
     table: getTable(),
     timeFilter,
@@ -378,12 +439,30 @@ function getSummaryRatio(b, totals) {
   return parseInt(totals.summary_cnt, 10) / parseInt(totals.cnt, 10);
 }
 
-async function fetchBreakdownData(b, timeFilter, hostFilter, requestStatus) {
+// High-cardinality facets on the raw table are the expensive ones worth pre-flighting
+function needsCostEstimate(b) {
+  return !!b.highCardinality && planFacetSource(b) === 'raw';
+}
+
+async function fetchBreakdownData(b, timeFilter, hostFilter, requestStatus, runAnyway = false) {
   const { isCurrent, signal } = requestStatus;
   const built = await buildBreakdownSql(b, timeFilter, hostFilter);
   const { sql, params, aggs } = built;
+
+  const estimate = needsCostEstimate(b)
+    ? await queryLimiter(() => estimateBreakdownCost(sql, signal, b.id))
+    : null;
+  if (!isCurrent()) {
+    return null;
+  }
+  const overBudget = isOverBudget(estimate);
+  if (overBudget && !runAnyway) {
+    return { deferred: true, estimate };
+  }
+
+  const settings = overBudget ? OVER_BUDGET_QUERY_SETTINGS : null;
   const startTime = performance.now();
-  const result = await queryLimiter(() => query(sql, { signal }));
+  const result = await queryLimiter(() => query(sql, { signal, settings, label: b.id }));
   if (!isCurrent()) {
     return null;
   }
@@ -405,6 +484,7 @@ async function fetchBreakdownData(b, timeFilter, hostFilter, requestStatus) {
     params,
     elapsed,
     summaryRatio,
+    estimate,
   };
 }
 
@@ -412,6 +492,12 @@ function shouldIgnoreBreakdownError(requestStatus, err) {
   return !requestStatus.isCurrent() || isAbortError(err);
 }
 
+// Whether a lazy load of this facet waits for its card to scroll near the viewport first
+export function isFacetViewportGated(id) {
+  const card = document.getElementById(id);
+  return !!card && !state.hiddenFacets.includes(id) && !isBreakdownNearViewport(card);
+}
+
 /* eslint-disable complexity -- viewport wait + cache + render branches */
 export async function loadBreakdown(
   b,
@@ -420,7 +506,9 @@ export async function loadBreakdown(
   requestContext = null,
   options = {},
 ) {
-  const { force = false, lazyWait = false } = options;
+  const {
+    force = false, lazyWait = false, runAnyway = false, onError,
+  } = options;
   const requestStatus = createRequestStatus(requestContext);
 
   let card = document.getElementById(b.id);
@@ -464,10 +552,14 @@ export async function loadBreakdown(
   }
 
   try {
-    const result = await fetchBreakdownData(b, timeFilter, hostFilter, requestStatus);
+    const result = await fetchBreakdownData(b, timeFilter, hostFilter, requestStatus, runAnyway);
     if (!result) {
       return;
     }
+    if (result.deferred) {
+      renderBreakdownOverBudget(b.id, formatEstimate(result.estimate));
+      return;
+    }
 
     renderBreakdownTable(
       b.id,
@@ -489,6 +581,9 @@ export async function loadBreakdown(
       b.filterValueFn,
       b.filterOp,
     );
+    if (result.estimate) {
+      renderFacetEstimate(b.id, formatEstimate(result.estimate), isOverBudget(result.estimate));
+    }
     if (requestStatus.isCurrent()) {
       facetLoadedForSignature.set(b.id, sig);
     }
@@ -500,6 +595,7 @@ export async function loadBreakdown(
     // eslint-disable-next-line no-console
     console.error(`Breakdown error (${b.id}):`, err);
     renderBreakdownError(b.id, details);
+    onError?.(err);
   } finally {
     if (card && requestStatus.isCurrent()) {
       card.classList.remove('updating');
@@ -590,26 +686,16 @@ function buildPreviewQueryParams(b, col, timeFilter, hostFilter) {
 async function buildPreviewBreakdownSql(b, timeFilter, hostFilter, facetTimes) {
   const baseCol = typeof b.col === 'function' ? b.col(state.topN) : b.col;
 
-  if (canUseFacetTable(b)) {
-    const { startTime, endTime } = facetTimes;
-    const dimFilter = b.extraFilter ? "AND dim != ''" : '';
-    const hasSummary = !!b.summaryDimCondition;
-    const facetSqlName = state.tableName === 'lambda_logs' ? 'breakdown-facet-lambda' : 'breakdown-facet';
-    const sql = await loadSql(facetSqlName, {
-      database: DATABASE,
-      facetName: b.facetName,
-      startTime,
-      endTime,
-      dimFilter,
-      innerSummaryCol: hasSummary
-        ? `,\n    if(${b.summaryDimCondition}, cnt, 0) as summary_cnt`
-        : '',
-      summaryCol: hasSummary
-        ? ',\n  sum(summary_cnt) as summary_cnt'
-        : '',
-      orderBy: b.orderBy || 'cnt DESC',
-      topN: String(state.topN),
-    });
+  const source = planFacetSource(b);
+
+  if (source === 'rollup') {
+    const sql = await buildFacetTableSql(b, state.topN, { facetTimes, rollup: true });
+    const params = buildPreviewQueryParams(b, baseCol, timeFilter, hostFilter);
+    return { sql, params, aggs: buildStatusAggregations(false, '') };
+  }
+
+  if (source === 'facet') {
+    const sql = await buildFacetTableSql(b, state.topN, { facetTimes });
 
     const params = {
       col: baseCol,
@@ -640,6 +726,7 @@ async function buildPreviewBreakdownSql(b, timeFilter, hostFilter, facetTimes) {
       ...aggs,
       innerSummaryCol: innerSummary,
       outerSummaryCol: outerSummary,
+      ...buildSampleCountBucketFragments(),
       database: DATABASE,
       table: getTable(),
       timeFilter,
@@ -659,6 +746,7 @@ async function buildPreviewBreakdownSql(b, timeFilter, hostFilter, facetTimes) {
     col: params.col,
     ...aggs,
     summaryCol,
+    sampleCol: buildSampleCountFragment(),
     database: DATABASE,
     table: getTable(),
     timeFilter,
@@ -694,7 +782,7 @@ async function loadPreviewBreakdown(b, timeFilter, hostFilter, facetTimes, reque
     const built = await buildPreviewBreakdownSql(b, timeFilter, hostFilter, facetTimes);
     const { sql, params, aggs } = built;
     const startTime = performance.now();
-    const result = await queryLimiter(() => query(sql, { signal }));
+    const result = await queryLimiter(() => query(sql, { signal, label: b.id }));
     if (!isCurrent()) {
       return;
     }
@@ -22,6 +22,7 @@ import {
   loadBreakdown,
   clearFacetLoadSignatureCache,
   canUseFacetTable,
+  planFacetSource,
   facetTimings,
   isPreviewActive,
   loadPreviewBreakdowns,
@@ -34,11 +35,15 @@ import { startRequestContext } from '../request-context.js';
 import { setQueryTimestamp } from '../time.js';
 
 // SQL templates used by loadBreakdown
-const BREAKDOWN_SQL_TEMPLATE = 'SELECT\n  {{col}} as dim,\n  {{aggTotal}} as cnt,\n  {{aggOk}} as cnt_ok,\n  {{agg4xx}} as cnt_4xx,\n  {{agg5xx}} as cnt_5xx{{summaryCol}}\nFROM {{database}}.{{table}}\nWHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}\nGROUP BY dim WITH TOTALS\nORDER BY {{orderBy}}\nLIMIT {{topN}}\n';
+const BREAKDOWN_SQL_TEMPLATE = 'SELECT\n  {{col}} as dim,\n  {{aggTotal}} as cnt,\n  {{aggOk}} as cnt_ok,\n  {{agg4xx}} as cnt_4xx,\n  {{agg5xx}} as cnt_5xx{{summaryCol}}{{sampleCol}}\nFROM {{database}}.{{table}}\nWHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}\nGROUP BY dim WITH TOTALS\nORDER BY {{orderBy}}\nLIMIT {{topN}}\n';
 
-const FACET_SQL_TEMPLATE = 'SELECT\n  dim,\n  sum(cnt) as cnt,\n  sum(cnt_ok) as cnt_ok,\n  sum(cnt_4xx) as cnt_4xx,\n  sum(cnt_5xx) as cnt_5xx{{summaryCol}}\nFROM (\n  SELECT dim, cnt, cnt_ok, cnt_4xx, cnt_5xx{{innerSummaryCol}}\n  FROM {{database}}.cdn_facet_minutes\n  WHERE facet = \'{{facetName}}\'\n    AND minute >= toDateTime(\'{{startTime}}\')\n    AND minute <= toDateTime(\'{{endTime}}\')\n    {{dimFilter}}\n)\nGROUP BY dim WITH TOTALS\nORDER BY {{orderBy}}\nLIMIT {{topN}}\n';
+const FACET_SQL_TEMPLATE = 'SELECT\n  dim,\n  sum(cnt) as cnt,\n  sum(cnt_ok) as cnt_ok,\n  sum(cnt_4xx) as cnt_4xx,\n  sum(cnt_5xx) as cnt_5xx{{summaryCol}}\nFROM (\n  SELECT dim, cnt, cnt_ok, cnt_4xx, cnt_5xx{{innerSummaryCol}}\n  FROM {{database}}.{{facetTable}}\n  WHERE facet = \'{{facetName}}\'\n    AND minute >= toDateTime(\'{{startTime}}\')\n    AND minute <= toDateTime(\'{{endTime}}\')\n    {{dimFilter}}\n)\nGROUP BY dim WITH TOTALS\nORDER BY {{orderBy}}\nLIMIT {{topN}}\n';
 
-const BUCKETED_SQL_TEMPLATE = 'SELECT\n  {{bucketExpr}} as dim,\n  sum(agg_total) as cnt,\n  sum(agg_ok) as cnt_ok,\n  sum(agg_4xx) as cnt_4xx,\n  sum(agg_5xx) as cnt_5xx{{outerSummaryCol}}\nFROM (\n  SELECT\n    {{rawCol}} as val,\n    {{aggTotal}} as agg_total,\n    {{aggOk}} as agg_ok,\n    {{agg4xx}} as agg_4xx,\n    {{agg5xx}} as agg_5xx{{innerSummaryCol}}\n  FROM {{database}}.{{table}}\n  WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}\n  GROUP BY val\n)\nGROUP BY dim WITH TOTALS\nORDER BY min(val)\nLIMIT {{topN}}\n';
+const FACET_ROLLUP_SQL_TEMPLATE = 'SELECT\n  dim,\n  sum(cnt) as cnt,\n  sum(cnt_ok) as cnt_ok,\n  sum(cnt_4xx) as cnt_4xx,\n  sum(cnt_5xx) as cnt_5xx{{summaryCol}}\nFROM (\n  SELECT dim, cnt, cnt_ok, cnt_4xx, cnt_5xx{{innerSummaryCol}}\n  FROM {{database}}.{{facetTable}}\n  WHERE facet = \'{{facetName}}\'\n    AND minute >= toDateTime(\'{{startTime}}\')\n    AND minute <= toDateTime(\'{{endTime}}\')\n    {{rollupFilters}}\n    {{dimFilter}}\n)\nGROUP BY dim WITH TOTALS\nORDER BY {{orderBy}}\nLIMIT {{topN}}\n';
+
+const BUCKETED_SQL_TEMPLATE = 'SELECT\n  {{bucketExpr}} as dim,\n  sum(agg_total) as cnt,\n  sum(agg_ok) as cnt_ok,\n  sum(agg_4xx) as cnt_4xx,\n  sum(agg_5xx) as cnt_5xx{{outerSummaryCol}}{{outerSampleCol}}\nFROM (\n  SELECT\n    {{rawCol}} as val,\n    {{aggTotal}} as agg_total,\n    {{aggOk}} as agg_ok,\n    {{agg4xx}} as agg_4xx,\n    {{agg5xx}} as agg_5xx{{innerSummaryCol}}{{innerSampleCol}}\n  FROM {{database}}.{{table}}\n  WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}\n  GROUP BY val\n)\nGROUP BY dim WITH TOTALS\nORDER BY min(val)\nLIMIT {{topN}}\n';
+
+const FACET_DELTA_SQL_TEMPLATE = 'SELECT\n  dim,\n  sumIf(agg_total, is_current) as cnt,\n  sumIf(agg_ok, is_current) as cnt_ok,\n  sumIf(agg_4xx, is_current) as cnt_4xx,\n  sumIf(agg_5xx, is_current) as cnt_5xx,\n  sumIf(agg_total, NOT is_current) as prev_cnt{{summaryCol}}\nFROM (\n  SELECT dim,\n    cnt as agg_total,\n    cnt_ok as agg_ok,\n    cnt_4xx as agg_4xx,\n    cnt_5xx as agg_5xx,\n    minute >= toDateTime(\'{{currentStartTime}}\') as is_current{{innerSummaryCol}}\n  FROM {{database}}.{{facetTable}}\n  WHERE facet = \'{{facetName}}\'\n    AND minute >= toDateTime(\'{{startTime}}\')\n    AND minute <= toDateTime(\'{{endTime}}\')\n    {{rollupFilters}}\n    {{dimFilter}}\n)\nGROUP BY dim WITH TOTALS\nORDER BY {{orderBy}}\nLIMIT {{topN}}\n';
 
 // Create a mock fetch that returns SQL templates and ClickHouse query results.
 function createMockFetch(queryResponse = {
@@ -57,8 +62,12 @@ function createMockFetch(queryResponse = {
       let template = BREAKDOWN_SQL_TEMPLATE;
       if (url.includes('breakdown-facet.sql')) {
         template = FACET_SQL_TEMPLATE;
+      } else if (url.includes('breakdown-facet-rollup.sql')) {
+        template = FACET_ROLLUP_SQL_TEMPLATE;
       } else if (url.includes('breakdown-bucketed.sql')) {
         template = BUCKETED_SQL_TEMPLATE;
+      } else if (url.includes('breakdown-facet-delta.sql')) {
+        template = FACET_DELTA_SQL_TEMPLATE;
       }
       return { ok: true, text: async () => template };
     }
@@ -102,6 +111,7 @@ beforeEach(() => {
   state.credentials = { user: 'test', password: 'test' };
   state.timeRange = '1h';
   state.pinnedFacets = [];
+  state.facetDeltaMode = null;
   setQueryTimestamp(new Date('2025-06-01T12:00:00Z'));
   startRequestContext('facets');
   resetFacetTimings();
@@ -317,13 +327,20 @@ describe('canUseFacetTable', () => {
     assert.isFalse(canUseFacetTable(b));
   });
 
-  it('returns false when tableName is not delivery or lambda_logs', () => {
-    state.tableName = 'backend';
+  it('returns false when the table has no facet table', () => {
+    state.tableName = 'delivery_errors';
     const b = { id: 'breakdown-status-range', col: 'x', facetName: 'status_range' };
     assert.isFalse(canUseFacetTable(b));
     state.tableName = 'delivery';
   });
 
+  it('returns true for backend facets covered by backend_facet_minutes', () => {
+    state.tableName = 'backend';
+    const b = { id: 'breakdown-subsystem', col: '`subsystem`', facetName: 'subsystem' };
+    assert.isTrue(canUseFacetTable(b));
+    state.tableName = 'delivery';
+  });
+
   it('returns false for highCardinality facets on delivery', () => {
     const b = {
       id: 'breakdown-hosts', col: '`request.host`', facetName: 'host', highCardinality: true,
@@ -443,6 +460,23 @@ describe('loadBreakdown (facet table path)', () => {
     assert.isFalse(card.classList.contains('facet-hidden'), 'should not be hidden');
   });
 
+  it('reads the facet table of the dashboard table', async () => {
+    state.tableName = 'backend';
+    const { fetch: mockFetch, calls } = createMockFetch();
+    window.fetch = mockFetch;
+
+    const b = {
+      id: facetId, col: '`subsystem`', facetName: 'subsystem',
+    };
+    const ctx = startRequestContext('facets');
+    await loadBreakdown(b, '1=1', '', ctx);
+
+    const queryCalls = calls.filter((c) => c.options?.method === 'POST');
+    assert.lengthOf(queryCalls, 1);
+    assert.include(queryCalls[0].options.body, 'backend_facet_minutes');
+    assert.include(queryCalls[0].options.body, "facet = 'subsystem'");
+  });
+
   it('records timing in facetTimings', async () => {
     const { fetch: mockFetch } = createMockFetch();
     window.fetch = mockFetch;
@@ -492,6 +526,144 @@ describe('loadBreakdown (facet table path)', () => {
   });
 });
 
+describe('planFacetSource', () => {
+  const statusRange = { id: 'breakdown-status-range', col: 'x', facetName: 'status_range' };
+  const hostFilter = {
+    col: '`request.host`', value: 'www.example.com', exclude: false,
+  };
+
+  it('uses the facet table without filters', () => {
+    assert.strictEqual(planFacetSource(statusRange), 'facet');
+  });
+
+  it('uses the rollup when every filter column is covered', () => {
+    state.filters = [hostFilter];
+    assert.strictEqual(planFacetSource(statusRange), 'rollup');
+  });
+
+  it('falls back to the raw table when a filter column is not covered', () => {
+    state.filters = [hostFilter, { col: '`cdn.datacenter`', value: 'FRA', exclude: false }];
+    assert.strictEqual(planFacetSource(statusRange), 'raw');
+  });
+
+  it('falls back to the raw table for facets outside the facet tables', () => {
+    state.filters = [hostFilter];
+    assert.strictEqual(planFacetSource({ id: 'breakdown-x', col: '`x`' }), 'raw');
+  });
+});
+
+describe('loadBreakdown (facet rollup path)', () => {
+  const facetId = 'breakdown-facet-rollup-test';
+  let card;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    card = createCard(facetId, 'Facet Rollup Test');
+    state.filters = [{
+      col: '`request.host`', value: 'www.example.com', exclude: false,
+    }];
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    if (card && card.parentNode) {
+      card.remove();
+    }
+  });
+
+  it('reads the rollup with the filters on its own columns', async () => {
+    const { fetch: mockFetch, calls } = createMockFetch();
+    window.fetch = mockFetch;
+
+    const b = {
+      id: facetId, col: '`source`', facetName: 'source',
+    };
+    const ctx = startRequestContext('facets');
+    await loadBreakdown(b, '1=1', '', ctx);
+
+    const queryCalls = calls.filter((c) => c.options?.method === 'POST');
+    assert.lengthOf(queryCalls, 1);
+    assert.include(queryCalls[0].options.body, 'cdn_facet_host_minutes');
+    assert.include(queryCalls[0].options.body, "`host` = 'www.example.com'");
+    assert.isFalse(card.classList.contains('updating'));
+  });
+});
+
+describe('loadBreakdown (delta mode)', () => {
+  const facetId = 'breakdown-delta-test';
+  let card;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    card = createCard(facetId, 'Delta Test');
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    if (card && card.parentNode) {
+      card.remove();
+    }
+  });
+
+  it('queries the delta template and renders previous counts', async () => {
+    const { fetch: mockFetch, calls } = createMockFetch({
+      data: [{
+        dim: 'test', cnt: '150', cnt_ok: '150', cnt_4xx: '0', cnt_5xx: '0', prev_cnt: '100',
+      }],
+      totals: {
+        cnt: '150', cnt_ok: '150', cnt_4xx: '0', cnt_5xx: '0', prev_cnt: '100',
+      },
+    });
+    window.fetch = mockFetch;
+    state.facetDeltaMode = 'count';
+
+    const b = { id: facetId, col: '`source`', facetName: 'source' };
+    await loadBreakdown(b, '1=1', '', startRequestContext('facets'));
+
+    const sqlCalls = calls.filter((c) => c.url.endsWith('.sql'));
+    assert.ok(sqlCalls.some((c) => c.url.includes('breakdown-facet-delta.sql')), 'should use delta template');
+    assert.include(card.querySelector('td.delta').textContent, '+50%');
+  });
+});
+
+describe('loadBreakdown (delta mode on the facet rollup)', () => {
+  const facetId = 'breakdown-delta-rollup-test';
+  let card;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    card = createCard(facetId, 'Delta Rollup Test');
+    state.facetDeltaMode = 'count';
+    state.filters = [{
+      col: '`request.host`', value: 'www.example.com', exclude: false,
+    }];
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    if (card && card.parentNode) {
+      card.remove();
+    }
+  });
+
+  it('reads the previous window from the rollup instead of the raw table', async () => {
+    const { fetch: mockFetch, calls } = createMockFetch();
+    window.fetch = mockFetch;
+
+    const b = { id: facetId, col: '`source`', facetName: 'source' };
+    await loadBreakdown(b, '1=1', '', startRequestContext('facets'));
+
+    const queryCalls = calls.filter((c) => c.options?.method === 'POST');
+    assert.lengthOf(queryCalls, 1);
+    assert.include(queryCalls[0].options.body, 'cdn_facet_host_minutes');
+    assert.include(queryCalls[0].options.body, "`host` = 'www.example.com'");
+    assert.include(queryCalls[0].options.body, 'prev_cnt');
+  });
+});
+
 describe('loadBreakdown (lambda facet table path)', () => {
   const facetId = 'breakdown-lambda-facet-table-test';
   let card;
@@ -661,8 +833,8 @@ describe('loadBreakdown (raw table path)', () => {
     assert.isFalse(card.classList.contains('updating'));
   });
 
-  it('uses raw table when filters are active', async () => {
-    state.filters = [{ col: '`request.host`', value: 'a.com', exclude: false }];
+  it('uses raw table when filters the rollup does not cover are active', async () => {
+    state.filters = [{ col: '`request.method`', value: 'GET', exclude: false }];
     const { fetch: mockFetch, calls } = createMockFetch();
     window.fetch = mockFetch;
 
@@ -735,6 +907,105 @@ describe('loadBreakdown (raw table path)', () => {
   });
 });
 
+describe('loadBreakdown (query cost budget)', () => {
+  const budgetId = 'breakdown-budget-test';
+  const b = {
+    id: budgetId, col: '`request.host`', facetName: 'host', highCardinality: true,
+  };
+  let card;
+  let originalFetch;
+  let savedBudget;
+
+  // Answers EXPLAIN ESTIMATE with the given row count and everything else like createMockFetch
+  function createEstimateFetch(rows) {
+    const { fetch: baseFetch, calls } = createMockFetch();
+    const fetch = async (url, options) => {
+      if (options?.method === 'POST' && options.body.startsWith('EXPLAIN ESTIMATE')) {
+        calls.push({ url, options });
+        return {
+          ok: true,
+          json: async () => ({
+            data: [{
+              database: 'helix_logs_production', table: 'delivery', parts: '4', rows: String(rows), marks: '10',
+            }],
+          }),
+        };
+      }
+      return baseFetch(url, options);
+    };
+    return { fetch, calls };
+  }
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedBudget = state.facetRowBudget;
+    state.facetRowBudget = 1e9;
+    card = createCard(budgetId, 'Budget Test');
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.facetRowBudget = savedBudget;
+    if (card && card.parentNode) {
+      card.remove();
+    }
+  });
+
+  it('defers a facet whose estimate exceeds the row budget', async () => {
+    const { fetch: mockFetch, calls } = createEstimateFetch(3e9);
+    window.fetch = mockFetch;
+
+    await loadBreakdown(b, '1=1', '', startRequestContext('facets'));
+
+    const bodies = calls.filter((c) => c.options?.method === 'POST').map((c) => c.options.body);
+    assert.isTrue(bodies.every((body) => body.startsWith('EXPLAIN ESTIMATE') || body.includes('system.parts')));
+    assert.include(card.querySelector('.facet-estimate').textContent, '3.00B rows');
+    const runBtn = card.querySelector('[data-action="run-facet-anyway"]');
+    assert.strictEqual(runBtn.dataset.facet, budgetId);
+    assert.isFalse(card.classList.contains('updating'));
+  });
+
+  it('runs an over-budget facet with execution limits on "Run anyway"', async () => {
+    const { fetch: mockFetch, calls } = createEstimateFetch(3e9);
+    window.fetch = mockFetch;
+
+    await loadBreakdown(b, '1=1', '', startRequestContext('facets'), { force: true, runAnyway: true });
+
+    const queryCall = calls.find((c) => c.options?.method === 'POST' && c.options.body.startsWith('SELECT'));
+    assert.ok(queryCall, 'should run the breakdown query');
+    const params = new URL(queryCall.url).searchParams;
+    assert.strictEqual(params.get('max_execution_time'), '60');
+    assert.isNotNull(params.get('max_memory_usage'));
+    assert.ok(card.querySelector('table.breakdown-table'));
+    assert.include(card.querySelector('h3 .facet-estimate.over-budget').textContent, '3.00B rows');
+  });
+
+  it('runs a facet within budget without limits and shows its estimate', async () => {
+    const { fetch: mockFetch, calls } = createEstimateFetch(5e6);
+    window.fetch = mockFetch;
+
+    await loadBreakdown(b, '1=1', '', startRequestContext('facets'));
+
+    const queryCall = calls.find((c) => c.options?.method === 'POST' && c.options.body.startsWith('SELECT'));
+    assert.isNull(new URL(queryCall.url).searchParams.get('max_execution_time'));
+    assert.ok(card.querySelector('table.breakdown-table'));
+    assert.include(card.querySelector('h3 .facet-estimate').textContent, '5.00M rows');
+  });
+
+  it('does not estimate facets served from the facet table', async () => {
+    const { fetch: mockFetch, calls } = createEstimateFetch(3e9);
+    window.fetch = mockFetch;
+
+    await loadBreakdown({
+      id: budgetId, col: '`source`', facetName: 'source', highCardinality: true,
+    }, '1=1', '', startRequestContext('facets'));
+
+    const bodies = calls.filter((c) => c.options?.method === 'POST').map((c) => c.options.body);
+    assert.isFalse(bodies.some((body) => body.startsWith('EXPLAIN')));
+    assert.ok(card.querySelector('table.breakdown-table'));
+  });
+});
+
 describe('loadBreakdown (bucketed facets)', () => {
   const bucketId = 'breakdown-bucketed-test';
   let card;
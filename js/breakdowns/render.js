@@ -15,6 +15,7 @@ import {
 } from '../format.js';
 import { state } from '../state.js';
 import { TOP_N_OPTIONS } from '../constants.js';
+import { getRatioMargin, getSampleCount, isLowSample } from '../sampling.js';
 import { buildBreakdownRow, buildOtherRow } from '../templates/breakdown-table.js';
 
 const OWNER_COL = '`helix.owner`';
@@ -53,10 +54,38 @@ function getSpeedClass(elapsed) {
   return 'slow';
 }
 
+/**
+ * Build the summary metric chip; on sampled tables its tooltip carries the 95% margin
+ */
+function buildSummaryHtml(summaryRatio, summaryLabel, summaryColor, sampleCnt) {
+  if (summaryRatio === null || !summaryLabel) {
+    return '';
+  }
+  const pctStr = formatFacetHeaderPercent(summaryRatio * 100);
+  const margin = getRatioMargin(summaryRatio, sampleCnt);
+  const marginStr = margin !== null
+    ? ` ±${formatFacetHeaderPercent(margin * 100)} pts (95% CI, ${formatNumber(sampleCnt)} sampled rows)`
+    : '';
+  const classes = ['summary-metric'];
+  if (summaryColor) { classes.push(`summary-${summaryColor}`); }
+  if (isLowSample(sampleCnt)) { classes.push('low-sample'); }
+  return `<span class="${classes.join(' ')}" `
+    + `title="${pctStr}% ${summaryLabel}${marginStr}">${pctStr}%</span>`;
+}
+
 /**
  * Build header elements HTML for facet card
  */
-function buildHeaderElements(id, elapsed, modeToggle, isBytes, summaryRatio, summaryLabel, summaryColor) {
+function buildHeaderElements(
+  id,
+  elapsed,
+  modeToggle,
+  isBytes,
+  summaryRatio,
+  summaryLabel,
+  summaryColor,
+  sampleCnt,
+) {
   const speedClass = getSpeedClass(elapsed);
   const speedTitle = formatQueryTime(elapsed);
   const isPinned = state.pinnedFacets.includes(id);
@@ -74,17 +103,19 @@ function buildHeaderElements(id, elapsed, modeToggle, isBytes, summaryRatio, sum
   const copyBtnHtml = '<button class="copy-facet-btn" data-action="copy-facet-tsv" '
     + `data-facet="${escapeHtml(id)}" title="Copy data as TSV">copy</button>`;
 
-  const summaryColorClass = summaryColor ? ` summary-${summaryColor}` : '';
-  const pctStr = summaryRatio !== null
-    ? formatFacetHeaderPercent(summaryRatio * 100)
-    : '';
-  const summaryHtml = (summaryRatio !== null && summaryLabel)
-    ? `<span class="summary-metric${summaryColorClass}" `
-      + `title="${pctStr}% ${summaryLabel}">${pctStr}%</span>`
-    : '';
+  const deltaMode = state.facetDeltaMode;
+  const deltaTitles = {
+    count: 'Sort by biggest change',
+    mover: 'Hide change vs previous period',
+  };
+  const deltaToggleHtml = `<button class="delta-toggle${deltaMode ? ` active delta-${deltaMode}` : ''}" `
+    + 'data-action="cycle-facet-delta" '
+    + `title="${deltaTitles[deltaMode] || 'Compare with previous period'}">\u0394</button>`;
+
+  const summaryHtml = buildSummaryHtml(summaryRatio, summaryLabel, summaryColor, sampleCnt);
 
   return {
-    speedIndicator, modeToggleHtml, copyBtnHtml, summaryHtml,
+    speedIndicator, modeToggleHtml, copyBtnHtml, summaryHtml, deltaToggleHtml,
   };
 }
 
@@ -123,12 +154,32 @@ function calculateOtherRow(data, totals) {
     cnt_4xx: data.reduce((sum, d) => sum + (parseInt(d.cnt_4xx, 10) || 0), 0),
     cnt_5xx: data.reduce((sum, d) => sum + (parseInt(d.cnt_5xx, 10) || 0), 0),
   };
-  return {
+  const otherRow = {
     cnt: parseInt(totals.cnt, 10) - topKSum.cnt,
     cnt_ok: (parseInt(totals.cnt_ok, 10) || 0) - topKSum.cnt_ok,
     cnt_4xx: (parseInt(totals.cnt_4xx, 10) || 0) - topKSum.cnt_4xx,
     cnt_5xx: (parseInt(totals.cnt_5xx, 10) || 0) - topKSum.cnt_5xx,
   };
+  if (totals.prev_cnt !== undefined) {
+    const prevSum = data.reduce((sum, d) => sum + (parseInt(d.prev_cnt, 10) || 0), 0);
+    otherRow.prev_cnt = (parseInt(totals.prev_cnt, 10) || 0) - prevSum;
+  }
+  return otherRow;
+}
+
+/**
+ * Facet totals for delta mode, or null when the rows carry no previous-window counts
+ * (delta mode off, or preview breakdowns during a chart selection).
+ * @returns {{ cnt: number, prevCnt: number }|null}
+ */
+export function getDeltaTotals(data, totals) {
+  if (!state.facetDeltaMode || !data.some((row) => row.prev_cnt !== undefined)) {
+    return null;
+  }
+  return {
+    cnt: totals ? parseInt(totals.cnt, 10) || 0 : 0,
+    prevCnt: totals ? parseInt(totals.prev_cnt, 10) || 0 : 0,
+  };
 }
 
 export function renderBreakdownTable(
@@ -170,13 +221,14 @@ export function renderBreakdownTable(
     summaryRatio,
     summaryLabel,
     summaryColor,
+    getSampleCount(totals),
   );
   const {
-    speedIndicator, modeToggleHtml, copyBtnHtml, summaryHtml,
+    speedIndicator, modeToggleHtml, copyBtnHtml, summaryHtml, deltaToggleHtml,
   } = headerParts;
 
   if (data.length === 0) {
-    let html = `<h3>${speedIndicator}${title}${modeToggleHtml}${summaryHtml}`;
+    let html = `<h3>${speedIndicator}${title}${deltaToggleHtml}${modeToggleHtml}${summaryHtml}`;
     if (hasFilters) {
       html += ` <button class="clear-facet-btn" data-action="clear-facet" data-col="${escapeHtml(col)}">Clear</button>`;
     }
@@ -197,12 +249,14 @@ export function renderBreakdownTable(
   // so they don't skew the 100% bar width for real values
   const realData = data.filter((d) => !isSyntheticBucket(d.dim));
   const maxCount = realData.length > 0 ? Math.max(...realData.map((d) => parseInt(d.cnt, 10))) : 1;
+  const deltaTotals = getDeltaTotals(data, totals);
+  const tableClass = deltaTotals ? 'breakdown-table has-delta' : 'breakdown-table';
 
-  let html = `<h3>${speedIndicator}${title}${copyBtnHtml}${modeToggleHtml}${summaryHtml}`;
+  let html = `<h3>${speedIndicator}${title}${copyBtnHtml}${deltaToggleHtml}${modeToggleHtml}${summaryHtml}`;
   if (hasFilters) {
     html += ` <button class="clear-facet-btn" data-action="clear-facet" data-col="${escapeHtml(col)}">Clear</button>`;
   }
-  html += `</h3><table class="breakdown-table" role="listbox" aria-label="${title} values">`;
+  html += `</h3><table class="${tableClass}" role="listbox" aria-label="${title} values">`;
 
   let rowIndex = 0;
   for (const row of data) {
@@ -221,6 +275,7 @@ export function renderBreakdownTable(
       filterValueFn,
       filterOp,
       rowIndex,
+      deltaTotals,
     });
     rowIndex += 1;
   }
@@ -238,6 +293,7 @@ export function renderBreakdownTable(
     title,
     filterCol,
     valueFormatter,
+    deltaTotals,
   });
 
   html += '</table>';
@@ -292,3 +348,47 @@ export function renderBreakdownUnavailable(id, reason = 'Not available with acti
   `;
   card.classList.remove('updating');
 }
+
+/**
+ * Card for a facet whose estimated cost exceeds the row budget; its query waits for
+ * "Run anyway" (see breakdowns/budget.js).
+ * @param {string} id - Facet card ID
+ * @param {string} estimateText - Formatted estimate, e.g. "~3.10B rows · 210.00 GB"
+ */
+export function renderBreakdownOverBudget(id, estimateText) {
+  const card = document.getElementById(id);
+  if (!card) { return; }
+  const title = card.dataset.title || card.querySelector('h3')?.textContent?.trim() || id;
+  // Keep the plain title: the estimate span below would otherwise end up in it
+  card.dataset.title = title;
+  card.innerHTML = `
+    <h3>${escapeHtml(title)}<span class="facet-estimate over-budget" title="EXPLAIN ESTIMATE">${escapeHtml(estimateText)}</span></h3>
+    <div class="facet-error facet-over-budget">
+      <div class="facet-error-message">Estimated scan exceeds the query budget</div>
+      <button class="run-facet-anyway-btn" data-action="run-facet-anyway" data-facet="${escapeHtml(id)}">Run anyway</button>
+    </div>
+    <button class="facet-hide-btn" data-action="toggle-facet-hide" data-facet="${escapeHtml(id)}" title="Hide facet"></button>
+  `;
+  card.classList.remove('updating');
+}
+
+/**
+ * Show a facet's estimated scan in its header, after renderBreakdownTable.
+ * @param {string} id - Facet card ID
+ * @param {string} estimateText - Formatted estimate
+ * @param {boolean} overBudget - Ran over budget (with execution limits)
+ */
+export function renderFacetEstimate(id, estimateText, overBudget) {
+  const header = document.getElementById(id)?.querySelector('h3');
+  if (!header) { return; }
+  const span = document.createElement('span');
+  span.className = overBudget ? 'facet-estimate over-budget' : 'facet-estimate';
+  span.title = overBudget ? 'EXPLAIN ESTIMATE (ran with execution limits)' : 'EXPLAIN ESTIMATE';
+  span.textContent = estimateText;
+  const copyBtn = header.querySelector('.copy-facet-btn');
+  if (copyBtn) {
+    copyBtn.before(span);
+  } else {
+    header.append(span);
+  }
+}
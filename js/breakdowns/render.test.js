@@ -16,6 +16,7 @@ import {
   getNextTopN,
   renderBreakdownTable,
   renderBreakdownError,
+  getDeltaTotals,
 } from './render.js';
 import { TOP_N_OPTIONS } from '../constants.js';
 
@@ -23,6 +24,7 @@ beforeEach(() => {
   state.filters = [];
   state.pinnedFacets = [];
   state.contentTypeMode = 'count';
+  state.facetDeltaMode = null;
 });
 
 describe('getFiltersForColumn', () => {
@@ -405,6 +407,39 @@ describe('renderBreakdownTable', () => {
     assert.include(card.innerHTML, '20.0%');
   });
 
+  it('adds the sampling margin to the summary metric on sampled tables', () => {
+    const data = [{
+      dim: 'x', cnt: 10, cnt_ok: 8, cnt_4xx: 1, cnt_5xx: 1, sample_cnt: 12,
+    }];
+    const totals = {
+      cnt: 10, cnt_ok: 8, cnt_4xx: 1, cnt_5xx: 1, summary_cnt: 1, sample_cnt: 12,
+    };
+    renderBreakdownTable(
+      cardId,
+      data,
+      totals,
+      '`col`',
+      null,
+      null,
+      null,
+      100,
+      null,
+      null,
+      0.1,
+      'error rate',
+      'error',
+      null,
+      false,
+      null,
+      null,
+      null,
+    );
+    const chip = card.querySelector('.summary-metric');
+    assert.isTrue(chip.classList.contains('low-sample'));
+    assert.include(chip.title, 'pts (95% CI, 12 sampled rows)');
+    assert.isNotNull(card.querySelector('tr.low-sample'));
+  });
+
   it('renders pinned facet title in speed indicator', () => {
     state.pinnedFacets = [cardId];
     const data = [{
@@ -470,3 +505,83 @@ describe('renderBreakdownTable', () => {
     assert.strictEqual(stored.mode, 'bytes');
   });
 });
+
+describe('getDeltaTotals', () => {
+  const data = [{ dim: 'a', cnt: '10', prev_cnt: '5' }];
+
+  it('returns null when delta mode is off', () => {
+    assert.isNull(getDeltaTotals(data, { cnt: '10', prev_cnt: '5' }));
+  });
+
+  it('returns null when rows have no previous counts (e.g. preview)', () => {
+    state.facetDeltaMode = 'count';
+    assert.isNull(getDeltaTotals([{ dim: 'a', cnt: '10' }], { cnt: '10' }));
+  });
+
+  it('parses current and previous totals', () => {
+    state.facetDeltaMode = 'count';
+    assert.deepEqual(getDeltaTotals(data, { cnt: '10', prev_cnt: '5' }), { cnt: 10, prevCnt: 5 });
+  });
+});
+
+describe('renderBreakdownTable (delta mode)', () => {
+  const cardId = 'breakdown-render-delta-test';
+  let card;
+
+  beforeEach(() => {
+    card = document.createElement('div');
+    card.id = cardId;
+    const h3 = document.createElement('h3');
+    h3.textContent = 'Delta Table';
+    card.appendChild(h3);
+    document.body.appendChild(card);
+  });
+
+  afterEach(() => {
+    card.remove();
+  });
+
+  function render(data, totals) {
+    renderBreakdownTable(
+      cardId,
+      data,
+      totals,
+      '`request.host`',
+      null,
+      null,
+      null,
+      100,
+      null,
+      null,
+      null,
+      null,
+      null,
+      null,
+      false,
+      null,
+      null,
+      null,
+    );
+  }
+
+  it('renders the delta toggle inactive when delta mode is off', () => {
+    render([{
+      dim: 'a.com', cnt: 10, cnt_ok: 10, cnt_4xx: 0, cnt_5xx: 0,
+    }], { cnt: 10 });
+    assert.include(card.innerHTML, 'data-action="cycle-facet-delta"');
+    assert.notInclude(card.innerHTML, 'delta-toggle active');
+    assert.notInclude(card.innerHTML, 'has-delta');
+  });
+
+  it('renders previous counts and change when delta mode is on', () => {
+    state.facetDeltaMode = 'mover';
+    render([{
+      dim: 'a.com', cnt: 40, cnt_ok: 40, cnt_4xx: 0, cnt_5xx: 0, prev_cnt: 10,
+    }], {
+      cnt: 40, cnt_ok: 40, cnt_4xx: 0, cnt_5xx: 0, prev_cnt: 10,
+    });
+    assert.include(card.innerHTML, 'delta-toggle active delta-mover');
+    assert.include(card.querySelector('table').className, 'has-delta');
+    assert.include(card.querySelector('td.delta').textContent, '+300%');
+  });
+});
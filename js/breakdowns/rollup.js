@@ -0,0 +1,81 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Filtered facet rollup: cdn_facet_host_minutes (sql/cdn_facet_host_minutes_tables.sql)
+ * holds the cdn_facet_minutes facets per minute × host × status class, so facet queries
+ * filtered on host and/or status class can skip the raw delivery table.
+ */
+
+import { compileFilters } from '../filter-sql.js';
+import { STATUS_RANGE_COL } from '../chart-state.js';
+import { COLUMN_DEFS } from '../columns.js';
+import { state } from '../state.js';
+import { isFacetTableFacet } from './facet-tables.js';
+
+/** Rollup table, passed as facetTable to the facet templates */
+export const FACET_ROLLUP_TABLE = 'cdn_facet_host_minutes';
+
+/** Filter columns (filterCol, else col) the rollup covers, mapped to its own columns */
+const ROLLUP_FILTER_COLUMNS = {
+  [COLUMN_DEFS.host.facetCol]: '`host`',
+  [STATUS_RANGE_COL]: '`status_range`',
+};
+
+const ROLLUP_ALLOWED_COLUMNS = new Set(Object.values(ROLLUP_FILTER_COLUMNS));
+
+// HAS needs an array column; the rollup columns are plain strings
+const ROLLUP_FILTER_OPS = new Set(['=', 'LIKE']);
+
+// Filters that apply to a breakdown's query (filters on its own column are left out)
+function getApplicableFilters(b) {
+  return state.filters.filter((f) => f.col !== b.col);
+}
+
+function isCoveredFilter(f) {
+  const sqlCol = f.filterCol || f.col;
+  return !!ROLLUP_FILTER_COLUMNS[sqlCol] && ROLLUP_FILTER_OPS.has(f.filterOp || '=');
+}
+
+/**
+ * Check whether a breakdown can read from the filtered facet rollup: a delivery facet,
+ * no host filter or additional WHERE clause, and every filter on a rollup column.
+ * @param {Object} b - Breakdown definition
+ * @returns {boolean}
+ */
+export function canUseFacetRollup(b) {
+  if (state.tableName !== 'delivery' || !isFacetTableFacet(b)) {
+    return false;
+  }
+  if (state.hostFilter || state.ownerRepoFilter || state.searchFilter) {
+    return false;
+  }
+  if (state.additionalWhereClause) {
+    return false;
+  }
+  return getApplicableFilters(b).every(isCoveredFilter);
+}
+
+/**
+ * The breakdown's filters as SQL on the rollup columns (only when canUseFacetRollup(b)).
+ * @param {Object} b - Breakdown definition
+ * @returns {string} e.g. "AND `host` = 'www.example.com'"
+ */
+export function buildRollupFilters(b) {
+  const filters = getApplicableFilters(b).map((f) => ({
+    col: ROLLUP_FILTER_COLUMNS[f.filterCol || f.col],
+    value: f.filterValue ?? f.value,
+    exclude: f.exclude,
+    filterOp: f.filterOp,
+  }));
+  return compileFilters(filters, ROLLUP_ALLOWED_COLUMNS).sql;
+}
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { state } from '../state.js';
+import { allBreakdowns } from './definitions.js';
+import { buildRollupFilters, canUseFacetRollup } from './rollup.js';
+
+const byId = (id) => allBreakdowns.find((b) => b.id === id);
+const statusRange = byId('breakdown-status-range');
+const datacenters = byId('breakdown-datacenters');
+const hosts = byId('breakdown-hosts');
+
+const hostFilter = { col: hosts.col, value: 'www.example.com', exclude: false };
+const statusFilter = { col: statusRange.col, value: '5xx', exclude: true };
+
+describe('canUseFacetRollup', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      tableName: state.tableName,
+      filters: state.filters,
+      hostFilter: state.hostFilter,
+      additionalWhereClause: state.additionalWhereClause,
+    };
+    state.tableName = 'delivery';
+    state.filters = [hostFilter, statusFilter];
+    state.hostFilter = '';
+    state.additionalWhereClause = '';
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+  });
+
+  it('accepts host and status class filters on a facet table facet', () => {
+    assert.isTrue(canUseFacetRollup(datacenters));
+  });
+
+  it('leaves out filters on the facet itself', () => {
+    state.filters = [hostFilter, { col: datacenters.col, value: 'FRA', exclude: false }];
+    assert.isTrue(canUseFacetRollup(datacenters));
+  });
+
+  it('rejects filters on other columns', () => {
+    state.filters = [hostFilter, { col: '`request.method`', value: 'GET', exclude: false }];
+    assert.isFalse(canUseFacetRollup(datacenters));
+  });
+
+  it('rejects the host search box, extra WHERE clauses and other tables', () => {
+    state.hostFilter = 'example';
+    assert.isFalse(canUseFacetRollup(datacenters));
+    state.hostFilter = '';
+    state.additionalWhereClause = "AND `helix.owner` = 'adobe'";
+    assert.isFalse(canUseFacetRollup(datacenters));
+    state.additionalWhereClause = '';
+    state.tableName = 'backend';
+    assert.isFalse(canUseFacetRollup(datacenters));
+  });
+
+  it('rejects facets the facet tables do not carry', () => {
+    assert.isFalse(canUseFacetRollup(hosts));
+  });
+});
+
+describe('buildRollupFilters', () => {
+  let savedFilters;
+
+  beforeEach(() => {
+    savedFilters = state.filters;
+  });
+
+  afterEach(() => {
+    state.filters = savedFilters;
+  });
+
+  it('compiles the filters on the rollup columns', () => {
+    state.filters = [
+      hostFilter,
+      { col: hosts.col, value: "it's.example", exclude: false },
+      statusFilter,
+    ];
+    const sql = buildRollupFilters(datacenters);
+    assert.include(sql, "`host` = 'www.example.com'");
+    assert.include(sql, "`host` = 'it\\'s.example'");
+    assert.include(sql, "`status_range` != '5xx'");
+    assert.notInclude(sql, 'request.host');
+  });
+});
@@ -0,0 +1,182 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Cache hit ratio dialog: ratio over time, worst hosts and per-dimension breakdowns. */
+
+import { isAbortError, getQueryErrorDetails } from './api.js';
+import { CACHE_RATIO_DIMENSIONS, loadCacheRatio } from './cache-ratio.js';
+import { formatNumber } from './format.js';
+import { escapeHtml } from './utils.js';
+
+let dialog = null;
+let abortController = null;
+
+const SERIES_WIDTH = 800;
+const SERIES_HEIGHT = 120;
+
+function formatRatio(ratio) {
+  return ratio === null ? '–' : `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatSeriesTime(t) {
+  return `${String(t).replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+// Hit ratio line (0-100%); buckets without classified requests break the line
+function buildSeriesSvg(series) {
+  if (series.length < 2) {
+    return '<p class="cache-ratio-empty">Not enough data for a time series.</p>';
+  }
+  const step = SERIES_WIDTH / (series.length - 1);
+  let path = '';
+  let drawing = false;
+  series.forEach(({ ratio }, i) => {
+    if (ratio === null) {
+      drawing = false;
+      return;
+    }
+    const x = (i * step).toFixed(1);
+    const y = ((1 - ratio) * SERIES_HEIGHT).toFixed(1);
+    path += `${drawing ? 'L' : 'M'}${x},${y} `;
+    drawing = true;
+  });
+  return `
+    <svg class="cache-ratio-series" viewBox="0 0 ${SERIES_WIDTH} ${SERIES_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Cache hit ratio over time">
+      <line class="cache-ratio-gridline" x1="0" y1="${SERIES_HEIGHT / 2}" x2="${SERIES_WIDTH}" y2="${SERIES_HEIGHT / 2}"/>
+      <path d="${path.trim()}"/>
+    </svg>
+    <div class="cache-ratio-axis">
+      <span>${escapeHtml(formatSeriesTime(series[0].t))}</span>
+      <span>0–100%</span>
+      <span>${escapeHtml(formatSeriesTime(series[series.length - 1].t))}</span>
+    </div>
+  `;
+}
+
+function buildRowHtml(row) {
+  const label = row.dim === '' ? '(empty)' : row.dim;
+  const flag = row.flagged ? '<span class="cache-ratio-flag" title="Below-average hit ratio with a large share of origin requests">worst</span>' : '';
+  return `
+    <tr class="${row.flagged ? 'flagged' : ''}">
+      <td class="cache-ratio-dim" title="${escapeHtml(label)}">${escapeHtml(label)}${flag}</td>
+      <td>${formatNumber(row.total)}</td>
+      <td>${formatRatio(row.ratio)}</td>
+      <td>${formatNumber(row.origin)}</td>
+    </tr>
+  `;
+}
+
+function buildTableHtml({ id, label }, rows) {
+  const body = rows.length > 0
+    ? rows.map(buildRowHtml).join('')
+    : '<tr><td colspan="4" class="cache-ratio-empty">No cached requests</td></tr>';
+  return `
+    <section class="cache-ratio-table" data-dimension="${id}">
+      <h3>${label}</h3>
+      <table>
+        <thead><tr><th>${label}</th><th>Requests</th><th>Hit ratio</th><th>To origin</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </section>
+  `;
+}
+
+function buildWorstHostsHtml(hosts) {
+  const worst = hosts.filter((h) => h.flagged);
+  if (worst.length === 0) {
+    return '<p class="cache-ratio-empty">No host stands out: all large origin senders are at or above the overall hit ratio.</p>';
+  }
+  return `
+    <ol class="cache-ratio-worst">
+      ${worst.map((h) => `
+        <li>
+          <strong>${escapeHtml(h.dim)}</strong>
+          <span>${formatRatio(h.ratio)} hit ratio · ${(h.originShare * 100).toFixed(1)}% of origin requests</span>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * Render loaded data into the dialog body.
+ * @param {Awaited<ReturnType<typeof loadCacheRatio>>} data
+ * @returns {string} HTML
+ */
+function buildBodyHtml({ series, overall, breakdowns }) {
+  return `
+    <div class="cache-ratio-summary">
+      <span><strong>${formatRatio(overall.ratio)}</strong> hit ratio</span>
+      <span>${formatNumber(overall.hit)} HIT · ${formatNumber(overall.miss)} MISS · ${formatNumber(overall.pass)} PASS</span>
+    </div>
+    ${buildSeriesSvg(series)}
+    <section>
+      <h3>Worst hosts by origin load</h3>
+      ${buildWorstHostsHtml(breakdowns.host)}
+    </section>
+    <div class="cache-ratio-tables">
+      ${CACHE_RATIO_DIMENSIONS.map((d) => buildTableHtml(d, breakdowns[d.id])).join('')}
+    </div>
+  `;
+}
+
+async function loadIntoDialog() {
+  abortController?.abort();
+  abortController = new AbortController();
+  const { signal } = abortController;
+  const body = dialog.querySelector('.cache-ratio-body');
+  body.innerHTML = '<p class="cache-ratio-empty">Loading…</p>';
+  try {
+    const data = await loadCacheRatio(signal);
+    if (!signal.aborted) {
+      body.innerHTML = buildBodyHtml(data);
+    }
+  } catch (err) {
+    if (isAbortError(err)) {
+      return;
+    }
+    body.innerHTML = `<p class="cache-ratio-error">${escapeHtml(getQueryErrorDetails(err).message)}</p>`;
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'cacheRatioModal';
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>Cache hit ratio</h2>
+      <button type="button" class="modal-close" data-action="cache-ratio-close" aria-label="Close">×</button>
+    </div>
+    <div class="cache-ratio-body"></div>
+    <div class="manage-cols-footer">
+      <span class="cache-ratio-hint">HIT / (HIT + MISS + PASS) for the current time range and filters</span>
+      <button type="button" class="manage-cols-btn" data-action="cache-ratio-close">Close</button>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="cache-ratio-close"]')) {
+      e.stopPropagation();
+      dialog.close();
+    }
+  });
+  dialog.addEventListener('close', () => abortController?.abort());
+  return dialog;
+}
+
+/** Open the cache hit ratio dialog and load it for the current time range and filters */
+export function openCacheRatioDialog() {
+  buildDialog();
+  dialog.showModal();
+  loadIntoDialog();
+}
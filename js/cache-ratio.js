@@ -0,0 +1,163 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Cache hit ratio analysis: hit ratio over time and by host, path prefix, content type and
+ * datacenter (cache-ratio-series.sql, cache-ratio-breakdown.sql).
+ * The hit ratio is HIT / (HIT + MISS + PASS); requests without one of those cache statuses
+ * are left out. Misses and passes both go to the origin, so rows are ranked by origin
+ * requests, and hosts that send a large share of them at a below-average ratio are flagged.
+ */
+
+import { query } from './api.js';
+import { getFacetFilters } from './breakdowns/index.js';
+import { COLUMN_DEFS } from './columns.js';
+import { DATABASE } from './config.js';
+import { buildCacheRatioAggregations } from './query-aggregations.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import {
+  getTable, getTimeBucket, getTimeBucketStep, getTimeFilter, getHostFilter,
+  getTimeRangeStart, getTimeRangeEnd,
+} from './time.js';
+
+/** Dimensions the hit ratio is broken down by, in display order */
+export const CACHE_RATIO_DIMENSIONS = [
+  { id: 'host', label: 'Host', col: COLUMN_DEFS.host.facetCol },
+  { id: 'path', label: 'Path prefix', col: "extract(`request.url`, '^/[^/?#]*')" },
+  { id: 'content-type', label: 'Content type', col: COLUMN_DEFS.contentType.facetCol },
+  { id: 'datacenter', label: 'Datacenter', col: '`cdn.datacenter`' },
+];
+
+const BREAKDOWN_TOP_N = 20;
+const MAX_FLAGGED_HOSTS = 5;
+// Hosts sending less than this share of all origin requests are not flagged
+const MIN_FLAG_ORIGIN_SHARE = 0.01;
+
+/**
+ * Hit, miss and pass counts of a result row, plus the derived ratio.
+ * @param {Object} row - Row with cnt_hit, cnt_miss, cnt_pass
+ * @returns {{ hit: number, miss: number, pass: number, total: number, origin: number,
+ *   ratio: number|null }} ratio is null when the row has no classified requests
+ */
+export function parseCacheCounts(row) {
+  const hit = Number(row.cnt_hit) || 0;
+  const miss = Number(row.cnt_miss) || 0;
+  const pass = Number(row.cnt_pass) || 0;
+  const total = hit + miss + pass;
+  return {
+    hit, miss, pass, total, origin: miss + pass, ratio: total > 0 ? hit / total : null,
+  };
+}
+
+/**
+ * Sum the counts of all rows (e.g. the whole time series) into one.
+ * @param {Array<Object>} rows
+ * @returns {ReturnType<typeof parseCacheCounts>}
+ */
+export function sumCacheCounts(rows) {
+  const sum = { cnt_hit: 0, cnt_miss: 0, cnt_pass: 0 };
+  rows.forEach((row) => {
+    const counts = parseCacheCounts(row);
+    sum.cnt_hit += counts.hit;
+    sum.cnt_miss += counts.miss;
+    sum.cnt_pass += counts.pass;
+  });
+  return parseCacheCounts(sum);
+}
+
+/**
+ * Mark the hosts that cost the origin most: below-average hit ratio, ranked by the
+ * origin requests they cause (traffic × miss ratio).
+ * @param {Array<Object>} hosts - Parsed host rows (parseCacheCounts plus dim)
+ * @param {ReturnType<typeof parseCacheCounts>} overall
+ * @returns {Array<Object>} The same rows with `flagged` and `originShare` set
+ */
+export function flagWorstHosts(hosts, overall) {
+  const worst = hosts
+    .filter((h) => h.ratio !== null && overall.ratio !== null && h.ratio < overall.ratio)
+    .filter((h) => overall.origin > 0 && h.origin / overall.origin >= MIN_FLAG_ORIGIN_SHARE)
+    .sort((a, b) => b.origin - a.origin)
+    .slice(0, MAX_FLAGGED_HOSTS);
+  return hosts.map((h) => ({
+    ...h,
+    originShare: overall.origin > 0 ? h.origin / overall.origin : 0,
+    flagged: worst.includes(h),
+  }));
+}
+
+function getQueryParams() {
+  return {
+    database: DATABASE,
+    table: getTable(),
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
+    additionalWhereClause: state.additionalWhereClause || '',
+    ...buildCacheRatioAggregations(),
+  };
+}
+
+/**
+ * SQL for the hit ratio time series, with the dashboard's time range and filters.
+ * @returns {Promise<string>}
+ */
+export function buildCacheRatioSeriesSql() {
+  return loadSql('cache-ratio-series', {
+    ...getQueryParams(),
+    bucket: getTimeBucket(),
+    rangeStart: getTimeRangeStart(),
+    rangeEnd: getTimeRangeEnd(),
+    step: getTimeBucketStep(),
+  });
+}
+
+/**
+ * SQL for the hit ratio by one dimension, top rows by origin requests.
+ * @param {{ col: string }} dimension - Entry of CACHE_RATIO_DIMENSIONS
+ * @returns {Promise<string>}
+ */
+export function buildCacheRatioBreakdownSql(dimension) {
+  return loadSql('cache-ratio-breakdown', {
+    ...getQueryParams(),
+    col: dimension.col,
+    topN: String(BREAKDOWN_TOP_N),
+  });
+}
+
+/**
+ * Load the time series and all breakdowns.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ series: Array<Object>, overall: Object, breakdowns: Object }>}
+ *   series rows have t plus parsed counts; breakdowns are keyed by dimension id
+ */
+export async function loadCacheRatio(signal) {
+  const seriesSql = await buildCacheRatioSeriesSql();
+  const breakdownSqls = await Promise.all(CACHE_RATIO_DIMENSIONS.map(buildCacheRatioBreakdownSql));
+  const [seriesResult, ...breakdownResults] = await Promise.all([
+    query(seriesSql, { signal }),
+    ...breakdownSqls.map((sql) => query(sql, { signal })),
+  ]);
+  const overall = sumCacheCounts(seriesResult.data);
+  const breakdowns = {};
+  CACHE_RATIO_DIMENSIONS.forEach(({ id }, i) => {
+    const rows = breakdownResults[i].data.map((row) => ({
+      dim: row.dim, ...parseCacheCounts(row),
+    }));
+    breakdowns[id] = id === 'host' ? flagWorstHosts(rows, overall) : rows;
+  });
+  return {
+    series: seriesResult.data.map((row) => ({ t: row.t, ...parseCacheCounts(row) })),
+    overall,
+    breakdowns,
+  };
+}
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  CACHE_RATIO_DIMENSIONS, parseCacheCounts, sumCacheCounts, flagWorstHosts,
+  buildCacheRatioBreakdownSql,
+} from './cache-ratio.js';
+import { state } from './state.js';
+
+function host(dim, hit, miss, pass = 0) {
+  return { dim, ...parseCacheCounts({ cnt_hit: hit, cnt_miss: miss, cnt_pass: pass }) };
+}
+
+describe('parseCacheCounts', () => {
+  it('derives the hit ratio and origin requests', () => {
+    const counts = parseCacheCounts({ cnt_hit: '60', cnt_miss: '30', cnt_pass: '10' });
+    assert.strictEqual(counts.total, 100);
+    assert.strictEqual(counts.origin, 40);
+    assert.closeTo(counts.ratio, 0.6, 1e-9);
+  });
+
+  it('has no ratio without classified requests', () => {
+    assert.isNull(parseCacheCounts({ cnt_hit: 0, cnt_miss: 0, cnt_pass: 0 }).ratio);
+  });
+});
+
+describe('sumCacheCounts', () => {
+  it('adds up all rows', () => {
+    const sum = sumCacheCounts([
+      { cnt_hit: 9, cnt_miss: 1, cnt_pass: 0 },
+      { cnt_hit: 0, cnt_miss: 0, cnt_pass: 0 },
+      { cnt_hit: 1, cnt_miss: 4, cnt_pass: 5 },
+    ]);
+    assert.strictEqual(sum.total, 20);
+    assert.closeTo(sum.ratio, 0.5, 1e-9);
+  });
+});
+
+describe('flagWorstHosts', () => {
+  it('flags hosts below the overall hit ratio', () => {
+    const hosts = [
+      host('big.example', 500, 500), // 50%, 500 to origin
+      host('tiny.example', 0, 20), // 0%, but only 20 to origin
+      host('good.example', 980, 20), // 98%
+      host('mid.example', 200, 300), // 40%, 300 to origin
+    ];
+    const overall = sumCacheCounts(hosts.map((h) => ({
+      cnt_hit: h.hit, cnt_miss: h.miss, cnt_pass: h.pass,
+    })));
+    const flagged = flagWorstHosts(hosts, overall).filter((h) => h.flagged).map((h) => h.dim);
+    assert.deepEqual(flagged, ['big.example', 'tiny.example', 'mid.example']);
+  });
+
+  it('ignores hosts with a negligible share of origin requests', () => {
+    const hosts = [host('a.example', 9000, 1000), host('b.example', 0, 5)];
+    const overall = sumCacheCounts([{ cnt_hit: 9000, cnt_miss: 1005 }]);
+    const result = flagWorstHosts(hosts, overall);
+    assert.isFalse(result[1].flagged);
+    assert.closeTo(result[1].originShare, 5 / 1005, 1e-9);
+  });
+});
+
+describe('buildCacheRatioBreakdownSql', () => {
+  let originalFetch;
+  let savedWeight;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedWeight = state.weightColumn;
+    window.fetch = async () => ({
+      ok: true,
+      text: async () => 'SELECT {{col}}, {{aggHit}} FROM {{table}} WHERE {{timeFilter}} LIMIT {{topN}}',
+    });
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.weightColumn = savedWeight;
+  });
+
+  it('groups by the dimension with weighted cache status counts', async () => {
+    state.weightColumn = 'weight';
+    const path = CACHE_RATIO_DIMENSIONS.find((d) => d.id === 'path');
+    const sql = await buildCacheRatioBreakdownSql(path);
+    assert.include(sql, "extract(`request.url`, '^/[^/?#]*')");
+    assert.include(sql, 'sumIf(`weight`');
+    assert.include(sql, 'LIMIT 20');
+  });
+});
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Anomaly detection settings for the main chart: which detector flags anomalies
+ * (state.anomalyDetector, see ANOMALY_DETECTORS) and how sensitive it is
+ * (state.anomalySensitivity, see ANOMALY_SENSITIVITIES).
+ */
+
+import { ANOMALY_DETECTORS, ANOMALY_SENSITIVITIES } from './constants.js';
+import { state } from './state.js';
+import { parseUTC } from './chart-state.js';
+import { detectSteps, detectSeasonalSteps } from './step-detection.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Threshold multiplier for the active sensitivity.
+ * @returns {number}
+ */
+function getThresholdScale() {
+  return (ANOMALY_SENSITIVITIES[state.anomalySensitivity] || ANOMALY_SENSITIVITIES.medium)
+    .thresholdScale;
+}
+
+/**
+ * Number of chart buckets per day, from the spacing of the first two rows.
+ * @param {Array<Object>} data - Time series rows with t
+ * @returns {number} 0 when unknown
+ */
+export function getBucketsPerDay(data) {
+  if (!data || data.length < 2) {
+    return 0;
+  }
+  const bucketMs = parseUTC(data[1].t) - parseUTC(data[0].t);
+  return bucketMs > 0 ? Math.round(DAY_MS / bucketMs) : 0;
+}
+
+/**
+ * Run the active anomaly detector on the chart's step series.
+ * @param {Object} series - { ok, client, server } arrays
+ * @param {Array<Object>} data - Time series rows the series was built from
+ * @param {Object} [options] - { endMargin }
+ * @returns {Array} detectSteps()-shaped anomalies, most significant first
+ */
+export function detectChartAnomalies(series, data, options = {}) {
+  const thresholdScale = getThresholdScale();
+  if (state.anomalyDetector === 'seasonal') {
+    return detectSeasonalSteps(series, 5, {
+      ...options, thresholdScale, period: getBucketsPerDay(data),
+    });
+  }
+  return detectSteps(series, 5, { ...options, thresholdScale });
+}
+
+/**
+ * Next sensitivity in display order, wrapping around.
+ * @returns {string}
+ */
+export function getNextSensitivity() {
+  const keys = Object.keys(ANOMALY_SENSITIVITIES);
+  return keys[(keys.indexOf(state.anomalySensitivity) + 1) % keys.length];
+}
+
+/** Sync the anomaly buttons with state.anomalyDetector and state.anomalySensitivity */
+export function updateAnomalyControl() {
+  const control = document.querySelector('.chart-anomaly-control');
+  if (!control) {
+    return;
+  }
+  const detectorBtn = control.querySelector('[data-action="toggle-anomaly-detector"]');
+  detectorBtn.classList.toggle('active', detectorBtn.dataset.mode === state.anomalyDetector);
+
+  const key = Object.hasOwn(ANOMALY_SENSITIVITIES, state.anomalySensitivity)
+    ? state.anomalySensitivity
+    : 'medium';
+  const sensitivityBtn = control.querySelector('[data-action="cycle-anomaly-sensitivity"]');
+  sensitivityBtn.textContent = `sens ${ANOMALY_SENSITIVITIES[key].label}`;
+  sensitivityBtn.title = `Anomaly sensitivity: ${key} (click to change)`;
+  sensitivityBtn.classList.toggle('active', key !== 'medium');
+}
+
+/** Add the detector toggle and sensitivity button above the chart */
+export function initAnomalyControl() {
+  const section = document.querySelector('.chart-section');
+  if (!section || section.querySelector('.chart-anomaly-control')) {
+    return;
+  }
+  const { label, title } = ANOMALY_DETECTORS.seasonal;
+  const control = document.createElement('div');
+  control.className = 'chart-anomaly-control';
+  control.innerHTML = `<button type="button" class="chart-anomaly-btn" data-action="toggle-anomaly-detector" data-mode="seasonal" title="${title}">${label}</button>`
+    + '<button type="button" class="chart-anomaly-btn" data-action="cycle-anomaly-sensitivity"></button>';
+  section.appendChild(control);
+  updateAnomalyControl();
+}
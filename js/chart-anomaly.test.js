@@ -0,0 +1,76 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getBucketsPerDay, detectChartAnomalies, getNextSensitivity, initAnomalyControl,
+} from './chart-anomaly.js';
+import { state } from './state.js';
+
+describe('chart anomaly settings', () => {
+  let saved;
+  let section;
+
+  beforeEach(() => {
+    saved = {
+      anomalyDetector: state.anomalyDetector,
+      anomalySensitivity: state.anomalySensitivity,
+    };
+    section = document.createElement('section');
+    section.className = 'chart-section';
+    document.body.appendChild(section);
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+    document.body.removeChild(section);
+  });
+
+  it('derives the daily period from the bucket spacing', () => {
+    const rows = [{ t: '2026-01-15 10:00:00' }, { t: '2026-01-15 11:00:00' }];
+    assert.strictEqual(getBucketsPerDay(rows), 24);
+    assert.strictEqual(getBucketsPerDay(rows.slice(0, 1)), 0);
+  });
+
+  it('runs the selected detector', () => {
+    const data = Array.from({ length: 20 }, (_, i) => ({
+      t: `2026-01-15 ${String(i).padStart(2, '0')}:00:00`,
+    }));
+    const series = {
+      ok: data.map(() => 1000),
+      client: data.map(() => 50),
+      server: data.map((_, i) => (i === 10 ? 500 : 5)),
+    };
+    state.anomalyDetector = 'window';
+    assert.isUndefined(detectChartAnomalies(series, data, { endMargin: 0 })[0].reason);
+    state.anomalyDetector = 'seasonal';
+    const [top] = detectChartAnomalies(series, data, { endMargin: 0 });
+    assert.strictEqual(top.startIndex, 10);
+    assert.strictEqual(top.reason.baseline, 'window');
+  });
+
+  it('cycles through the sensitivities', () => {
+    state.anomalySensitivity = 'medium';
+    assert.strictEqual(getNextSensitivity(), 'high');
+    state.anomalySensitivity = 'high';
+    assert.strictEqual(getNextSensitivity(), 'low');
+  });
+
+  it('renders the control from state', () => {
+    state.anomalyDetector = 'seasonal';
+    state.anomalySensitivity = 'low';
+    initAnomalyControl();
+    const [detector, sensitivity] = section.querySelectorAll('.chart-anomaly-btn');
+    assert.isTrue(detector.classList.contains('active'));
+    assert.strictEqual(sensitivity.textContent, 'sens low');
+    assert.isTrue(sensitivity.classList.contains('active'));
+  });
+});
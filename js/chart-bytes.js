@@ -0,0 +1,74 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Bytes chart mode: egress bytes per bucket stacked by cache status (time-series-bytes.sql).
+ * Shown while the count/bytes toggle (state.contentTypeMode) is on bytes.
+ */
+
+import { formatBytes } from './format.js';
+import { buildCacheBytesAggregations, getDimCountAgg } from './query-aggregations.js';
+
+/** Cache status classes from bottom to top of the stack */
+const CACHE_BYTES_SERIES = [
+  {
+    key: 'hit', label: 'HIT', column: 'bytes_hit', colorVar: '--cache-hit',
+  },
+  {
+    key: 'miss', label: 'MISS', column: 'bytes_miss', colorVar: '--cache-miss',
+  },
+  {
+    key: 'pass', label: 'PASS', column: 'bytes_pass', colorVar: '--cache-pass',
+  },
+  {
+    key: 'other', label: 'other', column: 'bytes_other', colorVar: '--cache-unknown',
+  },
+];
+
+/**
+ * Extra template params for time-series-bytes.sql.
+ * @returns {Object}
+ */
+export function getBytesTemplateParams() {
+  return { countAgg: getDimCountAgg(), ...buildCacheBytesAggregations() };
+}
+
+/**
+ * Stack the cache status series of bytes rows, bottom (HIT) first.
+ * @param {Array<Object>} data - Rows with bytes_hit, bytes_miss, bytes_pass, bytes_other
+ * @returns {Array<{ key: string, colorVar: string, top: number[], bottom: number[] }>}
+ */
+export function stackBytesSeries(data) {
+  let bottom = data.map(() => 0);
+  return CACHE_BYTES_SERIES.map(({ key, column, colorVar }) => {
+    const top = data.map((row, i) => bottom[i] + (Number(row[column]) || 0));
+    const layer = {
+      key, colorVar, top, bottom,
+    };
+    bottom = top;
+    return layer;
+  });
+}
+
+/**
+ * Scrubber badges with the bytes per cache status of a data point.
+ * @param {Object} dataPoint - Bytes time series row
+ * @returns {string} HTML
+ */
+export function buildBytesBadges(dataPoint) {
+  return CACHE_BYTES_SERIES
+    .filter(({ column }) => Number(dataPoint[column]) > 0)
+    .map(({ key, label, column }) => (
+      `<span class="scrubber-value scrubber-value-cache-${key}">${label} ${formatBytes(Number(dataPoint[column]))}</span>`
+    ))
+    .join('');
+}
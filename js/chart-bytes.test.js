@@ -0,0 +1,66 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { buildBytesBadges, getBytesTemplateParams, stackBytesSeries } from './chart-bytes.js';
+import { state } from './state.js';
+
+const ROWS = [
+  {
+    t: '2026-01-15 10:00:00', bytes_hit: '1000', bytes_miss: '200', bytes_pass: '50', bytes_other: '0',
+  },
+  {
+    t: '2026-01-15 10:01:00', bytes_hit: '0', bytes_miss: '0', bytes_pass: '0', bytes_other: '0',
+  },
+];
+
+describe('stackBytesSeries', () => {
+  it('stacks cache status layers from HIT upwards', () => {
+    const layers = stackBytesSeries(ROWS);
+    assert.deepEqual(layers.map((l) => l.key), ['hit', 'miss', 'pass', 'other']);
+    assert.deepEqual(layers[0].bottom, [0, 0]);
+    assert.deepEqual(layers[0].top, [1000, 0]);
+    assert.deepEqual(layers[1].bottom, [1000, 0]);
+    assert.deepEqual(layers[3].top, [1250, 0]);
+  });
+});
+
+describe('buildBytesBadges', () => {
+  it('lists non-zero cache classes', () => {
+    const html = buildBytesBadges(ROWS[0]);
+    assert.include(html, 'scrubber-value-cache-hit">HIT 1.00 KB');
+    assert.include(html, 'MISS 200 B');
+    assert.notInclude(html, 'other');
+  });
+
+  it('is empty for buckets without traffic', () => {
+    assert.strictEqual(buildBytesBadges(ROWS[1]), '');
+  });
+});
+
+describe('getBytesTemplateParams', () => {
+  let savedWeight;
+
+  beforeEach(() => {
+    savedWeight = state.weightColumn;
+  });
+
+  afterEach(() => {
+    state.weightColumn = savedWeight;
+  });
+
+  it('provides the request count and per cache status bytes', () => {
+    state.weightColumn = 'weight';
+    const params = getBytesTemplateParams();
+    assert.strictEqual(params.countAgg, 'sum(`weight`)');
+    assert.hasAllKeys(params, ['countAgg', 'bytesHit', 'bytesMiss', 'bytesPass', 'bytesOther']);
+  });
+});
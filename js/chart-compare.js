@@ -0,0 +1,173 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Period-over-period comparison for the time series chart.
+ * The previous period is queried with the same template and a shifted time window,
+ * then aligned onto the current buckets so it can be drawn as a dashed total line.
+ */
+
+import { query, isAbortError } from './api.js';
+import { COMPARE_PERIODS } from './constants.js';
+import { formatNumber, computeDelta, formatDelta } from './format.js';
+import { state } from './state.js';
+import { parseUTC } from './chart-state.js';
+
+// Previous-period totals keyed by the current-window time (ms) they align with
+let compareLookup = null;
+
+/**
+ * Total request count for a time series row.
+ * @param {Object} row - Row with cnt_ok, cnt_4xx, cnt_5xx
+ * @returns {number}
+ */
+export function getRowTotal(row) {
+  return (parseInt(row.cnt_ok, 10) || 0)
+    + (parseInt(row.cnt_4xx, 10) || 0)
+    + (parseInt(row.cnt_5xx, 10) || 0);
+}
+
+/**
+ * Get the active comparison period definition.
+ * @returns {{ key: string, label: string, offsetMs: number }|null}
+ */
+export function getComparePeriod() {
+  const key = state.compareMode;
+  if (!key || !Object.hasOwn(COMPARE_PERIODS, key)) {
+    return null;
+  }
+  return { key, ...COMPARE_PERIODS[key] };
+}
+
+/**
+ * Build a lookup of previous-period totals shifted forward onto the current window.
+ * @param {Array<Object>} rows - Previous period time series rows
+ * @param {number} offsetMs - Shift applied when querying the previous period
+ * @returns {Map<number, number>}
+ */
+export function buildCompareLookup(rows, offsetMs) {
+  const lookup = new Map();
+  for (const row of rows) {
+    lookup.set(parseUTC(row.t).getTime() + offsetMs, getRowTotal(row));
+  }
+  return lookup;
+}
+
+/**
+ * Store the previous-period rows for rendering (null clears the overlay).
+ * @param {Array<Object>|null} rows
+ * @param {number} [offsetMs]
+ */
+export function setCompareSeries(rows, offsetMs = 0) {
+  compareLookup = rows ? buildCompareLookup(rows, offsetMs) : null;
+}
+
+/**
+ * Previous-period totals aligned to the current chart data.
+ * @param {Array<Object>} data - Current time series rows
+ * @returns {Array<number|null>|null} One entry per row, or null when compare is off
+ */
+export function getCompareTotals(data) {
+  if (!compareLookup) {
+    return null;
+  }
+  return data.map((row) => {
+    const value = compareLookup.get(parseUTC(row.t).getTime());
+    return value === undefined ? null : value;
+  });
+}
+
+/**
+ * Build the scrubber badge comparing a data point with the previous period.
+ * @param {Object} dataPoint - Current time series row
+ * @returns {string} HTML, empty when compare is off or there is no previous value
+ */
+export function buildCompareBadge(dataPoint) {
+  const period = getComparePeriod();
+  if (!period || !compareLookup || !dataPoint) {
+    return '';
+  }
+  const previous = compareLookup.get(parseUTC(dataPoint.t).getTime());
+  if (previous === undefined) {
+    return '';
+  }
+  const delta = computeDelta(getRowTotal(dataPoint), previous);
+  const direction = delta.abs >= 0 ? 'up' : 'down';
+  const title = `${formatNumber(previous)} ${period.label}`;
+  return `<span class="scrubber-value scrubber-compare scrubber-compare-${direction}" title="${title}">${formatDelta(delta)} vs ${period.key}</span>`;
+}
+
+/**
+ * Run the previous-period query. Failures only drop the overlay, never the chart.
+ * @param {string} sql - Time series SQL for the shifted window
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<Object>|null>}
+ */
+export async function fetchCompareRows(sql, signal) {
+  try {
+    const result = await query(sql, { signal, label: 'chart (compare)' });
+    return result.data;
+  } catch (err) {
+    if (!isAbortError(err)) {
+      // eslint-disable-next-line no-console
+      console.error('Compare series error:', err);
+    }
+    return null;
+  }
+}
+
+/**
+ * Draw the previous-period totals as a dashed line, skipping gaps.
+ */
+export function drawCompareLine(ctx, compareTotals, getX, getY, color) {
+  ctx.beginPath();
+  let drawing = false;
+  compareTotals.forEach((value, i) => {
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+    if (drawing) {
+      ctx.lineTo(getX(i), getY(value));
+    } else {
+      ctx.moveTo(getX(i), getY(value));
+      drawing = true;
+    }
+  });
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([6, 4]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+/** Sync the active state of the compare buttons with state.compareMode */
+export function updateCompareControl() {
+  document.querySelectorAll('.chart-compare-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.mode === state.compareMode);
+  });
+}
+
+/** Add the compare toggle buttons above the chart */
+export function initCompareControl() {
+  const section = document.querySelector('.chart-section');
+  if (!section || section.querySelector('.chart-compare-control')) {
+    return;
+  }
+  const control = document.createElement('div');
+  control.className = 'chart-compare-control';
+  control.innerHTML = Object.entries(COMPARE_PERIODS).map(([key, { label }]) => (
+    `<button type="button" class="chart-compare-btn" data-action="toggle-compare-mode" data-mode="${key}" title="Compare with ${label}">vs ${key}</button>`
+  )).join('');
+  section.appendChild(control);
+  updateCompareControl();
+}
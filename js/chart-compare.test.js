@@ -0,0 +1,126 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getRowTotal,
+  getComparePeriod,
+  buildCompareLookup,
+  setCompareSeries,
+  getCompareTotals,
+  buildCompareBadge,
+} from './chart-compare.js';
+import { state } from './state.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function row(t, ok, c4 = 0, c5 = 0) {
+  return {
+    t, cnt_ok: String(ok), cnt_4xx: String(c4), cnt_5xx: String(c5),
+  };
+}
+
+describe('getRowTotal', () => {
+  it('sums status columns', () => {
+    assert.strictEqual(getRowTotal(row('2026-01-20 12:00:00', 10, 2, 1)), 13);
+  });
+
+  it('treats missing values as zero', () => {
+    assert.strictEqual(getRowTotal({ t: '2026-01-20 12:00:00', cnt_ok: '5' }), 5);
+  });
+});
+
+describe('getComparePeriod', () => {
+  afterEach(() => {
+    state.compareMode = null;
+  });
+
+  it('returns null when compare is off', () => {
+    state.compareMode = null;
+    assert.isNull(getComparePeriod());
+  });
+
+  it('returns the period definition with its key', () => {
+    state.compareMode = '1d';
+    const period = getComparePeriod();
+    assert.strictEqual(period.key, '1d');
+    assert.strictEqual(period.offsetMs, DAY_MS);
+  });
+
+  it('returns null for unknown keys', () => {
+    state.compareMode = 'toString';
+    assert.isNull(getComparePeriod());
+  });
+});
+
+describe('buildCompareLookup', () => {
+  it('keys previous totals by the shifted time', () => {
+    const lookup = buildCompareLookup([row('2026-01-19 12:00:00', 7, 1)], DAY_MS);
+    assert.strictEqual(lookup.get(Date.parse('2026-01-20T12:00:00Z')), 8);
+  });
+});
+
+describe('getCompareTotals', () => {
+  afterEach(() => {
+    setCompareSeries(null);
+  });
+
+  it('returns null when no compare series is set', () => {
+    assert.isNull(getCompareTotals([row('2026-01-20 12:00:00', 1)]));
+  });
+
+  it('aligns previous totals to current rows and leaves gaps as null', () => {
+    setCompareSeries([
+      row('2026-01-19 12:00:00', 4),
+      row('2026-01-19 12:10:00', 6),
+    ], DAY_MS);
+    const totals = getCompareTotals([
+      row('2026-01-20 12:00:00', 5),
+      row('2026-01-20 12:10:00', 5),
+      row('2026-01-20 12:20:00', 5),
+    ]);
+    assert.deepEqual(totals, [4, 6, null]);
+  });
+});
+
+describe('buildCompareBadge', () => {
+  afterEach(() => {
+    state.compareMode = null;
+    setCompareSeries(null);
+  });
+
+  it('returns empty string when compare is off', () => {
+    setCompareSeries([row('2026-01-19 12:00:00', 4)], DAY_MS);
+    assert.strictEqual(buildCompareBadge(row('2026-01-20 12:00:00', 5)), '');
+  });
+
+  it('returns empty string when there is no previous value', () => {
+    state.compareMode = '1d';
+    setCompareSeries([], DAY_MS);
+    assert.strictEqual(buildCompareBadge(row('2026-01-20 12:00:00', 5)), '');
+  });
+
+  it('renders an up badge with the period key', () => {
+    state.compareMode = '1d';
+    setCompareSeries([row('2026-01-19 12:00:00', 100)], DAY_MS);
+    const html = buildCompareBadge(row('2026-01-20 12:00:00', 120));
+    assert.include(html, 'scrubber-compare-up');
+    assert.include(html, '+20% vs 1d');
+  });
+
+  it('renders a down badge for drops', () => {
+    state.compareMode = '1d';
+    setCompareSeries([row('2026-01-19 12:00:00', 100)], DAY_MS);
+    const html = buildCompareBadge(row('2026-01-20 12:00:00', 50));
+    assert.include(html, 'scrubber-compare-down');
+    assert.include(html, '-50% vs 1d');
+  });
+});
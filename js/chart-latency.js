@@ -0,0 +1,154 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Latency chart mode: p50/p95/p99 response time lines (time-series-latency.sql).
+ * Each percentile stands in for one status class in step detection, so anomaly bands,
+ * zoom-to-anomaly and the scrubber keep working on the latency series.
+ */
+
+import { formatQueryTime } from './format.js';
+import { getDimCountAgg, getLatencyQuantilesAgg } from './query-aggregations.js';
+import { state } from './state.js';
+
+/** Percentiles from bottom to top, with the step-detection category each one maps to */
+const LATENCY_SERIES = [
+  {
+    key: 'p50', category: 'green', colorVar: '--status-ok', badgeClass: 'ok',
+  },
+  {
+    key: 'p95', category: 'yellow', colorVar: '--status-client-error', badgeClass: '4xx',
+  },
+  {
+    key: 'p99', category: 'red', colorVar: '--status-server-error', badgeClass: '5xx',
+  },
+];
+
+/**
+ * Extra template params for time-series-latency.sql.
+ * @returns {{ countAgg: string, latencyQuantiles: string }}
+ */
+export function getLatencyTemplateParams() {
+  return {
+    countAgg: getDimCountAgg(),
+    latencyQuantiles: getLatencyQuantilesAgg(state.latencyColumn),
+  };
+}
+
+/**
+ * Split latency rows into percentile series. Buckets without requests are null.
+ * @param {Array<Object>} data - Rows with t, cnt and latency ([p50, p95, p99] in ms)
+ * @returns {{ p50: Array<number|null>, p95: Array<number|null>, p99: Array<number|null> }}
+ */
+export function parseLatencySeries(data) {
+  const series = { p50: [], p95: [], p99: [] };
+  for (const row of data) {
+    const values = Number(row.cnt) > 0 && Array.isArray(row.latency) ? row.latency : null;
+    LATENCY_SERIES.forEach(({ key }, i) => {
+      const value = values ? Number(values[i]) : NaN;
+      series[key].push(Number.isFinite(value) ? value : null);
+    });
+  }
+  return series;
+}
+
+/**
+ * Carry the last value across empty buckets so gaps don't look like latency drops.
+ * @param {Array<number|null>} values
+ * @returns {number[]}
+ */
+export function fillLatencyGaps(values) {
+  let last = values.find((v) => v !== null) ?? 0;
+  return values.map((v) => {
+    if (v !== null) {
+      last = v;
+    }
+    return last;
+  });
+}
+
+/**
+ * Step-detection category label for the latency chart (e.g. 'red' → 'p99').
+ * @param {string} category
+ * @returns {string}
+ */
+export function getLatencyCategoryLabel(category) {
+  return LATENCY_SERIES.find((s) => s.category === category)?.key || 'p99';
+}
+
+/**
+ * Scrubber badges with the percentiles of a data point.
+ * @param {Object} dataPoint - Latency time series row
+ * @returns {string} HTML, empty for buckets without requests
+ */
+export function buildLatencyBadges(dataPoint) {
+  const series = parseLatencySeries([dataPoint]);
+  const values = LATENCY_SERIES.map(({ key }) => series[key][0]);
+  if (values.includes(null)) {
+    return '';
+  }
+  return LATENCY_SERIES.map(({ key, badgeClass }, i) => (
+    `<span class="scrubber-value scrubber-value-${badgeClass}">${key} ${formatQueryTime(values[i])}</span>`
+  )).join('');
+}
+
+/** Draw one percentile as a line, skipping empty buckets */
+function drawLatencyLine(ctx, values, getX, getY, color) {
+  ctx.beginPath();
+  let drawing = false;
+  values.forEach((value, i) => {
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+    if (drawing) {
+      ctx.lineTo(getX(i), getY(value));
+    } else {
+      ctx.moveTo(getX(i), getY(value));
+      drawing = true;
+    }
+  });
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+}
+
+/**
+ * Plot for the latency chart mode (see buildRequestsPlot in chart.js for the shape).
+ * @param {Array<Object>} data - Latency time series rows
+ * @param {(name: string) => string} cssVar
+ * @returns {Object}
+ */
+export function buildLatencyPlot(data, cssVar) {
+  const latency = parseLatencySeries(data);
+  const filled = {};
+  LATENCY_SERIES.forEach(({ key }) => {
+    filled[key] = fillLatencyGaps(latency[key]);
+  });
+  return {
+    metric: 'latency',
+    peak: Math.max(0, ...filled.p99),
+    stepSeries: { ok: filled.p50, client: filled.p95, server: filled.p99 },
+    formatValue: formatQueryTime,
+    draw(ctx, getX, getY) {
+      LATENCY_SERIES.forEach(({ key, colorVar }) => {
+        drawLatencyLine(ctx, latency[key], getX, getY, cssVar(colorVar));
+      });
+    },
+    // Anomaly bands span from a percentile down to the one below it
+    getBandBounds: (getY) => ({
+      red: [(i) => getY(filled.p99[i]), (i) => getY(filled.p95[i])],
+      yellow: [(i) => getY(filled.p95[i]), (i) => getY(filled.p50[i])],
+      green: [(i) => getY(filled.p50[i]), () => getY(0)],
+    }),
+  };
+}
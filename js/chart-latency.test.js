@@ -0,0 +1,104 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  buildLatencyBadges, buildLatencyPlot, fillLatencyGaps, getLatencyCategoryLabel,
+  getLatencyTemplateParams, parseLatencySeries,
+} from './chart-latency.js';
+import { state } from './state.js';
+
+const ROWS = [
+  { t: '2026-01-15 10:00:00', cnt: '10', latency: [20, 80, 300] },
+  { t: '2026-01-15 10:01:00', cnt: '0', latency: [] },
+  { t: '2026-01-15 10:02:00', cnt: '12', latency: [25, 90, 450] },
+];
+
+describe('parseLatencySeries', () => {
+  it('splits rows into percentile series with gaps for empty buckets', () => {
+    const series = parseLatencySeries(ROWS);
+    assert.deepEqual(series.p50, [20, null, 25]);
+    assert.deepEqual(series.p95, [80, null, 90]);
+    assert.deepEqual(series.p99, [300, null, 450]);
+  });
+});
+
+describe('fillLatencyGaps', () => {
+  it('carries the previous value across gaps', () => {
+    assert.deepEqual(fillLatencyGaps([5, null, null, 7]), [5, 5, 5, 7]);
+  });
+
+  it('fills leading gaps with the first value', () => {
+    assert.deepEqual(fillLatencyGaps([null, 3, null]), [3, 3, 3]);
+    assert.deepEqual(fillLatencyGaps([null, null]), [0, 0]);
+  });
+});
+
+describe('getLatencyCategoryLabel', () => {
+  it('maps step-detection categories to percentiles', () => {
+    assert.strictEqual(getLatencyCategoryLabel('green'), 'p50');
+    assert.strictEqual(getLatencyCategoryLabel('yellow'), 'p95');
+    assert.strictEqual(getLatencyCategoryLabel('red'), 'p99');
+  });
+});
+
+describe('buildLatencyBadges', () => {
+  it('renders one badge per percentile', () => {
+    const html = buildLatencyBadges(ROWS[2]);
+    assert.include(html, 'p50 25ms');
+    assert.include(html, 'p95 90ms');
+    assert.include(html, 'scrubber-value-5xx">p99 450ms');
+  });
+
+  it('renders nothing for empty buckets', () => {
+    assert.strictEqual(buildLatencyBadges(ROWS[1]), '');
+  });
+});
+
+describe('buildLatencyPlot', () => {
+  it('uses p99 as peak and the filled percentiles for step detection', () => {
+    const plot = buildLatencyPlot(ROWS, () => '#000');
+    assert.strictEqual(plot.metric, 'latency');
+    assert.strictEqual(plot.peak, 450);
+    assert.deepEqual(plot.stepSeries.ok, [20, 20, 25]);
+    assert.deepEqual(plot.stepSeries.server, [300, 300, 450]);
+    assert.strictEqual(plot.formatValue(1500), '1.50s');
+  });
+
+  it('bounds anomaly bands between neighbouring percentiles', () => {
+    const plot = buildLatencyPlot(ROWS, () => '#000');
+    const bounds = plot.getBandBounds((v) => v);
+    assert.deepEqual([bounds.red[0](0), bounds.red[1](0)], [300, 80]);
+    assert.deepEqual([bounds.yellow[0](2), bounds.yellow[1](2)], [90, 25]);
+    assert.deepEqual([bounds.green[0](2), bounds.green[1](2)], [25, 0]);
+  });
+});
+
+describe('getLatencyTemplateParams', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { weightColumn: state.weightColumn, latencyColumn: state.latencyColumn };
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+  });
+
+  it('weights counts and quantiles by the weight column', () => {
+    state.weightColumn = 'weight';
+    state.latencyColumn = 'cdn.time_elapsed_msec';
+    const params = getLatencyTemplateParams();
+    assert.strictEqual(params.countAgg, 'sum(`weight`)');
+    assert.include(params.latencyQuantiles, 'quantilesTDigestWeighted');
+    assert.include(params.latencyQuantiles, '`cdn.time_elapsed_msec`, `weight`');
+  });
+});
@@ -0,0 +1,77 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Chart mode: which metric the main chart plots (see CHART_MODES).
+ * state.chartMode selects requests or latency; the requests chart switches to bytes while the
+ * count/bytes toggle (state.contentTypeMode) is on bytes. Modes that need columns the
+ * dashboard's table doesn't have are not offered.
+ */
+
+import { CHART_MODES } from './constants.js';
+import { state } from './state.js';
+
+/**
+ * Chart modes supported by the current dashboard, in display order.
+ * @returns {string[]}
+ */
+export function getAvailableChartModes() {
+  return Object.keys(CHART_MODES).filter((mode) => {
+    if (mode === 'latency') {
+      return !!state.latencyColumn;
+    }
+    // Bytes and cache status are CDN columns; non-CDN tables bring their own aggregations
+    return mode !== 'bytes' || !state.aggregations;
+  });
+}
+
+/**
+ * Effective chart mode, falling back to 'requests' for modes this dashboard doesn't support.
+ * @returns {string}
+ */
+export function getChartMode() {
+  const available = getAvailableChartModes();
+  if (state.chartMode === 'latency' && available.includes('latency')) {
+    return 'latency';
+  }
+  return state.contentTypeMode === 'bytes' && available.includes('bytes') ? 'bytes' : 'requests';
+}
+
+/** Sync the chart mode buttons (and the section's data-chart-mode) with the active mode */
+export function updateChartModeControl() {
+  const mode = getChartMode();
+  const section = document.querySelector('.chart-section');
+  if (section) {
+    section.dataset.chartMode = mode;
+  }
+  document.querySelectorAll('.chart-mode-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+}
+
+/** Add the chart mode toggle above the chart (only when there is more than one mode) */
+export function initChartModeControl() {
+  const section = document.querySelector('.chart-section');
+  const modes = getAvailableChartModes();
+  if (!section || modes.length < 2 || section.querySelector('.chart-mode-control')) {
+    updateChartModeControl();
+    return;
+  }
+  const control = document.createElement('div');
+  control.className = 'chart-mode-control';
+  control.innerHTML = modes.map((mode) => {
+    const { label, title } = CHART_MODES[mode];
+    return `<button type="button" class="chart-mode-btn" data-action="set-chart-mode" data-mode="${mode}" title="${title}">${label}</button>`;
+  }).join('');
+  section.appendChild(control);
+  updateChartModeControl();
+}
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getAvailableChartModes, getChartMode, initChartModeControl, updateChartModeControl,
+} from './chart-modes.js';
+import { state } from './state.js';
+
+describe('chart modes', () => {
+  let saved;
+  let section;
+
+  beforeEach(() => {
+    saved = {
+      chartMode: state.chartMode,
+      latencyColumn: state.latencyColumn,
+      contentTypeMode: state.contentTypeMode,
+      aggregations: state.aggregations,
+    };
+    state.contentTypeMode = 'count';
+    state.aggregations = null;
+    section = document.createElement('section');
+    section.className = 'chart-section';
+    document.body.appendChild(section);
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+    document.body.removeChild(section);
+  });
+
+  it('offers latency only when the dashboard has a latency column', () => {
+    state.latencyColumn = null;
+    assert.deepEqual(getAvailableChartModes(), ['requests', 'bytes']);
+    state.latencyColumn = 'cdn.time_elapsed_msec';
+    assert.deepEqual(getAvailableChartModes(), ['requests', 'bytes', 'latency']);
+  });
+
+  it('offers bytes only for CDN tables', () => {
+    state.latencyColumn = null;
+    state.aggregations = { aggTotal: 'count()' };
+    assert.deepEqual(getAvailableChartModes(), ['requests']);
+  });
+
+  it('follows the count/bytes toggle unless latency is selected', () => {
+    state.latencyColumn = 'cdn.time_elapsed_msec';
+    state.chartMode = 'requests';
+    state.contentTypeMode = 'bytes';
+    assert.strictEqual(getChartMode(), 'bytes');
+    state.chartMode = 'latency';
+    assert.strictEqual(getChartMode(), 'latency');
+  });
+
+  it('falls back to requests for unsupported modes', () => {
+    state.latencyColumn = null;
+    state.chartMode = 'latency';
+    assert.strictEqual(getChartMode(), 'requests');
+    state.aggregations = { aggTotal: 'count()' };
+    state.contentTypeMode = 'bytes';
+    assert.strictEqual(getChartMode(), 'requests');
+  });
+
+  it('renders no toggle when only one mode is available', () => {
+    state.latencyColumn = null;
+    state.aggregations = { aggTotal: 'count()' };
+    initChartModeControl();
+    assert.isNull(section.querySelector('.chart-mode-control'));
+  });
+
+  it('renders the toggle and marks the active mode', () => {
+    state.latencyColumn = 'cdn.time_elapsed_msec';
+    state.chartMode = 'requests';
+    initChartModeControl();
+    const active = () => section.querySelector('.chart-mode-btn.active').dataset.mode;
+    assert.strictEqual(active(), 'requests');
+
+    state.chartMode = 'latency';
+    updateChartModeControl();
+    assert.strictEqual(active(), 'latency');
+    assert.strictEqual(section.dataset.chartMode, 'latency');
+  });
+});
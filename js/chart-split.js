@@ -0,0 +1,217 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * "Break down by": the requests chart stacks the top values of a facet (state.chartSplit,
+ * a breakdown id) instead of 2xx/4xx/5xx (time-series-split.sql). Values outside the top
+ * share an "(other)" layer. Legend entries add a filter like the facet rows do.
+ */
+
+import { getBreakdowns } from './breakdowns/index.js';
+import { getChartMode } from './chart-modes.js';
+import { getColorForColumn } from './colors/index.js';
+import { formatNumber } from './format.js';
+import { getDimCountAgg } from './query-aggregations.js';
+import { state } from './state.js';
+import { buildFilterAttrs } from './templates/breakdown-table.js';
+import { escapeHtml } from './utils.js';
+
+const SPLIT_TOP_N = 5;
+const OTHER_DIM = '(other)';
+
+// Used when a facet has no color rule, or its rule gives two values the same color
+const SPLIT_PALETTE = ['#2e90fa', '#7a5af8', '#15b79e', '#ee46bc', '#fb6514', '#84cc16', '#06aed4'];
+
+/**
+ * Breakdowns the chart can be split by (bucketed facets have no stable values to stack).
+ * @returns {Array<Object>}
+ */
+export function getSplitBreakdowns() {
+  return getBreakdowns().filter((b) => typeof b.col === 'string' && !b.rawCol);
+}
+
+/**
+ * The breakdown the chart is split by, or null when the chart shows status classes.
+ * Only the requests chart can be split.
+ * @returns {Object|null}
+ */
+export function getSplitBreakdown() {
+  if (!state.chartSplit || getChartMode() !== 'requests') {
+    return null;
+  }
+  return getSplitBreakdowns().find((b) => b.id === state.chartSplit) || null;
+}
+
+/**
+ * Extra template params for time-series-split.sql.
+ * @param {Object} breakdown - getSplitBreakdown() result
+ * @returns {Object}
+ */
+export function getSplitTemplateParams(breakdown) {
+  return {
+    col: breakdown.col,
+    extra: breakdown.extraFilter || '',
+    countAgg: getDimCountAgg(),
+    topN: String(SPLIT_TOP_N),
+  };
+}
+
+/**
+ * Counts per facet value of a split time series row.
+ * @param {Object} row - Row with dims and counts arrays
+ * @returns {Record<string, number>}
+ */
+export function getSplitCounts(row) {
+  const counts = {};
+  (row.dims || []).forEach((dim, i) => {
+    counts[dim] = Number(row.counts?.[i]) || 0;
+  });
+  return counts;
+}
+
+// Canvas can't resolve var(--x), so look the custom property up
+function resolveColor(color, cssVar) {
+  const match = /^var\((--[\w-]+)\)$/.exec(color);
+  return match ? cssVar(match[1]) : color;
+}
+
+/**
+ * Stack the facet values of split rows, biggest value at the bottom and (other) on top.
+ * @param {Array<Object>} data - Rows with t, dims and counts
+ * @param {string} col - Facet column, for getColorForColumn()
+ * @param {(name: string) => string} cssVar
+ * @returns {Array<{ dim: string, color: string, total: number, top: number[],
+ *   bottom: number[] }>}
+ */
+export function stackSplitSeries(data, col, cssVar) {
+  const rows = data.map(getSplitCounts);
+  const totals = {};
+  rows.forEach((counts) => {
+    Object.entries(counts).forEach(([dim, cnt]) => {
+      totals[dim] = (totals[dim] || 0) + cnt;
+    });
+  });
+  const dims = Object.keys(totals)
+    .sort((a, b) => (a === OTHER_DIM) - (b === OTHER_DIM) || totals[b] - totals[a]);
+
+  const used = new Set();
+  let paletteIndex = 0;
+  let bottom = data.map(() => 0);
+  return dims.map((dim) => {
+    let color = dim === OTHER_DIM
+      ? cssVar('--text-secondary')
+      : resolveColor(getColorForColumn(col, dim), cssVar);
+    if (!color || (dim !== OTHER_DIM && used.has(color))) {
+      color = SPLIT_PALETTE[paletteIndex % SPLIT_PALETTE.length];
+      paletteIndex += 1;
+    }
+    used.add(color);
+    const top = rows.map((counts, i) => bottom[i] + (counts[dim] || 0));
+    const layer = {
+      dim, color, total: totals[dim], top, bottom,
+    };
+    bottom = top;
+    return layer;
+  });
+}
+
+/**
+ * Scrubber badges with the count per facet value of a data point.
+ * @param {Object} dataPoint - Split time series row
+ * @returns {string} HTML
+ */
+export function buildSplitBadges(dataPoint) {
+  return Object.entries(getSplitCounts(dataPoint))
+    .filter(([, cnt]) => cnt > 0)
+    .sort(([, a], [, b]) => b - a)
+    .map(([dim, cnt]) => (
+      `<span class="scrubber-value scrubber-value-split">${escapeHtml(dim || '(empty)')} ${formatNumber(cnt)}</span>`
+    ))
+    .join('');
+}
+
+function getFacetTitle(b) {
+  const card = document.getElementById(b.id);
+  return card?.dataset.title || card?.querySelector('h3')?.textContent?.trim()
+    || b.facetName || b.id;
+}
+
+/**
+ * Show the legend of the split chart; entries add a filter on their value.
+ * @param {Object|null} breakdown - Split breakdown, null to hide the legend
+ * @param {Array<{ dim: string, color: string }>} [layers] - stackSplitSeries() result
+ */
+export function renderSplitLegend(breakdown, layers = []) {
+  const legend = document.querySelector('.chart-split-legend');
+  if (!legend) {
+    return;
+  }
+  legend.hidden = !breakdown || layers.length === 0;
+  if (legend.hidden) {
+    legend.innerHTML = '';
+    return;
+  }
+  const {
+    col, filterCol, filterValueFn, filterOp,
+  } = breakdown;
+  legend.innerHTML = layers.map(({ dim, color }) => {
+    const swatch = `<span class="chart-split-swatch" style="background:${escapeHtml(color)}"></span>`;
+    const label = escapeHtml(dim || '(empty)');
+    if (dim === OTHER_DIM) {
+      return `<span class="chart-split-item">${swatch}${label}</span>`;
+    }
+    const attrs = buildFilterAttrs(col, dim, filterCol, filterValueFn, filterOp);
+    return `<button type="button" class="chart-split-item" data-action="add-filter" ${attrs} data-exclude="false" title="Filter by ${label} (shift-click to exclude)">${swatch}${label}</button>`;
+  }).join('');
+}
+
+/** Sync the split select (and the section's data-chart-split) with state.chartSplit */
+export function updateSplitControl() {
+  const split = getSplitBreakdowns().some((b) => b.id === state.chartSplit)
+    ? state.chartSplit
+    : '';
+  const section = document.querySelector('.chart-section');
+  if (section) {
+    section.dataset.chartSplit = split;
+  }
+  const select = document.querySelector('.chart-split-select');
+  if (select) {
+    select.value = split;
+  }
+}
+
+/**
+ * Add the "break down by" select and the legend above the chart.
+ * @param {(facetId: string|null) => void} onChange - Called with the picked breakdown id
+ */
+export function initSplitControl(onChange) {
+  const section = document.querySelector('.chart-section');
+  if (!section || section.querySelector('.chart-split-control')) {
+    return;
+  }
+  const options = getSplitBreakdowns().map((b) => (
+    `<option value="${escapeHtml(b.id)}">${escapeHtml(getFacetTitle(b))}</option>`
+  )).join('');
+  const control = document.createElement('div');
+  control.className = 'chart-split-control';
+  control.innerHTML = `
+    <select class="chart-split-select" title="Split the requests chart by the top values of a facet" aria-label="Break down by">
+      <option value="">by status</option>
+      ${options}
+    </select>
+    <div class="chart-split-legend" hidden></div>`;
+  section.appendChild(control);
+  control.querySelector('.chart-split-select').addEventListener('change', (e) => {
+    onChange(e.target.value || null);
+  });
+  updateSplitControl();
+}
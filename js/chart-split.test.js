@@ -0,0 +1,121 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getSplitBreakdowns, getSplitBreakdown, getSplitTemplateParams, stackSplitSeries,
+  buildSplitBadges, renderSplitLegend, initSplitControl,
+} from './chart-split.js';
+import { state } from './state.js';
+
+const cssVar = (name) => ({
+  '--text-secondary': '#667085',
+  '--status-ok': '#12b76a',
+  '--status-server-error': '#f04438',
+}[name] || '');
+
+describe('chart split', () => {
+  let saved;
+  let section;
+
+  beforeEach(() => {
+    saved = {
+      chartSplit: state.chartSplit,
+      chartMode: state.chartMode,
+      contentTypeMode: state.contentTypeMode,
+      breakdowns: state.breakdowns,
+      latencyColumn: state.latencyColumn,
+    };
+    state.chartMode = 'requests';
+    state.contentTypeMode = 'count';
+    state.breakdowns = null;
+    state.latencyColumn = 'timing.total';
+    section = document.createElement('section');
+    section.className = 'chart-section';
+    document.body.appendChild(section);
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+    document.body.removeChild(section);
+  });
+
+  it('offers facets with plain columns only', () => {
+    const ids = getSplitBreakdowns().map((b) => b.id);
+    assert.include(ids, 'breakdown-hosts');
+    assert.notInclude(ids, 'breakdown-delivery-ratelimit-rate');
+  });
+
+  it('splits only the requests chart', () => {
+    state.chartSplit = 'breakdown-hosts';
+    assert.strictEqual(getSplitBreakdown().id, 'breakdown-hosts');
+    assert.include(getSplitTemplateParams(getSplitBreakdown()).col, 'request.host');
+    state.chartMode = 'latency';
+    assert.isNull(getSplitBreakdown());
+    state.chartMode = 'requests';
+    state.chartSplit = 'breakdown-unknown';
+    assert.isNull(getSplitBreakdown());
+  });
+
+  it('stacks the biggest value first and (other) last', () => {
+    const data = [
+      { t: '2026-01-15 10:00:00', dims: ['(other)', 'a', 'b'], counts: ['5', '10', '20'] },
+      { t: '2026-01-15 10:01:00', dims: ['a', 'b'], counts: ['10', '30'] },
+      { t: '2026-01-15 10:02:00', dims: [], counts: [] },
+    ];
+    const layers = stackSplitSeries(data, '`request.url`', cssVar);
+    assert.deepEqual(layers.map((l) => l.dim), ['b', 'a', '(other)']);
+    assert.deepEqual(layers[1].top, [30, 40, 0]);
+    assert.deepEqual(layers[2].top, [35, 40, 0]);
+    assert.strictEqual(layers[2].color, '#667085');
+    assert.notStrictEqual(layers[0].color, layers[1].color);
+  });
+
+  it('uses the facet color rules', () => {
+    const data = [{ t: '2026-01-15 10:00:00', dims: ['200', '503'], counts: ['10', '5'] }];
+    const layers = stackSplitSeries(data, '`response.status`', cssVar);
+    assert.deepEqual(layers.map((l) => l.color), ['#12b76a', '#f04438']);
+  });
+
+  it('lists the values of a data point in the scrubber', () => {
+    const html = buildSplitBadges({ dims: ['a', 'b', 'c'], counts: ['1', '3', '0'] });
+    assert.isBelow(html.indexOf('>b 3<'), html.indexOf('>a 1<'));
+    assert.notInclude(html, '>c ');
+  });
+
+  it('renders a legend that adds filters', () => {
+    state.chartSplit = 'breakdown-hosts';
+    initSplitControl(() => {});
+    assert.strictEqual(section.dataset.chartSplit, 'breakdown-hosts');
+    assert.strictEqual(section.querySelector('.chart-split-select').value, 'breakdown-hosts');
+    renderSplitLegend(getSplitBreakdown(), [
+      { dim: 'a.example', color: '#111' }, { dim: '(other)', color: '#222' },
+    ]);
+    const buttons = section.querySelectorAll('.chart-split-legend [data-action="add-filter"]');
+    assert.lengthOf(buttons, 1);
+    assert.strictEqual(buttons[0].dataset.value, 'a.example');
+    renderSplitLegend(null);
+    assert.isTrue(section.querySelector('.chart-split-legend').hidden);
+  });
+});
+
+describe('time-series-split.sql', () => {
+  // ClickHouse aliases are global within a SELECT: groupArray over `cnt` next to
+  // `sum(...) as cnt` would wrap the sum in groupArray
+  it('collects per-dim counts from a column no outer alias shadows', async () => {
+    const response = await fetch(new URL('../sql/queries/time-series-split.sql', import.meta.url));
+    const template = await response.text();
+    const outerSelect = template.slice(template.indexOf('\nSELECT'), template.indexOf('FROM (\n'));
+    assert.include(outerSelect, 'sum(dim_cnt) as cnt');
+    assert.include(outerSelect, 'groupArray(dim_cnt) as counts');
+    assert.include(template, '{{countAgg}} as dim_cnt');
+  });
+});
@@ -39,6 +39,9 @@ let lastDetectedSteps = []; // Store detected steps for chart bands / zoom-to-an
 // Ship positions for tooltip hit-testing
 let lastShipPositions = null;
 
+// Oncall band segments for tooltip hit-testing
+let lastOncallPositions = null;
+
 // Chart layout info (set during render)
 let chartLayout = null;
 
@@ -196,6 +199,22 @@ export function getShipPositions() {
   return lastShipPositions;
 }
 
+/**
+ * Set oncall band segment positions for tooltip hit-testing
+ * @param {Array|null} positions - Segment positions or null
+ */
+export function setOncallPositions(positions) {
+  lastOncallPositions = positions;
+}
+
+/**
+ * Get oncall band segment positions
+ * @returns {Array|null} Segment positions
+ */
+export function getOncallPositions() {
+  return lastOncallPositions;
+}
+
 /**
  * Set pending selection state
  * @param {Object|null} selection - Selection { startTime, endTime } or null
@@ -492,8 +511,9 @@ export function zoomToAnomalyByRank(rank) {
   const anomalyId = window.anomalyIdsByRank?.[rank] || null;
 
   // Get the anomaly category and add corresponding status filter
+  // (latency anomalies are about response time, not a status class)
   const step = lastDetectedSteps.find((s) => s.rank === rank);
-  if (step?.category) {
+  if (step?.category && step.metric !== 'latency') {
     // Map category to status range filter values
     // red = 5xx errors, yellow = 4xx client errors, green = 2xx success
     const statusFilters = {
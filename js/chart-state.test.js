@@ -887,4 +887,19 @@ describe('zoomToAnomaly', () => {
     assert.deepEqual(getCustomTimeRange(), { start, end });
     assert.isTrue(state.filters.some((f) => f.col === STATUS_RANGE_COL && f.value === '4xx'));
   });
+
+  it('zoomToAnomalyByRank adds no status filter for latency anomalies', () => {
+    const start = new Date('2025-06-15T10:00:00Z');
+    const end = new Date('2025-06-15T10:05:00Z');
+    addAnomalyBounds({
+      left: 20, right: 40, startTime: start, endTime: end, rank: 1,
+    });
+    setDetectedSteps([{
+      rank: 1, type: 'spike', category: 'red', magnitude: 3, metric: 'latency',
+    }]);
+
+    assert.isTrue(zoomToAnomalyByRank(1));
+    assert.deepEqual(getCustomTimeRange(), { start, end });
+    assert.lengthOf(state.filters, 0);
+  });
 });
@@ -19,28 +19,52 @@ import {
   getFacetFilters, loadPreviewBreakdowns, revertPreviewBreakdowns, isPreviewActive,
 } from './breakdowns/index.js';
 import { DATABASE } from './config.js';
-import { formatNumber } from './format.js';
+import { formatNumber, formatBytes } from './format.js';
+import { buildSampleBadge } from './sampling.js';
 import { getRequestContext, isRequestCurrent } from './request-context.js';
 import { state } from './state.js';
-import { detectSteps } from './step-detection.js';
+import { explainAnomaly } from './step-detection.js';
+import { detectChartAnomalies } from './chart-anomaly.js';
 import {
   getHostFilter, getTable, getTimeBucket, getTimeBucketStep, getTimeFilter,
   setCustomTimeRange, getTimeRangeBounds, getTimeRangeStart, getTimeRangeEnd,
-  snapSelectionToMinuteBounds,
+  snapSelectionToMinuteBounds, getShiftedTimeWindow,
 } from './time.js';
 import { loadSql } from './sql-loader.js';
 import { saveStateToURL } from './url-state.js';
 import {
   getReleasesInRange, renderReleaseShips, getShipAtPoint, showReleaseTooltip, hideReleaseTooltip,
+  showReleaseClusterTooltip, pinReleaseClusterTooltip, closeReleaseTooltip,
 } from './releases.js';
+import { filterReleases } from './release-filter.js';
 import {
   setNavigationCallback, getNavigationCallback, navigateTime, setChartLayout, getChartLayout,
   setLastChartData, getLastChartData, getDataAtTime, addAnomalyBounds, resetAnomalyBounds,
   setDetectedSteps, getDetectedSteps, setShipPositions, getShipPositions, setPendingSelection,
+  setOncallPositions, getOncallPositions,
   getPendingSelection, getAnomalyAtX, getTimeAtX, getXAtTime, formatScrubberTime, formatDuration,
   zoomToAnomalyByRank, getShipNearX, hexToRgba, parseUTC,
 } from './chart-state.js';
 import { setupTwoFingerTouchSelection } from './chart-touch-selection.js';
+import {
+  getComparePeriod, setCompareSeries, getCompareTotals, drawCompareLine, buildCompareBadge,
+  fetchCompareRows,
+} from './chart-compare.js';
+import { drawAlertFires, buildAlertScrubberInfo } from './alerts.js';
+import {
+  getOncallShiftsInRange, renderOncallBand, setOncallShifts, getShiftAtPoint, showOncallTooltip,
+  hideOncallTooltip,
+} from './oncall.js';
+import { getChartMode } from './chart-modes.js';
+import { markSuspiciousReleases } from './release-impact.js';
+import { openReleaseImpactDialog } from './release-impact-dialog.js';
+import {
+  buildLatencyPlot, buildLatencyBadges, getLatencyCategoryLabel, getLatencyTemplateParams,
+} from './chart-latency.js';
+import { getBytesTemplateParams, stackBytesSeries, buildBytesBadges } from './chart-bytes.js';
+import {
+  getSplitBreakdown, getSplitTemplateParams, stackSplitSeries, buildSplitBadges, renderSplitLegend,
+} from './chart-split.js';
 
 // Re-export state functions for external use
 export {
@@ -70,7 +94,14 @@ function initChartCanvas() {
 }
 
 /** Draw Y axis with grid lines and labels */
-function drawYAxis(ctx, chartDimensions, cssVar, minValue, maxValue) {
+export function drawYAxis(
+  ctx,
+  chartDimensions,
+  cssVar,
+  minValue,
+  maxValue,
+  formatValue = formatNumber,
+) {
   const {
     width, height, padding, chartHeight, labelInset,
   } = chartDimensions;
@@ -89,12 +120,19 @@ function drawYAxis(ctx, chartDimensions, cssVar, minValue, maxValue) {
     ctx.stroke();
 
     ctx.fillStyle = cssVar('--text-secondary');
-    ctx.fillText(formatNumber(val), padding.left + labelInset, y - 4);
+    ctx.fillText(formatValue(val), padding.left + labelInset, y - 4);
   }
 }
 
 /** Draw X axis labels */
-function drawXAxisLabels(ctx, data, chartDimensions, intendedStartTime, intendedTimeRange, cssVar) {
+export function drawXAxisLabels(
+  ctx,
+  data,
+  chartDimensions,
+  intendedStartTime,
+  intendedTimeRange,
+  cssVar,
+) {
   const {
     width, height, padding, chartWidth, labelInset,
   } = chartDimensions;
@@ -131,10 +169,12 @@ function drawXAxisLabels(ctx, data, chartDimensions, intendedStartTime, intended
   }
 }
 
-/** Draw anomaly highlight for a detected step */
-function drawAnomalyHighlight(ctx, step, data, chartDimensions, getX, getY, stacks) {
+/**
+ * Draw anomaly highlight for a detected step.
+ * @param {Object} seriesBounds - Per category [getTop(i), getBottom(i)] y accessors
+ */
+function drawAnomalyHighlight(ctx, step, data, chartDimensions, getX, seriesBounds) {
   const { height, padding, chartWidth } = chartDimensions;
-  const { stackedServer, stackedClient, stackedOk } = stacks;
 
   const startX = getX(step.startIndex);
   const endX = getX(step.endIndex);
@@ -153,11 +193,6 @@ function drawAnomalyHighlight(ctx, step, data, chartDimensions, getX, getY, stac
   const categoryColors = { red: [240, 68, 56], yellow: [247, 144, 9], green: [18, 183, 106] };
   const [cr, cg, cb] = categoryColors[step.category] || categoryColors.green;
 
-  const seriesBounds = {
-    red: [(i) => getY(stackedServer[i]), () => getY(0)],
-    yellow: [(i) => getY(stackedClient[i]), (i) => getY(stackedServer[i])],
-    green: [(i) => getY(stackedOk[i]), (i) => getY(stackedClient[i])],
-  };
   const [getSeriesTop, getSeriesBottom] = seriesBounds[step.category] || seriesBounds.green;
 
   const points = [];
@@ -200,7 +235,7 @@ function drawAnomalyHighlight(ctx, step, data, chartDimensions, getX, getY, stac
 }
 
 /** Draw a stacked area with line on top */
-function drawStackedArea(ctx, data, getX, getY, topStack, bottomStack, colors) {
+export function drawStackedArea(ctx, data, getX, getY, topStack, bottomStack, colors) {
   if (!topStack.some((v, i) => v > bottomStack[i])) {
     return;
   }
@@ -227,13 +262,128 @@ function drawStackedArea(ctx, data, getX, getY, topStack, bottomStack, colors) {
   ctx.stroke();
 }
 
+/**
+ * Plot for the default chart mode: stacked 2xx/4xx/5xx counts plus the compare line.
+ * A plot provides the peak value, the series for step detection (null to skip it), the Y
+ * axis format, a draw function and the anomaly band bounds (see PLOT_BUILDERS for all modes).
+ * @param {Array<Object>} data - Time series rows
+ * @param {(name: string) => string} cssVar
+ * @returns {Object}
+ */
+function buildRequestsPlot(data, cssVar) {
+  const series = {
+    ok: data.map((d) => parseInt(d.cnt_ok, 10) || 0),
+    client: data.map((d) => parseInt(d.cnt_4xx, 10) || 0),
+    server: data.map((d) => parseInt(d.cnt_5xx, 10) || 0),
+  };
+
+  const totals = data.map((_, i) => series.ok[i] + series.client[i] + series.server[i]);
+  const compareTotals = getCompareTotals(data);
+
+  const stackedServer = series.server.slice();
+  const stackedClient = series.server.map((v, i) => v + series.client[i]);
+  const stackedOk = series.server.map((v, i) => v + series.client[i] + series.ok[i]);
+
+  return {
+    metric: 'requests',
+    peak: Math.max(...totals, ...(compareTotals || []).filter((v) => v !== null)),
+    stepSeries: series,
+    formatValue: formatNumber,
+    draw(ctx, getX, getY) {
+      const okColor = cssVar('--status-ok');
+      const clientColor = cssVar('--status-client-error');
+      const serverColor = cssVar('--status-server-error');
+      const zeros = new Array(data.length).fill(0);
+      drawStackedArea(ctx, data, getX, getY, stackedOk, stackedClient, {
+        line: okColor, fill: hexToRgba(okColor, 0.3),
+      });
+      drawStackedArea(ctx, data, getX, getY, stackedClient, stackedServer, {
+        line: clientColor, fill: hexToRgba(clientColor, 0.3),
+      });
+      drawStackedArea(ctx, data, getX, getY, stackedServer, zeros, {
+        line: serverColor, fill: hexToRgba(serverColor, 0.3),
+      });
+      if (compareTotals) {
+        drawCompareLine(ctx, compareTotals, getX, getY, cssVar('--text-secondary'));
+      }
+    },
+    getBandBounds: (getY) => ({
+      red: [(i) => getY(stackedServer[i]), () => getY(0)],
+      yellow: [(i) => getY(stackedClient[i]), (i) => getY(stackedServer[i])],
+      green: [(i) => getY(stackedOk[i]), (i) => getY(stackedClient[i])],
+    }),
+  };
+}
+
+/**
+ * Plot for the bytes chart mode: bytes served stacked by cache status (no step detection).
+ * @param {Array<Object>} data - Bytes time series rows
+ * @param {(name: string) => string} cssVar
+ * @returns {Object}
+ */
+function buildBytesPlot(data, cssVar) {
+  const layers = stackBytesSeries(data);
+  return {
+    metric: 'bytes',
+    peak: Math.max(0, ...layers[layers.length - 1].top),
+    stepSeries: null,
+    formatValue: formatBytes,
+    draw(ctx, getX, getY) {
+      for (const { colorVar, top, bottom } of layers) {
+        const color = cssVar(colorVar);
+        drawStackedArea(ctx, data, getX, getY, top, bottom, {
+          line: color, fill: hexToRgba(color, 0.3),
+        });
+      }
+    },
+    getBandBounds: () => ({}),
+  };
+}
+
+/**
+ * Plot for a chart split by a facet: its top values stacked (no step detection).
+ * @param {Array<Object>} data - Split time series rows
+ * @param {(name: string) => string} cssVar
+ * @param {Object} breakdown - Split breakdown
+ * @returns {Object}
+ */
+function buildSplitPlot(data, cssVar, breakdown) {
+  const layers = stackSplitSeries(data, breakdown.col, cssVar);
+  return {
+    metric: 'requests',
+    peak: Math.max(0, ...(layers.length > 0 ? layers[layers.length - 1].top : [])),
+    stepSeries: null,
+    formatValue: formatNumber,
+    layers,
+    draw(ctx, getX, getY) {
+      for (const { color, top, bottom } of layers) {
+        drawStackedArea(ctx, data, getX, getY, top, bottom, {
+          line: color, fill: hexToRgba(color, 0.3),
+        });
+      }
+    },
+    getBandBounds: () => ({}),
+  };
+}
+
+const PLOT_BUILDERS = {
+  requests: buildRequestsPlot,
+  bytes: buildBytesPlot,
+  latency: buildLatencyPlot,
+};
+
 export function renderChart(data) {
   setLastChartData(data);
   resetAnomalyBounds();
   setShipPositions(null);
-  hideReleaseTooltip();
-
-  const sumRow = (row) => (row.cnt_ok || 0) + (row.cnt_4xx || 0) + (row.cnt_5xx || 0);
+  setOncallPositions(null);
+  closeReleaseTooltip();
+  hideOncallTooltip();
+  renderSplitLegend(null);
+
+  const sumRow = (row) => (row.cnt !== undefined
+    ? Number(row.cnt) || 0
+    : (row.cnt_ok || 0) + (row.cnt_4xx || 0) + (row.cnt_5xx || 0));
   const totalEl = document.getElementById('totalCount');
   const totalReqs = data.reduce((sum, row) => sum + sumRow(row), 0);
   if (totalEl) {
@@ -285,23 +435,12 @@ export function renderChart(data) {
   };
   setChartLayout({ ...chartDimensions, intendedStartTime, intendedEndTime });
 
-  const series = {
-    ok: data.map((d) => parseInt(d.cnt_ok, 10) || 0),
-    client: data.map((d) => parseInt(d.cnt_4xx, 10) || 0),
-    server: data.map((d) => parseInt(d.cnt_5xx, 10) || 0),
-  };
-
-  const totals = data.map((_, i) => series.ok[i] + series.client[i] + series.server[i]);
-  const maxValue = Math.max(4, Math.ceil(Math.ceil(Math.max(...totals)) / 4) * 4);
-
-  const okColor = cssVar('--status-ok');
-  const clientColor = cssVar('--status-client-error');
-  const serverColor = cssVar('--status-server-error');
-  const colors = {
-    ok: { line: okColor, fill: hexToRgba(okColor, 0.3) },
-    client: { line: clientColor, fill: hexToRgba(clientColor, 0.3) },
-    server: { line: serverColor, fill: hexToRgba(serverColor, 0.3) },
-  };
+  const splitBreakdown = getSplitBreakdown();
+  const plot = splitBreakdown
+    ? buildSplitPlot(data, cssVar, splitBreakdown)
+    : PLOT_BUILDERS[getChartMode()](data, cssVar);
+  renderSplitLegend(splitBreakdown, plot.layers);
+  const maxValue = Math.max(4, Math.ceil(Math.ceil(plot.peak) / 4) * 4);
 
   // Draw X axis line
   ctx.strokeStyle = cssVar('--axis-line');
@@ -311,7 +450,7 @@ export function renderChart(data) {
   ctx.lineTo(width - padding.right, height - padding.bottom);
   ctx.stroke();
 
-  drawYAxis(ctx, chartDimensions, cssVar, 0, maxValue);
+  drawYAxis(ctx, chartDimensions, cssVar, 0, maxValue, plot.formatValue);
   drawXAxisLabels(ctx, data, chartDimensions, intendedStartTime, intendedTimeRange, cssVar);
 
   const getY = (value) => height - padding.bottom - ((chartHeight * value) / (maxValue || 1));
@@ -320,14 +459,7 @@ export function renderChart(data) {
     return padding.left + ((time.getTime() - intendedStartTime) / intendedTimeRange) * chartWidth;
   };
 
-  const stackedServer = series.server.slice();
-  const stackedClient = series.server.map((v, i) => v + series.client[i]);
-  const stackedOk = series.server.map((v, i) => v + series.client[i] + series.ok[i]);
-  const zeros = new Array(data.length).fill(0);
-
-  drawStackedArea(ctx, data, getX, getY, stackedOk, stackedClient, colors.ok);
-  drawStackedArea(ctx, data, getX, getY, stackedClient, stackedServer, colors.client);
-  drawStackedArea(ctx, data, getX, getY, stackedServer, zeros, colors.server);
+  plot.draw(ctx, getX, getY);
 
   // Detect anomalies (skip for ranges < 5 minutes)
   const lastIdx = data.length - 1;
@@ -337,19 +469,29 @@ export function renderChart(data) {
   for (let i = lastIdx; i >= 0 && parseUTC(data[i].t).getTime() >= cutoffTime; i -= 1) {
     endMargin += 1;
   }
-  const steps = timeRangeMs >= 5 * 60 * 1000 ? detectSteps(series, 5, { endMargin }) : [];
+  const steps = plot.stepSeries && timeRangeMs >= 5 * 60 * 1000
+    ? detectChartAnomalies(plot.stepSeries, data, { endMargin })
+    : [];
 
   setDetectedSteps(steps.map((s) => ({
     ...s,
+    metric: plot.metric,
     startTime: data[s.startIndex]?.t ? parseUTC(data[s.startIndex].t) : null,
     endTime: data[s.endIndex]?.t ? parseUTC(data[s.endIndex].t) : null,
   })));
 
-  const stacks = { stackedServer, stackedClient, stackedOk };
+  const seriesBounds = plot.getBandBounds(getY);
   for (const step of steps) {
-    drawAnomalyHighlight(ctx, step, data, chartDimensions, getX, getY, stacks);
+    drawAnomalyHighlight(ctx, step, data, chartDimensions, getX, seriesBounds);
   }
 
+  drawAlertFires(
+    ctx,
+    chartDimensions,
+    { start: intendedStartTime, end: intendedEndTime },
+    cssVar('--status-server-error'),
+  );
+
   // Draw blue selection band if there's a pending selection
   const pendingSelection = getPendingSelection();
   if (pendingSelection) {
@@ -396,13 +538,15 @@ export function renderChart(data) {
   // Fetch and render release ships asynchronously
   const intendedStartDate = new Date(intendedStartTime);
   const intendedEndDate = new Date(intendedEndTime);
-  getReleasesInRange(intendedStartDate, intendedEndDate).then((releases) => {
+  getReleasesInRange(intendedStartDate, intendedEndDate).then((allReleases) => {
+    const releases = filterReleases(allReleases);
     if (releases.length > 0) {
       const dims = {
         width, height, padding, chartWidth,
       };
       const timeRange = { start: intendedStartTime, end: intendedEndTime };
-      setShipPositions(renderReleaseShips(ctx, releases, data, dims, timeRange));
+      const marked = markSuspiciousReleases(releases, getDetectedSteps(), data);
+      setShipPositions(renderReleaseShips(ctx, marked, data, dims, timeRange));
     } else {
       setShipPositions(null);
     }
@@ -411,6 +555,24 @@ export function renderChart(data) {
     console.error('Failed to render releases:', err);
     setShipPositions(null);
   });
+
+  // Fetch and render the oncall band asynchronously
+  getOncallShiftsInRange(intendedStartDate, intendedEndDate).then((shifts) => {
+    setOncallShifts(shifts);
+    const timeRange = { start: intendedStartTime, end: intendedEndTime };
+    setOncallPositions(renderOncallBand(ctx, shifts, chartDimensions, timeRange));
+  });
+}
+
+/** Scrubber label for an anomaly's series: status class, or percentile in latency mode */
+function getAnomalyCategoryLabel(step) {
+  if (step?.metric === 'latency') {
+    return getLatencyCategoryLabel(step.category);
+  }
+  if (step?.category === 'red') {
+    return '5xx';
+  }
+  return step?.category === 'yellow' ? '4xx' : '2xx';
 }
 
 export function setupChartNavigation(callback) {
@@ -496,6 +658,16 @@ export function setupChartNavigation(callback) {
     if (!dataPoint) {
       return '';
     }
+    if (getSplitBreakdown()) {
+      return buildSplitBadges(dataPoint);
+    }
+    const chartMode = getChartMode();
+    if (chartMode === 'latency') {
+      return buildLatencyBadges(dataPoint);
+    }
+    if (chartMode === 'bytes') {
+      return buildBytesBadges(dataPoint);
+    }
     const ok = parseInt(dataPoint.cnt_ok, 10) || 0;
     const client = parseInt(dataPoint.cnt_4xx, 10) || 0;
     const server = parseInt(dataPoint.cnt_5xx, 10) || 0;
@@ -509,6 +681,8 @@ export function setupChartNavigation(callback) {
     if (server > 0) {
       html += `<span class="scrubber-value scrubber-value-5xx">${formatNumber(server)}</span>`;
     }
+    html += buildSampleBadge(dataPoint);
+    html += buildCompareBadge(dataPoint);
     return html;
   }
 
@@ -523,12 +697,7 @@ export function setupChartNavigation(callback) {
     const step = detectedSteps.find((s) => s.rank === anomaly.rank);
     const duration = formatDuration(anomaly.startTime, anomaly.endTime);
     const typeLabel = step?.type === 'spike' ? 'Spike' : 'Dip';
-    let categoryLabel = '2xx';
-    if (step?.category === 'red') {
-      categoryLabel = '5xx';
-    } else if (step?.category === 'yellow') {
-      categoryLabel = '4xx';
-    }
+    const categoryLabel = getAnomalyCategoryLabel(step);
 
     let magnitudeLabel;
     if (step?.magnitude >= 1) {
@@ -539,7 +708,9 @@ export function setupChartNavigation(callback) {
       magnitudeLabel = `${Math.round((step?.magnitude || 0) * 100)}%`;
     }
     const cat = step?.category || 'red';
-    return `<span class="scrubber-anomaly scrubber-anomaly-${cat}">${typeLabel} #${anomaly.rank}: ${categoryLabel} ${magnitudeLabel} over ${duration}</span>`;
+    const why = explainAnomaly(step);
+    const whyHtml = why ? `<span class="scrubber-anomaly-why">why: ${why}</span>` : '';
+    return `<span class="scrubber-anomaly scrubber-anomaly-${cat}">${typeLabel} #${anomaly.rank}: ${categoryLabel} ${magnitudeLabel} over ${duration}${whyHtml}</span>`;
   }
 
   /** Build release info HTML for scrubber */
@@ -550,6 +721,10 @@ export function setupChartNavigation(callback) {
     }
 
     const { release } = ship;
+    if (!release) {
+      const repos = [...new Set(ship.releases.map((r) => r.repo))];
+      return `<span class="scrubber-release">Releases: ${ship.releases.length} (${repos.join(', ')})</span>`;
+    }
     if (release.repo === 'aem-certificate-rotation') {
       return `<span class="scrubber-release scrubber-release-config">Config: ${release.repo}</span>`;
     }
@@ -685,12 +860,16 @@ export function setupChartNavigation(callback) {
     // Add color-coded value badges for the hovered data point
     row1 += buildValueBadges(time);
 
-    // Row 2: Anomaly and/or release info
+    // Row 2: Anomaly, fired alert and/or release info
     const row2Parts = [];
     const anomalyHtml = buildAnomalyInfo(x);
     if (anomalyHtml) {
       row2Parts.push(anomalyHtml);
     }
+    const alertHtml = buildAlertScrubberInfo(time);
+    if (alertHtml) {
+      row2Parts.push(alertHtml);
+    }
     const releaseHtml = buildReleaseInfo(x);
     if (releaseHtml) {
       row2Parts.push(releaseHtml);
@@ -722,6 +901,7 @@ export function setupChartNavigation(callback) {
     scrubberLine.classList.remove('visible');
     scrubberStatusBar.classList.remove('visible');
     hideReleaseTooltip();
+    hideOncallTooltip();
     canvas.style.cursor = '';
   });
 
@@ -733,9 +913,18 @@ export function setupChartNavigation(callback) {
 
     // Ship tooltip on hover (handled here since nav overlay captures canvas events)
     const ship = getShipAtPoint(getShipPositions(), x, y);
-    if (ship) {
+    const shift = ship ? null : getShiftAtPoint(getOncallPositions(), x, y);
+    if (shift) {
+      showOncallTooltip(shift.shift, e.clientX, e.clientY);
+    } else {
+      hideOncallTooltip();
+    }
+    if (ship?.release) {
       showReleaseTooltip(ship.release, e.clientX, e.clientY);
       canvas.style.cursor = 'pointer';
+    } else if (ship) {
+      showReleaseClusterTooltip(ship.releases, e.clientX, e.clientY);
+      canvas.style.cursor = 'pointer';
     } else {
       hideReleaseTooltip();
       // Restore cursor based on anomaly hover state
@@ -933,6 +1122,18 @@ export function setupChartNavigation(callback) {
         hideSelectionOverlay();
         return;
       }
+      const rect = canvas.getBoundingClientRect();
+      const ship = getShipAtPoint(getShipPositions(), e.clientX - rect.left, e.clientY - rect.top);
+      if (ship) {
+        // A cluster pins its release list so one can be picked
+        if (ship.release) {
+          hideReleaseTooltip();
+          openReleaseImpactDialog(ship.release);
+        } else {
+          pinReleaseClusterTooltip(ship.releases, e.clientX, e.clientY, openReleaseImpactDialog);
+        }
+        return;
+      }
       const anomalyBounds = getAnomalyAtX(e.clientX - canvas.getBoundingClientRect().left);
       if (anomalyBounds) {
         zoomToAnomalyByRank(anomalyBounds.rank);
@@ -963,6 +1164,10 @@ export function setupChartNavigation(callback) {
     }
     const rect = canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
+    // Ship clicks open the impact dialog (container mouseup)
+    if (getShipAtPoint(getShipPositions(), x, e.clientY - rect.top)) {
+      return;
+    }
     const anomaly = getAnomalyAtX(x);
     if (anomaly) {
       zoomToAnomalyByRank(anomaly.rank);
@@ -977,6 +1182,10 @@ export function setupChartNavigation(callback) {
     }
     const rect = canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
+    // Ship clicks open the impact dialog (container mouseup)
+    if (getShipAtPoint(getShipPositions(), x, e.clientY - rect.top)) {
+      return;
+    }
     const anomaly = getAnomalyAtX(x);
     if (anomaly) {
       zoomToAnomalyByRank(anomaly.rank);
@@ -1009,36 +1218,69 @@ export function setupChartNavigation(callback) {
   });
 }
 
-export async function loadTimeSeries(requestContext = getRequestContext('dashboard')) {
-  const { requestId, signal, scope } = requestContext;
-  const isCurrent = () => isRequestCurrent(requestId, scope);
-  const timeFilter = getTimeFilter();
-  const hostFilter = getHostFilter();
-  const facetFilters = getFacetFilters();
-  const bucket = getTimeBucket();
-  const step = getTimeBucketStep();
-  const rangeStart = getTimeRangeStart();
-  const rangeEnd = getTimeRangeEnd();
-
-  const timeSeriesTemplate = state.timeSeriesTemplate || 'time-series';
-  const sql = await loadSql(timeSeriesTemplate, {
-    bucket,
+/**
+ * Build the time series SQL for the selected window.
+ * @param {Object} [timeWindow] - Optional timeFilter/rangeStart/rangeEnd overrides
+ */
+function buildTimeSeriesSql(timeWindow = {}) {
+  const chartMode = getChartMode();
+  const modeTemplates = {
+    latency: ['time-series-latency', getLatencyTemplateParams],
+    bytes: ['time-series-bytes', getBytesTemplateParams],
+  };
+  const splitBreakdown = getSplitBreakdown();
+  if (splitBreakdown) {
+    modeTemplates.requests = ['time-series-split', () => getSplitTemplateParams(splitBreakdown)];
+  }
+  const [timeSeriesTemplate, getModeParams] = modeTemplates[chartMode]
+    || [state.timeSeriesTemplate || 'time-series', () => ({})];
+  return loadSql(timeSeriesTemplate, {
+    bucket: getTimeBucket(),
     database: DATABASE,
     table: getTable(),
-    timeFilter,
-    hostFilter,
-    facetFilters,
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
     additionalWhereClause: state.additionalWhereClause || '',
-    rangeStart,
-    rangeEnd,
-    step,
+    rangeStart: getTimeRangeStart(),
+    rangeEnd: getTimeRangeEnd(),
+    step: getTimeBucketStep(),
+    ...getModeParams(),
+    ...timeWindow,
   });
+}
+
+/**
+ * Load and render the chart.
+ * @param {Object} [requestContext]
+ * @param {Object} [options]
+ * @param {(err: Error) => void} [options.onError] - Called when the chart query failed
+ */
+export async function loadTimeSeries(
+  requestContext = getRequestContext('dashboard'),
+  { onError } = {},
+) {
+  const { requestId, signal, scope } = requestContext;
+  const isCurrent = () => isRequestCurrent(requestId, scope);
+  // The compare overlay is a request total, so it only applies to the status class chart
+  const comparePeriod = getChartMode() === 'requests' && !getSplitBreakdown()
+    ? getComparePeriod()
+    : null;
+
+  const sql = await buildTimeSeriesSql();
+  const compareSql = comparePeriod
+    ? await buildTimeSeriesSql(getShiftedTimeWindow(comparePeriod.offsetMs))
+    : null;
 
   try {
-    const result = await query(sql, { signal });
+    const [result, compareRows] = await Promise.all([
+      query(sql, { signal, label: 'chart' }),
+      compareSql ? fetchCompareRows(compareSql, signal) : null,
+    ]);
     if (!isCurrent()) {
       return;
     }
+    setCompareSeries(compareRows, comparePeriod?.offsetMs);
     state.chartData = result.data;
     renderChart(result.data);
   } catch (err) {
@@ -1047,5 +1289,6 @@ export async function loadTimeSeries(requestContext = getRequestContext('dashboa
     }
     // eslint-disable-next-line no-console
     console.error('Chart error:', err);
+    onError?.(err);
   }
 }
@@ -95,8 +95,91 @@ export const TIME_RANGES = {
 /** @type {string} */
 export const DEFAULT_TIME_RANGE = '7d';
 
+/**
+ * Period-over-period comparison offsets for the chart overlay.
+ * @type {Record<string, { label: string, offsetMs: number }>}
+ */
+export const COMPARE_PERIODS = {
+  '1d': { label: '1 day ago', offsetMs: 24 * 60 * 60 * 1000 },
+  '1w': { label: '1 week ago', offsetMs: 7 * 24 * 60 * 60 * 1000 },
+};
+
+/**
+ * Main chart metrics. 'latency' is stored as the `chart` URL parameter; 'bytes' follows the
+ * count/bytes toggle shared with the facets (`ctm`).
+ * @type {Record<string, { label: string, title: string }>}
+ */
+export const CHART_MODES = {
+  requests: { label: 'Requests', title: 'Requests by status class' },
+  bytes: { label: 'Bytes', title: 'Bytes served by cache status' },
+  latency: { label: 'Latency', title: 'p50 / p95 / p99 response time' },
+};
+
+/**
+ * Anomaly detectors for the main chart, keyed by the `ad` URL parameter value.
+ * @type {Record<string, { label: string, title: string }>}
+ */
+export const ANOMALY_DETECTORS = {
+  window: { label: 'window', title: 'Flag deviations from the median of the visible window' },
+  seasonal: {
+    label: 'seasonal',
+    title: 'Flag deviations from the same time on other days (needs 3+ days, else robust median)',
+  },
+};
+
+/**
+ * Anomaly detection sensitivity, keyed by the `as` URL parameter value.
+ * thresholdScale multiplies the detector's threshold.
+ * @type {Record<string, { label: string, thresholdScale: number }>}
+ */
+export const ANOMALY_SENSITIVITIES = {
+  low: { label: 'low', thresholdScale: 1.5 },
+  medium: { label: 'med', thresholdScale: 1 },
+  high: { label: 'high', thresholdScale: 0.7 },
+};
+
+/**
+ * Live mode refresh intervals, keyed by the `live` URL parameter value.
+ * @type {Record<string, { label: string, intervalMs: number }>}
+ */
+export const LIVE_INTERVALS = {
+  '10s': { label: 'Live 10s', intervalMs: 10 * 1000 },
+  '30s': { label: 'Live 30s', intervalMs: 30 * 1000 },
+  '1m': { label: 'Live 1m', intervalMs: 60 * 1000 },
+};
+
 /** @type {number[]} */
 export const TOP_N_OPTIONS = [5, 10, 20, 50, 100];
 
 /** @type {number} */
 export const DEFAULT_TOP_N = 5;
+
+/**
+ * Rows (per EXPLAIN ESTIMATE) above which a high-cardinality facet waits for "Run anyway".
+ * Dashboards can override it with the `facetRowBudget` config key.
+ * @type {number}
+ */
+export const DEFAULT_FACET_ROW_BUDGET = 2e9;
+
+/**
+ * Row budget of the log table dashboards (lambda_logs, da_worker_logs, helix_mixer_logs).
+ * Their rows carry messages and log arrays, so each row read costs more than a CDN row.
+ * @type {number}
+ */
+export const LOG_FACET_ROW_BUDGET = 5e8;
+
+/**
+ * ClickHouse settings sent with facet queries that run over the row budget.
+ * @type {Record<string, number>}
+ */
+export const OVER_BUDGET_QUERY_SETTINGS = {
+  max_execution_time: 60,
+  max_memory_usage: 10 * 1024 * 1024 * 1024,
+};
+
+/**
+ * Sampled rows below which a weighted count is marked "low sample" and de-emphasized
+ * (its 95% confidence interval is wider than about ±35%).
+ * @type {number}
+ */
+export const LOW_SAMPLE_ROWS = 30;
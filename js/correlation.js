@@ -0,0 +1,287 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Cross-table request correlation. CORRELATION_LINKS declares which tables share which keys;
+ * traceRequestJourney() follows them from one log row to the matching rows in every
+ * reachable table (correlation-hop.sql), one table per hop.
+ */
+
+import { query, isAbortError, getQueryErrorDetails } from './api.js';
+import { DATABASE } from './config.js';
+import { loadSql } from './sql-loader.js';
+
+/** Tables that can be part of a journey, with the columns that summarize one of their rows */
+export const CORRELATION_TABLES = {
+  delivery: {
+    label: 'Delivery',
+    fields: ['request.host', 'request.url', 'response.status', 'cdn.cache_status', 'cdn.time_elapsed_msec'],
+  },
+  backend: {
+    label: 'Backend',
+    fields: ['request.host', 'request.url', 'response.status', 'helix.backend_type', 'cdn.time_elapsed_msec'],
+  },
+  admin: {
+    label: 'Admin',
+    fields: ['request.method', 'request.url', 'response.status', 'cdn.time_elapsed_msec', 'response.headers.x_error'],
+  },
+  lambda_logs: {
+    label: 'Lambda',
+    fields: ['function_name', 'level', 'message'],
+  },
+  da: {
+    label: 'DA',
+    fields: ['request.host', 'request.url', 'response.status', 'cdn.script_name', 'cdn.time_elapsed_msec'],
+  },
+  da_worker_logs: {
+    label: 'DA Workers',
+    fields: ['script_name', 'outcome', 'response.status', 'cpu_ms', 'wall_ms'],
+  },
+};
+
+/**
+ * Links between two tables. Each key maps both tables to the column(s) holding the shared
+ * value; with several columns a row matches on any of them and offers the first non-empty
+ * one. Links work in both directions, and matches must lie within windowSeconds. Where
+ * several links join the same two tables, the first one whose keys the row has is used.
+ * delivery and backend share no request id, so they match on the customer host, the URL
+ * and a short time window. helix_mixer_logs is not linked: delivery has no ray id, and
+ * URL and method alone would match requests to every site.
+ */
+export const CORRELATION_LINKS = [
+  {
+    tables: ['delivery', 'backend'],
+    keys: [
+      {
+        delivery: ['request.headers.x_forwarded_host', 'request.host'],
+        backend: ['request.headers.x_forwarded_host'],
+      },
+      { delivery: ['request.url'], backend: ['request.url'] },
+    ],
+    windowSeconds: 5,
+  },
+  {
+    tables: ['admin', 'lambda_logs'],
+    keys: [{ admin: ['response.headers.x_invocation_id'], lambda_logs: ['request_id'] }],
+    windowSeconds: 300,
+  },
+  {
+    tables: ['da', 'da_worker_logs'],
+    keys: [{ da: ['ray_id'], da_worker_logs: ['ray_id'] }],
+    windowSeconds: 300,
+  },
+];
+
+const MATCH_LIMIT = 5;
+const MAX_HOPS = 4;
+// Placeholders that never identify a request ("0" marks internal service-binding calls)
+const EMPTY_KEY_VALUES = new Set(['', '0']);
+
+function sqlString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Links that lead away from a table.
+ * @param {string} table
+ * @returns {Array<{ link: Object, target: string }>}
+ */
+export function getCorrelationHops(table) {
+  return CORRELATION_LINKS
+    .filter((link) => link.tables.includes(table))
+    .map((link) => ({ link, target: link.tables.find((t) => t !== table) }));
+}
+
+/**
+ * Whether rows of a table can be correlated with any other table.
+ * @param {string} table
+ * @returns {boolean}
+ */
+export function hasCorrelations(table) {
+  return getCorrelationHops(table).length > 0;
+}
+
+/**
+ * Short description of how a link matches, e.g. "ray_id" or "x_forwarded_host + url ±5s".
+ * @param {Object} link
+ * @param {string} target - Table the description is for
+ * @returns {string}
+ */
+export function describeLink(link, target) {
+  const keys = link.keys.map((key) => key[target][0].split('.').pop()).join(' + ');
+  return link.windowSeconds < 60 ? `${keys} ±${link.windowSeconds}s` : keys;
+}
+
+function readKeyValue(row, columns) {
+  const value = columns
+    .map((col) => row[col])
+    .find((v) => v !== undefined && v !== null && !EMPTY_KEY_VALUES.has(String(v)));
+  return value === undefined ? null : String(value);
+}
+
+/**
+ * Key conditions finding the rows of `target` that share `row`'s keys, at any time.
+ * @param {Object} link
+ * @param {string} source
+ * @param {string} target
+ * @param {Object} row - Row of the source table
+ * @returns {string[]|null} null when the row lacks one of the keys
+ */
+export function buildKeyConditions(link, source, target, row) {
+  const conditions = [];
+  for (const key of link.keys) {
+    const value = readKeyValue(row, key[source]);
+    if (value === null) {
+      return null;
+    }
+    const matches = key[target].map((col) => `\`${col}\` = ${sqlString(value)}`);
+    conditions.push(matches.length > 1 ? `(${matches.join(' OR ')})` : matches[0]);
+  }
+  return conditions;
+}
+
+/**
+ * WHERE conditions finding the rows of `target` that match `row` of `source`.
+ * @param {Object} link
+ * @param {string} source
+ * @param {string} target
+ * @param {Object} row - Row of the source table
+ * @returns {string|null} null when the row lacks one of the keys
+ */
+export function buildHopConditions(link, source, target, row) {
+  const conditions = buildKeyConditions(link, source, target, row);
+  if (!conditions || !row.timestamp) {
+    return null;
+  }
+  const ts = `toDateTime64(${sqlString(row.timestamp)}, 3)`;
+  const window = `INTERVAL ${link.windowSeconds} SECOND`;
+  conditions.push(`timestamp BETWEEN ${ts} - ${window} AND ${ts} + ${window}`);
+  return conditions.join(' AND ');
+}
+
+/**
+ * The link to follow from a row into each table it can reach: the first declared link
+ * whose keys the row has.
+ * @param {string} table
+ * @param {Object} row
+ * @returns {Array<{ link: Object, target: string, conditions: string }>}
+ */
+export function getRowHops(table, row) {
+  const hops = [];
+  getCorrelationHops(table).forEach(({ link, target }) => {
+    if (hops.some((hop) => hop.target === target)) {
+      return;
+    }
+    const conditions = buildHopConditions(link, table, target, row);
+    if (conditions) {
+      hops.push({ link, target, conditions });
+    }
+  });
+  return hops;
+}
+
+/**
+ * The single-key link that joins a column of a table to another table, e.g. `ray_id` of
+ * da_worker_logs to da.
+ * @param {string} table
+ * @param {string} column
+ * @returns {{ link: Object, target: string }|null}
+ */
+export function findColumnLink(table, column) {
+  return getCorrelationHops(table)
+    .find(({ link }) => link.keys.length === 1 && link.keys[0][table].includes(column)) || null;
+}
+
+/**
+ * Rows of a table matching hop conditions, oldest first.
+ * @param {string} table
+ * @param {string} conditions - From buildHopConditions or buildKeyConditions
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchLinkedRows(table, conditions, { signal } = {}) {
+  const sql = await loadSql('correlation-hop', {
+    database: DATABASE,
+    table,
+    conditions,
+    limit: String(MATCH_LIMIT),
+  });
+  const result = await query(sql, { signal });
+  return result.data;
+}
+
+/**
+ * @typedef {Object} JourneyEntry
+ * @property {string} table
+ * @property {Object} row
+ * @property {string|null} via - How the row was matched (null for the starting row)
+ * @property {number} hop - Hops away from the starting row
+ */
+
+// Query every unvisited neighbour of the frontier rows; returns the matches per table
+async function runHop(frontier, visited, signal) {
+  const steps = frontier.flatMap((from) => getRowHops(from.table, from.row)
+    .filter(({ target }) => !visited.has(target)));
+  steps.forEach(({ target }) => visited.add(target));
+  const results = await Promise.allSettled(steps.map(({ target, conditions }) => (
+    fetchLinkedRows(target, conditions, { signal })
+  )));
+  return results.map((result, i) => ({ ...steps[i], result }));
+}
+
+/**
+ * Follow the correlation links from a row through every reachable table. Each table is
+ * visited once; the search continues from the first match in it. Failed hops (e.g. a table
+ * the user can't read) are reported and skipped.
+ * @param {string} table - Table of the starting row
+ * @param {Object} row
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ entries: JourneyEntry[], errors: Array<{ table: string,
+ *   message: string }> }>} entries sorted by timestamp
+ */
+export async function traceRequestJourney(table, row, { signal } = {}) {
+  const entries = [{
+    table, row, via: null, hop: 0,
+  }];
+  const errors = [];
+  const visited = new Set([table]);
+
+  const walk = async (frontier, hop) => {
+    if (hop > MAX_HOPS || frontier.length === 0) {
+      return;
+    }
+    const next = [];
+    const steps = await runHop(frontier, visited, signal);
+    steps.forEach(({ link, target, result }) => {
+      if (result.status === 'rejected') {
+        if (isAbortError(result.reason)) {
+          throw result.reason;
+        }
+        errors.push({ table: target, message: getQueryErrorDetails(result.reason).message });
+        return;
+      }
+      result.value.forEach((match) => entries.push({
+        table: target, row: match, via: describeLink(link, target), hop,
+      }));
+      if (result.value.length > 0) {
+        next.push({ table: target, row: result.value[0] });
+      }
+    });
+    await walk(next, hop + 1);
+  };
+  await walk([{ table, row }], 1);
+
+  entries.sort((a, b) => String(a.row.timestamp).localeCompare(String(b.row.timestamp)));
+  return { entries, errors };
+}
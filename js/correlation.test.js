@@ -0,0 +1,159 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { state } from './state.js';
+import {
+  CORRELATION_LINKS, getCorrelationHops, hasCorrelations, describeLink, buildHopConditions,
+  getRowHops, findColumnLink, traceRequestJourney,
+} from './correlation.js';
+
+const deliveryBackend = CORRELATION_LINKS.find((l) => l.tables.includes('backend'));
+const adminLambda = CORRELATION_LINKS.find((l) => l.tables.includes('lambda_logs'));
+
+describe('getCorrelationHops', () => {
+  it('lists links in both directions', () => {
+    assert.deepEqual(getCorrelationHops('delivery').map((h) => h.target), ['backend']);
+    assert.sameMembers(getCorrelationHops('lambda_logs').map((h) => h.target), ['admin']);
+  });
+
+  it('reports tables without links', () => {
+    assert.isTrue(hasCorrelations('admin'));
+    assert.isFalse(hasCorrelations('helix_mixer_logs'));
+    assert.isFalse(hasCorrelations('unknown_table'));
+  });
+});
+
+describe('describeLink', () => {
+  it('names the target columns and a short time window', () => {
+    assert.strictEqual(describeLink(deliveryBackend, 'backend'), 'x_forwarded_host + url ±5s');
+    assert.strictEqual(describeLink(adminLambda, 'lambda_logs'), 'request_id');
+  });
+});
+
+describe('buildHopConditions', () => {
+  const timestamp = '2026-01-15 10:30:00.123';
+
+  it('matches on the key within the time window', () => {
+    const row = { timestamp, 'response.headers.x_invocation_id': 'abc-123' };
+    const sql = buildHopConditions(adminLambda, 'admin', 'lambda_logs', row);
+    assert.include(sql, "`request_id` = 'abc-123'");
+    assert.include(sql, "toDateTime64('2026-01-15 10:30:00.123', 3) - INTERVAL 300 SECOND");
+  });
+
+  it('takes the first non-empty source column and escapes quotes', () => {
+    const row = {
+      timestamp,
+      'request.headers.x_forwarded_host': '',
+      'request.host': 'www.example.com',
+      'request.url': "/it's",
+    };
+    const sql = buildHopConditions(deliveryBackend, 'delivery', 'backend', row);
+    assert.include(sql, "`request.headers.x_forwarded_host` = 'www.example.com'");
+    assert.include(sql, "`request.url` = '/it\\'s'");
+  });
+
+  it('matches any of several target columns', () => {
+    const row = { timestamp, 'request.headers.x_forwarded_host': 'a.example', 'request.url': '/' };
+    const sql = buildHopConditions(deliveryBackend, 'backend', 'delivery', row);
+    assert.include(sql, "(`request.headers.x_forwarded_host` = 'a.example' OR `request.host` = 'a.example')");
+  });
+
+  it('returns null when a key is missing or a placeholder', () => {
+    assert.isNull(buildHopConditions(adminLambda, 'admin', 'lambda_logs', { timestamp }));
+    const internal = { timestamp, 'response.headers.x_invocation_id': '0' };
+    assert.isNull(buildHopConditions(adminLambda, 'admin', 'lambda_logs', internal));
+  });
+});
+
+describe('getRowHops', () => {
+  const timestamp = '2026-01-15 10:30:00.123';
+
+  it('lists the linked tables with their match conditions', () => {
+    const row = { timestamp, 'request.host': 'www.example.com', 'request.url': '/' };
+    const [hop] = getRowHops('delivery', row);
+    assert.strictEqual(hop.link, deliveryBackend);
+    assert.strictEqual(hop.target, 'backend');
+    assert.include(hop.conditions, "`request.headers.x_forwarded_host` = 'www.example.com'");
+  });
+
+  it('skips tables the row has no keys for', () => {
+    assert.isEmpty(getRowHops('delivery', { timestamp, 'request.url': '/' }));
+  });
+});
+
+describe('findColumnLink', () => {
+  it('finds single-key links of a column', () => {
+    assert.strictEqual(findColumnLink('da_worker_logs', 'ray_id').target, 'da');
+    assert.strictEqual(findColumnLink('admin', 'response.headers.x_invocation_id').target, 'lambda_logs');
+    assert.isNull(findColumnLink('delivery', 'ray_id'));
+    assert.isNull(findColumnLink('delivery', 'request.url'));
+  });
+});
+
+describe('traceRequestJourney', () => {
+  let originalFetch;
+  let savedCredentials;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'test', password: 'test' };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  // Answers each hop query with the rows of the table it targets
+  function mockTables(rowsByTable) {
+    window.fetch = async (url, options) => {
+      if (url.endsWith('.sql')) {
+        return {
+          ok: true,
+          text: async () => 'SELECT * FROM {{database}}.{{table}} WHERE {{conditions}} LIMIT {{limit}}',
+        };
+      }
+      const table = options.body.match(/FROM \w+\.(\w+)/)[1];
+      const rows = rowsByTable[table];
+      if (!rows) {
+        return { ok: false, status: 403, text: async () => `Not enough privileges on ${table}` };
+      }
+      return { ok: true, status: 200, json: async () => ({ data: rows }) };
+    };
+  }
+
+  it('follows links to the matching rows in time order', async () => {
+    mockTables({
+      delivery: [{ timestamp: '2026-01-15 10:29:59.950', 'request.host': 'www.example.com', 'request.url': '/' }],
+    });
+    const start = {
+      timestamp: '2026-01-15 10:30:00.000', 'request.headers.x_forwarded_host': 'www.example.com', 'request.url': '/',
+    };
+    const { entries, errors } = await traceRequestJourney('backend', start);
+    assert.deepEqual(entries.map((e) => [e.table, e.hop]), [['delivery', 1], ['backend', 0]]);
+    assert.strictEqual(entries[0].via, 'x_forwarded_host + url ±5s');
+    assert.isEmpty(errors);
+  });
+
+  it('reports failed hops without dropping the others', async () => {
+    mockTables({});
+    const start = {
+      timestamp: '2026-01-15 10:30:00.000', 'request.host': 'a.example', 'request.url': '/',
+    };
+    const { entries, errors } = await traceRequestJourney('delivery', start);
+    assert.lengthOf(entries, 1);
+    assert.lengthOf(errors, 1);
+    assert.strictEqual(errors[0].table, 'backend');
+    assert.include(errors[0].message, 'privileges');
+  });
+});
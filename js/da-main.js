@@ -27,6 +27,7 @@ initDashboard({
   title: 'DA',
   tableName: 'da',
   weightColumn: 'weight',
+  latencyColumn: 'cdn.time_elapsed_msec',
   timeSeriesTemplate: 'time-series-delivery',
   breakdowns: daBreakdowns,
   defaultHiddenFacets: DEFAULT_HIDDEN_FACETS,
@@ -9,6 +9,7 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { LOG_FACET_ROW_BUDGET } from './constants.js';
 import { initDashboard } from './dashboard-init.js';
 import { daWorkerBreakdowns } from './breakdowns/definitions-da-workers.js';
 
@@ -54,4 +55,5 @@ initDashboard({
   logColumnOrder: LOG_COLUMN_ORDER,
   defaultHiddenFacets: DEFAULT_HIDDEN_FACETS,
   breakdowns: daWorkerBreakdowns,
+  facetRowBudget: LOG_FACET_ROW_BUDGET,
 });
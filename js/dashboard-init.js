@@ -13,7 +13,7 @@ import {
   state, togglePinnedColumn, togglePinnedFacet, toggleHiddenFacet, setOnFacetOrderChange,
 } from './state.js';
 import { initTheme } from './theme.js';
-import { setForceRefresh } from './api.js';
+import { isQueryFailure, setForceRefresh } from './api.js';
 import {
   setElements, handleLogin, handleLogout, showDashboard, loadStoredCredentials,
 } from './auth.js';
@@ -22,7 +22,7 @@ import {
   setOnStateRestored, setOnBeforeRestore,
 } from './url-state.js';
 import {
-  queryTimestamp, setQueryTimestamp, clearCustomTimeRange,
+  queryTimestamp, setQueryTimestamp, clearCustomTimeRange, isCustomTimeRange,
   getTimeFilter, getHostFilter,
 } from './time.js';
 import {
@@ -32,21 +32,43 @@ import {
 import {
   loadTimeSeries, setupChartNavigation, getLastChartData, renderChart,
 } from './chart.js';
+import { initCompareControl, updateCompareControl } from './chart-compare.js';
+import {
+  initAnomalyControl, updateAnomalyControl, getNextSensitivity,
+} from './chart-anomaly.js';
+import {
+  initReleaseFilterControl, updateReleaseFilterControl, toggleReleaseFilterPanel,
+  clearReleaseFilter,
+} from './release-filter.js';
+import { initChartModeControl, updateChartModeControl, getChartMode } from './chart-modes.js';
+import { initSplitControl, updateSplitControl } from './chart-split.js';
+import { setOnAlertsChange, startAlertWatcher } from './alerts.js';
+import { openAlertsDialog, refreshAlertsUi } from './alerts-dialog.js';
+import { openCacheRatioDialog } from './cache-ratio-dialog.js';
+import { openPivotDialog } from './pivot-dialog.js';
+import { openHeatmapDialog } from './heatmap-dialog.js';
+import { openLogsExportDialog } from './logs-export-dialog.js';
+import { openSqlConsole } from './sql-console-dialog.js';
+import { openQueryInspector } from './query-inspector-dialog.js';
+import { clearQueryLog } from './query-log.js';
+import { initLiveMode, setLiveMode } from './live.js';
 import {
   loadAllBreakdowns,
   loadBreakdown,
   getBreakdowns,
+  isFacetViewportGated,
   markSlowestFacet,
   resetFacetTimings,
 } from './breakdowns/index.js';
 import { getNextTopN } from './breakdowns/render.js';
+import { getNextDeltaMode } from './breakdowns/delta.js';
 import {
   addFilter, removeFilter, removeFilterByValue, clearFiltersForColumn, setFilterCallbacks,
   getFilterForValue, setOnOwnerRepoFilterChange, renderActiveFilters, clearOwnerRepoFilter,
 } from './filters.js';
 import { clearAllowedColumnsCache } from './filter-sql.js';
 import {
-  loadLogs, cycleViewMode, setViewMode, applyViewMode,
+  loadLogs, loadNewLogs, cycleViewMode, setViewMode, applyViewMode,
   setLogsElements, setOnShowFiltersView, setOnShowLogsView,
 } from './logs.js';
 import {
@@ -60,9 +82,12 @@ import {
 import { initFacetPalette } from './facet-palette.js';
 import { initFacetSearch, openFacetSearch } from './ui/facet-search.js';
 import { copyFacetAsTsv } from './copy-facet.js';
-import { invalidateInvestigationCache } from './anomaly-investigation.js';
 import {
-  populateTimeRangeSelect, populateTopNSelect, updateTimeRangeLabels, syncTimeRangeSelectDisplay,
+  invalidateInvestigationCache, investigateAnomalies, reapplyHighlightsIfCached,
+} from './anomaly-investigation.js';
+import {
+  populateTimeRangeSelect, populateTopNSelect, populateLiveModeSelect, updateTimeRangeLabels,
+  syncTimeRangeSelectDisplay,
 } from './ui/selects.js';
 import {
   initHostFilterDoubleTap, initMobileTouchSupport, initPullToRefresh, initMobileFiltersPosition,
@@ -79,6 +104,9 @@ import { startRequestContext, isRequestCurrent } from './request-context.js';
  * @param {string} [config.additionalWhereClause] - Extra SQL WHERE clause for all queries
  * @param {string[]} [config.defaultHiddenFacets] - Facet IDs to hide by default
  * @param {string} [config.weightColumn] - Column for weighted sums (e.g. delivery sampling weight)
+ * @param {string} [config.latencyColumn] - Response time column (ms) for the latency chart mode
+ * @param {number} [config.facetRowBudget] - Estimated rows above which high-cardinality facets
+ *   wait for "Run anyway" (default DEFAULT_FACET_ROW_BUDGET)
  */
 export function initDashboard(config = {}) {
   // DOM Elements
@@ -93,9 +121,17 @@ export function initDashboard(config = {}) {
     ownerRepoFilterInput: document.getElementById('ownerRepoFilter'),
     searchFilterInput: document.getElementById('searchFilter'),
     refreshBtn: document.getElementById('refreshBtn'),
+    liveModeSelect: document.getElementById('liveMode'),
     logoutBtn: document.getElementById('logoutBtn'),
     viewCycleBtn: document.getElementById('viewCycleBtn'),
     manageColumnsBtn: document.getElementById('manageColumnsBtn'),
+    exportLogsBtn: document.getElementById('exportLogsBtn'),
+    sqlConsoleBtn: document.getElementById('sqlConsoleBtn'),
+    queryInspectorBtn: document.getElementById('queryInspectorBtn'),
+    alertsBtn: document.getElementById('alertsBtn'),
+    cacheRatioBtn: document.getElementById('cacheRatioBtn'),
+    pivotBtn: document.getElementById('pivotBtn'),
+    heatmapBtn: document.getElementById('heatmapBtn'),
     logsView: document.getElementById('logsView'),
     filtersView: document.getElementById('filtersView'),
     contentArea: document.getElementById('contentArea'),
@@ -114,8 +150,9 @@ export function initDashboard(config = {}) {
     dashboardContext,
     facetsContext,
     refresh = false,
+    onError = undefined,
   ) {
-    const timeSeriesPromise = loadTimeSeries(dashboardContext);
+    const timeSeriesPromise = loadTimeSeries(dashboardContext, { onError });
     const focusedFacetId = getFocusedFacetId();
     const isDashboardCurrent = () => isRequestCurrent(
       dashboardContext.requestId,
@@ -125,10 +162,14 @@ export function initDashboard(config = {}) {
 
     const lazyFacets = !refresh;
 
-    const facetPromises = getBreakdowns().map(
+    const breakdowns = getBreakdowns();
+    // Offscreen facets issue no query until they scroll into view, so nobody waits on them
+    const gated = breakdowns.map((b) => lazyFacets && isFacetViewportGated(b.id));
+    const facetPromises = breakdowns.map(
       (b) => loadBreakdown(b, timeFilter, hostFilter, facetsContext, {
         lazyWait: lazyFacets,
         force: refresh,
+        onError,
       }).then(() => {
         if (!isFacetsCurrent()) {
           return;
@@ -139,13 +180,17 @@ export function initDashboard(config = {}) {
         if (focusedFacetId === b.id) {
           restoreKeyboardFocus();
         }
+        reapplyHighlightsIfCached();
       }),
     );
 
+    // Wrapped so awaiting the chart doesn't also wait for the facets
+    const loading = { facets: Promise.all(facetPromises.filter((_, i) => !gated[i])) };
+
     await timeSeriesPromise;
 
     if (!isDashboardCurrent()) {
-      return;
+      return loading;
     }
 
     if (!hasVisibleUpdatingFacets()) {
@@ -155,8 +200,11 @@ export function initDashboard(config = {}) {
     Promise.all(facetPromises).then(() => {
       if (isFacetsCurrent()) {
         markSlowestFacet();
+        // After the facets, so investigation queries don't compete with them
+        investigateAnomalies(facetsContext);
       }
     });
+    return loading;
   }
 
   // Update keyboard hint for time range to show next option number
@@ -175,6 +223,7 @@ export function initDashboard(config = {}) {
   async function loadDashboard(refresh = false) {
     const dashboardContext = startRequestContext('dashboard');
     const facetsContext = startRequestContext('facets');
+    clearQueryLog();
     setForceRefresh(refresh);
     if (refresh) {
       invalidateInvestigationCache();
@@ -204,6 +253,49 @@ export function initDashboard(config = {}) {
     setForceRefresh(false);
   }
 
+  // Live mode tick: slide the window to now, reload chart and facets, prepend new log rows.
+  // Resolves false when one of the tick's own queries failed (not on errors in our own code).
+  async function refreshLive() {
+    if (isCustomTimeRange()) {
+      // A chart selection pins the window, so leave live mode instead of discarding it
+      setLiveMode(null, { runNow: false });
+      saveStateToURL();
+      return true;
+    }
+    const dashboardContext = startRequestContext('dashboard');
+    const facetsContext = startRequestContext('facets');
+    clearQueryLog();
+    setForceRefresh(true);
+    setQueryTimestamp(new Date());
+    syncTimeRangeSelectDisplay(elements.timeRangeSelect);
+    startQueryTimer();
+    resetFacetTimings();
+
+    const showLogs = state.viewMode === 'logs' || state.viewMode === 'split';
+    if (!showLogs) {
+      // Hidden logs go stale; reload them when the logs view is shown again
+      state.logsReady = false;
+    }
+    let failed = false;
+    const onError = (err) => {
+      failed = failed || isQueryFailure(err);
+    };
+    const [loading] = await Promise.all([
+      loadDashboardQueries(
+        getTimeFilter(),
+        getHostFilter(),
+        dashboardContext,
+        facetsContext,
+        false,
+        onError,
+      ),
+      showLogs ? loadNewLogs(dashboardContext, { onError }) : null,
+    ]);
+    setForceRefresh(false);
+    await loading.facets;
+    return !failed;
+  }
+
   // Set up callback to redraw chart when switching from logs to filters view
   setOnShowFiltersView(() => {
     if (state.chartData) {
@@ -239,6 +331,12 @@ export function initDashboard(config = {}) {
   setOnBeforeRestore(() => invalidateInvestigationCache());
   setOnStateRestored(() => {
     applyDefaultHiddenFacets();
+    updateChartModeControl();
+    updateCompareControl();
+    updateSplitControl();
+    updateAnomalyControl();
+    updateReleaseFilterControl();
+    setLiveMode(state.liveMode, { runNow: false });
     loadDashboard();
   });
 
@@ -282,6 +380,15 @@ export function initDashboard(config = {}) {
 
   setOnFacetOrderChange(reorderFacets);
 
+  // Alert evaluations and rule edits: refresh the alerts UI; redraw breach marks if fires changed
+  setOnAlertsChange(({ firesChanged }) => {
+    refreshAlertsUi();
+    const lastData = getLastChartData();
+    if (firesChanged && lastData) {
+      renderChart(lastData);
+    }
+  });
+
   function increaseTopN() {
     const next = getNextTopN();
     if (next) {
@@ -289,14 +396,25 @@ export function initDashboard(config = {}) {
       elements.topNSelect.value = next;
       saveStateToURL();
       const facetsContext = startRequestContext('facets');
-      loadAllBreakdowns(facetsContext);
+      loadAllBreakdowns(facetsContext).then(reapplyHighlightsIfCached);
     }
   }
 
+  // Reload only the chart (mode or overlay changed)
+  function reloadChart() {
+    loadTimeSeries(startRequestContext('chart'));
+  }
+
   function toggleFacetMode(stateKey) {
     state[stateKey] = state[stateKey] === 'count' ? 'bytes' : 'count';
     saveStateToURL();
 
+    // The requests/bytes chart follows the count/bytes toggle
+    if (stateKey === 'contentTypeMode' && state.chartMode !== 'latency') {
+      updateChartModeControl();
+      reloadChart();
+    }
+
     const timeFilter = getTimeFilter();
     const hostFilter = getHostFilter();
     const breakdowns = getBreakdowns().filter((b) => b.modeToggle === stateKey);
@@ -306,6 +424,86 @@ export function initDashboard(config = {}) {
     }
   }
 
+  // Run a facet that was held back by the query cost budget (with execution limits)
+  function runFacetAnyway(facetId) {
+    const breakdown = getBreakdowns().find((b) => b.id === facetId);
+    if (!breakdown) { return; }
+    const facetContext = startRequestContext(`facet:${facetId}`);
+    loadBreakdown(breakdown, getTimeFilter(), getHostFilter(), facetContext, {
+      force: true, runAnyway: true,
+    });
+  }
+
+  // Cycle facet delta mode (off → change → biggest movers) and reload all facets
+  function cycleFacetDeltaMode() {
+    state.facetDeltaMode = getNextDeltaMode(state.facetDeltaMode);
+    saveStateToURL();
+    const facetsContext = startRequestContext('facets');
+    loadAllBreakdowns(facetsContext).then(reapplyHighlightsIfCached);
+  }
+
+  // Switch the metric plotted by the chart. Requests vs bytes is the count/bytes toggle,
+  // which also reloads the facets that follow it.
+  function setChartMode(mode) {
+    if (mode === getChartMode()) {
+      return;
+    }
+    state.chartMode = mode === 'latency' ? 'latency' : 'requests';
+    const isBytes = state.contentTypeMode === 'bytes';
+    if (mode !== 'latency' && (mode === 'bytes') !== isBytes) {
+      toggleFacetMode('contentTypeMode');
+      return;
+    }
+    saveStateToURL();
+    updateChartModeControl();
+    reloadChart();
+  }
+
+  // Toggle the period-over-period overlay; only the chart needs to reload
+  function toggleCompareMode(mode) {
+    state.compareMode = state.compareMode === mode ? null : mode;
+    saveStateToURL();
+    updateCompareControl();
+    reloadChart();
+  }
+
+  // Split the requests chart by a facet (null for status classes); only the chart reloads
+  function setChartSplit(facetId) {
+    state.chartSplit = facetId;
+    saveStateToURL();
+    updateSplitControl();
+    reloadChart();
+  }
+
+  // Detection runs on the loaded series, so a redraw is enough; the investigation
+  // follows the new anomalies (cached when they are unchanged)
+  function redetectAnomalies() {
+    saveStateToURL();
+    updateAnomalyControl();
+    if (state.chartData) {
+      renderChart(state.chartData);
+      investigateAnomalies();
+    }
+  }
+
+  function toggleAnomalyDetector(mode) {
+    state.anomalyDetector = state.anomalyDetector === mode ? 'window' : mode;
+    redetectAnomalies();
+  }
+
+  function cycleAnomalySensitivity() {
+    state.anomalySensitivity = getNextSensitivity();
+    redetectAnomalies();
+  }
+
+  // Release filter changes only affect the ships, so redraw without reloading
+  function applyReleaseFilter() {
+    saveStateToURL();
+    if (state.chartData) {
+      renderChart(state.chartData);
+    }
+  }
+
   function applySearchConfig() {
     if (config.requestIdColumn !== undefined) {
       state.requestIdColumn = config.requestIdColumn;
@@ -315,6 +513,12 @@ export function initDashboard(config = {}) {
     }
   }
 
+  function applyBudgetConfig() {
+    if (config.facetRowBudget) {
+      state.facetRowBudget = config.facetRowBudget;
+    }
+  }
+
   function applyConfig(initialParams) {
     if (config.title && !state.title) { state.title = config.title; }
     if (config.additionalWhereClause !== undefined) {
@@ -323,6 +527,7 @@ export function initDashboard(config = {}) {
     if (config.tableName) { state.tableName = config.tableName; }
     if (config.logsTableName !== undefined) { state.logsTableName = config.logsTableName; }
     if (config.weightColumn !== undefined) { state.weightColumn = config.weightColumn; }
+    if (config.latencyColumn !== undefined) { state.latencyColumn = config.latencyColumn; }
     if (config.timeSeriesTemplate) { state.timeSeriesTemplate = config.timeSeriesTemplate; }
     if (config.aggregations) { state.aggregations = config.aggregations; }
     if (config.defaultTimeRange && !initialParams.has('t')) {
@@ -335,6 +540,7 @@ export function initDashboard(config = {}) {
     }
     if (config.logColumnOrder) { state.logColumnOrder = config.logColumnOrder; }
     applySearchConfig();
+    applyBudgetConfig();
   }
 
   // Migrate helix.owner/helix.repo column filters loaded from URL into ownerRepoFilter input
@@ -353,6 +559,22 @@ export function initDashboard(config = {}) {
     input.value = migrated;
   }
 
+  // Header buttons that open a dialog (pages leave out the ones they don't support)
+  function initDialogButtons() {
+    [
+      [elements.manageColumnsBtn, openManageColumns],
+      [elements.exportLogsBtn, openLogsExportDialog],
+      [elements.sqlConsoleBtn, openSqlConsole],
+      [elements.queryInspectorBtn, openQueryInspector],
+      [elements.alertsBtn, openAlertsDialog],
+      [elements.cacheRatioBtn, openCacheRatioDialog],
+      [elements.pivotBtn, openPivotDialog],
+      [elements.heatmapBtn, openHeatmapDialog],
+    ].forEach(([button, open]) => {
+      button?.addEventListener('click', () => open());
+    });
+  }
+
   // Initialize
   async function init() {
     // Set title before loadStateFromURL → loadFacetPrefs() so the storage key matches
@@ -385,6 +607,8 @@ export function initDashboard(config = {}) {
 
     populateTimeRangeSelect(elements.timeRangeSelect);
     populateTopNSelect(elements.topNSelect);
+    populateLiveModeSelect(elements.liveModeSelect);
+    initLiveMode(refreshLive);
     initTheme();
 
     initFacetObservers();
@@ -397,6 +621,11 @@ export function initDashboard(config = {}) {
     initScrollTracking();
 
     setupChartNavigation(() => loadDashboard());
+    initChartModeControl();
+    initCompareControl();
+    initSplitControl(setChartSplit);
+    initAnomalyControl();
+    initReleaseFilterControl(applyReleaseFilter);
 
     initActionHandlers({
       togglePinnedColumn,
@@ -409,11 +638,19 @@ export function initDashboard(config = {}) {
       toggleFacetPin: togglePinnedFacet,
       toggleFacetHide: toggleHiddenFacet,
       toggleFacetMode,
+      setChartMode,
+      toggleCompareMode,
+      toggleAnomalyDetector,
+      cycleAnomalySensitivity,
+      toggleReleaseFilter: toggleReleaseFilterPanel,
+      clearReleaseFilter,
+      cycleFacetDeltaMode,
       closeQuickLinksModal,
       closeDialog: (el) => el.closest('dialog')?.close(),
       openFacetSearch,
       copyFacetTsv: copyFacetAsTsv,
       clearOwnerRepoFilter,
+      runFacetAnyway,
     });
 
     const storedCredentials = loadStoredCredentials();
@@ -426,6 +663,8 @@ export function initDashboard(config = {}) {
       showDashboard();
       updateTimeRangeHint();
       loadDashboard();
+      startAlertWatcher();
+      setLiveMode(state.liveMode, { runNow: false });
     }
 
     elements.loginForm.addEventListener('submit', handleLogin);
@@ -434,6 +673,14 @@ export function initDashboard(config = {}) {
       saveStateToURL(null);
       loadDashboard(true);
     });
+    if (elements.liveModeSelect) {
+      elements.liveModeSelect.addEventListener('change', (e) => {
+        // Live mode always tails now, so drop any chart selection first
+        clearCustomTimeRange();
+        setLiveMode(e.target.value || null);
+        saveStateToURL();
+      });
+    }
     elements.timeRangeSelect.addEventListener('change', (e) => {
       state.timeRange = e.target.value;
       setQueryTimestamp(new Date());
@@ -450,7 +697,7 @@ export function initDashboard(config = {}) {
       document.body.dataset.topn = state.topN;
       saveStateToURL();
       const facetsContext = startRequestContext('facets');
-      loadAllBreakdowns(facetsContext);
+      loadAllBreakdowns(facetsContext).then(reapplyHighlightsIfCached);
     });
 
     function commitHostFilterIfChanged() {
@@ -571,9 +818,7 @@ export function initDashboard(config = {}) {
 
     elements.viewCycleBtn.addEventListener('click', () => cycleViewMode(saveStateToURL));
 
-    if (elements.manageColumnsBtn) {
-      elements.manageColumnsBtn.addEventListener('click', () => openManageColumns());
-    }
+    initDialogButtons();
 
     window.matchMedia('(max-width: 1500px)').addEventListener('change', (e) => {
       if (e.matches && state.viewMode === 'split') {
@@ -595,6 +840,8 @@ export function initDashboard(config = {}) {
         showDashboard();
       }
       loadDashboard();
+      startAlertWatcher();
+      setLiveMode(state.liveMode, { runNow: false });
     });
   }
 
@@ -30,6 +30,7 @@ initDashboard({
   title: 'Delivery',
   tableName: 'delivery',
   weightColumn: 'weight',
+  latencyColumn: 'cdn.time_elapsed_msec',
   timeSeriesTemplate: 'time-series-delivery',
   defaultHiddenFacets: DEFAULT_HIDDEN_FACETS,
 });
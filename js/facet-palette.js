@@ -10,6 +10,7 @@
  * governing permissions and limitations under the License.
  */
 import { renderPaletteListHtml } from './templates/facet-palette-list.js';
+import { loadSavedViews, deleteSavedView, openSaveViewDialog } from './saved-views.js';
 
 // Callback to set focused facet (set by keyboard.js to avoid circular dependency)
 let onFacetNavigate = null;
@@ -86,6 +87,7 @@ const paletteState = {
   filteredFacets: [],
   savedQueries: null, // Cached saved queries from index.html
   savedQueriesLoading: false,
+  savedViews: [], // Saved views from ClickHouse (refreshed on open)
 };
 
 // Extract just the title text from an h3, ignoring child elements like badges
@@ -374,9 +376,25 @@ function searchSavedQueries(savedQueries, query) {
   return results;
 }
 
-// Filter and score facets and saved queries
-function filterFacets(query, savedQueries = []) {
+/**
+ * Search saved views by name, owner and table
+ */
+function searchSavedViews(savedViews, query) {
+  const results = [];
+  for (const view of savedViews) {
+    const terms = [view.name, view.owner, view.table].filter(Boolean).map((t) => t.toLowerCase());
+    const { match } = findBestMatch(terms, query);
+    if (match) {
+      results.push({ type: 'view', view, match });
+    }
+  }
+  return results;
+}
+
+// Filter and score facets, saved views and saved queries; "save current view" comes last
+function filterFacets(query, savedQueries = [], savedViews = []) {
   const facets = getAllFacets();
+  const saveAction = { type: 'save-view', name: query.trim(), match: null };
 
   if (!query.trim()) {
     const visible = facets.filter((f) => !f.isHidden);
@@ -384,11 +402,16 @@ function filterFacets(query, savedQueries = []) {
     const facetResults = [...visible, ...hidden].map((f) => ({
       type: 'facet', facet: f, match: null, matchedValue: null,
     }));
+    const viewResults = savedViews.map((view) => ({ type: 'view', view, match: null }));
     const queryResults = savedQueries.map((q) => ({ type: 'query', query: q, match: null }));
-    return [...facetResults, ...queryResults];
+    return [...facetResults, ...viewResults, ...queryResults, saveAction];
   }
 
-  const results = [...searchFacets(facets, query), ...searchSavedQueries(savedQueries, query)];
+  const results = [
+    ...searchFacets(facets, query),
+    ...searchSavedViews(savedViews, query),
+    ...searchSavedQueries(savedQueries, query),
+  ];
 
   results.sort((a, b) => {
     if (a.match && b.match) {
@@ -406,7 +429,7 @@ function filterFacets(query, savedQueries = []) {
     return 0;
   });
 
-  return results;
+  return [...results, saveAction];
 }
 
 // Render the filtered list
@@ -439,11 +462,12 @@ export async function openFacetPalette() {
   const input = document.getElementById('facetPaletteInput');
   input.value = '';
 
-  // Load saved queries (cached after first load)
-  const savedQueries = await loadSavedQueries();
+  // Load saved queries (cached after first load) and saved views
+  const [savedQueries, savedViews] = await Promise.all([loadSavedQueries(), loadSavedViews()]);
+  paletteState.savedViews = savedViews;
 
-  // Initial render with all facets and saved queries
-  const results = filterFacets('', savedQueries);
+  // Initial render with all facets, saved views and saved queries
+  const results = filterFacets('', savedQueries, savedViews);
   renderList(results);
 
   dialog.showModal();
@@ -489,7 +513,7 @@ function handleInput(e) {
   const query = e.target.value;
   paletteState.selectedIndex = 0;
   const savedQueries = paletteState.savedQueries || [];
-  const results = filterFacets(query, savedQueries);
+  const results = filterFacets(query, savedQueries, paletteState.savedViews);
   renderList(results);
 }
 
@@ -499,6 +523,37 @@ function navigateToQuery(href) {
   window.location.href = href;
 }
 
+// Open the selected facet, saved view or saved query, or save the current view
+function activateResult(result) {
+  if (result.type === 'facet') {
+    navigateToFacet(result.facet.id, result.matchedValue);
+  } else if (result.type === 'query') {
+    navigateToQuery(result.query.href);
+  } else if (result.type === 'view') {
+    navigateToQuery(result.view.href);
+  } else if (result.type === 'save-view') {
+    closeFacetPalette();
+    openSaveViewDialog(result.name);
+  }
+}
+
+// Delete one of the user's saved views and refresh the list in place
+async function deleteViewFromPalette(view) {
+  try {
+    await deleteSavedView(view);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to delete saved view:', err);
+    return;
+  }
+  paletteState.savedViews = await loadSavedViews();
+  const input = document.getElementById('facetPaletteInput');
+  const savedQueries = paletteState.savedQueries || [];
+  const results = filterFacets(input.value, savedQueries, paletteState.savedViews);
+  paletteState.selectedIndex = Math.min(paletteState.selectedIndex, results.length - 1);
+  renderList(results);
+}
+
 // Handle keyboard navigation within palette
 function handleKeyDown(e) {
   const results = paletteState.filteredFacets;
@@ -517,12 +572,7 @@ function handleKeyDown(e) {
     case 'Enter':
       e.preventDefault();
       if (results[paletteState.selectedIndex]) {
-        const selected = results[paletteState.selectedIndex];
-        if (selected.type === 'facet') {
-          navigateToFacet(selected.facet.id, selected.matchedValue);
-        } else if (selected.type === 'query') {
-          navigateToQuery(selected.query.href);
-        }
+        activateResult(results[paletteState.selectedIndex]);
       }
       break;
     case 'Escape':
@@ -541,12 +591,10 @@ function handleListClick(e) {
   if (item) {
     const index = parseInt(item.dataset.index, 10);
     const result = paletteState.filteredFacets[index];
-    if (result) {
-      if (result.type === 'facet') {
-        navigateToFacet(result.facet.id, result.matchedValue);
-      } else if (result.type === 'query') {
-        navigateToQuery(result.query.href);
-      }
+    if (result && e.target.closest('.palette-view-delete')) {
+      deleteViewFromPalette(result.view);
+    } else if (result) {
+      activateResult(result);
     }
   }
 }
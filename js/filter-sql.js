@@ -33,13 +33,11 @@ export function clearAllowedColumnsCache() {
 
 /**
  * Build the set of valid SQL column expressions from breakdowns and column definitions.
- * Lazy-initialized and cached.
+ * @param {Array<Object>} breakdowns - Facet definitions
  * @returns {Set<string>}
  */
-export function getAllowedColumns() {
-  if (allowedColumnsCache) { return allowedColumnsCache; }
+export function buildAllowedColumns(breakdowns) {
   const cols = new Set();
-  const breakdowns = state.breakdowns?.length ? state.breakdowns : allBreakdowns;
   for (const b of breakdowns) {
     if (typeof b.col === 'string') {
       cols.add(b.col);
@@ -52,10 +50,22 @@ export function getAllowedColumns() {
   for (const def of Object.values(COLUMN_DEFS)) {
     if (def.facetCol) { cols.add(def.facetCol); }
   }
-  allowedColumnsCache = cols;
   return cols;
 }
 
+/**
+ * Valid SQL column expressions for the current dashboard. Lazy-initialized and cached.
+ * @returns {Set<string>}
+ */
+export function getAllowedColumns() {
+  if (!allowedColumnsCache) {
+    allowedColumnsCache = buildAllowedColumns(
+      state.breakdowns?.length ? state.breakdowns : allBreakdowns,
+    );
+  }
+  return allowedColumnsCache;
+}
+
 const ALLOWED_OPS = new Set(['=', 'LIKE', 'HAS']);
 
 /**
@@ -117,9 +127,10 @@ export function buildFilterMap(filters) {
 /**
  * Compile filters into SQL and a structured filter map.
  * @param {Filter[]} filters
+ * @param {Set<string>} [allowedColumns] - Column allowlist (default: the current dashboard's)
  * @returns {{ sql: string, map: Record<string, FilterGroup> }}
  */
-export function compileFilters(filters) {
+export function compileFilters(filters, allowedColumns = null) {
   if (!filters || filters.length === 0) {
     return { sql: '', map: {} };
   }
@@ -127,7 +138,7 @@ export function compileFilters(filters) {
   const safeFilters = filters.filter((f) => {
     const sqlCol = f.filterCol || f.col;
     const sqlOp = f.filterOp || '=';
-    if (!isValidFilterColumn(sqlCol)) {
+    if (!(allowedColumns ? allowedColumns.has(sqlCol) : isValidFilterColumn(sqlCol))) {
       // eslint-disable-next-line no-console
       console.warn(`Filter rejected: invalid column "${sqlCol}"`);
       return false;
@@ -12,6 +12,7 @@
 import { assert } from 'chai';
 import {
   compileFilters, isFilterSuperset, getAllowedColumns, isValidFilterColumn, isValidFilterOp,
+  buildAllowedColumns,
 } from './filter-sql.js';
 
 describe('compileFilters', () => {
@@ -168,3 +169,18 @@ describe('compileFilters injection prevention', () => {
     assert.ok(!sql.includes('INVALID_INJECTION'));
   });
 });
+
+describe('compileFilters with an allowlist', () => {
+  it('checks columns against the given set instead of the dashboard facets', () => {
+    const allowed = buildAllowedColumns([{ id: 'breakdown-level', col: '`level`' }]);
+    const filters = [
+      { col: '`level`', value: 'error', exclude: false },
+      { col: '`request.host`', value: 'example.com', exclude: false },
+    ];
+    const { sql } = compileFilters(filters, allowed);
+    assert.include(sql, "`level` = 'error'");
+    assert.notInclude(compileFilters(filters).sql, '`level`');
+    // Log-column facets are always allowed
+    assert.include(sql, "`request.host` = 'example.com'");
+  });
+});
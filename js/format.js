@@ -50,6 +50,33 @@ export function formatPercent(current, previous) {
   };
 }
 
+/**
+ * Compute absolute and relative change from a previous value.
+ * @param {number} current
+ * @param {number} previous
+ * @returns {{ abs: number, pct: number|null }} pct is null when previous is zero
+ */
+export function computeDelta(current, previous) {
+  const abs = current - previous;
+  const pct = previous > 0 ? (abs / previous) * 100 : null;
+  return { abs, pct };
+}
+
+/**
+ * Format a delta as a signed percentage, falling back to the absolute change.
+ * @param {{ abs: number, pct: number|null }} delta
+ * @param {(n: number) => string} [formatter] - Used for the absolute fallback
+ * @returns {string}
+ */
+export function formatDelta(delta, formatter = formatNumber) {
+  const sign = delta.abs >= 0 ? '+' : '-';
+  if (delta.pct === null) {
+    return `${sign}${formatter(Math.abs(Math.round(delta.abs)))}`;
+  }
+  const pct = Math.abs(delta.pct);
+  return `${sign}${pct >= 10 ? Math.round(pct) : pct.toFixed(1).replace(/\.0$/, '')}%`;
+}
+
 export function formatQueryTime(ms) {
   if (ms < 1000) { return `${Math.round(ms)}ms`; }
   return `${(ms / 1000).toFixed(2)}s`;
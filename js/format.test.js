@@ -17,6 +17,8 @@ import {
   formatPercent,
   formatQueryTime,
   formatFacetHeaderPercent,
+  computeDelta,
+  formatDelta,
 } from './format.js';
 
 describe('formatNumber', () => {
@@ -156,3 +158,35 @@ describe('formatQueryTime', () => {
     assert.strictEqual(formatQueryTime(15340), '15.34s');
   });
 });
+
+describe('computeDelta', () => {
+  it('computes absolute and percent change', () => {
+    assert.deepEqual(computeDelta(150, 100), { abs: 50, pct: 50 });
+  });
+
+  it('returns null percent when previous is zero', () => {
+    assert.deepEqual(computeDelta(10, 0), { abs: 10, pct: null });
+  });
+});
+
+describe('formatDelta', () => {
+  it('formats large changes as whole percentages', () => {
+    assert.strictEqual(formatDelta({ abs: 50, pct: 50 }), '+50%');
+  });
+
+  it('keeps one decimal for small changes', () => {
+    assert.strictEqual(formatDelta({ abs: -3, pct: -2.54 }), '-2.5%');
+  });
+
+  it('drops a trailing .0', () => {
+    assert.strictEqual(formatDelta({ abs: 0, pct: 0 }), '+0%');
+  });
+
+  it('falls back to absolute change without a percentage', () => {
+    assert.strictEqual(formatDelta({ abs: 12, pct: null }), '+12');
+  });
+
+  it('uses the given formatter for the absolute fallback', () => {
+    assert.strictEqual(formatDelta({ abs: 2000, pct: null }, formatBytes), '+2.00 KB');
+  });
+});
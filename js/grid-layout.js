@@ -0,0 +1,233 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Grid page layouts: a title and a list of panels, each with its own table, filters and
+ * time range. Layouts are plain JSON, shared through the `layout` URL parameter
+ * (base64url) and remembered in localStorage.
+ */
+
+import { TIME_RANGES } from './constants.js';
+import { GRID_SOURCES, getSourceFacets } from './grid-sources.js';
+
+const STORAGE_KEY = 'gridLayout';
+const URL_PARAM = 'layout';
+const MAX_SPAN = 3;
+
+/** @type {string[]} */
+export const PANEL_TYPES = ['chart', 'facet', 'logs', 'stat'];
+
+/**
+ * Single-stat metrics, computed from the source's status class aggregations.
+ * @type {Record<string, { label: string }>}
+ */
+export const STAT_METRICS = {
+  requests: { label: 'Requests' },
+  '4xx': { label: '4xx rate' },
+  '5xx': { label: '5xx rate' },
+};
+
+/**
+ * @typedef {Object} GridPanel
+ * @property {'chart'|'facet'|'logs'|'stat'} type
+ * @property {string} table - GRID_SOURCES key
+ * @property {string} timeRange - TIME_RANGES key
+ * @property {Array<Object>} filters - Filters as in state.filters
+ * @property {string} [title]
+ * @property {number} span - Grid columns the panel spans (1-3)
+ * @property {string} [facet] - Breakdown id (facet panels)
+ * @property {string} [metric] - STAT_METRICS key (stat panels)
+ */
+
+/** @type {{ title: string, panels: GridPanel[] }} */
+export const DEFAULT_LAYOUT = {
+  title: 'DA health',
+  panels: [
+    {
+      type: 'stat', table: 'delivery', metric: 'requests', timeRange: '1h', title: 'Delivery requests',
+    },
+    {
+      type: 'stat', table: 'da', metric: '5xx', timeRange: '1h', title: 'DA 5xx rate',
+    },
+    {
+      type: 'stat', table: 'lambda_logs', metric: '5xx', timeRange: '1h', title: 'Lambda error rate',
+    },
+    {
+      type: 'chart', table: 'da', timeRange: '24h', span: 2,
+    },
+    {
+      type: 'facet', table: 'da', facet: 'breakdown-hosts', timeRange: '1h',
+    },
+    {
+      type: 'chart', table: 'lambda_logs', timeRange: '24h', span: 2,
+    },
+    {
+      type: 'facet', table: 'lambda_logs', facet: 'breakdown-function-name', timeRange: '1h',
+    },
+    {
+      type: 'logs',
+      table: 'lambda_logs',
+      timeRange: '1h',
+      span: 3,
+      title: 'Lambda errors',
+      filters: [{ col: '`level`', value: 'error', exclude: false }],
+    },
+  ],
+};
+
+function normalizeFilter(filter) {
+  if (!filter || typeof filter.col !== 'string' || filter.value === undefined) {
+    return null;
+  }
+  const normalized = { col: filter.col, value: String(filter.value), exclude: !!filter.exclude };
+  ['filterCol', 'filterValue', 'filterOp'].forEach((key) => {
+    if (filter[key] !== undefined && filter[key] !== '') {
+      normalized[key] = filter[key];
+    }
+  });
+  return normalized;
+}
+
+function normalizeTypeFields(panel, index) {
+  if (panel.type === 'facet') {
+    if (!getSourceFacets(panel.table).some((b) => b.id === panel.facet)) {
+      throw new Error(`Panel ${index + 1}: unknown facet "${panel.facet}" for ${panel.table}`);
+    }
+    return { facet: panel.facet };
+  }
+  if (panel.type === 'stat') {
+    const metric = panel.metric || 'requests';
+    if (!STAT_METRICS[metric]) {
+      throw new Error(`Panel ${index + 1}: unknown metric "${metric}"`);
+    }
+    return { metric };
+  }
+  return {};
+}
+
+function normalizePanel(panel, index) {
+  if (!panel || typeof panel !== 'object') {
+    throw new Error(`Panel ${index + 1} is not an object`);
+  }
+  if (!PANEL_TYPES.includes(panel.type)) {
+    throw new Error(`Panel ${index + 1}: type must be one of ${PANEL_TYPES.join(', ')}`);
+  }
+  if (!GRID_SOURCES[panel.table]) {
+    throw new Error(`Panel ${index + 1}: table must be one of ${Object.keys(GRID_SOURCES).join(', ')}`);
+  }
+  const span = Math.round(Number(panel.span));
+  const normalized = {
+    type: panel.type,
+    table: panel.table,
+    timeRange: TIME_RANGES[panel.timeRange] ? panel.timeRange : '1h',
+    filters: (Array.isArray(panel.filters) ? panel.filters : []).map(normalizeFilter)
+      .filter(Boolean),
+    span: span >= 1 ? Math.min(span, MAX_SPAN) : 1,
+    ...normalizeTypeFields(panel, index),
+  };
+  if (typeof panel.title === 'string' && panel.title.trim()) {
+    normalized.title = panel.title.trim();
+  }
+  return normalized;
+}
+
+/**
+ * Validate a layout and fill in defaults.
+ * @param {unknown} layout - Parsed layout JSON
+ * @returns {{ title: string, panels: GridPanel[] }}
+ * @throws {Error} When the layout or one of its panels is invalid
+ */
+export function normalizeLayout(layout) {
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.panels)) {
+    throw new Error('Layout must be an object with a "panels" array');
+  }
+  return {
+    title: typeof layout.title === 'string' && layout.title.trim() ? layout.title.trim() : 'Grid',
+    panels: layout.panels.map(normalizePanel),
+  };
+}
+
+/**
+ * Encode a layout for the `layout` URL parameter.
+ * @param {Object} layout
+ * @returns {string} base64url JSON
+ */
+export function encodeLayout(layout) {
+  const bytes = new TextEncoder().encode(JSON.stringify(layout));
+  const binary = Array.from(bytes, (b) => String.fromCharCode(b)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode and validate a `layout` URL parameter.
+ * @param {string} encoded - encodeLayout() result
+ * @returns {{ title: string, panels: GridPanel[] }}
+ * @throws {Error} When the parameter is not a valid layout
+ */
+export function decodeLayout(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return normalizeLayout(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+/**
+ * The layout to show: the URL parameter wins over the stored layout, then the default.
+ * Invalid layouts fall through to the next source.
+ * @param {string} [search] - URL query string
+ * @returns {{ title: string, panels: GridPanel[] }}
+ */
+export function loadLayout(search = window.location.search) {
+  const encoded = new URLSearchParams(search).get(URL_PARAM);
+  if (encoded) {
+    try {
+      return decodeLayout(encoded);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('Ignoring invalid layout parameter:', err.message);
+    }
+  }
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      return normalizeLayout(JSON.parse(stored));
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn('Ignoring invalid stored layout:', err.message);
+  }
+  return normalizeLayout(DEFAULT_LAYOUT);
+}
+
+/**
+ * Shareable URL of the grid page showing a layout.
+ * @param {Object} layout
+ * @returns {string}
+ */
+export function getLayoutUrl(layout) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.searchParams.set(URL_PARAM, encodeLayout(layout));
+  return url.toString();
+}
+
+/**
+ * Remember a layout in localStorage and the page URL.
+ * @param {Object} layout
+ */
+export function saveLayout(layout) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+  } catch {
+    // Storage full or unavailable: the URL still carries the layout
+  }
+  window.history.replaceState({}, '', getLayoutUrl(layout));
+}
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  DEFAULT_LAYOUT, normalizeLayout, encodeLayout, decodeLayout, loadLayout,
+} from './grid-layout.js';
+
+describe('grid layout', () => {
+  afterEach(() => {
+    localStorage.removeItem('gridLayout');
+  });
+
+  it('fills in panel defaults', () => {
+    const { title, panels } = normalizeLayout({
+      panels: [
+        { type: 'chart', table: 'delivery', span: 7 },
+        {
+          type: 'stat', table: 'da', timeRange: 'forever', filters: [{ col: '`request.host`', value: 'a' }, 'junk'],
+        },
+      ],
+    });
+    assert.strictEqual(title, 'Grid');
+    assert.deepEqual(panels[0], {
+      type: 'chart', table: 'delivery', timeRange: '1h', filters: [], span: 3,
+    });
+    assert.strictEqual(panels[1].metric, 'requests');
+    assert.deepEqual(panels[1].filters, [{ col: '`request.host`', value: 'a', exclude: false }]);
+  });
+
+  it('rejects unknown types, tables and facets', () => {
+    assert.throws(() => normalizeLayout({}), /panels/);
+    assert.throws(() => normalizeLayout({ panels: [{ type: 'map', table: 'delivery' }] }), /Panel 1: type/);
+    assert.throws(() => normalizeLayout({ panels: [{ type: 'logs', table: 'cdn' }] }), /Panel 1: table/);
+    assert.throws(
+      () => normalizeLayout({ panels: [{ type: 'facet', table: 'lambda_logs', facet: 'breakdown-hosts' }] }),
+      /unknown facet/,
+    );
+  });
+
+  it('round-trips through the URL parameter', () => {
+    const layout = normalizeLayout({
+      title: 'Kunde Ü',
+      panels: [{ type: 'facet', table: 'da', facet: 'breakdown-hosts' }],
+    });
+    const encoded = encodeLayout(layout);
+    assert.match(encoded, /^[\w-]+$/);
+    assert.deepEqual(decodeLayout(encoded), layout);
+  });
+
+  it('prefers the URL over the stored layout and falls back to the default', () => {
+    const stored = { title: 'Stored', panels: [] };
+    const shared = { title: 'Shared', panels: [] };
+    assert.strictEqual(loadLayout('').title, DEFAULT_LAYOUT.title);
+    localStorage.setItem('gridLayout', JSON.stringify(stored));
+    assert.strictEqual(loadLayout('').title, 'Stored');
+    assert.strictEqual(loadLayout(`?layout=${encodeLayout(shared)}`).title, 'Shared');
+    assert.strictEqual(loadLayout('?layout=not-json').title, 'Stored');
+  });
+
+  it('ships a valid default layout', () => {
+    assert.lengthOf(normalizeLayout(DEFAULT_LAYOUT).panels, DEFAULT_LAYOUT.panels.length);
+  });
+});
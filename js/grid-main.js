@@ -0,0 +1,212 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { initTheme } from './theme.js';
+import { state } from './state.js';
+import { query, setForceRefresh } from './api.js';
+import {
+  DEFAULT_LAYOUT, loadLayout, saveLayout, normalizeLayout, getLayoutUrl,
+} from './grid-layout.js';
+import { buildPanelShell, loadPanel } from './grid-panels.js';
+import {
+  setElements, loadStoredCredentials, handleLogin, handleLogout, showLogin, showDashboard,
+} from './auth.js';
+
+let layout = loadLayout();
+
+// DOM refs
+const els = {
+  loginSection: document.getElementById('login'),
+  dashboardSection: document.getElementById('dashboard'),
+  loginError: document.getElementById('loginError'),
+  title: document.getElementById('gridTitle'),
+  panels: document.getElementById('gridPanels'),
+  layoutModal: document.getElementById('gridLayoutModal'),
+  layoutJson: document.getElementById('gridLayoutJson'),
+  layoutError: document.getElementById('gridLayoutError'),
+};
+
+function renderPanel(index) {
+  const current = els.panels.querySelector(`.grid-panel[data-index="${index}"]`);
+  const template = document.createElement('template');
+  template.innerHTML = buildPanelShell(layout.panels[index], index).trim();
+  const el = template.content.firstElementChild;
+  current.replaceWith(el);
+  return loadPanel(layout.panels[index], el);
+}
+
+async function renderGrid(refresh = false) {
+  els.title.textContent = layout.title;
+  document.title = `${layout.title} - CDN Analytics`;
+  els.panels.innerHTML = layout.panels.length > 0
+    ? layout.panels.map(buildPanelShell).join('')
+    : '<div class="empty">No panels. Use "Edit layout" to add some.</div>';
+  setForceRefresh(refresh);
+  const now = new Date();
+  const panels = els.panels.querySelectorAll('.grid-panel');
+  await Promise.all(layout.panels.map((panel, i) => loadPanel(panel, panels[i], now)));
+  setForceRefresh(false);
+}
+
+function setLayout(next) {
+  layout = next;
+  saveLayout(layout);
+  renderGrid();
+}
+
+function updatePanelFilters(index, filters) {
+  layout.panels[index].filters = filters;
+  saveLayout(layout);
+  renderPanel(index);
+}
+
+// Facet rows and log cells filter their own panel; filter tags remove the filter again
+els.panels.addEventListener('click', (e) => {
+  if (e.target.closest('.filter-tag-indicator:not(.active):not(.exclude) a')) { return; }
+  const target = e.target.closest('[data-action]');
+  const panelEl = target?.closest('.grid-panel');
+  if (!panelEl) { return; }
+  e.preventDefault();
+  const index = Number(panelEl.dataset.index);
+  const { filters } = layout.panels[index];
+  const { action } = target.dataset;
+  const {
+    col = '', value = '', filterCol, filterValue, filterOp,
+  } = target.dataset;
+
+  if (action === 'remove-panel') {
+    setLayout({ ...layout, panels: layout.panels.filter((_, i) => i !== index) });
+  } else if (action === 'remove-filter') {
+    updatePanelFilters(index, filters.filter((_, i) => i !== Number(target.dataset.index)));
+  } else if (action === 'remove-filter-value') {
+    updatePanelFilters(index, filters.filter((f) => f.col !== col || f.value !== value));
+  } else if (action === 'add-filter') {
+    const filter = {
+      col, value, exclude: e.shiftKey || target.dataset.exclude === 'true',
+    };
+    // Same shape as addFilter() in filters.js
+    if (filterCol) {
+      filter.filterCol = filterCol;
+      filter.filterValue = filterValue ?? value;
+      if (filterOp && filterOp !== '=') { filter.filterOp = filterOp; }
+    }
+    const others = filters.filter((f) => f.col !== col || f.value !== value);
+    updatePanelFilters(index, [...others, filter]);
+  }
+});
+
+// Layout editor
+function closeLayoutEditor() {
+  els.layoutModal.close();
+}
+
+document.getElementById('editLayoutBtn').addEventListener('click', () => {
+  els.layoutJson.value = JSON.stringify(layout, null, 2);
+  els.layoutError.classList.remove('visible');
+  els.layoutModal.showModal();
+});
+
+els.layoutModal.addEventListener('click', (e) => {
+  const action = e.target.closest('[data-action]')?.dataset.action;
+  if (action === 'close-layout') {
+    closeLayoutEditor();
+  } else if (action === 'apply-layout') {
+    try {
+      setLayout(normalizeLayout(JSON.parse(els.layoutJson.value)));
+      closeLayoutEditor();
+    } catch (err) {
+      els.layoutError.textContent = err.message;
+      els.layoutError.classList.add('visible');
+    }
+  }
+});
+
+const copyLinkBtn = document.getElementById('copyLinkBtn');
+copyLinkBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(getLayoutUrl(layout));
+    copyLinkBtn.textContent = 'Copied!';
+  } catch {
+    copyLinkBtn.textContent = 'Copy failed';
+  }
+  setTimeout(() => { copyLinkBtn.textContent = 'Copy link'; }, 1500);
+});
+
+// Kebab menu
+const moreMenu = document.getElementById('moreMenu');
+const moreBtn = document.getElementById('moreBtn');
+
+moreBtn.addEventListener('click', () => {
+  if (moreMenu.open) {
+    moreMenu.close();
+    return;
+  }
+  const rect = moreBtn.getBoundingClientRect();
+  moreMenu.style.top = `${rect.bottom + 4}px`;
+  moreMenu.style.right = `${document.documentElement.clientWidth - rect.right}px`;
+  moreMenu.style.left = 'auto';
+  moreMenu.show();
+});
+
+document.addEventListener('click', (e) => {
+  if (moreMenu.open && !moreMenu.contains(e.target) && !moreBtn.contains(e.target)) {
+    moreMenu.close();
+  }
+});
+
+// Refresh
+document.getElementById('refreshBtn').addEventListener('click', () => {
+  moreMenu.close();
+  renderGrid(true);
+});
+
+document.getElementById('resetLayoutBtn').addEventListener('click', () => {
+  moreMenu.close();
+  setLayout(normalizeLayout(DEFAULT_LAYOUT));
+});
+
+initTheme();
+
+// Logout
+document.getElementById('logoutBtn').addEventListener('click', () => {
+  moreMenu.close();
+  handleLogout();
+});
+
+// Wire up auth module
+setElements({
+  loginSection: els.loginSection,
+  dashboardSection: els.dashboardSection,
+  loginError: els.loginError,
+});
+
+// Login form
+document.getElementById('loginForm').addEventListener('submit', handleLogin);
+
+// On successful login, show dashboard and load panels
+window.addEventListener('login-success', () => {
+  showDashboard();
+  renderGrid();
+});
+
+// Auto-login from stored credentials
+const stored = loadStoredCredentials();
+if (stored) {
+  state.credentials = stored;
+  query('SELECT 1').then(() => {
+    showDashboard();
+    renderGrid();
+  }).catch(() => {
+    showLogin();
+  });
+} else {
+  showLogin();
+}
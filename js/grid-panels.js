@@ -0,0 +1,299 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Grid page panels. Each panel queries its own table, filters and time range (nothing is
+ * read from the dashboard state) and renders with the dashboard's own building blocks:
+ * the chart's axis and area drawing, facet rows and log rows.
+ */
+
+import { query } from './api.js';
+import { drawStackedArea, drawXAxisLabels, drawYAxis } from './chart.js';
+import { hexToRgba, parseUTC } from './chart-state.js';
+import { getColorIndicatorHtml } from './colors/index.js';
+import { DATABASE } from './config.js';
+import { TIME_RANGES } from './constants.js';
+import { compileFilters } from './filter-sql.js';
+import { formatNumber } from './format.js';
+import { STAT_METRICS } from './grid-layout.js';
+import { GRID_SOURCES, getSourceAllowedColumns, getSourceFacets } from './grid-sources.js';
+import { loadSql } from './sql-loader.js';
+import { buildBreakdownRow } from './templates/breakdown-table.js';
+import { renderFilterTags } from './templates/filter-tags.js';
+import { buildLogRowHtml, buildLogTableHeaderHtml } from './templates/logs-table.js';
+import { getRangeWindow } from './time.js';
+import { escapeHtml, isSyntheticBucket } from './utils.js';
+
+const FACET_TOP_N = 10;
+const LOGS_PAGE_SIZE = 25;
+
+function getPanelFacet(panel) {
+  return getSourceFacets(panel.table).find((b) => b.id === panel.facet) || null;
+}
+
+function getFacetLabel(b) {
+  return b.facetName || b.id.replace(/^breakdown-/, '').replace(/-/g, ' ');
+}
+
+/**
+ * Panel heading: its own title, else what it shows.
+ * @param {import('./grid-layout.js').GridPanel} panel
+ * @returns {string}
+ */
+export function getPanelTitle(panel) {
+  if (panel.title) {
+    return panel.title;
+  }
+  const source = GRID_SOURCES[panel.table].label;
+  if (panel.type === 'facet') {
+    const b = getPanelFacet(panel);
+    return `${source}: ${b ? getFacetLabel(b) : panel.facet}`;
+  }
+  if (panel.type === 'stat') {
+    return `${source} ${STAT_METRICS[panel.metric].label.toLowerCase()}`;
+  }
+  return panel.type === 'logs' ? `${source} logs` : `${source} requests`;
+}
+
+/**
+ * SQL for a panel.
+ * @param {import('./grid-layout.js').GridPanel} panel
+ * @param {Date} [now] - End of the panel's time range
+ * @returns {Promise<string>}
+ */
+export async function buildPanelSql(panel, now = new Date()) {
+  const source = GRID_SOURCES[panel.table];
+  const range = getRangeWindow(panel.timeRange, now);
+  const common = {
+    database: DATABASE,
+    table: panel.table,
+    timeFilter: range.timeFilter,
+    hostFilter: '',
+    facetFilters: compileFilters(panel.filters, getSourceAllowedColumns(panel.table)).sql,
+    additionalWhereClause: '',
+  };
+  if (panel.type === 'chart') {
+    return loadSql(source.timeSeriesTemplate, {
+      ...common,
+      bucket: range.bucket,
+      rangeStart: range.rangeStart,
+      rangeEnd: range.rangeEnd,
+      step: range.step,
+    });
+  }
+  if (panel.type === 'facet') {
+    const b = getPanelFacet(panel);
+    return loadSql('breakdown', {
+      ...common,
+      ...source.aggregations,
+      col: b.col,
+      summaryCol: '',
+      sampleCol: '',
+      extra: b.extraFilter || '',
+      orderBy: b.orderBy || 'cnt DESC',
+      topN: String(FACET_TOP_N),
+    });
+  }
+  if (panel.type === 'logs') {
+    return loadSql('logs', { ...common, pageSize: String(LOGS_PAGE_SIZE) });
+  }
+  return loadSql('grid-stat', { ...common, ...source.aggregations });
+}
+
+/**
+ * Single-stat value of a grid-stat.sql row.
+ * @param {string} metric - STAT_METRICS key
+ * @param {Object|undefined} row
+ * @returns {{ value: string, detail: string }}
+ */
+export function formatStat(metric, row) {
+  const total = Number(row?.cnt) || 0;
+  if (metric === 'requests') {
+    return { value: formatNumber(total), detail: '' };
+  }
+  const count = Number(row?.[`cnt_${metric}`]) || 0;
+  return {
+    value: total > 0 ? `${((count / total) * 100).toFixed(2)}%` : '–',
+    detail: `${formatNumber(count)} of ${formatNumber(total)}`,
+  };
+}
+
+function renderStat(panel, data) {
+  const { value, detail } = formatStat(panel.metric, data[0]);
+  const detailHtml = detail ? `<div class="grid-stat-detail">${escapeHtml(detail)}</div>` : '';
+  return `<div class="grid-stat-value">${escapeHtml(value)}</div>${detailHtml}`;
+}
+
+function renderFacet(panel, data) {
+  if (data.length === 0) {
+    return '<div class="empty">No data</div>';
+  }
+  const b = getPanelFacet(panel);
+  const realData = data.filter((d) => !isSyntheticBucket(d.dim));
+  const maxCount = realData.length > 0 ? Math.max(...realData.map((d) => parseInt(d.cnt, 10))) : 1;
+  const columnFilters = panel.filters.filter((f) => f.col === b.col);
+  const rows = data.map((row, rowIndex) => buildBreakdownRow({
+    row,
+    col: b.col,
+    maxCount,
+    columnFilters,
+    valueFormatter: formatNumber,
+    linkPrefix: b.linkPrefix,
+    linkSuffix: b.linkSuffix,
+    linkFn: b.linkFn,
+    dimPrefixes: b.dimPrefixes,
+    dimFormatFn: b.dimFormatFn,
+    filterCol: b.filterCol,
+    filterValueFn: b.filterValueFn,
+    filterOp: b.filterOp,
+    rowIndex,
+    deltaTotals: null,
+  })).join('');
+  return `<table class="breakdown-table">${rows}</table>`;
+}
+
+function renderLogs(panel, data) {
+  if (data.length === 0) {
+    return '<div class="empty">No logs</div>';
+  }
+  const columns = GRID_SOURCES[panel.table].logColumns;
+  const rows = data.map((row, rowIdx) => buildLogRowHtml({
+    row, columns, rowIdx, pinned: [],
+  })).join('');
+  return `<table class="logs-table"><thead><tr>${buildLogTableHeaderHtml(columns, [], {})}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Panel body HTML for the text panels (charts draw on their canvas, see drawPanelChart()).
+ * @param {import('./grid-layout.js').GridPanel} panel
+ * @param {Array<Object>} data - Query result rows
+ * @returns {string}
+ */
+export function renderPanelBody(panel, data) {
+  const renderers = { stat: renderStat, facet: renderFacet, logs: renderLogs };
+  return renderers[panel.type](panel, data);
+}
+
+/**
+ * Draw a panel's 2xx/4xx/5xx stack the way the main requests chart does.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<Object>} data - Time series rows
+ * @param {{ startMs: number, endMs: number }} range - Panel time range (getRangeWindow())
+ */
+export function drawPanelChart(canvas, data, range) {
+  const ctx = canvas.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+  // eslint-disable-next-line no-param-reassign
+  canvas.width = rect.width * dpr;
+  // eslint-disable-next-line no-param-reassign
+  canvas.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+  const { width, height } = rect;
+  const styles = getComputedStyle(document.documentElement);
+  const cssVar = (name) => styles.getPropertyValue(name).trim();
+  const padding = {
+    top: 12, right: 0, bottom: 32, left: 0,
+  };
+  const chartDimensions = {
+    width,
+    height,
+    padding,
+    chartWidth: width - padding.left - padding.right,
+    chartHeight: height - padding.top - padding.bottom,
+    labelInset: 12,
+  };
+  ctx.clearRect(0, 0, width, height);
+  if (data.length === 0) {
+    ctx.fillStyle = cssVar('--text-secondary');
+    ctx.textAlign = 'center';
+    ctx.fillText('No data', width / 2, height / 2);
+    return;
+  }
+
+  const series = ['cnt_5xx', 'cnt_4xx', 'cnt_ok'].map((key) => data.map((d) => parseInt(d[key], 10) || 0));
+  const stacks = [];
+  series.reduce((bottom, values) => {
+    const top = values.map((v, i) => bottom[i] + v);
+    stacks.push({ top, bottom });
+    return top;
+  }, data.map(() => 0));
+  const maxValue = Math.max(4, Math.ceil(Math.max(...stacks[2].top) / 4) * 4);
+  const timeRange = Math.max(1, range.endMs - range.startMs);
+
+  drawYAxis(ctx, chartDimensions, cssVar, 0, maxValue);
+  drawXAxisLabels(ctx, data, chartDimensions, range.startMs, timeRange, cssVar);
+  const { chartWidth, chartHeight } = chartDimensions;
+  const getX = (idx) => padding.left
+    + ((parseUTC(data[idx].t).getTime() - range.startMs) / timeRange) * chartWidth;
+  const getY = (value) => height - padding.bottom - (chartHeight * value) / maxValue;
+  ['--status-server-error', '--status-client-error', '--status-ok'].forEach((name, i) => {
+    const color = cssVar(name);
+    drawStackedArea(ctx, data, getX, getY, stacks[i].top, stacks[i].bottom, {
+      line: color, fill: hexToRgba(color, 0.3),
+    });
+  });
+}
+
+/**
+ * Panel frame: heading, filter tags (click to remove) and an empty body.
+ * @param {import('./grid-layout.js').GridPanel} panel
+ * @param {number} index - Position in the layout
+ * @returns {string}
+ */
+export function buildPanelShell(panel, index) {
+  const filters = renderFilterTags(panel.filters.map((f) => ({
+    label: f.exclude ? `NOT ${f.value}` : f.value,
+    exclude: f.exclude,
+    colorIndicator: getColorIndicatorHtml(f.col, f.value, 'filter-color'),
+    title: 'Click to remove',
+  })));
+  const body = panel.type === 'chart'
+    ? '<canvas class="grid-panel-chart"></canvas>'
+    : '';
+  return `
+    <section class="grid-panel grid-panel-${panel.type}" data-index="${index}" style="grid-column: span ${panel.span}">
+      <header class="grid-panel-header">
+        <h2>${escapeHtml(getPanelTitle(panel))}</h2>
+        <span class="grid-panel-meta">${escapeHtml(panel.table)} · ${escapeHtml(TIME_RANGES[panel.timeRange].shortLabel)}</span>
+        <button type="button" class="grid-panel-remove" data-action="remove-panel" title="Remove panel" aria-label="Remove panel">×</button>
+      </header>
+      <div class="grid-panel-filters">${filters}</div>
+      <div class="grid-panel-body">${body}</div>
+    </section>`;
+}
+
+/**
+ * Query a panel and render the result into its shell.
+ * @param {import('./grid-layout.js').GridPanel} panel
+ * @param {HTMLElement} el - buildPanelShell() element
+ * @param {Date} [now] - End of the panel's time range
+ */
+export async function loadPanel(panel, el, now = new Date()) {
+  const body = el.querySelector('.grid-panel-body');
+  el.classList.add('updating');
+  try {
+    const sql = await buildPanelSql(panel, now);
+    const result = await query(sql, { cacheTtl: TIME_RANGES[panel.timeRange].cacheTtl });
+    if (panel.type === 'chart') {
+      drawPanelChart(body.querySelector('canvas'), result.data, getRangeWindow(panel.timeRange, now));
+    } else {
+      body.innerHTML = renderPanelBody(panel, result.data);
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Panel error:', err);
+    body.innerHTML = `<div class="grid-panel-error">${escapeHtml(err.message)}</div>`;
+  } finally {
+    el.classList.remove('updating');
+  }
+}
@@ -0,0 +1,123 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { normalizeLayout } from './grid-layout.js';
+import {
+  getPanelTitle, buildPanelSql, formatStat, renderPanelBody, buildPanelShell, loadPanel,
+} from './grid-panels.js';
+import { state } from './state.js';
+
+const now = new Date('2026-01-20T12:34:56Z');
+
+function panel(fields) {
+  return normalizeLayout({ panels: [fields] }).panels[0];
+}
+
+describe('grid panels', () => {
+  let originalFetch;
+  let queries;
+  let savedCredentials;
+
+  beforeEach(() => {
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'test', password: 'test' };
+    queries = [];
+    originalFetch = window.fetch;
+    window.fetch = async (url, options) => {
+      if (url.endsWith('.sql')) {
+        const name = url.split('/').pop();
+        return {
+          ok: true,
+          text: async () => (name === 'logs.sql'
+            ? 'SELECT * FROM {{table}} WHERE {{timeFilter}} {{facetFilters}} LIMIT {{pageSize}}'
+            : 'SELECT {{aggTotal}} as cnt FROM {{table}} WHERE {{timeFilter}} {{facetFilters}}'),
+        };
+      }
+      queries.push(options.body);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ data: [{ cnt: '200', cnt_5xx: '3' }] }),
+      };
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  it('names panels after what they show', () => {
+    assert.strictEqual(getPanelTitle(panel({ type: 'chart', table: 'da' })), 'DA requests');
+    assert.strictEqual(getPanelTitle(panel({ type: 'stat', table: 'lambda_logs', metric: '5xx' })), 'Lambda Logs 5xx rate');
+    assert.strictEqual(getPanelTitle(panel({ type: 'facet', table: 'delivery', facet: 'breakdown-hosts' })), 'Delivery: host');
+    assert.strictEqual(getPanelTitle(panel({ type: 'logs', table: 'da', title: 'Mine' })), 'Mine');
+  });
+
+  it('queries the panel table with its own filters and time range', async () => {
+    const sql = await buildPanelSql(panel({
+      type: 'logs',
+      table: 'lambda_logs',
+      timeRange: '24h',
+      filters: [{ col: '`level`', value: 'error' }, { col: 'evil()', value: 'x' }],
+    }), now);
+    assert.include(sql, 'FROM lambda_logs');
+    assert.include(sql, "toDateTime('2026-01-19 12:34:00')");
+    assert.include(sql, "AND `level` = 'error'");
+    assert.notInclude(sql, 'evil');
+    assert.include(sql, 'LIMIT 25');
+  });
+
+  it('uses the source aggregations for single stats', async () => {
+    const sql = await buildPanelSql(panel({ type: 'stat', table: 'da' }), now);
+    assert.include(sql, 'sum(`weight`) as cnt');
+    assert.deepEqual(formatStat('5xx', { cnt: '200', cnt_5xx: '3' }), { value: '1.50%', detail: '3 of 200' });
+    assert.strictEqual(formatStat('4xx', { cnt: '0' }).value, '–');
+  });
+
+  it('renders facet rows that filter the panel', () => {
+    const facet = panel({
+      type: 'facet',
+      table: 'delivery',
+      facet: 'breakdown-hosts',
+      filters: [{ col: '`request.host`', value: 'b.aem.live' }],
+    });
+    const html = renderPanelBody(facet, [
+      {
+        dim: 'a.aem.live', cnt: '10', cnt_ok: '10', cnt_4xx: '0', cnt_5xx: '0',
+      },
+      {
+        dim: 'b.aem.live', cnt: '5', cnt_ok: '4', cnt_4xx: '0', cnt_5xx: '1',
+      },
+    ]);
+    assert.include(html, 'data-action="add-filter"');
+    assert.include(html, 'data-action="remove-filter-value"');
+    assert.include(renderPanelBody(facet, []), 'No data');
+  });
+
+  it('loads a panel into its shell', async () => {
+    const stat = panel({
+      type: 'stat', table: 'lambda_logs', metric: '5xx', span: 2, filters: [{ col: '`level`', value: 'error', exclude: true }],
+    });
+    const host = document.createElement('div');
+    host.innerHTML = buildPanelShell(stat, 4);
+    const el = host.firstElementChild;
+    assert.strictEqual(el.dataset.index, '4');
+    assert.strictEqual(el.style.gridColumn, 'span 2');
+    assert.include(el.querySelector('.grid-panel-filters').textContent, 'NOT error');
+    await loadPanel(stat, el, now);
+    assert.lengthOf(queries, 1);
+    assert.include(queries[0], "`level` != 'error'");
+    assert.strictEqual(el.querySelector('.grid-stat-value').textContent, '1.50%');
+    assert.isFalse(el.classList.contains('updating'));
+  });
+});
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Tables the grid page can build panels from. Each entry carries what initDashboard()
+ * gets from the table's *-main.js, since grid panels don't share the global state.
+ */
+
+import { allBreakdowns } from './breakdowns/definitions.js';
+import { daBreakdowns } from './breakdowns/definitions-da.js';
+import { lambdaBreakdowns, lambdaAggregations } from './breakdowns/definitions-lambda.js';
+import { buildAllowedColumns } from './filter-sql.js';
+
+const CDN_LOG_COLUMNS = [
+  'timestamp',
+  'response.status',
+  'request.method',
+  'request.host',
+  'request.url',
+  'cdn.cache_status',
+];
+
+function weightedAggregations(weightColumn) {
+  const wc = `\`${weightColumn}\``;
+  return {
+    aggTotal: `sum(${wc})`,
+    aggOk: `sumIf(${wc}, \`response.status\` < 400)`,
+    agg4xx: `sumIf(${wc}, \`response.status\` >= 400 AND \`response.status\` < 500)`,
+    agg5xx: `sumIf(${wc}, \`response.status\` >= 500)`,
+  };
+}
+
+/**
+ * @typedef {Object} GridSource
+ * @property {string} label - Dashboard title
+ * @property {string} timeSeriesTemplate - SQL template for chart panels
+ * @property {{ aggTotal: string, aggOk: string, agg4xx: string, agg5xx: string }} aggregations
+ * @property {Array<Object>} breakdowns - Facet definitions
+ * @property {string[]} logColumns - Columns shown by logs panels
+ */
+
+/** @type {Record<string, GridSource>} */
+export const GRID_SOURCES = {
+  delivery: {
+    label: 'Delivery',
+    timeSeriesTemplate: 'time-series-delivery',
+    aggregations: weightedAggregations('weight'),
+    breakdowns: allBreakdowns,
+    logColumns: CDN_LOG_COLUMNS,
+  },
+  backend: {
+    label: 'Backend',
+    timeSeriesTemplate: 'time-series-backend',
+    aggregations: weightedAggregations('weight'),
+    breakdowns: allBreakdowns,
+    logColumns: CDN_LOG_COLUMNS,
+  },
+  admin: {
+    label: 'Admin',
+    timeSeriesTemplate: 'time-series-backend',
+    aggregations: weightedAggregations('weight'),
+    breakdowns: allBreakdowns,
+    logColumns: CDN_LOG_COLUMNS,
+  },
+  da: {
+    label: 'DA',
+    timeSeriesTemplate: 'time-series-delivery',
+    aggregations: weightedAggregations('weight'),
+    breakdowns: daBreakdowns,
+    logColumns: CDN_LOG_COLUMNS,
+  },
+  lambda_logs: {
+    label: 'Lambda Logs',
+    timeSeriesTemplate: 'time-series-lambda',
+    aggregations: lambdaAggregations,
+    breakdowns: lambdaBreakdowns,
+    logColumns: ['timestamp', 'level', 'function_name', 'message'],
+  },
+};
+
+const allowedColumns = {};
+
+/**
+ * Filter column allowlist of a source table (see compileFilters()).
+ * @param {string} table - GRID_SOURCES key
+ * @returns {Set<string>}
+ */
+export function getSourceAllowedColumns(table) {
+  if (!allowedColumns[table]) {
+    allowedColumns[table] = buildAllowedColumns(GRID_SOURCES[table].breakdowns);
+  }
+  return allowedColumns[table];
+}
+
+/**
+ * Facets a panel can show: those with a plain column (bucketed facets need a topN-dependent
+ * column and the facet page's bucket rendering).
+ * @param {string} table - GRID_SOURCES key
+ * @returns {Array<Object>}
+ */
+export function getSourceFacets(table) {
+  return (GRID_SOURCES[table]?.breakdowns || [])
+    .filter((b) => typeof b.col === 'string' && !b.rawCol);
+}
@@ -0,0 +1,198 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Distribution heatmap dialog: time × value bucket of response time or content length. */
+
+import { isAbortError, getQueryErrorDetails } from './api.js';
+import { hexToRgba } from './chart-state.js';
+import { formatNumber } from './format.js';
+import { getHeatmapBreakdowns, loadHeatmap, zoomToHeatmapCell } from './heatmap.js';
+import { escapeHtml } from './utils.js';
+
+const ROW_HEIGHT = 18;
+
+let dialog = null;
+let abortController = null;
+let pickedId = 'breakdown-time-elapsed';
+/** @type {import('./heatmap.js').HeatmapGrid|null} */
+let grid = null;
+
+function getFacetTitle(b) {
+  const card = document.getElementById(b.id);
+  return card?.dataset.title || card?.querySelector('h3')?.textContent?.trim() || b.id;
+}
+
+function getPicked() {
+  const breakdowns = getHeatmapBreakdowns();
+  return breakdowns.find((b) => b.id === pickedId) || breakdowns[0] || null;
+}
+
+function formatTime(date) {
+  return `${date.toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+// Cell under a canvas position; the largest value bucket is the top row
+function getCellAt(canvas, x, y) {
+  if (!grid) { return null; }
+  const rect = canvas.getBoundingClientRect();
+  const timeIdx = Math.floor((x / rect.width) * grid.times.length);
+  const labelIdx = grid.labels.length - 1 - Math.floor(y / ROW_HEIGHT);
+  const inside = timeIdx >= 0 && timeIdx < grid.times.length
+    && labelIdx >= 0 && labelIdx < grid.labels.length;
+  if (!inside) {
+    return null;
+  }
+  return { timeIdx, labelIdx };
+}
+
+// Shade each cell by its share of the time bucket, so shifts show regardless of traffic
+function drawHeatmap(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const { width } = canvas.getBoundingClientRect();
+  const height = grid.labels.length * ROW_HEIGHT;
+  // eslint-disable-next-line no-param-reassign
+  canvas.width = width * dpr;
+  // eslint-disable-next-line no-param-reassign
+  canvas.height = height * dpr;
+  // eslint-disable-next-line no-param-reassign
+  canvas.style.height = `${height}px`;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+  const color = getComputedStyle(document.documentElement).getPropertyValue('--chart-line').trim();
+  const cellWidth = width / grid.times.length;
+  grid.labels.forEach((_, labelIdx) => {
+    const y = (grid.labels.length - 1 - labelIdx) * ROW_HEIGHT;
+    grid.times.forEach((__, timeIdx) => {
+      const total = grid.totals[timeIdx];
+      const count = grid.counts[labelIdx][timeIdx];
+      if (total > 0 && count > 0) {
+        ctx.fillStyle = hexToRgba(color, 0.1 + 0.9 * (count / total));
+        ctx.fillRect(timeIdx * cellWidth, y, Math.ceil(cellWidth), ROW_HEIGHT - 1);
+      }
+    });
+  });
+}
+
+function renderGrid() {
+  const body = dialog.querySelector('.heatmap-body');
+  if (grid.totals.every((t) => t === 0)) {
+    body.innerHTML = '<p class="heatmap-empty">No data</p>';
+    return;
+  }
+  const labels = [...grid.labels].reverse()
+    .map((label) => `<div style="height: ${ROW_HEIGHT}px">${escapeHtml(label)}</div>`)
+    .join('');
+  body.innerHTML = `
+    <div class="heatmap-grid">
+      <div class="heatmap-labels">${labels}</div>
+      <div class="heatmap-plot">
+        <canvas class="heatmap-canvas" aria-label="Requests by time and ${escapeHtml(getFacetTitle(getPicked()))}"></canvas>
+        <div class="heatmap-axis">
+          <span>${escapeHtml(formatTime(grid.times[0]))}</span>
+          <span>${escapeHtml(formatTime(grid.times[grid.times.length - 1]))}</span>
+        </div>
+      </div>
+    </div>
+  `;
+  drawHeatmap(body.querySelector('canvas'));
+}
+
+async function loadIntoDialog() {
+  abortController?.abort();
+  abortController = new AbortController();
+  const { signal } = abortController;
+  const body = dialog.querySelector('.heatmap-body');
+  const b = getPicked();
+  grid = null;
+  if (!b) {
+    body.innerHTML = '<p class="heatmap-empty">This dashboard has no bucketed facets.</p>';
+    return;
+  }
+  body.innerHTML = '<p class="heatmap-empty">Loading…</p>';
+  try {
+    const result = await loadHeatmap(b, signal);
+    if (signal.aborted) {
+      return;
+    }
+    grid = result;
+    renderGrid();
+  } catch (err) {
+    if (isAbortError(err)) {
+      return;
+    }
+    body.innerHTML = `<p class="heatmap-error">${escapeHtml(getQueryErrorDetails(err).message)}</p>`;
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'heatmapModal';
+  const options = getHeatmapBreakdowns().map((b) => (
+    `<option value="${escapeHtml(b.id)}">${escapeHtml(getFacetTitle(b))}</option>`
+  )).join('');
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>Distribution heatmap</h2>
+      <button type="button" class="modal-close" data-action="heatmap-close" aria-label="Close">×</button>
+    </div>
+    <div class="heatmap-controls">
+      <select class="heatmap-select" aria-label="Facet">${options}</select>
+      <span>Shade: share of the time bucket's requests</span>
+    </div>
+    <div class="heatmap-body"></div>
+    <div class="manage-cols-footer">
+      <span class="heatmap-hint">Click a cell to zoom to its time bucket and filter by its value</span>
+      <button type="button" class="manage-cols-btn" data-action="heatmap-close">Close</button>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="heatmap-close"]')) {
+      e.stopPropagation();
+      dialog.close();
+      return;
+    }
+    const canvas = e.target.closest('.heatmap-canvas');
+    const cell = canvas && getCellAt(canvas, e.offsetX, e.offsetY);
+    if (cell) {
+      const { times, stepMs, labels } = grid;
+      dialog.close();
+      zoomToHeatmapCell(getPicked(), times[cell.timeIdx], stepMs, labels[cell.labelIdx]);
+    }
+  });
+  dialog.addEventListener('mousemove', (e) => {
+    const canvas = e.target.closest('.heatmap-canvas');
+    const cell = canvas && getCellAt(canvas, e.offsetX, e.offsetY);
+    if (!cell) { return; }
+    const count = grid.counts[cell.labelIdx][cell.timeIdx];
+    const total = grid.totals[cell.timeIdx];
+    const share = total > 0 ? ` (${((count / total) * 100).toFixed(1)}%)` : '';
+    canvas.title = `${formatTime(grid.times[cell.timeIdx])} · ${grid.labels[cell.labelIdx]}: ${formatNumber(count)} requests${share}`;
+  });
+  dialog.querySelector('.heatmap-select').addEventListener('change', (e) => {
+    pickedId = e.target.value;
+    loadIntoDialog();
+  });
+  dialog.addEventListener('close', () => abortController?.abort());
+  return dialog;
+}
+
+/** Open the heatmap dialog and load it for the current time range and filters */
+export function openHeatmapDialog() {
+  buildDialog();
+  const b = getPicked();
+  dialog.querySelector('.heatmap-select').value = b ? b.id : '';
+  dialog.showModal();
+  loadIntoDialog();
+}
@@ -0,0 +1,129 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Distribution heatmap: requests per chart time bucket × value bucket of a bucketed facet
+ * (response time, content length), using the facet's own bucket expression and labels
+ * (js/breakdowns/buckets.js) so a cell filters exactly like the facet row (heatmap.sql).
+ */
+
+import { query } from './api.js';
+import { getBreakdowns, getFacetFiltersExcluding } from './breakdowns/index.js';
+import { getNavigationCallback, parseUTC } from './chart-state.js';
+import { DATABASE } from './config.js';
+import { addFilter } from './filters.js';
+import { buildStatusAggregations } from './query-aggregations.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import {
+  getTable, getTimeBucket, getTimeBucketStepMs, getTimeFilter, getHostFilter,
+  getTimeRangeBounds, setCustomTimeRange,
+} from './time.js';
+import { saveStateToURL } from './url-state.js';
+
+/**
+ * @typedef {Object} HeatmapGrid
+ * @property {Array<Date>} times - Start of each time bucket, oldest first
+ * @property {Array<string>} labels - Value buckets, smallest first
+ * @property {Array<Array<number>>} counts - counts[label][time]
+ * @property {Array<number>} totals - Requests per time bucket
+ * @property {number} stepMs - Length of a time bucket
+ */
+
+/**
+ * Breakdowns with value buckets the heatmap can show.
+ * @returns {Array<Object>}
+ */
+export function getHeatmapBreakdowns() {
+  return getBreakdowns().filter((b) => b.rawCol && typeof b.col === 'function' && b.getExpectedLabels);
+}
+
+/**
+ * SQL for requests per time bucket and value bucket, with the dashboard's time range and
+ * filters (except filters on the breakdown itself, like its facet).
+ * @param {Object} b - Entry of getHeatmapBreakdowns()
+ * @returns {Promise<string>}
+ */
+export function buildHeatmapSql(b) {
+  return loadSql('heatmap', {
+    database: DATABASE,
+    table: getTable(),
+    bucket: getTimeBucket(),
+    bucketExpr: b.col(state.topN, 'val'),
+    rawCol: b.rawCol,
+    aggTotal: buildStatusAggregations(false, '').aggTotal,
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFiltersExcluding(b.col(state.topN)),
+    extra: b.extraFilter || '',
+    additionalWhereClause: state.additionalWhereClause || '',
+  });
+}
+
+/**
+ * Lay heatmap.sql rows out on the chart's time axis.
+ * @param {Array<{ t: string, dim: string, cnt: string|number }>} rows
+ * @param {Array<string>} labels - Expected bucket labels, smallest first
+ * @param {{ start: Date, end: Date, stepMs: number }} range - Aligned time bounds
+ * @returns {HeatmapGrid}
+ */
+export function buildHeatmapGrid(rows, labels, { start, end, stepMs }) {
+  const columns = Math.max(1, Math.floor((end - start) / stepMs) + 1);
+  const times = Array.from({ length: columns }, (_, i) => new Date(start.getTime() + i * stepMs));
+  const counts = labels.map(() => new Array(columns).fill(0));
+  const totals = new Array(columns).fill(0);
+  rows.forEach((row) => {
+    const col = Math.round((parseUTC(row.t).getTime() - start.getTime()) / stepMs);
+    const labelIdx = labels.indexOf(row.dim);
+    if (col < 0 || col >= columns || labelIdx === -1) {
+      return;
+    }
+    const cnt = Number(row.cnt) || 0;
+    counts[labelIdx][col] += cnt;
+    totals[col] += cnt;
+  });
+  return {
+    times, labels, counts, totals, stepMs,
+  };
+}
+
+/**
+ * Load the heatmap for a breakdown.
+ * @param {Object} b - Entry of getHeatmapBreakdowns()
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<HeatmapGrid>}
+ */
+export async function loadHeatmap(b, signal) {
+  const result = await query(await buildHeatmapSql(b), { signal });
+  return buildHeatmapGrid(result.data, b.getExpectedLabels(state.topN), {
+    ...getTimeRangeBounds(),
+    stepMs: getTimeBucketStepMs(),
+  });
+}
+
+/**
+ * Zoom the dashboard to one heatmap cell: its time bucket as custom time range, and its
+ * value bucket as the only filter on the breakdown.
+ * @param {Object} b - Entry of getHeatmapBreakdowns()
+ * @param {Date} start - Start of the time bucket
+ * @param {number} stepMs - Length of the time bucket
+ * @param {string} label - Value bucket
+ */
+export function zoomToHeatmapCell(b, start, stepMs, label) {
+  const col = b.col(state.topN);
+  state.filters = state.filters.filter((f) => f.col !== col);
+  addFilter(col, label, false, undefined, undefined, undefined, true);
+  setCustomTimeRange(start, new Date(start.getTime() + stepMs));
+  saveStateToURL();
+  const onNavigate = getNavigationCallback();
+  if (onNavigate) { onNavigate(); }
+}
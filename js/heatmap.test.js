@@ -0,0 +1,110 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getHeatmapBreakdowns, buildHeatmapSql, buildHeatmapGrid, zoomToHeatmapCell,
+} from './heatmap.js';
+import { allBreakdowns } from './breakdowns/definitions.js';
+import { state } from './state.js';
+import { clearCustomTimeRange, getCustomTimeRange } from './time.js';
+
+const timeElapsed = allBreakdowns.find((b) => b.id === 'breakdown-time-elapsed');
+
+describe('getHeatmapBreakdowns', () => {
+  it('offers the bucketed facets', () => {
+    const ids = getHeatmapBreakdowns().map((b) => b.id);
+    assert.include(ids, 'breakdown-time-elapsed');
+    assert.include(ids, 'breakdown-content-length');
+    assert.notInclude(ids, 'breakdown-hosts');
+  });
+});
+
+describe('buildHeatmapGrid', () => {
+  const range = {
+    start: new Date('2026-01-20T12:00:00Z'),
+    end: new Date('2026-01-20T12:03:00Z'),
+    stepMs: 60000,
+  };
+
+  it('places counts by time bucket and value bucket', () => {
+    const grid = buildHeatmapGrid([
+      { t: '2026-01-20 12:00:00', dim: '< 10ms', cnt: '3' },
+      { t: '2026-01-20 12:00:00', dim: '≥ 1s', cnt: '1' },
+      { t: '2026-01-20 12:02:00', dim: '≥ 1s', cnt: '5' },
+    ], ['< 10ms', '10ms-1s', '≥ 1s'], range);
+    assert.lengthOf(grid.times, 4);
+    assert.deepEqual(grid.counts, [[3, 0, 0, 0], [0, 0, 0, 0], [1, 0, 5, 0]]);
+    assert.deepEqual(grid.totals, [4, 0, 5, 0]);
+    assert.strictEqual(grid.stepMs, 60000);
+  });
+
+  it('skips rows outside the range or the bucket labels', () => {
+    const grid = buildHeatmapGrid([
+      { t: '2026-01-20 11:59:00', dim: '< 10ms', cnt: '3' },
+      { t: '2026-01-20 12:01:00', dim: 'unknown', cnt: '2' },
+    ], ['< 10ms'], range);
+    assert.deepEqual(grid.totals, [0, 0, 0, 0]);
+  });
+});
+
+describe('heatmap queries and zoom', () => {
+  let originalFetch;
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      filters: state.filters, weightColumn: state.weightColumn, topN: state.topN,
+    };
+    state.weightColumn = 'weight';
+    state.topN = 10;
+    originalFetch = window.fetch;
+    window.fetch = async () => ({
+      ok: true,
+      text: async () => 'SELECT {{bucket}}, {{bucketExpr}}, {{rawCol}}, {{aggTotal}} WHERE {{facetFilters}} {{extra}}',
+    });
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    Object.assign(state, saved);
+    clearCustomTimeRange();
+  });
+
+  it('buckets raw values with the facet expression and ignores its own filter', async () => {
+    state.filters = [
+      { col: timeElapsed.col(10), value: '< 1ms', exclude: false },
+      { col: '`cdn.datacenter`', value: 'FRA', exclude: false },
+    ];
+    const sql = await buildHeatmapSql(timeElapsed);
+    assert.include(sql, timeElapsed.col(10, 'val'));
+    assert.include(sql, '`cdn.time_elapsed_msec`, sum(`weight`)');
+    assert.include(sql, "`cdn.datacenter` = 'FRA'");
+    assert.notInclude(sql, "= '< 1ms'");
+  });
+
+  it('keeps the facet extra filter so rows without the value stay out', async () => {
+    const ratelimit = getHeatmapBreakdowns().find((b) => b.id === 'breakdown-ratelimit-rate');
+    const sql = await buildHeatmapSql(ratelimit);
+    assert.include(sql, "AND `response.headers.x_ratelimit_rate` != ''");
+  });
+
+  it('zooms to a cell with its bucket as the only filter on the facet', () => {
+    document.body.innerHTML = '<div id="activeFilters"></div>';
+    const col = timeElapsed.col(10);
+    state.filters = [{ col, value: '< 1ms', exclude: false }];
+    zoomToHeatmapCell(timeElapsed, new Date('2026-01-20T12:00:00Z'), 300000, '≥ 1s');
+    assert.deepEqual(state.filters.map((f) => f.value), ['≥ 1s']);
+    const { start, end } = getCustomTimeRange();
+    assert.strictEqual(start.toISOString(), '2026-01-20T12:00:00.000Z');
+    assert.strictEqual(end.toISOString(), '2026-01-20T12:05:00.000Z');
+  });
+});
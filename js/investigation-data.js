@@ -11,16 +11,21 @@
  */
 
 /**
- * Data plane for anomaly investigation: caching, IDs, and stubs for facet queries.
- * ClickHouse investigation queries are stubbed; UI stubs live in anomaly-investigation.js.
+ * Data plane for anomaly investigation: caching, IDs, the batched facet query and
+ * contributor ranking. Orchestration and highlighting live in anomaly-investigation.js.
  */
 
+import { query } from './api.js';
+import { getFacetFiltersExcluding } from './breakdowns/index.js';
+import { DATABASE } from './config.js';
+import { getInvestigateMinuteAggregateLines } from './query-aggregations.js';
+import { loadSql } from './sql-loader.js';
 import { state } from './state.js';
-import { getHostFilter, getTimeFilter } from './time.js';
+import { getHostFilter, getTimeFilter, getTable } from './time.js';
 import { compileFilters, isFilterSuperset } from './filter-sql.js';
 
 // Cache version - increment when cache format or algorithm changes
-const CACHE_VERSION = 3;
+const CACHE_VERSION = 4;
 
 // Number of contributors to cache vs highlight
 export const CACHE_TOP_N = 30;
@@ -244,7 +249,7 @@ export function loadCachedInvestigation(cacheKey) {
     // Check if current context is eligible (same or drill-in from cached context)
     if (data.context && isCacheEligible(data.context)) {
       // eslint-disable-next-line no-console
-      console.log(`Cache loaded: ${data.topContributors?.length || 0} contributors`);
+      console.log(`Cache loaded: ${data.results?.length || 0} anomalies`);
       return data;
     } else if (!data.context) {
       // Old cache format without context - still usable if key matches exactly
@@ -354,13 +359,128 @@ export function getCategoryFilter(category) {
   }
 }
 
+// Per-minute count column holding each anomaly category (see investigate-facet.sql)
+export const CATEGORY_COLUMNS = { red: 'cnt_5xx', yellow: 'cnt_4xx', green: 'cnt_ok' };
+
+// Facet values each anomaly nominates per facet; contributors are ranked among these
+const FACET_VALUE_LIMIT = 50;
+
+// Baseline count column of an anomaly category (see investigate-facet.sql)
+function getBaseColumn(category) {
+  return CATEGORY_COLUMNS[category].replace('cnt_', 'base_');
+}
+
 /**
- * STUB: breakdown-row investigation against ClickHouse is disabled.
- * See sql/queries/investigate-facet.sql when re-enabling.
- * @returns {Promise<[]>}
+ * Minute-aligned filter on the `minute` column of investigate-facet.sql's inner query.
+ * @param {Date} start - Window start time
+ * @param {Date} end - Window end time (inclusive)
+ * @returns {string} SQL condition
  */
-export async function investigateFacet() {
-  return [];
+export function buildMinuteFilter(start, end) {
+  const startIso = start.toISOString().replace('T', ' ').slice(0, 19);
+  const endIso = end.toISOString().replace('T', ' ').slice(0, 19);
+  return `minute BETWEEN toStartOfMinute(toDateTime('${startIso}')) AND toStartOfMinute(toDateTime('${endIso}'))`;
+}
+
+/**
+ * Rank the facet values that over-contribute to an anomaly: their share of the anomaly
+ * category inside the anomaly window against their share outside every anomaly window.
+ * For dips the comparison flips, so values whose traffic disappeared rank first.
+ * @param {Array<Object>} rows - investigate-facet.sql rows
+ * @param {string} stepColumn - Column with the value's count in the anomaly window
+ * @param {string} baseColumn - Column with the value's count in the baseline
+ * @param {'spike'|'dip'} type
+ * @returns {Array<{ dim: string, anomalyShare: number, baselineShare: number,
+ *   score: number }>} contributors, best first (at most CACHE_TOP_N)
+ */
+export function rankContributors(rows, stepColumn, baseColumn, type = 'spike') {
+  const anomalyTotal = rows.reduce((sum, row) => sum + (Number(row[stepColumn]) || 0), 0);
+  const baselineTotal = rows.reduce((sum, row) => sum + (Number(row[baseColumn]) || 0), 0);
+  if (anomalyTotal === 0 && baselineTotal === 0) {
+    return [];
+  }
+  const direction = type === 'dip' ? -1 : 1;
+  return rows
+    .map((row) => {
+      const anomalyShare = anomalyTotal ? (Number(row[stepColumn]) || 0) / anomalyTotal : 0;
+      const baselineShare = baselineTotal ? (Number(row[baseColumn]) || 0) / baselineTotal : 0;
+      return {
+        dim: row.dim,
+        anomalyShare,
+        baselineShare,
+        score: direction * (anomalyShare - baselineShare),
+      };
+    })
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CACHE_TOP_N);
+}
+
+/**
+ * Build the investigation query for one facet. All anomalies share one query: each gets
+ * a column with its category's count inside its window, and the baseline is every minute
+ * outside all windows. Candidates are the union of each anomaly's top values: by its
+ * window's category count for spikes, so a low-traffic value behind an error spike still
+ * makes the cut, and by the baseline count for dips, whose contributors are the values
+ * that stopped.
+ * @param {Object} breakdown - Breakdown definition
+ * @param {Array<{ rank: number, category: string, start: Date, end: Date }>} anomalies
+ * @param {Object} [options]
+ * @param {string} [options.timeFilter] - Overrides the dashboard time range
+ * @returns {Promise<string>}
+ */
+export function buildInvestigateFacetSql(breakdown, anomalies, { timeFilter } = {}) {
+  const col = typeof breakdown.col === 'function' ? breakdown.col(state.topN) : breakdown.col;
+  const windows = anomalies.map((a) => buildMinuteFilter(a.start, a.end));
+  const stepColumns = anomalies.map((a, i) => (
+    `sumIf(${CATEGORY_COLUMNS[a.category]}, ${windows[i]}) as step_${a.rank}`
+  )).join(',\n    ');
+  const candidateRanks = anomalies.map((a) => {
+    const column = a.type === 'dip' ? getBaseColumn(a.category) : `step_${a.rank}`;
+    return `row_number() OVER (ORDER BY ${column} DESC) as candidate_${a.rank}`;
+  }).join(',\n    ');
+  return loadSql('investigate-facet', {
+    ...getInvestigateMinuteAggregateLines(),
+    col,
+    stepColumns,
+    candidateRanks,
+    candidateFilter: anomalies.map((a) => `candidate_${a.rank} <= ${FACET_VALUE_LIMIT}`).join(' OR '),
+    baselineFilter: `NOT (${windows.join(' OR ')})`,
+    database: DATABASE,
+    table: getTable(),
+    timeFilter: timeFilter || getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFiltersExcluding(col),
+    extra: breakdown.extraFilter || '',
+    additionalWhereClause: state.additionalWhereClause || '',
+  });
+}
+
+/**
+ * Investigate one facet for all anomalies at once.
+ * @param {Object} breakdown - Breakdown definition
+ * @param {Array<{ rank: number, category: string, type: string, start: Date, end: Date }>}
+ *   anomalies
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.timeFilter] - Overrides the dashboard time range (the baseline is
+ *   the part of it outside every anomaly window)
+ * @returns {Promise<{ contributors: Record<number, Array<Object>>, elapsed: number }>}
+ *   contributors per anomaly rank, and the server time the query took (seconds)
+ */
+export async function investigateFacet(breakdown, anomalies, { signal, timeFilter } = {}) {
+  const sql = await buildInvestigateFacetSql(breakdown, anomalies, { timeFilter });
+  const result = await query(sql, { signal });
+  const contributors = {};
+  for (const a of anomalies) {
+    contributors[a.rank] = rankContributors(
+      result.data,
+      `step_${a.rank}`,
+      getBaseColumn(a.category),
+      a.type,
+    );
+  }
+  return { contributors, elapsed: result.statistics?.elapsed || 0 };
 }
 
 /**
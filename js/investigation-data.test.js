@@ -0,0 +1,115 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { state } from './state.js';
+import {
+  buildMinuteFilter, rankContributors, buildInvestigateFacetSql, generateAnomalyId,
+} from './investigation-data.js';
+
+describe('generateAnomalyId', () => {
+  it('is stable and picks the color from the category', () => {
+    const start = new Date('2026-01-15T10:00:00Z');
+    const end = new Date('2026-01-15T10:10:00Z');
+    const id = generateAnomalyId('t', 'f', start, end, 'red');
+    assert.strictEqual(generateAnomalyId('t', 'f', start, end, 'red'), id);
+    assert.match(id, /^[a-z]+-[a-z]+-[a-z]+$/);
+  });
+});
+
+describe('buildMinuteFilter', () => {
+  it('filters the inner minute column on whole minutes', () => {
+    const sql = buildMinuteFilter(new Date('2026-01-15T10:00:00Z'), new Date('2026-01-15T10:04:59Z'));
+    assert.strictEqual(
+      sql,
+      "minute BETWEEN toStartOfMinute(toDateTime('2026-01-15 10:00:00')) AND toStartOfMinute(toDateTime('2026-01-15 10:04:59'))",
+    );
+  });
+});
+
+describe('rankContributors', () => {
+  const rows = [
+    { dim: 'a.example', step_1: '900', base_5xx: '100' },
+    { dim: 'b.example', step_1: '50', base_5xx: '450' },
+    { dim: 'c.example', step_1: '50', base_5xx: '450' },
+  ];
+
+  it('ranks values by how much their share of a spike exceeds the baseline', () => {
+    const result = rankContributors(rows, 'step_1', 'base_5xx', 'spike');
+    assert.lengthOf(result, 1);
+    assert.strictEqual(result[0].dim, 'a.example');
+    assert.closeTo(result[0].anomalyShare, 0.9, 1e-9);
+    assert.closeTo(result[0].baselineShare, 0.1, 1e-9);
+    assert.closeTo(result[0].score, 0.8, 1e-9);
+  });
+
+  it('ranks values that lost share first for dips', () => {
+    const result = rankContributors(rows, 'step_1', 'base_5xx', 'dip');
+    assert.sameMembers(result.map((c) => c.dim), ['b.example', 'c.example']);
+  });
+
+  it('returns nothing without counts', () => {
+    assert.deepEqual(rankContributors([{ dim: 'x', step_1: 0, base_5xx: 0 }], 'step_1', 'base_5xx'), []);
+  });
+});
+
+describe('buildInvestigateFacetSql', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    state.weightColumn = null;
+    state.aggregations = null;
+    window.fetch = async () => ({
+      ok: true,
+      text: async () => 'SELECT * FROM (SELECT {{col}}, {{stepColumns}}, {{candidateRanks}} WHERE {{baselineFilter}} {{innerCnt}}) WHERE {{candidateFilter}}',
+    });
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  it('batches all anomalies into one query with a shared baseline', async () => {
+    const anomalies = [
+      {
+        rank: 1, category: 'red', start: new Date('2026-01-15T10:00:00Z'), end: new Date('2026-01-15T10:05:00Z'),
+      },
+      {
+        rank: 2, category: 'green', type: 'dip', start: new Date('2026-01-15T11:00:00Z'), end: new Date('2026-01-15T11:05:00Z'),
+      },
+    ];
+    const sql = await buildInvestigateFacetSql({ col: '`request.host`' }, anomalies);
+    assert.include(sql, 'sumIf(cnt_5xx, minute BETWEEN');
+    assert.include(sql, 'as step_1');
+    assert.include(sql, 'sumIf(cnt_ok, minute BETWEEN');
+    assert.include(sql, 'as step_2');
+    assert.include(sql, 'WHERE NOT (minute BETWEEN');
+    assert.include(sql, ' OR minute BETWEEN');
+    assert.include(sql, 'count() as cnt');
+  });
+
+  it('nominates each anomaly\'s top values instead of the busiest ones overall', async () => {
+    const anomalies = [
+      {
+        rank: 1, category: 'red', type: 'spike', start: new Date('2026-01-15T10:00:00Z'), end: new Date('2026-01-15T10:05:00Z'),
+      },
+      {
+        rank: 2, category: 'green', type: 'dip', start: new Date('2026-01-15T11:00:00Z'), end: new Date('2026-01-15T11:05:00Z'),
+      },
+    ];
+    const sql = await buildInvestigateFacetSql({ col: '`request.host`' }, anomalies);
+    assert.include(sql, 'row_number() OVER (ORDER BY step_1 DESC) as candidate_1');
+    assert.include(sql, 'row_number() OVER (ORDER BY base_ok DESC) as candidate_2');
+    assert.include(sql, 'WHERE candidate_1 <= 50 OR candidate_2 <= 50');
+    assert.notInclude(sql, 'sum(cnt) DESC');
+  });
+});
@@ -9,8 +9,9 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { LOG_FACET_ROW_BUDGET } from './constants.js';
 import { initDashboard } from './dashboard-init.js';
-import { lambdaBreakdowns } from './breakdowns/definitions-lambda.js';
+import { lambdaBreakdowns, lambdaAggregations } from './breakdowns/definitions-lambda.js';
 
 const LOG_COLUMN_ORDER = [
   'timestamp',
@@ -39,18 +40,11 @@ const DEFAULT_HIDDEN_FACETS = [
   'breakdown-path',
 ];
 
-const LAMBDA_AGGREGATIONS = {
-  aggTotal: 'count()',
-  aggOk: "countIf(lower(level) NOT IN ('error', 'warn', 'warning'))",
-  agg4xx: "countIf(lower(level) IN ('warn', 'warning'))",
-  agg5xx: "countIf(lower(level) = 'error')",
-};
-
 initDashboard({
   title: 'Lambda Logs',
   tableName: 'lambda_logs',
   timeSeriesTemplate: 'time-series-lambda',
-  aggregations: LAMBDA_AGGREGATIONS,
+  aggregations: lambdaAggregations,
   hostFilterColumn: 'function_name',
   requestIdColumn: 'request_id',
   messageColumn: 'message',
@@ -58,4 +52,5 @@ initDashboard({
   logColumnOrder: LOG_COLUMN_ORDER,
   defaultHiddenFacets: DEFAULT_HIDDEN_FACETS,
   breakdowns: lambdaBreakdowns,
+  facetRowBudget: LOG_FACET_ROW_BUDGET,
 });
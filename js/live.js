@@ -0,0 +1,140 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Live mode: re-run the dashboard on a fixed interval with the query window slid to now.
+ * Ticks never overlap, pause while the tab is hidden and back off exponentially while
+ * the refresh keeps reporting failed queries. Only ClickHouse and network errors count:
+ * a bug in our own code is logged and does not throttle live mode.
+ */
+
+import { isQueryFailure } from './api.js';
+import { LIVE_INTERVALS } from './constants.js';
+import { state } from './state.js';
+
+const MAX_LIVE_BACKOFF_MS = 5 * 60 * 1000;
+
+let liveTimer = null;
+let liveRefresh = null;
+let tickRunning = false;
+let failureCount = 0;
+
+/**
+ * Refresh interval of a live mode.
+ * @param {string|null} [mode]
+ * @returns {number|null} Milliseconds, or null when live mode is off
+ */
+export function getLiveIntervalMs(mode = state.liveMode) {
+  return mode && Object.hasOwn(LIVE_INTERVALS, mode) ? LIVE_INTERVALS[mode].intervalMs : null;
+}
+
+/**
+ * Delay before the next tick: the interval, doubled per consecutive failed tick.
+ * @param {number} intervalMs
+ * @param {number} failures - Consecutive failed ticks
+ * @returns {number}
+ */
+export function getLiveDelayMs(intervalMs, failures) {
+  return Math.min(intervalMs * 2 ** failures, MAX_LIVE_BACKOFF_MS);
+}
+
+/** Sync the live mode select with state.liveMode and the backoff status */
+export function updateLiveControl() {
+  const select = document.getElementById('liveMode');
+  if (!select) {
+    return;
+  }
+  const intervalMs = getLiveIntervalMs();
+  select.value = intervalMs ? state.liveMode : '';
+  select.classList.toggle('live-active', !!intervalMs && failureCount === 0);
+  select.classList.toggle('live-backoff', !!intervalMs && failureCount > 0);
+  select.title = intervalMs && failureCount > 0
+    ? `Live mode: queries failing, retrying every ${getLiveDelayMs(intervalMs, failureCount) / 1000}s`
+    : 'Live mode: auto-refresh';
+}
+
+function clearLiveTimer() {
+  if (liveTimer) {
+    clearTimeout(liveTimer);
+    liveTimer = null;
+  }
+}
+
+function scheduleLiveTick() {
+  clearLiveTimer();
+  const intervalMs = getLiveIntervalMs();
+  if (!intervalMs || document.hidden || tickRunning) {
+    return;
+  }
+  // eslint-disable-next-line no-use-before-define
+  liveTimer = setTimeout(runLiveTick, getLiveDelayMs(intervalMs, failureCount));
+}
+
+/**
+ * Run one live refresh now and schedule the next one.
+ * A tick fails when the refresh resolves false (one of its own queries failed) or throws a
+ * query or network error.
+ */
+export async function runLiveTick() {
+  clearLiveTimer();
+  if (!liveRefresh || !getLiveIntervalMs() || document.hidden || tickRunning) {
+    return;
+  }
+  tickRunning = true;
+  let failed = false;
+  try {
+    failed = (await liveRefresh()) === false;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Live refresh error:', err);
+    failed = isQueryFailure(err);
+  } finally {
+    tickRunning = false;
+  }
+  failureCount = failed ? failureCount + 1 : 0;
+  updateLiveControl();
+  scheduleLiveTick();
+}
+
+/**
+ * Switch live mode (null turns it off).
+ * @param {string|null} mode - Key of LIVE_INTERVALS
+ * @param {Object} [options]
+ * @param {boolean} [options.runNow=true] - Refresh immediately instead of after one interval
+ */
+export function setLiveMode(mode, { runNow = true } = {}) {
+  state.liveMode = getLiveIntervalMs(mode) ? mode : null;
+  failureCount = 0;
+  updateLiveControl();
+  if (runNow) {
+    runLiveTick();
+  } else {
+    scheduleLiveTick();
+  }
+}
+
+/**
+ * Register the dashboard refresh used by live ticks and pause ticks while the tab is hidden.
+ * @param {() => Promise<boolean|void>} refresh - Resolves false when its queries failed
+ */
+export function initLiveMode(refresh) {
+  liveRefresh = refresh;
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      clearLiveTimer();
+    } else {
+      // Data went stale while hidden; catch up right away
+      runLiveTick();
+    }
+  });
+  updateLiveControl();
+}
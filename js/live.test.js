@@ -0,0 +1,124 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getLiveIntervalMs, getLiveDelayMs, initLiveMode, runLiveTick, setLiveMode,
+} from './live.js';
+import { query, QueryError } from './api.js';
+import { state } from './state.js';
+
+describe('getLiveIntervalMs', () => {
+  it('maps live modes to their interval', () => {
+    assert.strictEqual(getLiveIntervalMs('10s'), 10000);
+    assert.strictEqual(getLiveIntervalMs('1m'), 60000);
+  });
+
+  it('returns null when off or unknown', () => {
+    assert.isNull(getLiveIntervalMs(null));
+    assert.isNull(getLiveIntervalMs('toString'));
+  });
+});
+
+describe('getLiveDelayMs', () => {
+  it('doubles the interval per consecutive failure up to five minutes', () => {
+    assert.strictEqual(getLiveDelayMs(10000, 0), 10000);
+    assert.strictEqual(getLiveDelayMs(10000, 2), 40000);
+    assert.strictEqual(getLiveDelayMs(60000, 10), 5 * 60 * 1000);
+  });
+});
+
+describe('runLiveTick', () => {
+  let select;
+  let refreshes;
+  let refreshImpl;
+  let originalFetch;
+  let savedCredentials;
+
+  beforeEach(() => {
+    select = document.createElement('select');
+    select.id = 'liveMode';
+    select.innerHTML = '<option value="">Live off</option><option value="10s">Live 10s</option>';
+    document.body.appendChild(select);
+    refreshes = 0;
+    refreshImpl = async () => {};
+    initLiveMode(async () => {
+      refreshes += 1;
+      return refreshImpl();
+    });
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'u', password: 'p' };
+  });
+
+  afterEach(() => {
+    setLiveMode(null);
+    document.body.removeChild(select);
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  it('does nothing while live mode is off', async () => {
+    setLiveMode(null);
+    await runLiveTick();
+    assert.strictEqual(refreshes, 0);
+  });
+
+  it('refreshes and marks the control active', async () => {
+    setLiveMode('10s', { runNow: false });
+    await runLiveTick();
+    assert.strictEqual(refreshes, 1);
+    assert.strictEqual(select.value, '10s');
+    assert.isTrue(select.classList.contains('live-active'));
+  });
+
+  it('backs off after a tick with query errors and recovers on success', async () => {
+    refreshImpl = async () => false;
+    setLiveMode('10s', { runNow: false });
+
+    await runLiveTick();
+    assert.isTrue(select.classList.contains('live-backoff'));
+    assert.include(select.title, 'retrying every 20s');
+
+    refreshImpl = async () => {};
+    await runLiveTick();
+    assert.isFalse(select.classList.contains('live-backoff'));
+    assert.isTrue(select.classList.contains('live-active'));
+  });
+
+  it('ignores query errors the refresh did not report', async () => {
+    window.fetch = async () => ({ ok: false, status: 500, text: async () => 'Code: 241. DB::Exception: Memory limit exceeded' });
+    refreshImpl = () => query('SELECT 1').catch(() => {}).then(() => true);
+    setLiveMode('10s', { runNow: false });
+    await runLiveTick();
+    assert.isFalse(select.classList.contains('live-backoff'));
+    assert.isTrue(select.classList.contains('live-active'));
+  });
+
+  it('treats a refresh throwing a query or network error as a failed tick', async () => {
+    refreshImpl = async () => { throw new QueryError('Memory limit exceeded', { category: 'memory' }); };
+    setLiveMode('10s', { runNow: false });
+    await runLiveTick();
+    assert.isTrue(select.classList.contains('live-backoff'));
+
+    refreshImpl = async () => { throw new TypeError('Failed to fetch'); };
+    await runLiveTick();
+    assert.include(select.title, 'retrying every 40s');
+  });
+
+  it('does not back off on errors in our own code', async () => {
+    refreshImpl = async () => { throw new TypeError("Cannot read properties of undefined (reading 'length')"); };
+    setLiveMode('10s', { runNow: false });
+    await runLiveTick();
+    assert.isFalse(select.classList.contains('live-backoff'));
+    assert.isTrue(select.classList.contains('live-active'));
+  });
+});
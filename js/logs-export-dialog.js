@@ -0,0 +1,136 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Export logs dialog: format and row cap, then download progress with cancel. */
+
+import { isAbortError, getQueryErrorDetails } from './api.js';
+import { formatBytes } from './format.js';
+import {
+  EXPORT_FORMATS, DEFAULT_EXPORT_ROW_CAP, MAX_EXPORT_ROW_CAP, normalizeExportRowCap,
+  createExportSink, exportLogs,
+} from './logs-export.js';
+
+let dialog = null;
+let abortController = null; // Set while an export is running
+
+function setStatus(text, isError = false) {
+  const statusEl = dialog.querySelector('.logs-export-status');
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+  statusEl.hidden = !text;
+}
+
+function setRunning(running) {
+  const form = dialog.querySelector('form');
+  form.querySelector('[type="submit"]').disabled = running;
+  form.querySelectorAll('input').forEach((input) => {
+    // eslint-disable-next-line no-param-reassign
+    input.disabled = running;
+  });
+  const footerBtn = form.querySelector('.manage-cols-footer [data-action="logs-export-cancel"]');
+  footerBtn.textContent = running ? 'Cancel' : 'Close';
+}
+
+async function runExport() {
+  const form = dialog.querySelector('form');
+  const formatKey = form.elements.format.value;
+  const rowCap = normalizeExportRowCap(form.elements.rowCap.value);
+  form.elements.rowCap.value = rowCap;
+  // The sink comes first: the save file picker needs the submit's user gesture
+  const sink = await createExportSink(formatKey);
+  if (!sink) {
+    return;
+  }
+  abortController = new AbortController();
+  setRunning(true);
+  setStatus('Starting export…');
+  try {
+    const bytes = await exportLogs({
+      formatKey,
+      rowCap,
+      sink,
+      signal: abortController.signal,
+      onProgress: (received) => setStatus(`${formatBytes(received)} received…`),
+    });
+    setStatus(`Done: ${formatBytes(bytes)} (up to ${rowCap.toLocaleString()} rows)`);
+  } catch (err) {
+    if (isAbortError(err)) {
+      setStatus('Export cancelled');
+    } else {
+      setStatus(getQueryErrorDetails(err).message, true);
+    }
+  } finally {
+    abortController = null;
+    setRunning(false);
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'logsExportModal';
+  const formatOptions = Object.entries(EXPORT_FORMATS).map(([key, { label }], i) => `
+    <label><input type="radio" name="format" value="${key}" ${i === 0 ? 'checked' : ''}> ${label}</label>
+  `).join('');
+  dialog.innerHTML = `
+    <form method="dialog" class="logs-export-form">
+      <div class="manage-cols-header">
+        <h2>Export logs</h2>
+        <button type="button" class="modal-close" data-action="logs-export-cancel" aria-label="Close">×</button>
+      </div>
+      <div class="logs-export-body">
+        <fieldset class="logs-export-formats">
+          <legend>Format</legend>
+          ${formatOptions}
+        </fieldset>
+        <label>Row cap <input type="number" name="rowCap" min="1" max="${MAX_EXPORT_ROW_CAP}" step="1"></label>
+        <p class="logs-export-hint">Exports the newest rows matching the current time range and filters, with all columns.</p>
+        <p class="logs-export-status" hidden></p>
+      </div>
+      <div class="manage-cols-footer">
+        <button type="button" class="manage-cols-btn" data-action="logs-export-cancel">Close</button>
+        <button type="submit" class="manage-cols-btn primary">Export</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(dialog);
+
+  dialog.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-action="logs-export-cancel"]')) {
+      return;
+    }
+    e.stopPropagation();
+    // Cancel a running export first; close once nothing is running
+    if (abortController) {
+      abortController.abort();
+    } else {
+      dialog.close();
+    }
+  });
+  dialog.addEventListener('close', () => abortController?.abort());
+  dialog.querySelector('form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runExport();
+  });
+  return dialog;
+}
+
+/** Open the export logs dialog */
+export function openLogsExportDialog() {
+  buildDialog();
+  if (!abortController) {
+    const { rowCap } = dialog.querySelector('form').elements;
+    rowCap.value = rowCap.value || DEFAULT_EXPORT_ROW_CAP;
+    setStatus('');
+  }
+  dialog.showModal();
+}
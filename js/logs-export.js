@@ -0,0 +1,173 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Logs export: the full filtered logs result (logs-export.sql, newest first, up to a row cap)
+ * streamed from ClickHouse in its own CSV, NDJSON or Parquet output into a download.
+ * Where the browser can write files directly (showSaveFilePicker) chunks go straight to
+ * disk; elsewhere they are collected into a Blob and downloaded at the end.
+ */
+
+import { queryStream } from './api.js';
+import { getFacetFilters } from './breakdowns/index.js';
+import { DATABASE } from './config.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import { getTimeFilter, getHostFilter, getLogsTable } from './time.js';
+
+export const EXPORT_FORMATS = {
+  csv: {
+    label: 'CSV', format: 'CSVWithNames', extension: 'csv', mime: 'text/csv',
+  },
+  ndjson: {
+    label: 'NDJSON', format: 'JSONEachRow', extension: 'ndjson', mime: 'application/x-ndjson',
+  },
+  parquet: {
+    label: 'Parquet', format: 'Parquet', extension: 'parquet', mime: 'application/vnd.apache.parquet',
+  },
+};
+
+export const DEFAULT_EXPORT_ROW_CAP = 100000;
+export const MAX_EXPORT_ROW_CAP = 1000000;
+
+/**
+ * Clamp a user-entered row cap to 1..MAX_EXPORT_ROW_CAP (default for invalid input).
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function normalizeExportRowCap(value) {
+  const rows = Math.floor(Number(value));
+  if (!Number.isFinite(rows) || rows < 1) {
+    return DEFAULT_EXPORT_ROW_CAP;
+  }
+  return Math.min(rows, MAX_EXPORT_ROW_CAP);
+}
+
+/**
+ * Download file name, e.g. delivery-logs-20260115-1030.csv (UTC).
+ * @param {string} formatKey - Key of EXPORT_FORMATS
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function buildExportFilename(formatKey, now = new Date()) {
+  const stamp = now.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  return `${state.tableName || 'logs'}-logs-${stamp}.${EXPORT_FORMATS[formatKey].extension}`;
+}
+
+/**
+ * SQL for the export: same rows as the logs view, without paging.
+ * @param {number} rowCap
+ * @returns {Promise<string>}
+ */
+export function buildLogsExportSql(rowCap) {
+  return loadSql('logs-export', {
+    database: DATABASE,
+    table: getLogsTable(),
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
+    additionalWhereClause: state.additionalWhereClause || '',
+    rowCap: String(normalizeExportRowCap(rowCap)),
+  });
+}
+
+// Collects chunks in memory and downloads them through a temporary link when closed
+function createBlobSink(filename, mime) {
+  let chunks = [];
+  return {
+    write(chunk) {
+      chunks.push(chunk);
+    },
+    close() {
+      const url = URL.createObjectURL(new Blob(chunks, { type: mime }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      chunks = [];
+    },
+    abort() {
+      chunks = [];
+    },
+  };
+}
+
+/**
+ * Where the export is written. Must be called from the click handler (before any other
+ * await) because the save file picker needs the user gesture.
+ * @param {string} formatKey - Key of EXPORT_FORMATS
+ * @returns {Promise<{ write: Function, close: Function, abort: Function }|null>}
+ *   null when the user dismissed the save dialog
+ */
+export async function createExportSink(formatKey) {
+  const { mime, extension, label } = EXPORT_FORMATS[formatKey];
+  const filename = buildExportFilename(formatKey);
+  if (typeof window.showSaveFilePicker !== 'function') {
+    return createBlobSink(filename, mime);
+  }
+  let handle;
+  try {
+    handle = await window.showSaveFilePicker({
+      suggestedName: filename,
+      types: [{ description: label, accept: { [mime]: [`.${extension}`] } }],
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      return null;
+    }
+    // Picker not allowed here (e.g. cross-origin frame): fall back to a Blob download
+    return createBlobSink(filename, mime);
+  }
+  const writable = await handle.createWritable();
+  return {
+    write: (chunk) => writable.write(chunk),
+    close: () => writable.close(),
+    abort: () => writable.abort(),
+  };
+}
+
+/**
+ * Stream the export into a sink. The sink is closed on success and aborted on failure
+ * or cancel.
+ * @param {Object} options
+ * @param {string} options.formatKey - Key of EXPORT_FORMATS
+ * @param {number} options.rowCap
+ * @param {{ write: Function, close: Function, abort: Function }} options.sink
+ * @param {(bytes: number) => void} [options.onProgress] - Bytes received so far
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<number>} Bytes written
+ */
+export async function exportLogs({
+  formatKey, rowCap, sink, onProgress, signal,
+}) {
+  const sql = await buildLogsExportSql(rowCap);
+  let received = 0;
+  try {
+    await queryStream(sql, {
+      format: EXPORT_FORMATS[formatKey].format,
+      signal,
+      onChunk: async (chunk) => {
+        await sink.write(chunk);
+        received += chunk.length;
+        onProgress?.(received);
+      },
+    });
+  } catch (err) {
+    await sink.abort();
+    throw err;
+  }
+  await sink.close();
+  return received;
+}
@@ -0,0 +1,106 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  DEFAULT_EXPORT_ROW_CAP, MAX_EXPORT_ROW_CAP, normalizeExportRowCap, buildExportFilename,
+  exportLogs,
+} from './logs-export.js';
+import { state } from './state.js';
+
+function recordingSink() {
+  const sink = {
+    chunks: [], closed: false, aborted: false,
+  };
+  sink.write = (chunk) => { sink.chunks.push(chunk); };
+  sink.close = () => { sink.closed = true; };
+  sink.abort = () => { sink.aborted = true; };
+  return sink;
+}
+
+describe('normalizeExportRowCap', () => {
+  it('keeps valid caps and clamps large ones', () => {
+    assert.strictEqual(normalizeExportRowCap('2500'), 2500);
+    assert.strictEqual(normalizeExportRowCap(MAX_EXPORT_ROW_CAP * 10), MAX_EXPORT_ROW_CAP);
+  });
+
+  it('falls back to the default for invalid input', () => {
+    assert.strictEqual(normalizeExportRowCap(''), DEFAULT_EXPORT_ROW_CAP);
+    assert.strictEqual(normalizeExportRowCap('-5'), DEFAULT_EXPORT_ROW_CAP);
+    assert.strictEqual(normalizeExportRowCap('abc'), DEFAULT_EXPORT_ROW_CAP);
+  });
+});
+
+describe('buildExportFilename', () => {
+  it('names the file after the table, UTC time and format', () => {
+    const saved = state.tableName;
+    state.tableName = 'delivery';
+    const now = new Date('2026-01-15T10:30:45Z');
+    assert.strictEqual(buildExportFilename('csv', now), 'delivery-logs-20260115-1030.csv');
+    assert.strictEqual(buildExportFilename('parquet', now), 'delivery-logs-20260115-1030.parquet');
+    state.tableName = saved;
+  });
+});
+
+describe('exportLogs', () => {
+  let originalFetch;
+  let savedCredentials;
+  let bodies;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    state.credentials = { user: 'u', password: 'p' };
+    bodies = [];
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+  });
+
+  function mockFetch(response) {
+    window.fetch = async (url, opts) => {
+      if (typeof url === 'string' && url.endsWith('.sql')) {
+        return { ok: true, text: async () => 'SELECT * FROM t LIMIT {{rowCap}}' };
+      }
+      bodies.push(opts.body);
+      return response;
+    };
+  }
+
+  it('streams the ClickHouse output format into the sink and closes it', async () => {
+    mockFetch({ ok: true, status: 200, body: new Blob(['{"a":1}\n', '{"a":2}\n']).stream() });
+    const sink = recordingSink();
+    const progress = [];
+    const bytes = await exportLogs({
+      formatKey: 'ndjson', rowCap: 5000, sink, onProgress: (b) => progress.push(b),
+    });
+    assert.strictEqual(bodies[0], 'SELECT * FROM t LIMIT 5000 FORMAT JSONEachRow');
+    assert.strictEqual(bytes, 16);
+    assert.strictEqual(progress[progress.length - 1], 16);
+    assert.isTrue(sink.closed);
+    assert.isFalse(sink.aborted);
+  });
+
+  it('aborts the sink when the query fails', async () => {
+    mockFetch({ ok: false, status: 500, text: async () => 'Code: 241. Memory limit exceeded' });
+    const sink = recordingSink();
+    try {
+      await exportLogs({ formatKey: 'parquet', rowCap: 10, sink });
+      assert.fail('should have thrown');
+    } catch (err) {
+      assert.strictEqual(err.category, 'memory');
+    }
+    assert.isTrue(sink.aborted);
+    assert.isFalse(sink.closed);
+  });
+});
@@ -26,6 +26,7 @@ import { buildLogRowHtml, buildLogTableHeaderHtml } from './templates/logs-table
 import { attachColumnResize } from './column-resize.js';
 import { PAGE_SIZE, PaginationState } from './pagination.js';
 import { shouldShowResolveButton, buildResolveButtonHtml, initRayIdLookup } from './ray-id-lookup.js';
+import { buildJourneySectionHtml, initRequestJourney } from './request-journey.js';
 
 /**
  * Build ordered log column list from available columns.
@@ -166,8 +167,9 @@ function showCopyFeedback() {
   }, 1500);
 }
 
-// Log detail modal element
+// Log detail modal element and the row it shows
 let logDetailModal = null;
+let logDetailRow = null;
 
 /**
  * Group columns by their prefix for organized display.
@@ -283,7 +285,7 @@ function renderLogDetailContent(row) {
   const columns = Object.keys(row);
   const groups = groupColumnsByPrefix(columns);
 
-  let html = '';
+  let html = buildJourneySectionHtml();
 
   for (const [prefix, cols] of groups) {
     if (cols.length > 0) {
@@ -298,7 +300,7 @@ function renderLogDetailContent(row) {
         if (col === 'request_id' && value) {
           filterBtn = ` <button type="button" class="detail-filter-btn" data-action="search-by-request-id" data-value="${escapeHtml(String(value))}" title="Search by this request ID">search</button>`;
         } else if (shouldShowResolveButton(col, value)) {
-          filterBtn = buildResolveButtonHtml(String(value));
+          filterBtn = buildResolveButtonHtml(String(value), col, row.timestamp);
         }
         html += `<tr>
         <th title="${escapeHtml(col)}">${escapeHtml(displayCol)}</th>
@@ -367,8 +369,10 @@ export function openLogDetailModal(rowIdx) {
     });
 
     initRayIdLookup(logDetailModal);
+    initRequestJourney(logDetailModal, () => logDetailRow);
   }
 
+  logDetailRow = row;
   renderLogDetailContent(row);
   logDetailModal.showModal();
 }
@@ -436,13 +440,8 @@ function renderLogsError(message) {
   container.innerHTML = `<div class="empty" style="padding: 60px;">Error loading logs: ${escapeHtml(message)}</div>`;
 }
 
-// Append rows to existing logs table (for infinite scroll)
-function appendLogsRows(data) {
-  const container = logsView.querySelector('.logs-table-container');
-  const tbody = container.querySelector('.logs-table tbody');
-  if (!tbody || data.length === 0) { return; }
-
-  // Get columns from existing table header
+// Full column names of the rendered logs table, read back from its header
+function getRenderedColumns(container) {
   const headerCells = container.querySelectorAll('.logs-table thead th');
   const columns = Array.from(headerCells).map((th) => th.title || th.textContent);
 
@@ -451,22 +450,55 @@ function appendLogsRows(data) {
     Object.entries(LOG_COLUMN_SHORT_LABELS).map(([full, short]) => [short, full]),
   );
 
-  const fullColumns = columns.map((col) => shortToFull[col] || col);
-  const pinned = state.pinnedColumns.filter((col) => fullColumns.includes(col));
-
-  // Get starting index from existing rows
-  const existingRows = tbody.querySelectorAll('tr').length;
+  return columns.map((col) => shortToFull[col] || col);
+}
 
+function buildRowsHtml(data, firstRowIdx, columns, pinned) {
   const widths = state.logColumnWidths || {};
   let html = '';
   for (let i = 0; i < data.length; i += 1) {
-    const rowIdx = existingRows + i;
     html += buildLogRowHtml({
-      row: data[i], columns: fullColumns, rowIdx, pinned, widths,
+      row: data[i], columns, rowIdx: firstRowIdx + i, pinned, widths,
     });
   }
+  return html;
+}
+
+// Append rows to existing logs table (for infinite scroll)
+function appendLogsRows(data) {
+  const container = logsView.querySelector('.logs-table-container');
+  const tbody = container.querySelector('.logs-table tbody');
+  if (!tbody || data.length === 0) { return; }
+
+  const fullColumns = getRenderedColumns(container);
+  const pinned = state.pinnedColumns.filter((col) => fullColumns.includes(col));
+
+  // Get starting index from existing rows
+  const existingRows = tbody.querySelectorAll('tr').length;
+
+  tbody.insertAdjacentHTML('beforeend', buildRowsHtml(data, existingRows, fullColumns, pinned));
+
+  updatePinnedOffsets(container, pinned);
+}
+
+// Prepend newer rows (live mode) with a highlight, shifting existing row indexes
+function prependLogsRows(data) {
+  const container = logsView.querySelector('.logs-table-container');
+  const tbody = container.querySelector('.logs-table tbody');
+  if (!tbody || data.length === 0) { return; }
 
-  tbody.insertAdjacentHTML('beforeend', html);
+  const fullColumns = getRenderedColumns(container);
+  const pinned = state.pinnedColumns.filter((col) => fullColumns.includes(col));
+
+  tbody.querySelectorAll('tr[data-row-idx]').forEach((tr) => {
+    // eslint-disable-next-line no-param-reassign
+    tr.dataset.rowIdx = String(parseInt(tr.dataset.rowIdx, 10) + data.length);
+  });
+  tbody.insertAdjacentHTML('afterbegin', buildRowsHtml(data, 0, fullColumns, pinned));
+  const rows = tbody.querySelectorAll('tr');
+  for (let i = 0; i < data.length; i += 1) {
+    rows[i].classList.add('log-row-new');
+  }
 
   updatePinnedOffsets(container, pinned);
 }
@@ -539,7 +571,7 @@ async function loadMoreLogs() {
   });
 
   try {
-    const result = await query(sql, { signal });
+    const result = await query(sql, { signal, label: 'logs' });
     if (!isCurrent()) { return; }
     if (result.data.length > 0) {
       state.logsData = [...state.logsData, ...result.data];
@@ -632,7 +664,23 @@ export function toggleLogsView(saveStateToURL) {
   cycleViewMode(saveStateToURL);
 }
 
-export async function loadLogs(requestContext = getRequestContext('dashboard')) {
+// First page of logs for the current time window and filters
+function buildLogsSql() {
+  return loadSql('logs', {
+    database: DATABASE,
+    table: getLogsTable(),
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
+    additionalWhereClause: state.additionalWhereClause,
+    pageSize: String(PAGE_SIZE),
+  });
+}
+
+export async function loadLogs(
+  requestContext = getRequestContext('dashboard'),
+  { onError } = {},
+) {
   const { requestId, signal, scope } = requestContext;
   const isCurrent = () => isRequestCurrent(requestId, scope);
 
@@ -646,22 +694,10 @@ export async function loadLogs(requestContext = getRequestContext('dashboard'))
   const container = logsView.querySelector('.logs-table-container');
   container.classList.add('updating');
 
-  const timeFilter = getTimeFilter();
-  const hostFilter = getHostFilter();
-  const facetFilters = getFacetFilters();
-
-  const sql = await loadSql('logs', {
-    database: DATABASE,
-    table: getLogsTable(),
-    timeFilter,
-    hostFilter,
-    facetFilters,
-    additionalWhereClause: state.additionalWhereClause,
-    pageSize: String(PAGE_SIZE),
-  });
+  const sql = await buildLogsSql();
 
   try {
-    const result = await query(sql, { signal });
+    const result = await query(sql, { signal, label: 'logs' });
     if (!isCurrent()) { return; }
     state.logsData = result.data;
     renderLogsTable(result.data);
@@ -672,8 +708,71 @@ export async function loadLogs(requestContext = getRequestContext('dashboard'))
     // eslint-disable-next-line no-console
     console.error('Logs error:', err, '\nSQL:', sql);
     renderLogsError(err.message);
+    onError?.(err);
   } finally {
     state.logsLoading = false;
     container.classList.remove('updating');
   }
 }
+
+/**
+ * Rows of a fresh first page that are not in the table yet. Rows are newest first, so
+ * anything newer than the newest shown row is new, plus unseen rows sharing its timestamp.
+ * @param {Object[]} rows - Fresh first page, newest first
+ * @param {Object[]} existing - Rows currently shown, newest first
+ * @returns {Object[]}
+ */
+export function getNewLogRows(rows, existing) {
+  const newest = existing[0]?.timestamp;
+  if (!newest) { return rows; }
+  const seen = new Set(
+    existing.filter((row) => row.timestamp === newest).map((row) => JSON.stringify(row)),
+  );
+  return rows.filter((row) => row.timestamp > newest
+    || (row.timestamp === newest && !seen.has(JSON.stringify(row))));
+}
+
+/**
+ * Live mode: fetch the first page again and prepend only the new rows, keeping scroll
+ * position and loaded pages. Falls back to a full load when nothing is shown yet or
+ * when the whole page is new (the gap can't be bridged).
+ * @param {Object} [requestContext]
+ * @param {Object} [options]
+ * @param {(err: Error) => void} [options.onError] - Called when the logs query failed
+ */
+export async function loadNewLogs(
+  requestContext = getRequestContext('dashboard'),
+  { onError } = {},
+) {
+  if (!state.logsReady || state.logsData.length === 0) {
+    await loadLogs(requestContext, { onError });
+    return;
+  }
+  const { requestId, signal, scope } = requestContext;
+  const isCurrent = () => isRequestCurrent(requestId, scope);
+
+  const sql = await buildLogsSql();
+
+  try {
+    const result = await query(sql, { signal, label: 'logs' });
+    if (!isCurrent()) { return; }
+    const fresh = getNewLogRows(result.data, state.logsData);
+    if (fresh.length === PAGE_SIZE) {
+      pagination.reset();
+      state.logsData = result.data;
+      renderLogsTable(result.data);
+      pagination.recordPage(result.data.length);
+      return;
+    }
+    if (fresh.length > 0) {
+      state.logsData = [...fresh, ...state.logsData];
+      prependLogsRows(fresh);
+      pagination.recordPrepended(fresh.length);
+    }
+  } catch (err) {
+    if (!isCurrent() || isAbortError(err)) { return; }
+    // eslint-disable-next-line no-console
+    console.error('Live logs error:', err);
+    onError?.(err);
+  }
+}
@@ -14,7 +14,7 @@ import { state } from './state.js';
 import {
   openLogDetailModal, closeLogDetailModal, renderLogsTable, setLogsElements, copyLogRow,
   applyViewMode, setViewMode, cycleViewMode, toggleLogsView,
-  setOnShowFiltersView, setOnShowLogsView, loadLogs,
+  setOnShowFiltersView, setOnShowLogsView, loadLogs, loadNewLogs, getNewLogRows,
 } from './logs.js';
 
 function ensureModal() {
@@ -457,3 +457,94 @@ describe('loadLogs', () => {
     assert.include(fixture.container.textContent, 'Error loading logs');
   });
 });
+
+describe('getNewLogRows', () => {
+  const older = { timestamp: '2026-07-08 12:00:00.000', script_name: 'a' };
+  const newest = { timestamp: '2026-07-08 12:01:00.000', script_name: 'b' };
+
+  it('returns rows newer than the newest shown row', () => {
+    const fresh = { timestamp: '2026-07-08 12:02:00.000', script_name: 'c' };
+    assert.deepEqual(getNewLogRows([fresh, newest, older], [newest, older]), [fresh]);
+  });
+
+  it('keeps unseen rows that share the newest timestamp', () => {
+    const sibling = { timestamp: newest.timestamp, script_name: 'd' };
+    assert.deepEqual(getNewLogRows([sibling, { ...newest }], [newest, older]), [sibling]);
+  });
+
+  it('treats every row as new when nothing is shown', () => {
+    assert.deepEqual(getNewLogRows([newest, older], []), [newest, older]);
+  });
+});
+
+describe('loadNewLogs', () => {
+  let fixture;
+  let originalFetch;
+  let savedCredentials;
+  let savedLogsData;
+  let savedLogsReady;
+  let rows;
+
+  beforeEach(() => {
+    fixture = buildDashboardFixture();
+    setLogsElements(fixture.logsView, fixture.filtersView, fixture.contentArea);
+    originalFetch = window.fetch;
+    savedCredentials = state.credentials;
+    savedLogsData = state.logsData;
+    savedLogsReady = state.logsReady;
+    state.credentials = { user: 'testuser', password: 'testpass' };
+    rows = [{ timestamp: '2026-07-08 12:00:00.000', script_name: 'da-admin' }];
+    window.fetch = async (url) => {
+      if (url.endsWith('.sql')) {
+        return { ok: true, status: 200, text: async () => 'SELECT * FROM logs' };
+      }
+      return { ok: true, status: 200, json: async () => ({ data: rows }) };
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    state.credentials = savedCredentials;
+    state.logsData = savedLogsData;
+    state.logsReady = savedLogsReady;
+    removeDashboardFixture(fixture);
+  });
+
+  it('does a full load when no logs are shown yet', async () => {
+    state.logsReady = false;
+    await loadNewLogs();
+    assert.include(fixture.container.textContent, 'da-admin');
+    assert.isTrue(state.logsReady);
+  });
+
+  it('prepends only new rows with a highlight and keeps row indexes in sync', async () => {
+    await loadLogs();
+    rows = [{ timestamp: '2026-07-08 12:01:00.000', script_name: 'da-collab' }, ...rows];
+
+    await loadNewLogs();
+
+    const trs = fixture.container.querySelectorAll('tbody tr');
+    assert.strictEqual(trs.length, 2);
+    assert.include(trs[0].textContent, 'da-collab');
+    assert.isTrue(trs[0].classList.contains('log-row-new'));
+    assert.isFalse(trs[1].classList.contains('log-row-new'));
+    assert.strictEqual(trs[1].dataset.rowIdx, '1');
+    assert.strictEqual(state.logsData[0].script_name, 'da-collab');
+  });
+
+  it('reports a failed query through onError', async () => {
+    await loadLogs();
+    window.fetch = async (url) => {
+      if (url.endsWith('.sql')) {
+        return { ok: true, status: 200, text: async () => 'SELECT * FROM logs' };
+      }
+      return { ok: false, status: 500, text: async () => 'DB::Exception: boom' };
+    };
+    const errors = [];
+
+    await loadNewLogs(undefined, { onError: (err) => errors.push(err) });
+
+    assert.lengthOf(errors, 1);
+    assert.include(fixture.container.textContent, 'da-admin');
+  });
+});
@@ -0,0 +1,227 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { query } from './api.js';
+import { parseUTC } from './chart-state.js';
+import { loadSql } from './sql-loader.js';
+import { renderOncallTooltipHtml } from './templates/oncall-tooltip.js';
+import { escapeHtml } from './utils.js';
+
+// Band below the X axis labels, split into lanes when shifts overlap
+const BAND_OFFSET = 27;
+const BAND_HEIGHT = 11;
+
+// Shifts of the last rendered chart, for the investigation panel
+let lastShifts = [];
+
+// Get oncall shifts overlapping a time range from ClickHouse
+export async function getOncallShiftsInRange(startTime, endTime) {
+  try {
+    // Format timestamps without 'Z' suffix for ClickHouse
+    const formatTs = (d) => d.toISOString().replace('Z', '').replace('T', ' ');
+    const sql = await loadSql('oncall-shifts', {
+      startTime: formatTs(startTime),
+      endTime: formatTs(endTime),
+    });
+    const result = await query(sql, { cacheTtl: 300 });
+    return result.data || [];
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to fetch oncall shifts:', err);
+    return [];
+  }
+}
+
+/**
+ * Users on call at any point of a time window, in shift order.
+ * @param {Date|string} start
+ * @param {Date|string} end
+ * @param {Array<Object>} [shifts] - Defaults to the shifts of the last rendered chart
+ * @returns {string[]}
+ */
+export function getOncallUsers(start, end, shifts = lastShifts) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  const users = shifts
+    .filter((s) => parseUTC(s.shift_start).getTime() <= endMs
+      && parseUTC(s.shift_end).getTime() >= startMs)
+    .map((s) => s.user);
+  return [...new Set(users)];
+}
+
+/**
+ * Placeholder for the on-call line of an anomaly, filled in by renderOncallLines().
+ * @param {string} startTime - ISO start of the anomaly window
+ * @param {string} endTime - ISO end of the anomaly window
+ * @returns {string} HTML
+ */
+export function buildOncallLineHtml(startTime, endTime) {
+  return `<div class="likely-causes-oncall" data-start="${escapeHtml(startTime)}" data-end="${escapeHtml(endTime)}" hidden></div>`;
+}
+
+/** Fill in every on-call line placeholder from the current shifts */
+export function renderOncallLines() {
+  document.querySelectorAll('.likely-causes-oncall').forEach((el) => {
+    const users = getOncallUsers(el.dataset.start, el.dataset.end);
+    // eslint-disable-next-line no-param-reassign
+    el.hidden = users.length === 0;
+    // eslint-disable-next-line no-param-reassign
+    el.textContent = users.length > 0 ? `On call: ${users.join(', ')}` : '';
+  });
+}
+
+/**
+ * Remember the shifts shown on the chart and fill in the on-call lines of the
+ * investigation panel (they may render before the shifts arrive).
+ * @param {Array<Object>} shifts - Rows with user, shift_start, shift_end, summary
+ */
+export function setOncallShifts(shifts) {
+  lastShifts = shifts || [];
+  renderOncallLines();
+}
+
+// Stable hue per user so the same engineer keeps the same color across shifts
+function getUserHue(user) {
+  let hash = 0;
+  for (let i = 0; i < user.length; i += 1) {
+    hash = (hash * 31 + user.charCodeAt(i)) % 360;
+  }
+  return hash;
+}
+
+// Assign overlapping shifts to separate lanes (greedy, by start time)
+function assignLanes(shifts) {
+  const laneEnds = [];
+  return shifts.map((shift) => {
+    const start = parseUTC(shift.shift_start).getTime();
+    const end = parseUTC(shift.shift_end).getTime();
+    let lane = laneEnds.findIndex((laneEnd) => laneEnd <= start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+    }
+    laneEnds[lane] = end;
+    return {
+      shift, start, end, lane,
+    };
+  });
+}
+
+// Render the oncall band along the bottom of the chart canvas
+export function renderOncallBand(ctx, shifts, chartDimensions, timeRange) {
+  if (!shifts || shifts.length === 0) { return []; }
+
+  const { height, padding, chartWidth } = chartDimensions;
+  const timeRangeMs = timeRange.end - timeRange.start;
+  const toX = (time) => padding.left
+    + (chartWidth * (Math.min(Math.max(time, timeRange.start), timeRange.end) - timeRange.start))
+    / timeRangeMs;
+
+  const placed = assignLanes(shifts);
+  const laneCount = Math.max(...placed.map((p) => p.lane)) + 1;
+  const laneHeight = BAND_HEIGHT / laneCount;
+  const bandTop = height - padding.bottom + BAND_OFFSET;
+  const styles = getComputedStyle(document.documentElement);
+  const textColor = styles.getPropertyValue('--text-secondary').trim() || '#667085';
+
+  const bandPositions = [];
+  ctx.save();
+  ctx.font = '9px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  for (const {
+    shift, start, end, lane,
+  } of placed) {
+    const left = toX(start);
+    const right = toX(end);
+    const top = bandTop + lane * laneHeight;
+    const hue = getUserHue(shift.user);
+
+    ctx.fillStyle = `hsla(${hue}, 60%, 55%, 0.35)`;
+    ctx.fillRect(left, top, Math.max(right - left, 1), laneHeight - 1);
+    // Shift boundary
+    ctx.fillStyle = `hsla(${hue}, 60%, 45%, 0.9)`;
+    ctx.fillRect(left, top, 1, laneHeight - 1);
+
+    // Name inside the segment when a single lane leaves room for it
+    if (laneCount === 1 && ctx.measureText(shift.user).width + 8 < right - left) {
+      ctx.fillStyle = textColor;
+      ctx.fillText(shift.user, left + 4, top + laneHeight / 2);
+    }
+
+    bandPositions.push({
+      left, right, top, bottom: top + laneHeight, shift,
+    });
+  }
+  ctx.restore();
+
+  return bandPositions;
+}
+
+// Create and manage the oncall tooltip (styled like the release tooltip)
+let tooltipElement = null;
+
+function ensureTooltip() {
+  if (!tooltipElement) {
+    tooltipElement = document.createElement('div');
+    tooltipElement.className = 'release-tooltip oncall-tooltip';
+    tooltipElement.style.display = 'none';
+    document.body.appendChild(tooltipElement);
+  }
+  return tooltipElement;
+}
+
+function formatShiftTime(value) {
+  return parseUTC(value).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC',
+  });
+}
+
+// Show tooltip for a shift
+export function showOncallTooltip(shift, x, y) {
+  const tooltip = ensureTooltip();
+  const timeStr = `${formatShiftTime(shift.shift_start)} – ${formatShiftTime(shift.shift_end)}`;
+  tooltip.innerHTML = renderOncallTooltipHtml(shift, timeStr);
+  tooltip.style.display = 'block';
+
+  // Position above the band, within the viewport
+  const tooltipRect = tooltip.getBoundingClientRect();
+  const viewportWidth = window.innerWidth;
+  let left = x - tooltipRect.width / 2;
+  let top = y - tooltipRect.height - 20;
+  if (left < 10) { left = 10; }
+  if (left + tooltipRect.width > viewportWidth - 10) {
+    left = viewportWidth - tooltipRect.width - 10;
+  }
+  if (top < 10) {
+    top = y + 20;
+  }
+
+  tooltip.style.left = `${left}px`;
+  tooltip.style.top = `${top}px`;
+}
+
+// Hide the tooltip
+export function hideOncallTooltip() {
+  if (tooltipElement) {
+    tooltipElement.style.display = 'none';
+  }
+}
+
+// Check if a point is inside a shift segment of the band
+export function getShiftAtPoint(bandPositions, x, y) {
+  if (!bandPositions) { return null; }
+  return bandPositions.find((p) => x >= p.left && x <= p.right
+    && y >= p.top && y <= p.bottom) || null;
+}
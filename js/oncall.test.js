@@ -0,0 +1,88 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getOncallUsers, setOncallShifts, buildOncallLineHtml, renderOncallBand, getShiftAtPoint,
+} from './oncall.js';
+
+const shifts = [
+  { user: 'alice', shift_start: '2026-01-15 00:00:00.000', shift_end: '2026-01-15 12:00:00.000' },
+  { user: 'bob', shift_start: '2026-01-15 12:00:00.000', shift_end: '2026-01-16 00:00:00.000' },
+  { user: 'carol', shift_start: '2026-01-15 10:00:00.000', shift_end: '2026-01-15 14:00:00.000' },
+];
+
+function mockContext() {
+  return {
+    save() {},
+    restore() {},
+    fillRect() {},
+    fillText() {},
+    measureText: (text) => ({ width: text.length * 5 }),
+  };
+}
+
+describe('getOncallUsers', () => {
+  it('lists everyone whose shift overlaps the window', () => {
+    const users = getOncallUsers('2026-01-15T11:00:00Z', '2026-01-15T12:30:00Z', shifts);
+    assert.deepEqual(users, ['alice', 'bob', 'carol']);
+    assert.deepEqual(getOncallUsers('2026-01-15T20:00:00Z', '2026-01-15T21:00:00Z', shifts), ['bob']);
+  });
+});
+
+describe('renderOncallLines', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.innerHTML = buildOncallLineHtml('2026-01-15T01:00:00.000Z', '2026-01-15T02:00:00.000Z');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    setOncallShifts([]);
+  });
+
+  it('fills in the placeholders once shifts arrive', () => {
+    const line = container.querySelector('.likely-causes-oncall');
+    assert.isTrue(line.hidden);
+    setOncallShifts(shifts);
+    assert.isFalse(line.hidden);
+    assert.strictEqual(line.textContent, 'On call: alice');
+  });
+});
+
+describe('renderOncallBand', () => {
+  const dims = { height: 200, padding: { left: 0, bottom: 40 }, chartWidth: 240 };
+  const timeRange = {
+    start: Date.parse('2026-01-15T00:00:00Z'),
+    end: Date.parse('2026-01-16T00:00:00Z'),
+  };
+
+  it('places overlapping shifts in separate lanes below the axis', () => {
+    const positions = renderOncallBand(mockContext(), shifts, dims, timeRange);
+    assert.lengthOf(positions, 3);
+    const [alice, bob, carol] = positions;
+    assert.strictEqual(alice.left, 0);
+    assert.strictEqual(alice.right, 120);
+    assert.strictEqual(bob.top, alice.top, 'bob starts when alice ends');
+    assert.isAbove(carol.top, alice.top);
+    assert.isAbove(alice.top, dims.height - dims.padding.bottom);
+  });
+
+  it('hit-tests segments', () => {
+    const positions = renderOncallBand(mockContext(), shifts.slice(0, 2), dims, timeRange);
+    const y = positions[0].top + 1;
+    assert.strictEqual(getShiftAtPoint(positions, 150, y).shift.user, 'bob');
+    assert.isNull(getShiftAtPoint(positions, 150, 0));
+  });
+});
@@ -31,6 +31,10 @@ export class PaginationState {
     this.hasMore = resultLength === this.pageSize;
   }
 
+  recordPrepended(count) {
+    this.offset += count;
+  }
+
   canLoadMore() {
     return this.hasMore && !this.loading;
   }
@@ -103,6 +103,17 @@ describe('PaginationState', () => {
     });
   });
 
+  describe('recordPrepended', () => {
+    it('advances offset without changing hasMore', () => {
+      const ps = new PaginationState();
+      ps.recordPage(PAGE_SIZE);
+      ps.recordPrepended(12);
+
+      assert.strictEqual(ps.offset, PAGE_SIZE + 12);
+      assert.strictEqual(ps.hasMore, true);
+    });
+  });
+
   describe('canLoadMore', () => {
     it('returns true when hasMore and not loading', () => {
       const ps = new PaginationState();
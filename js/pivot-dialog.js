@@ -0,0 +1,260 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Pivot dialog: pick two or three facets and expand their values as a nested table. */
+
+import { isAbortError, getQueryErrorDetails } from './api.js';
+import { addFilter } from './filters.js';
+import { formatBytes, formatNumber } from './format.js';
+import {
+  PIVOT_TOP_N, getPivotBreakdowns, hasPivotBytes, loadPivot,
+} from './pivot.js';
+import { buildFilterAttrs } from './templates/breakdown-table.js';
+import { escapeHtml } from './utils.js';
+
+let dialog = null;
+let abortController = null;
+// Picked breakdown ids, kept while the page is open
+let picked = ['breakdown-hosts', 'breakdown-status-range', ''];
+
+function getFacetTitle(b) {
+  const card = document.getElementById(b.id);
+  return card?.dataset.title || card?.querySelector('h3')?.textContent?.trim()
+    || b.facetName || b.id;
+}
+
+function formatRate(part, total) {
+  return total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '–';
+}
+
+function buildCellsHtml(node) {
+  const bytes = hasPivotBytes() ? `<td>${formatBytes(node.bytes)}</td>` : '';
+  return `
+    <td>${formatNumber(node.cnt)}</td>
+    <td>${formatRate(node.cnt4xx, node.cnt)}</td>
+    <td class="${node.cnt5xx > 0 ? 'pivot-5xx' : ''}">${formatRate(node.cnt5xx, node.cnt)}</td>
+    ${bytes}`;
+}
+
+// The rest of a parent's requests, beyond its top children
+function buildOtherRowHtml(parent, id, level) {
+  const shown = parent.children.reduce((sum, c) => sum + c.cnt, 0);
+  const other = {
+    cnt: parent.cnt - shown,
+    cnt4xx: parent.cnt4xx - parent.children.reduce((sum, c) => sum + c.cnt4xx, 0),
+    cnt5xx: parent.cnt5xx - parent.children.reduce((sum, c) => sum + c.cnt5xx, 0),
+    bytes: parent.bytes - parent.children.reduce((sum, c) => sum + c.bytes, 0),
+  };
+  if (other.cnt <= 0) {
+    return '';
+  }
+  return `
+    <tr class="pivot-row pivot-other" data-parent="${id}" data-level="${level}" hidden>
+      <td class="pivot-dim" style="--pivot-level: ${level}">(other)</td>
+      ${buildCellsHtml(other)}
+    </tr>`;
+}
+
+function buildRowsHtml(nodes, levels, level, parentId) {
+  const b = levels[level];
+  return nodes.map((node, i) => {
+    const id = parentId === null ? String(i) : `${parentId}.${i}`;
+    const expandable = node.children.length > 0;
+    const toggle = expandable
+      ? '<button type="button" class="pivot-toggle" data-action="pivot-toggle" aria-expanded="false" aria-label="Expand">▸</button>'
+      : '<span class="pivot-toggle-spacer"></span>';
+    const label = node.dim === '' ? '(empty)' : node.dim;
+    const attrs = buildFilterAttrs(b.col, node.dim, b.filterCol, b.filterValueFn, b.filterOp);
+    const parentAttr = parentId === null ? '' : ` data-parent="${parentId}" hidden`;
+    const children = expandable
+      ? buildRowsHtml(node.children, levels, level + 1, id) + buildOtherRowHtml(node, id, level + 1)
+      : '';
+    return `
+      <tr class="pivot-row" data-node="${id}" data-level="${level}"${parentAttr}>
+        <td class="pivot-dim" style="--pivot-level: ${level}">
+          ${toggle}<button type="button" class="pivot-filter" data-action="pivot-filter" ${attrs} title="Filter by ${escapeHtml(label)}">${escapeHtml(label)}</button>
+        </td>
+        ${buildCellsHtml(node)}
+      </tr>${children}`;
+  }).join('');
+}
+
+/**
+ * Render the pivot table.
+ * @param {Array<import('./pivot.js').PivotNode>} tree
+ * @param {Array<Object>} levels - Breakdown definitions, primary first
+ * @returns {string} HTML
+ */
+function buildTableHtml(tree, levels) {
+  if (tree.length === 0) {
+    return '<p class="pivot-empty">No data</p>';
+  }
+  const heading = levels.map((b) => escapeHtml(getFacetTitle(b))).join(' → ');
+  const bytes = hasPivotBytes() ? '<th>Bytes</th>' : '';
+  return `
+    <table class="pivot-table">
+      <thead><tr><th>${heading}</th><th>Requests</th><th>4xx</th><th>5xx</th>${bytes}</tr></thead>
+      <tbody>${buildRowsHtml(tree, levels, 0, null)}</tbody>
+    </table>
+  `;
+}
+
+function getLevels() {
+  const breakdowns = getPivotBreakdowns();
+  return picked
+    .filter(Boolean)
+    .map((id) => breakdowns.find((b) => b.id === id))
+    .filter(Boolean);
+}
+
+async function loadIntoDialog() {
+  abortController?.abort();
+  abortController = new AbortController();
+  const { signal } = abortController;
+  const body = dialog.querySelector('.pivot-body');
+  const hint = dialog.querySelector('.pivot-hint');
+  const levels = getLevels();
+  hint.textContent = '';
+  if (levels.length < 2 || new Set(levels.map((b) => b.id)).size < levels.length) {
+    body.innerHTML = '<p class="pivot-empty">Pick at least two different facets.</p>';
+    return;
+  }
+  body.innerHTML = '<p class="pivot-empty">Loading…</p>';
+  try {
+    const { tree, usedFacetTable } = await loadPivot(levels, signal);
+    if (signal.aborted) {
+      return;
+    }
+    body.innerHTML = buildTableHtml(tree, levels);
+    const topN = PIVOT_TOP_N.slice(0, levels.length).join(' × ');
+    hint.textContent = `Top ${topN} values for the current time range and filters${usedFacetTable ? ', primary values from the facet table' : ''}`;
+  } catch (err) {
+    if (isAbortError(err)) {
+      return;
+    }
+    body.innerHTML = `<p class="pivot-error">${escapeHtml(getQueryErrorDetails(err).message)}</p>`;
+  }
+}
+
+function toggleRow(row) {
+  const id = row.dataset.node;
+  const button = row.querySelector('.pivot-toggle');
+  const expand = button.getAttribute('aria-expanded') !== 'true';
+  button.setAttribute('aria-expanded', String(expand));
+  button.setAttribute('aria-label', expand ? 'Collapse' : 'Expand');
+  dialog.querySelectorAll('.pivot-row[data-parent]').forEach((r) => {
+    if (expand && r.dataset.parent === id) {
+      // eslint-disable-next-line no-param-reassign
+      r.hidden = false;
+    } else if (!expand && `${r.dataset.parent}.`.startsWith(`${id}.`)) {
+      // eslint-disable-next-line no-param-reassign
+      r.hidden = true;
+      r.querySelector('.pivot-toggle')?.setAttribute('aria-expanded', 'false');
+    }
+  });
+}
+
+// Filter the dashboard by a value and all its parents, e.g. host and status
+function filterByPath(row) {
+  const parts = row.dataset.node.split('.');
+  const buttons = parts.map((_, i) => dialog.querySelector(
+    `.pivot-row[data-node="${parts.slice(0, i + 1).join('.')}"] .pivot-filter`,
+  ));
+  buttons.forEach((button, i) => {
+    const {
+      col, value, filterCol, filterValue, filterOp,
+    } = button.dataset;
+    addFilter(col, value, false, filterCol, filterValue, filterOp, i < buttons.length - 1);
+  });
+  dialog.close();
+}
+
+function buildSelectHtml(level, label) {
+  const none = level === 2 ? '<option value="">—</option>' : '';
+  const options = getPivotBreakdowns().map((b) => (
+    `<option value="${escapeHtml(b.id)}">${escapeHtml(getFacetTitle(b))}</option>`
+  )).join('');
+  return `
+    <label>${label}
+      <select class="pivot-select" data-level="${level}">${none}${options}</select>
+    </label>`;
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'pivotModal';
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>Pivot</h2>
+      <button type="button" class="modal-close" data-action="pivot-close" aria-label="Close">×</button>
+    </div>
+    <div class="pivot-controls">
+      ${buildSelectHtml(0, 'Primary')}
+      ${buildSelectHtml(1, 'Secondary')}
+      ${buildSelectHtml(2, 'Then by')}
+    </div>
+    <div class="pivot-body"></div>
+    <div class="manage-cols-footer">
+      <span class="pivot-hint"></span>
+      <button type="button" class="manage-cols-btn" data-action="pivot-close">Close</button>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    const action = target?.dataset.action;
+    if (action === 'pivot-close') {
+      e.stopPropagation();
+      dialog.close();
+    } else if (action === 'pivot-toggle') {
+      toggleRow(target.closest('.pivot-row'));
+    } else if (action === 'pivot-filter') {
+      filterByPath(target.closest('.pivot-row'));
+    }
+  });
+  dialog.addEventListener('change', (e) => {
+    const select = e.target.closest('.pivot-select');
+    if (select) {
+      picked[Number(select.dataset.level)] = select.value;
+      loadIntoDialog();
+    }
+  });
+  dialog.addEventListener('close', () => abortController?.abort());
+  return dialog;
+}
+
+// Keep the picks valid for the current dashboard: unknown facets fall back to unused ones
+function syncSelects() {
+  const ids = getPivotBreakdowns().map((b) => b.id);
+  const valid = picked.map((id) => (ids.includes(id) ? id : ''));
+  picked = valid.map((id, level) => {
+    if (id || level === 2) {
+      return id;
+    }
+    const fallback = ids.find((other) => !valid.includes(other)) || '';
+    valid[level] = fallback;
+    return fallback;
+  });
+  dialog.querySelectorAll('.pivot-select').forEach((select) => {
+    // eslint-disable-next-line no-param-reassign
+    select.value = picked[Number(select.dataset.level)];
+  });
+}
+
+/** Open the pivot dialog and load it for the current time range and filters */
+export function openPivotDialog() {
+  buildDialog();
+  syncSelects();
+  dialog.showModal();
+  loadIntoDialog();
+}
@@ -0,0 +1,151 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Pivot: requests, error rates and bytes nested across two or three facets, from a single
+ * GROUP BY over the facets' `col` expressions (pivot.sql). Each level keeps its top values
+ * (PIVOT_TOP_N) and carries the totals of all its values, so a parent's remainder shows as
+ * "(other)". Without filters the facet table picks the top primary values, and the GROUP BY
+ * only aggregates those.
+ */
+
+import { query } from './api.js';
+import {
+  buildFacetTableSql, canUseFacetTable, getBreakdowns, getFacetFilters,
+} from './breakdowns/index.js';
+import { DATABASE } from './config.js';
+import { buildStatusAggregations } from './query-aggregations.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import { getTable, getTimeFilter, getHostFilter } from './time.js';
+
+/** Values kept per level: primary, secondary, tertiary */
+export const PIVOT_TOP_N = [10, 10, 5];
+
+/**
+ * @typedef {Object} PivotNode
+ * @property {string} dim - Facet value
+ * @property {number} cnt
+ * @property {number} cnt4xx
+ * @property {number} cnt5xx
+ * @property {number} bytes
+ * @property {Array<PivotNode>} children - Top values of the next facet within this one
+ */
+
+/**
+ * Breakdowns a pivot can use (bucketed facets have no stable values to nest).
+ * @returns {Array<Object>}
+ */
+export function getPivotBreakdowns() {
+  return getBreakdowns().filter((b) => typeof b.col === 'string' && !b.rawCol);
+}
+
+/**
+ * Bytes only exist on CDN tables; dashboards with their own aggregations have none.
+ * @returns {boolean}
+ */
+export function hasPivotBytes() {
+  return !state.aggregations;
+}
+
+function quoteValue(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * SQL for the pivot over two or three breakdowns, with the dashboard's time range and filters.
+ * @param {Array<Object>} levels - Breakdown definitions, primary first
+ * @param {Array<string>|null} [primaryValues] - Only aggregate these primary values
+ * @returns {Promise<string>}
+ */
+export function buildPivotSql(levels, primaryValues = null) {
+  const [primary, secondary, tertiary] = levels;
+  const { aggTotal, agg4xx, agg5xx } = buildStatusAggregations(false, '');
+  const primaryFilter = primaryValues
+    ? `AND toString(${primary.col}) IN (${primaryValues.map(quoteValue).join(', ') || "''"})`
+    : '';
+  return loadSql('pivot', {
+    database: DATABASE,
+    table: getTable(),
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
+    extra: levels.map((b) => b.extraFilter || '').filter(Boolean).join(' '),
+    primaryFilter,
+    additionalWhereClause: state.additionalWhereClause || '',
+    col1: primary.col,
+    col2: secondary.col,
+    col3: tertiary ? tertiary.col : "''",
+    aggTotal,
+    agg4xx,
+    agg5xx,
+    aggBytes: hasPivotBytes() ? buildStatusAggregations(true, '').aggTotal : '0',
+    topN1: String(PIVOT_TOP_N[0]),
+    topN2: String(PIVOT_TOP_N[1]),
+    topN3: String(PIVOT_TOP_N[2]),
+  });
+}
+
+function toNode(dim, row, prefix) {
+  return {
+    dim,
+    cnt: Number(row[`${prefix}cnt`]) || 0,
+    cnt4xx: Number(row[`${prefix}cnt_4xx`]) || 0,
+    cnt5xx: Number(row[`${prefix}cnt_5xx`]) || 0,
+    bytes: Number(row[`${prefix}bytes`]) || 0,
+    children: [],
+  };
+}
+
+/**
+ * Nest pivot.sql rows (ordered primary first) into a tree.
+ * @param {Array<Object>} rows
+ * @param {number} depth - Number of facets, 2 or 3
+ * @returns {Array<PivotNode>} Primary values
+ */
+export function buildPivotTree(rows, depth) {
+  const roots = [];
+  let parent = null;
+  let child = null;
+  rows.forEach((row) => {
+    if (parent?.dim !== row.dim1) {
+      parent = toNode(row.dim1, row, 'dim1_');
+      child = null;
+      roots.push(parent);
+    }
+    if (child?.dim !== row.dim2) {
+      child = toNode(row.dim2, row, 'dim2_');
+      parent.children.push(child);
+    }
+    if (depth > 2) {
+      child.children.push(toNode(row.dim3, row, ''));
+    }
+  });
+  return roots;
+}
+
+/**
+ * Load the pivot for the picked breakdowns.
+ * @param {Array<Object>} levels - Breakdown definitions, primary first
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ tree: Array<PivotNode>, usedFacetTable: boolean }>}
+ */
+export async function loadPivot(levels, signal) {
+  const usedFacetTable = canUseFacetTable(levels[0]);
+  let primaryValues = null;
+  if (usedFacetTable) {
+    const top = await query(await buildFacetTableSql(levels[0], PIVOT_TOP_N[0]), { signal });
+    primaryValues = top.data.map((row) => String(row.dim));
+  }
+  const result = await query(await buildPivotSql(levels, primaryValues), { signal });
+  return { tree: buildPivotTree(result.data, levels.length), usedFacetTable };
+}
@@ -0,0 +1,147 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { buildPivotTree, buildPivotSql, loadPivot } from './pivot.js';
+import { allBreakdowns } from './breakdowns/definitions.js';
+import { state } from './state.js';
+
+const byId = (id) => allBreakdowns.find((b) => b.id === id);
+const statusRange = byId('breakdown-status-range');
+const hosts = byId('breakdown-hosts');
+const datacenters = byId('breakdown-datacenters');
+
+function row(dim1, dim2, dim3, cnt) {
+  return {
+    dim1,
+    dim2,
+    dim3,
+    cnt: String(cnt),
+    cnt_4xx: '0',
+    cnt_5xx: '1',
+    bytes: '10',
+    dim1_cnt: '100',
+    dim1_cnt_4xx: '2',
+    dim1_cnt_5xx: '3',
+    dim1_bytes: '1000',
+    dim2_cnt: '50',
+    dim2_cnt_4xx: '1',
+    dim2_cnt_5xx: '1',
+    dim2_bytes: '500',
+  };
+}
+
+describe('buildPivotTree', () => {
+  it('nests two facets with the totals of each level', () => {
+    const tree = buildPivotTree([
+      row('a.example', '2xx', '', 40),
+      row('a.example', '5xx', '', 10),
+      row('b.example', '2xx', '', 5),
+    ], 2);
+    assert.deepEqual(tree.map((n) => n.dim), ['a.example', 'b.example']);
+    assert.deepEqual(tree[0].children.map((n) => n.dim), ['2xx', '5xx']);
+    assert.include(tree[0], {
+      cnt: 100, cnt4xx: 2, cnt5xx: 3, bytes: 1000,
+    });
+    assert.strictEqual(tree[0].children[0].cnt, 50);
+    assert.lengthOf(tree[0].children[0].children, 0);
+  });
+
+  it('adds the third facet as leaves', () => {
+    const tree = buildPivotTree([
+      row('a.example', '2xx', 'FRA', 30),
+      row('a.example', '2xx', 'IAD', 20),
+    ], 3);
+    assert.lengthOf(tree[0].children, 1);
+    assert.deepEqual(tree[0].children[0].children.map((n) => [n.dim, n.cnt]), [['FRA', 30], ['IAD', 20]]);
+  });
+});
+
+describe('loadPivot', () => {
+  let originalFetch;
+  let queries;
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      credentials: state.credentials,
+      filters: state.filters,
+      tableName: state.tableName,
+      weightColumn: state.weightColumn,
+      aggregations: state.aggregations,
+    };
+    state.credentials = { user: 'test', password: 'test' };
+    state.filters = [];
+    state.tableName = 'delivery';
+    state.weightColumn = 'weight';
+    state.aggregations = null;
+    queries = [];
+    originalFetch = window.fetch;
+    window.fetch = async (url, options) => {
+      if (url.endsWith('.sql')) {
+        const name = url.split('/').pop();
+        return {
+          ok: true,
+          text: async () => (name === 'pivot.sql'
+            ? 'SELECT {{col1}}, {{col2}}, {{col3}}, {{aggTotal}}, {{aggBytes}} FROM {{table}} WHERE {{timeFilter}} {{facetFilters}} {{extra}} {{primaryFilter}} LIMIT {{topN3}}'
+            : "SELECT dim FROM cdn_facet_minutes WHERE facet = '{{facetName}}' LIMIT {{topN}}"),
+        };
+      }
+      queries.push(options.body);
+      const data = queries.length === 1 && options.body.includes('cdn_facet_minutes')
+        ? [{ dim: '2xx' }, { dim: "it's" }]
+        : [row('2xx', 'a.example', '', 5)];
+      return { ok: true, status: 200, json: async () => ({ data }) };
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    Object.assign(state, saved);
+  });
+
+  it('groups by both facets with weighted counts, bytes and the dashboard filters', async () => {
+    state.filters = [{ col: '`cdn.datacenter`', value: 'FRA', exclude: false }];
+    const sql = await buildPivotSql([hosts, statusRange]);
+    assert.include(sql, hosts.col);
+    assert.include(sql, statusRange.col);
+    assert.include(sql, "'', sum(`weight`)");
+    assert.include(sql, 'sum(`response.headers.content_length` * `weight`)');
+    assert.include(sql, "AND `cdn.datacenter` = 'FRA'");
+    assert.include(sql, 'LIMIT 5');
+  });
+
+  it('leaves bytes out on dashboards with their own aggregations', async () => {
+    state.aggregations = {
+      aggTotal: 'count()', aggOk: 'count()', agg4xx: 'count()', agg5xx: 'count()',
+    };
+    const sql = await buildPivotSql([hosts, statusRange, datacenters]);
+    assert.include(sql, 'count(), 0 FROM');
+    assert.include(sql, datacenters.col);
+  });
+
+  it('takes the top primary values from the facet table without filters', async () => {
+    const { tree, usedFacetTable } = await loadPivot([statusRange, hosts]);
+    assert.isTrue(usedFacetTable);
+    assert.lengthOf(queries, 2);
+    assert.include(queries[0], "facet = 'status_range'");
+    assert.include(queries[1], "IN ('2xx', 'it\\'s')");
+    assert.strictEqual(tree[0].children[0].dim, 'a.example');
+  });
+
+  it('runs a single GROUP BY when filters rule out the facet table', async () => {
+    state.filters = [{ col: '`cdn.datacenter`', value: 'FRA', exclude: false }];
+    const { usedFacetTable } = await loadPivot([statusRange, hosts]);
+    assert.isFalse(usedFacetTable);
+    assert.lengthOf(queries, 1);
+    assert.notInclude(queries[0], ' IN (');
+  });
+});
@@ -88,8 +88,29 @@ export function buildSummaryCountBucketInnerFragment(summaryCountIf, mult) {
 }
 
 /**
- * Inner SELECT column list for investigate-facet / investigate-selection (per minute, dim).
+ * Raw row count next to the weighted sums of a sampled table (state.weightColumn), so
+ * counts can carry a confidence interval (see sampling.js). Empty for unsampled tables.
+ * @param {string} [indent] - Line break and indentation before the column
+ * @returns {string} e.g. ",\n  count() as sample_cnt"
  */
+export function buildSampleCountFragment(indent = '\n  ') {
+  return state.weightColumn ? `,${indent}count() as sample_cnt` : '';
+}
+
+/**
+ * Sample count fragments for breakdown-bucketed.sql (counted per value, summed per bucket).
+ * @returns {{ innerSampleCol: string, outerSampleCol: string }}
+ */
+export function buildSampleCountBucketFragments() {
+  if (!state.weightColumn) {
+    return { innerSampleCol: '', outerSampleCol: '' };
+  }
+  return {
+    innerSampleCol: ',\n    count() as agg_sample',
+    outerSampleCol: ',\n  sum(agg_sample) as sample_cnt',
+  };
+}
+
 /**
  * Aggregate used for facet search ORDER BY cnt (weighted vs row counts).
  */
@@ -100,7 +121,22 @@ export function getDimCountAgg() {
   return 'count()';
 }
 
+/**
+ * Inner SELECT column list for investigate-facet / investigate-selection (per minute, dim).
+ * Dashboards with their own status classes (state.aggregations) use those.
+ */
 export function getInvestigateMinuteAggregateLines() {
+  if (state.aggregations) {
+    const {
+      aggTotal, aggOk, agg4xx, agg5xx,
+    } = state.aggregations;
+    return {
+      innerCnt: `${aggTotal} as cnt`,
+      innerOk: `${aggOk} as cnt_ok`,
+      inner4xx: `${agg4xx} as cnt_4xx`,
+      inner5xx: `${agg5xx} as cnt_5xx`,
+    };
+  }
   if (state.weightColumn) {
     const w = `\`${state.weightColumn}\``;
     return {
@@ -117,3 +153,66 @@ export function getInvestigateMinuteAggregateLines() {
     inner5xx: 'countIf(`response.status` >= 500) as cnt_5xx',
   };
 }
+
+/**
+ * Aggregate returning [p50, p95, p99] of a latency column for the latency chart.
+ * Weighted by the sampling weight column when set.
+ * @param {string} column - Latency column name, e.g. cdn.time_elapsed_msec
+ * @returns {string}
+ */
+export function getLatencyQuantilesAgg(column) {
+  const levels = '0.5, 0.95, 0.99';
+  if (state.weightColumn) {
+    return `quantilesTDigestWeighted(${levels})(\`${column}\`, \`${state.weightColumn}\`)`;
+  }
+  return `quantilesTDigest(${levels})(\`${column}\`)`;
+}
+
+// Cache status classes, matching the cache status facet colors: HIT*, MISS*, PASS
+function getCacheClassConditions() {
+  const status = 'upper(`cdn.cache_status`)';
+  return {
+    hit: `startsWith(${status}, 'HIT')`,
+    miss: `startsWith(${status}, 'MISS')`,
+    pass: `${status} = 'PASS'`,
+  };
+}
+
+/**
+ * Bytes served per cache status class for the bytes chart, weighted when sampled.
+ * Uses response.body_size, falling back to content-length where the body size is missing.
+ * Classes follow the cache status facet colors: HIT*, MISS*, PASS and everything else.
+ * @returns {{ bytesHit: string, bytesMiss: string, bytesPass: string, bytesOther: string }}
+ */
+export function buildCacheBytesAggregations() {
+  const bytes = 'if(`response.body_size` > 0, `response.body_size`, `response.headers.content_length`)';
+  const weighted = state.weightColumn ? `${bytes} * \`${state.weightColumn}\`` : bytes;
+  const { hit, miss, pass } = getCacheClassConditions();
+  return {
+    bytesHit: `sumIf(${weighted}, ${hit})`,
+    bytesMiss: `sumIf(${weighted}, ${miss})`,
+    bytesPass: `sumIf(${weighted}, ${pass})`,
+    bytesOther: `sumIf(${weighted}, NOT (${hit} OR ${miss} OR ${pass}))`,
+  };
+}
+
+/**
+ * Requests per cache status class for the cache hit ratio panel, weighted when sampled.
+ * @returns {{ aggHit: string, aggMiss: string, aggPass: string }}
+ */
+export function buildCacheRatioAggregations() {
+  const { hit, miss, pass } = getCacheClassConditions();
+  if (state.weightColumn) {
+    const w = `\`${state.weightColumn}\``;
+    return {
+      aggHit: `sumIf(${w}, ${hit})`,
+      aggMiss: `sumIf(${w}, ${miss})`,
+      aggPass: `sumIf(${w}, ${pass})`,
+    };
+  }
+  return {
+    aggHit: `countIf(${hit})`,
+    aggMiss: `countIf(${miss})`,
+    aggPass: `countIf(${pass})`,
+  };
+}
@@ -16,6 +16,11 @@ import {
   buildSummaryCountBreakdownFragment,
   getInvestigateMinuteAggregateLines,
   getDimCountAgg,
+  getLatencyQuantilesAgg,
+  buildCacheBytesAggregations,
+  buildCacheRatioAggregations,
+  buildSampleCountFragment,
+  buildSampleCountBucketFragments,
 } from './query-aggregations.js';
 
 describe('query-aggregations', () => {
@@ -51,8 +56,72 @@ describe('query-aggregations', () => {
     assert.include(lines.innerOk, 'sumIf(`weight`');
   });
 
+  it('getInvestigateMinuteAggregateLines uses dashboard aggregations', () => {
+    state.aggregations = {
+      aggTotal: 'count()', aggOk: 'countIf(ok)', agg4xx: 'countIf(warn)', agg5xx: 'countIf(err)',
+    };
+    const lines = getInvestigateMinuteAggregateLines();
+    assert.strictEqual(lines.inner5xx, 'countIf(err) as cnt_5xx');
+    assert.strictEqual(lines.innerCnt, 'count() as cnt');
+  });
+
   it('getDimCountAgg returns sum for weight column', () => {
     state.weightColumn = 'weight';
     assert.strictEqual(getDimCountAgg(), 'sum(`weight`)');
   });
+
+  it('getLatencyQuantilesAgg uses t-digest quantiles', () => {
+    assert.strictEqual(
+      getLatencyQuantilesAgg('cdn.time_elapsed_msec'),
+      'quantilesTDigest(0.5, 0.95, 0.99)(`cdn.time_elapsed_msec`)',
+    );
+  });
+
+  it('getLatencyQuantilesAgg weights by the weight column when set', () => {
+    state.weightColumn = 'weight';
+    assert.strictEqual(
+      getLatencyQuantilesAgg('cdn.time_elapsed_msec'),
+      'quantilesTDigestWeighted(0.5, 0.95, 0.99)(`cdn.time_elapsed_msec`, `weight`)',
+    );
+  });
+
+  it('buildCacheBytesAggregations splits weighted bytes by cache status', () => {
+    state.weightColumn = 'weight';
+    const a = buildCacheBytesAggregations();
+    assert.include(a.bytesHit, "startsWith(upper(`cdn.cache_status`), 'HIT')");
+    assert.include(a.bytesPass, "upper(`cdn.cache_status`) = 'PASS'");
+    assert.include(a.bytesMiss, '`response.body_size`');
+    assert.include(a.bytesMiss, '* `weight`');
+    assert.include(a.bytesOther, 'NOT (');
+  });
+
+  it('buildCacheBytesAggregations sums raw bytes without a weight column', () => {
+    assert.notInclude(buildCacheBytesAggregations().bytesHit, 'weight');
+  });
+
+  it('buildCacheRatioAggregations counts requests per cache status class', () => {
+    const a = buildCacheRatioAggregations();
+    assert.strictEqual(a.aggHit, "countIf(startsWith(upper(`cdn.cache_status`), 'HIT'))");
+    assert.strictEqual(a.aggPass, "countIf(upper(`cdn.cache_status`) = 'PASS')");
+  });
+
+  it('buildCacheRatioAggregations sums the weight column when set', () => {
+    state.weightColumn = 'weight';
+    const a = buildCacheRatioAggregations();
+    assert.strictEqual(a.aggMiss, "sumIf(`weight`, startsWith(upper(`cdn.cache_status`), 'MISS'))");
+  });
+
+  it('buildSampleCountFragment counts sampled rows only on weighted tables', () => {
+    assert.strictEqual(buildSampleCountFragment(), '');
+    state.weightColumn = 'weight';
+    assert.strictEqual(buildSampleCountFragment(), ',\n  count() as sample_cnt');
+  });
+
+  it('buildSampleCountBucketFragments sums inner row counts per bucket', () => {
+    assert.deepEqual(buildSampleCountBucketFragments(), { innerSampleCol: '', outerSampleCol: '' });
+    state.weightColumn = 'weight';
+    const { innerSampleCol, outerSampleCol } = buildSampleCountBucketFragments();
+    assert.include(innerSampleCol, 'count() as agg_sample');
+    assert.include(outerSampleCol, 'sum(agg_sample) as sample_cnt');
+  });
 });
@@ -0,0 +1,185 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Query inspector drawer: the current view's queries, slowest first, updated live. */
+
+import { formatBytes, formatNumber, formatQueryTime } from './format.js';
+import {
+  buildClickhouseClientCommand, getQueryCacheStatus, getQueryLog, onQueryLogChange,
+} from './query-log.js';
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+
+let dialog = null;
+let unsubscribe = null;
+let renderPending = false;
+
+const STATUS_LABELS = {
+  running: 'running',
+  error: 'failed',
+  cancelled: 'cancelled',
+};
+
+// Facet ids resolve to their card title; unlabeled queries show the table they read
+function getEntryLabel(entry) {
+  if (entry.label) {
+    return document.getElementById(entry.label)?.dataset.title || entry.label;
+  }
+  const from = entry.sql.match(/\bFROM\s+([\w.]+)/i);
+  return from ? from[1] : 'query';
+}
+
+// Running queries first, then by network time, slowest first
+function compareEntries(a, b) {
+  if ((a.status === 'running') !== (b.status === 'running')) {
+    return a.status === 'running' ? -1 : 1;
+  }
+  return (b.networkTime ?? 0) - (a.networkTime ?? 0);
+}
+
+function buildStatsHtml(entry) {
+  const parts = [];
+  if (entry.networkTime !== null) {
+    parts.push(`<span title="Network time (request to response)">${formatQueryTime(entry.networkTime)}</span>`);
+  }
+  if (entry.statistics) {
+    const { elapsed, rows_read: rowsRead, bytes_read: bytesRead } = entry.statistics;
+    parts.push(`<span title="ClickHouse elapsed">server ${formatQueryTime(elapsed * 1000)}</span>`);
+    parts.push(`<span title="Rows read">${formatNumber(rowsRead)} rows read</span>`);
+    parts.push(`<span title="Bytes read">${formatBytes(bytesRead)}</span>`);
+  }
+  const cache = getQueryCacheStatus(entry);
+  if (cache) {
+    parts.push(`<span class="query-inspector-cache cache-${cache}" title="ClickHouse query cache">cache ${cache}</span>`);
+  }
+  const status = STATUS_LABELS[entry.status];
+  if (status) {
+    parts.push(`<span class="query-inspector-status status-${entry.status}">${status}</span>`);
+  }
+  return parts.join('');
+}
+
+function buildEntryHtml(entry, openIds) {
+  const errorHtml = entry.error
+    ? `<div class="query-inspector-error">${escapeHtml(entry.error)}</div>`
+    : '';
+  return `
+    <li class="query-inspector-entry">
+      <div class="query-inspector-meta">
+        <strong class="query-inspector-label">${escapeHtml(getEntryLabel(entry))}</strong>
+        ${buildStatsHtml(entry)}
+        <button type="button" class="query-inspector-copy" data-action="query-inspector-copy" data-id="${entry.id}" title="Copy as clickhouse client command">copy</button>
+      </div>
+      ${errorHtml}
+      <details data-id="${entry.id}"${openIds.has(String(entry.id)) ? ' open' : ''}>
+        <summary>SQL</summary>
+        <pre>${escapeHtml(entry.sql)}</pre>
+      </details>
+    </li>
+  `;
+}
+
+function buildSummaryText(entries) {
+  const done = entries.filter((e) => e.status === 'ok');
+  const rowsRead = done.reduce((sum, e) => sum + (e.statistics?.rows_read || 0), 0);
+  const bytesRead = done.reduce((sum, e) => sum + (e.statistics?.bytes_read || 0), 0);
+  const hits = done.filter((e) => getQueryCacheStatus(e) === 'hit').length;
+  return `${formatNumber(entries.length)} queries · ${formatNumber(rowsRead)} rows read · `
+    + `${formatBytes(bytesRead)} · ${hits} cache hits`;
+}
+
+function render() {
+  const list = dialog.querySelector('.query-inspector-list');
+  // Re-rendering would otherwise collapse the SQL the user is reading
+  const openIds = new Set([...list.querySelectorAll('details[open]')].map((d) => d.dataset.id));
+  const entries = getQueryLog().sort(compareEntries);
+  dialog.querySelector('.query-inspector-summary').textContent = buildSummaryText(entries);
+  list.innerHTML = entries.length > 0
+    ? entries.map((entry) => buildEntryHtml(entry, openIds)).join('')
+    : '<li class="query-inspector-empty">No queries yet for this view</li>';
+}
+
+// A dashboard load logs dozens of queries at once; redraw at most once per frame
+function scheduleRender() {
+  if (renderPending) { return; }
+  renderPending = true;
+  requestAnimationFrame(() => {
+    renderPending = false;
+    if (dialog.open) {
+      render();
+    }
+  });
+}
+
+async function copyCommand(btn) {
+  const entry = getQueryLog().find((e) => String(e.id) === btn.dataset.id);
+  if (!entry) { return; }
+  const button = btn;
+  const command = buildClickhouseClientCommand(entry, state.credentials?.user);
+  try {
+    await navigator.clipboard.writeText(command);
+    button.textContent = '✓';
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to copy query:', err);
+    button.textContent = '✗';
+  }
+  setTimeout(() => {
+    button.textContent = 'copy';
+  }, 1500);
+}
+
+function handleClick(e) {
+  const target = e.target.closest('[data-action]');
+  if (!target) { return; }
+  const { action } = target.dataset;
+  if (!action.startsWith('query-inspector-')) { return; }
+  e.stopPropagation();
+  if (action === 'query-inspector-close') {
+    dialog.close();
+  } else if (action === 'query-inspector-copy') {
+    copyCommand(target);
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'queryInspectorDrawer';
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>Query inspector</h2>
+      <button type="button" class="modal-close" data-action="query-inspector-close" aria-label="Close">×</button>
+    </div>
+    <div class="query-inspector-summary"></div>
+    <ul class="query-inspector-list"></ul>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('click', handleClick);
+  dialog.addEventListener('close', () => {
+    unsubscribe?.();
+    unsubscribe = null;
+  });
+  return dialog;
+}
+
+/** Open the query inspector beside the dashboard (non-modal, so panels stay usable) */
+export function openQueryInspector() {
+  buildDialog();
+  render();
+  if (!unsubscribe) {
+    unsubscribe = onQueryLogChange(scheduleRender);
+  }
+  if (!dialog.open) {
+    dialog.show();
+  }
+}
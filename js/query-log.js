@@ -0,0 +1,164 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Query log behind the query inspector: every query() of the current view with the SQL
+ * that was sent, its URL settings, network time and ClickHouse statistics. The dashboard
+ * clears it whenever it loads a new view.
+ */
+
+import { CLICKHOUSE_URL } from './config.js';
+
+/**
+ * @typedef {Object} QueryLogEntry
+ * @property {number} id
+ * @property {string|null} label - Panel that issued the query (e.g. 'chart', a facet id)
+ * @property {string} sql - SQL as sent, without the FORMAT clause
+ * @property {Record<string, string>} settings - URL parameters (query cache, limits)
+ * @property {number} startedAt - Epoch ms
+ * @property {'running'|'ok'|'error'|'cancelled'} status
+ * @property {number|null} networkTime - Fetch to response, in ms
+ * @property {{ elapsed: number, rows_read: number, bytes_read: number }|null} statistics
+ * @property {number|null} rows - Result rows
+ * @property {string|null} error - Error message for failed queries
+ */
+
+// Enough for a full dashboard with every facet, lazy loads and "show more"
+const MAX_ENTRIES = 500;
+
+const entries = [];
+const listeners = new Set();
+let nextId = 1;
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * @returns {QueryLogEntry[]} Logged queries, oldest first
+ */
+export function getQueryLog() {
+  return [...entries];
+}
+
+/** Forget all logged queries (a new view is loading). */
+export function clearQueryLog() {
+  entries.length = 0;
+  notify();
+}
+
+/**
+ * Call a listener whenever a query is logged or finishes.
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function onQueryLogChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Log a query as it is sent.
+ * @param {string} sql
+ * @param {Record<string, string>} settings
+ * @param {string|null} label
+ * @returns {QueryLogEntry}
+ */
+export function logQueryStart(sql, settings, label) {
+  const entry = {
+    id: nextId,
+    label,
+    sql,
+    settings,
+    startedAt: Date.now(),
+    status: 'running',
+    networkTime: null,
+    statistics: null,
+    rows: null,
+    error: null,
+  };
+  nextId += 1;
+  entries.push(entry);
+  if (entries.length > MAX_ENTRIES) {
+    entries.shift();
+  }
+  notify();
+  return entry;
+}
+
+/**
+ * Record how a logged query ended.
+ * @param {QueryLogEntry} entry
+ * @param {Object} outcome
+ * @param {'ok'|'error'|'cancelled'} outcome.status
+ * @param {number} [outcome.networkTime]
+ * @param {Object} [outcome.statistics] - ClickHouse JSON `statistics`
+ * @param {number} [outcome.rows]
+ * @param {string} [outcome.error]
+ */
+export function logQueryEnd(entry, {
+  status, networkTime = null, statistics = null, rows = null, error = null,
+}) {
+  Object.assign(entry, {
+    status,
+    networkTime,
+    statistics: statistics && {
+      elapsed: Number(statistics.elapsed) || 0,
+      rows_read: Number(statistics.rows_read) || 0,
+      bytes_read: Number(statistics.bytes_read) || 0,
+    },
+    rows,
+    error,
+  });
+  notify();
+}
+
+/**
+ * Whether a query was answered from the ClickHouse query cache. ClickHouse does not report
+ * cache hits over HTTP, but a cached result reads no table rows, so a cache-enabled query
+ * with rows_read = 0 counts as a hit.
+ * @param {QueryLogEntry} entry
+ * @returns {'hit'|'miss'|'off'|null} null while running or after a failure
+ */
+export function getQueryCacheStatus(entry) {
+  if (entry.settings.use_query_cache !== '1') {
+    return 'off';
+  }
+  if (!entry.statistics) {
+    return null;
+  }
+  return entry.statistics.rows_read === 0 ? 'hit' : 'miss';
+}
+
+function shellQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * The query as a `clickhouse client` command line with the same settings. The password is
+ * left out, so the client prompts for it.
+ * @param {QueryLogEntry} entry
+ * @param {string} [user]
+ * @returns {string}
+ */
+export function buildClickhouseClientCommand(entry, user = 'default') {
+  const settings = Object.entries(entry.settings).map(([key, value]) => `--${key}=${shellQuote(value)}`);
+  return [
+    'clickhouse client',
+    `--host ${new URL(CLICKHOUSE_URL).hostname}`,
+    '--secure',
+    `--user ${shellQuote(user)}`,
+    '--password',
+    ...settings,
+    `--query ${shellQuote(entry.sql)}`,
+  ].join(' \\\n  ');
+}
@@ -0,0 +1,74 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  buildClickhouseClientCommand, clearQueryLog, getQueryCacheStatus, getQueryLog,
+  logQueryEnd, logQueryStart, onQueryLogChange,
+} from './query-log.js';
+
+const CACHED = { use_query_cache: '1', query_cache_ttl: '300' };
+
+describe('query log', () => {
+  beforeEach(() => {
+    clearQueryLog();
+  });
+
+  it('records a query from start to end', () => {
+    const entry = logQueryStart('SELECT 1', CACHED, 'chart');
+    assert.strictEqual(getQueryLog()[0].status, 'running');
+    logQueryEnd(entry, {
+      status: 'ok',
+      networkTime: 120,
+      statistics: { elapsed: 0.08, rows_read: '1500', bytes_read: '64000' },
+      rows: 1,
+    });
+    const [logged] = getQueryLog();
+    assert.strictEqual(logged.label, 'chart');
+    assert.strictEqual(logged.status, 'ok');
+    assert.deepEqual(logged.statistics, { elapsed: 0.08, rows_read: 1500, bytes_read: 64000 });
+  });
+
+  it('notifies listeners until they unsubscribe', () => {
+    let calls = 0;
+    const unsubscribe = onQueryLogChange(() => { calls += 1; });
+    const entry = logQueryStart('SELECT 1', {}, null);
+    logQueryEnd(entry, { status: 'cancelled', error: 'aborted' });
+    unsubscribe();
+    clearQueryLog();
+    assert.strictEqual(calls, 2);
+    assert.lengthOf(getQueryLog(), 0);
+  });
+
+  it('treats cache-enabled queries that read no rows as cache hits', () => {
+    const hit = logQueryStart('SELECT 1', CACHED, null);
+    logQueryEnd(hit, { status: 'ok', statistics: { elapsed: 0.001, rows_read: 0, bytes_read: 0 } });
+    const miss = logQueryStart('SELECT 2', CACHED, null);
+    logQueryEnd(miss, { status: 'ok', statistics: { elapsed: 1, rows_read: 10, bytes_read: 100 } });
+    const uncached = logQueryStart('SELECT 3', {}, null);
+    assert.strictEqual(getQueryCacheStatus(hit), 'hit');
+    assert.strictEqual(getQueryCacheStatus(miss), 'miss');
+    assert.strictEqual(getQueryCacheStatus(uncached), 'off');
+    assert.isNull(getQueryCacheStatus(logQueryStart('SELECT 4', CACHED, null)));
+  });
+});
+
+describe('buildClickhouseClientCommand', () => {
+  it('passes settings as flags and shell-quotes the query', () => {
+    const entry = logQueryStart("SELECT count() FROM t WHERE host = 'a.com'", { max_execution_time: '60' }, null);
+    const command = buildClickhouseClientCommand(entry, 'alice');
+    assert.match(command, /^clickhouse client \\\n {2}--host [\w.-]+ \\\n {2}--secure/);
+    assert.include(command, "--user 'alice'");
+    assert.include(command, "--max_execution_time='60'");
+    assert.include(command, "--query 'SELECT count() FROM t WHERE host = '\\''a.com'\\'''");
+    assert.notInclude(command, 'FORMAT JSON');
+  });
+});
@@ -9,21 +9,22 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import { DATABASE } from './config.js';
-import { query } from './api.js';
-import { loadSql } from './sql-loader.js';
+import {
+  CORRELATION_TABLES, buildHopConditions, buildKeyConditions, fetchLinkedRows, findColumnLink,
+} from './correlation.js';
 import { escapeHtml } from './utils.js';
 import { state } from './state.js';
 
 /**
- * ray_id joins two tables in opposite directions depending on which dashboard is
- * open. Each side lists only the fields not already visible on the *other* side's
- * row (e.g. request.method/url are redundant when resolving from `da`, since the
- * access-log row already shows them).
+ * "resolve" next to a key column in the log detail modal (ray_id on da and
+ * da_worker_logs, the invocation id on admin, ...) finds the matching rows of the table
+ * the column links to in CORRELATION_LINKS. Tables listed here show only the fields not
+ * already visible on the *other* side's row (e.g. request.method/url are redundant when
+ * resolving from `da`, since the access-log row already shows them); any other target
+ * shows its CORRELATION_TABLES summary fields.
  */
-const RESOLVE_TARGETS = {
-  da_worker_logs: {
-    sqlTemplate: 'ray-id-lookup',
+const RESULT_DISPLAY = {
+  da: {
     label: 'CDN access log (da)',
     fields: [
       { key: 'request.host', label: 'Host' },
@@ -35,8 +36,7 @@ const RESOLVE_TARGETS = {
       { key: 'response.headers.x_error', label: 'Error' },
     ],
   },
-  da: {
-    sqlTemplate: 'ray-id-lookup-worker',
+  da_worker_logs: {
     label: 'worker log (da_worker_logs)',
     fields: [
       { key: 'script_name', label: 'Worker' },
@@ -50,8 +50,20 @@ const RESOLVE_TARGETS = {
   },
 };
 
-function getResolveTarget() {
-  return RESOLVE_TARGETS[state.tableName];
+function getResultDisplay(target) {
+  if (RESULT_DISPLAY[target]) {
+    return RESULT_DISPLAY[target];
+  }
+  const table = CORRELATION_TABLES[target];
+  return {
+    label: `${table?.label || target} log (${target})`,
+    fields: table?.fields.map((key) => ({ key, label: key })) || null,
+  };
+}
+
+function getResolveTarget(col = 'ray_id') {
+  const hop = findColumnLink(state.tableName, col);
+  return hop && { ...hop, ...getResultDisplay(hop.target) };
 }
 
 /**
@@ -62,19 +74,22 @@ function getResolveTarget() {
  * @returns {boolean}
  */
 export function shouldShowResolveButton(col, value) {
-  return col === 'ray_id' && !!value && value !== '0' && !!getResolveTarget();
+  return !!value && value !== '0' && !!getResolveTarget(col);
 }
 
 /**
- * Build the "resolve" button HTML shown next to a ray_id value in the log detail modal.
- * @param {string} rayId
+ * Build the "resolve" button HTML shown next to a linked key value in the log detail modal.
+ * @param {string} value
+ * @param {string} [col] - Key column the value comes from
+ * @param {string} [timestamp] - Row timestamp; limits the lookup to the link's time window
  * @returns {string}
  */
-export function buildResolveButtonHtml(rayId) {
-  const target = getResolveTarget();
+export function buildResolveButtonHtml(value, col = 'ray_id', timestamp = '') {
+  const target = getResolveTarget(col);
   const title = target ? `Find the matching ${target.label}` : 'Find the matching row';
   return ' <button type="button" class="detail-filter-btn" data-action="resolve-ray-id" '
-    + `data-value="${escapeHtml(rayId)}" title="${escapeHtml(title)}">resolve</button>`;
+    + `data-value="${escapeHtml(value)}" data-column="${escapeHtml(col)}" `
+    + `data-timestamp="${escapeHtml(timestamp)}" title="${escapeHtml(title)}">resolve</button>`;
 }
 
 const RESULT_ROW_ID = 'rayIdResolveResult';
@@ -95,12 +110,13 @@ function defaultFieldsFromRow(row) {
 
 /**
  * Render the matched rows from the other table (or an empty-state message) as a
- * tbody to append after the ray_id row in the log detail table.
+ * tbody to append after the key row in the log detail table.
  * @param {Array<Object>} rows
+ * @param {string} [col] - Key column that was resolved
  * @returns {string}
  */
-export function renderRayIdResultHtml(rows) {
-  const target = getResolveTarget();
+export function renderRayIdResultHtml(rows, col = 'ray_id') {
+  const target = getResolveTarget(col);
   const label = target ? target.label : 'row';
 
   if (!rows || rows.length === 0) {
@@ -109,7 +125,7 @@ export function renderRayIdResultHtml(rows) {
       + '</tbody>';
   }
 
-  const fields = target ? target.fields : defaultFieldsFromRow(rows[0]);
+  const fields = target?.fields || defaultFieldsFromRow(rows[0]);
   const headerHtml = ['Time', ...fields.map((f) => f.label)]
     .map((h) => `<th>${escapeHtml(h)}</th>`).join('');
 
@@ -138,18 +154,19 @@ function renderErrorHtml(message) {
     + `<tr><td colspan="2" class="empty-value">Lookup failed: ${escapeHtml(message)}</td></tr></tbody>`;
 }
 
-async function resolveRayId(rayId) {
-  const target = getResolveTarget();
-  const escaped = rayId.replace(/'/g, "''");
-  const sql = await loadSql(target.sqlTemplate, { database: DATABASE, rayId: escaped });
-  const result = await query(sql);
-  return result.data;
+async function resolveKey({ value, column, timestamp }) {
+  const { link, target } = getResolveTarget(column);
+  const row = { [column]: value, timestamp };
+  const conditions = timestamp
+    ? buildHopConditions(link, state.tableName, target, row)
+    : buildKeyConditions(link, state.tableName, target, row).join(' AND ');
+  return fetchLinkedRows(target, conditions);
 }
 
 /**
- * Wire up the "resolve" button inside the log detail modal: on click, query the
- * other ray_id-joinable table (da <-> da_worker_logs, per state.tableName) for rows
- * matching the clicked ray_id and append the result inline.
+ * Wire up the "resolve" button inside the log detail modal: on click, query the table
+ * the clicked key links to (da <-> da_worker_logs on ray_id, admin -> lambda_logs on the
+ * invocation id, ...) for matching rows and append the result inline.
  * @param {HTMLElement} modal - the #logDetailModal dialog element
  */
 export function initRayIdLookup(modal) {
@@ -164,9 +181,9 @@ export function initRayIdLookup(modal) {
     table.insertAdjacentHTML('beforeend', renderLoadingHtml());
 
     try {
-      const rows = await resolveRayId(btn.dataset.value);
+      const rows = await resolveKey(btn.dataset);
       document.getElementById(RESULT_ROW_ID)?.remove();
-      table.insertAdjacentHTML('beforeend', renderRayIdResultHtml(rows));
+      table.insertAdjacentHTML('beforeend', renderRayIdResultHtml(rows, btn.dataset.column));
     } catch (err) {
       document.getElementById(RESULT_ROW_ID)?.remove();
       table.insertAdjacentHTML('beforeend', renderErrorHtml(err.message || String(err)));
@@ -23,7 +23,7 @@ function makeFetchMock({
 } = {}) {
   return async (url) => {
     if (url.endsWith('.sql')) {
-      return { ok: true, status: 200, text: async () => "SELECT * FROM t WHERE ray_id = '{{rayId}}'" };
+      return { ok: true, status: 200, text: async () => 'SELECT * FROM {{database}}.{{table}} WHERE {{conditions}} LIMIT {{limit}}' };
     }
     if (!ok) {
       return { ok: false, status, text: async () => errorText };
@@ -77,6 +77,12 @@ describe('shouldShowResolveButton', () => {
     });
   });
 
+  it('shows the button for other single-key links in the correlation registry', () => {
+    withTableName('admin', () => {
+      assert.isTrue(shouldShowResolveButton('response.headers.x_invocation_id', 'abc-123'));
+    });
+  });
+
   it('hides the button for any other column', () => {
     withTableName('da_worker_logs', () => {
       assert.isFalse(shouldShowResolveButton('request_id', 'a1495b1e6d10c17f'));
@@ -248,6 +254,21 @@ describe('initRayIdLookup', () => {
     assert.include(table.textContent, 'Lookup failed');
   });
 
+  it('looks the key up through its correlation link within the time window', async () => {
+    const bodies = [];
+    const fetchMock = makeFetchMock({ rows: [] });
+    window.fetch = async (url, options) => {
+      if (options?.body) { bodies.push(options.body); }
+      return fetchMock(url, options);
+    };
+    table.innerHTML = `<tbody><tr><th>ray_id</th><td>abc123${buildResolveButtonHtml('abc123', 'ray_id', '2026-07-08 12:00:00.000')}</td></tr></tbody>`;
+    table.querySelector('[data-action="resolve-ray-id"]').click();
+    await waitForMicrotasks();
+    await waitForMicrotasks();
+    assert.include(bodies[0], "FROM helix_logs_production.da WHERE `ray_id` = 'abc123'");
+    assert.include(bodies[0], "toDateTime64('2026-07-08 12:00:00.000', 3) - INTERVAL 300 SECOND");
+  });
+
   it('ignores clicks that are not on the resolve button', async () => {
     table.click();
     await waitForMicrotasks();
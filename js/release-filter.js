@@ -0,0 +1,176 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Release overlay filter: which repos (state.releaseRepos, empty for all) and which
+ * tag/notes text (state.releaseSearch) the chart draws ships for.
+ * The repo list comes from release-repos.sql so newly released repos show up.
+ */
+
+import { query } from './api.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+let repoList = null;
+let searchTimer = null;
+let onFilterChange = null;
+
+/**
+ * All repos that ever published a release (cached for the session).
+ * @returns {Promise<string[]>}
+ */
+export async function getReleaseRepos() {
+  if (repoList) {
+    return repoList;
+  }
+  try {
+    const sql = await loadSql('release-repos', {});
+    const result = await query(sql, { cacheTtl: 3600 });
+    repoList = (result.data || []).map((row) => row.repo).filter(Boolean);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to fetch release repos:', err);
+    return [];
+  }
+  return repoList;
+}
+
+/**
+ * Apply the release filter to release rows.
+ * @param {Array<Object>} releases - Rows with repo, tag, body
+ * @param {Object} [filter]
+ * @param {string[]} [filter.repos] - Repos to keep (empty keeps all)
+ * @param {string} [filter.search] - Case-insensitive text to find in tag or body
+ * @returns {Array<Object>}
+ */
+export function filterReleases(releases, {
+  repos = state.releaseRepos, search = state.releaseSearch,
+} = {}) {
+  const needle = (search || '').trim().toLowerCase();
+  return releases.filter((release) => {
+    if (repos.length > 0 && !repos.includes(release.repo)) {
+      return false;
+    }
+    if (!needle) {
+      return true;
+    }
+    return `${release.tag || ''}\n${release.body || ''}`.toLowerCase().includes(needle);
+  });
+}
+
+/**
+ * Whether any release filter is active.
+ * @returns {boolean}
+ */
+export function isReleaseFilterActive() {
+  return state.releaseRepos.length > 0 || !!state.releaseSearch;
+}
+
+function renderRepoOptions(repos) {
+  const list = document.querySelector('.chart-release-repos');
+  if (!list) {
+    return;
+  }
+  // Keep selected repos listed even if they no longer release
+  const all = [...new Set([...state.releaseRepos, ...repos])].sort();
+  list.innerHTML = all.length > 0
+    ? all.map((repo) => `
+      <label class="chart-release-repo">
+        <input type="checkbox" value="${escapeHtml(repo)}"${state.releaseRepos.includes(repo) ? ' checked' : ''}>
+        <span>${escapeHtml(repo)}</span>
+      </label>`).join('')
+    : '<span class="chart-release-empty">No releases</span>';
+}
+
+/** Sync the release button and panel with state.releaseRepos and state.releaseSearch */
+export function updateReleaseFilterControl() {
+  const control = document.querySelector('.chart-release-control');
+  if (!control) {
+    return;
+  }
+  const count = state.releaseRepos.length + (state.releaseSearch ? 1 : 0);
+  const btn = control.querySelector('[data-action="toggle-release-filter"]');
+  btn.textContent = count > 0 ? `releases · ${count}` : 'releases';
+  btn.classList.toggle('active', count > 0);
+  const search = control.querySelector('.chart-release-search');
+  if (search.value !== state.releaseSearch) {
+    search.value = state.releaseSearch;
+  }
+  control.querySelectorAll('.chart-release-repo input').forEach((input) => {
+    // eslint-disable-next-line no-param-reassign
+    input.checked = state.releaseRepos.includes(input.value);
+  });
+}
+
+/** Open or close the release filter panel (the repo list loads on first open) */
+export function toggleReleaseFilterPanel() {
+  const panel = document.querySelector('.chart-release-panel');
+  if (!panel) {
+    return;
+  }
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    panel.querySelector('.chart-release-search').focus();
+    getReleaseRepos().then(renderRepoOptions);
+  }
+}
+
+/** Show every release again */
+export function clearReleaseFilter() {
+  state.releaseRepos = [];
+  state.releaseSearch = '';
+  updateReleaseFilterControl();
+  onFilterChange?.();
+}
+
+/**
+ * Add the release filter button and panel above the chart.
+ * @param {() => void} onChange - Called after the filter changed (re-render the chart)
+ */
+export function initReleaseFilterControl(onChange) {
+  onFilterChange = onChange;
+  const section = document.querySelector('.chart-section');
+  if (!section || section.querySelector('.chart-release-control')) {
+    return;
+  }
+  const control = document.createElement('div');
+  control.className = 'chart-release-control';
+  control.innerHTML = `
+    <button type="button" class="chart-release-btn" data-action="toggle-release-filter" title="Filter release ships"></button>
+    <div class="chart-release-panel" hidden>
+      <input type="search" class="chart-release-search" placeholder="Search tag or notes" aria-label="Search releases">
+      <div class="chart-release-repos"><span class="chart-release-empty">Loading…</span></div>
+      <button type="button" class="chart-release-btn" data-action="clear-release-filter">Show all</button>
+    </div>`;
+  section.appendChild(control);
+
+  control.querySelector('.chart-release-search').addEventListener('input', (e) => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      state.releaseSearch = e.target.value.trim();
+      updateReleaseFilterControl();
+      onFilterChange?.();
+    }, SEARCH_DEBOUNCE_MS);
+  });
+  control.querySelector('.chart-release-repos').addEventListener('change', (e) => {
+    const { value, checked } = e.target;
+    state.releaseRepos = checked
+      ? [...state.releaseRepos, value]
+      : state.releaseRepos.filter((repo) => repo !== value);
+    updateReleaseFilterControl();
+    onFilterChange?.();
+  });
+  updateReleaseFilterControl();
+}
@@ -0,0 +1,113 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  filterReleases, initReleaseFilterControl, isReleaseFilterActive,
+} from './release-filter.js';
+import {
+  clusterByX, closeReleaseTooltip, pinReleaseClusterTooltip, showReleaseTooltip,
+} from './releases.js';
+import { state } from './state.js';
+import { buildStateParams } from './url-state.js';
+
+const releases = [
+  { repo: 'adobe/helix-admin', tag: 'v12.3.1', body: '- fix preview auth' },
+  { repo: 'adobe/helix-pipeline-service', tag: 'v6.0.0', body: '- drop legacy markup' },
+  { repo: 'adobe/helix-admin', tag: 'v12.4.0', body: '- add job queue' },
+];
+
+describe('release filter', () => {
+  let saved;
+  let section;
+
+  beforeEach(() => {
+    saved = { releaseRepos: state.releaseRepos, releaseSearch: state.releaseSearch };
+    state.releaseRepos = [];
+    state.releaseSearch = '';
+    section = document.createElement('section');
+    section.className = 'chart-section';
+    document.body.appendChild(section);
+  });
+
+  afterEach(() => {
+    Object.assign(state, saved);
+    document.body.removeChild(section);
+  });
+
+  it('keeps every release without a filter', () => {
+    assert.lengthOf(filterReleases(releases), 3);
+    assert.isFalse(isReleaseFilterActive());
+  });
+
+  it('filters by repo and searches tag and notes', () => {
+    state.releaseRepos = ['adobe/helix-admin'];
+    assert.deepEqual(filterReleases(releases).map((r) => r.tag), ['v12.3.1', 'v12.4.0']);
+    state.releaseSearch = 'QUEUE';
+    assert.deepEqual(filterReleases(releases).map((r) => r.tag), ['v12.4.0']);
+    assert.deepEqual(filterReleases(releases, { repos: [], search: 'v6' }).map((r) => r.tag), ['v6.0.0']);
+  });
+
+  it('saves the filter in the URL', () => {
+    state.releaseRepos = ['adobe/helix-admin', 'adobe/helix-html2md'];
+    state.releaseSearch = 'auth';
+    const params = buildStateParams();
+    assert.strictEqual(params.get('rr'), 'adobe/helix-admin,adobe/helix-html2md');
+    assert.strictEqual(params.get('rq'), 'auth');
+  });
+
+  it('shows the number of active filters on the button', () => {
+    state.releaseRepos = ['adobe/helix-admin'];
+    state.releaseSearch = 'auth';
+    initReleaseFilterControl(() => {});
+    const btn = section.querySelector('[data-action="toggle-release-filter"]');
+    assert.strictEqual(btn.textContent, 'releases · 2');
+    assert.isTrue(btn.classList.contains('active'));
+    assert.strictEqual(section.querySelector('.chart-release-search').value, 'auth');
+  });
+});
+
+describe('clusterByX', () => {
+  it('groups ships closer than the gap', () => {
+    const clusters = clusterByX([{ x: 10 }, { x: 20 }, { x: 34 }, { x: 80 }], 16);
+    assert.deepEqual(clusters.map((c) => c.length), [3, 1]);
+  });
+});
+
+describe('pinReleaseClusterTooltip', () => {
+  const cluster = [
+    { repo: 'adobe/helix-admin', tag: 'v1.0.1', published: '2026-01-15 10:00:00' },
+    { repo: 'adobe/helix-html2md', tag: 'v2.0.0', published: '2026-01-15 10:02:00' },
+  ];
+
+  afterEach(() => {
+    closeReleaseTooltip();
+  });
+
+  it('opens the picked release and closes the list', () => {
+    const picked = [];
+    pinReleaseClusterTooltip(cluster, 100, 100, (release) => picked.push(release));
+    const tooltip = document.querySelector('.release-tooltip');
+    assert.isTrue(tooltip.classList.contains('pinned'));
+    tooltip.querySelector('[data-release-index="1"]').click();
+    assert.deepEqual(picked, [cluster[1]]);
+    assert.strictEqual(tooltip.style.display, 'none');
+  });
+
+  it('stays open while other ships are hovered', () => {
+    pinReleaseClusterTooltip(cluster, 100, 100, () => {});
+    showReleaseTooltip({ ...cluster[0], body: '' }, 200, 100);
+    const tooltip = document.querySelector('.release-tooltip');
+    assert.include(tooltip.innerHTML, '2 releases');
+    closeReleaseTooltip();
+    assert.strictEqual(tooltip.style.display, 'none');
+  });
+});
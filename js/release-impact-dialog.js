@@ -0,0 +1,203 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Release impact dialog: before/after comparison for a release ship. */
+
+import { isAbortError, getQueryErrorDetails } from './api.js';
+import { getDetectedSteps, getLastChartData } from './chart-state.js';
+import { formatNumber, formatPercent, formatQueryTime } from './format.js';
+import {
+  DEFAULT_IMPACT_WINDOW, IMPACT_WINDOW_MINUTES, analyzeReleaseImpact, getBucketMs,
+} from './release-impact.js';
+import { escapeHtml } from './utils.js';
+
+let dialog = null;
+let abortController = null;
+let currentRelease = null;
+
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(rate < 0.01 ? 2 : 1)}%`;
+}
+
+function formatShare(share) {
+  return `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+}
+
+function getFacetTitle(facetId) {
+  const card = document.getElementById(facetId);
+  return card?.dataset.title || card?.querySelector('h3')?.textContent?.trim() || facetId;
+}
+
+function buildMetricRow(label, before, after, format) {
+  const change = formatPercent(after, before).text || '–';
+  return `
+    <tr>
+      <td>${label}</td>
+      <td>${format(before)}</td>
+      <td>${format(after)}</td>
+      <td class="release-impact-change">${change}</td>
+    </tr>
+  `;
+}
+
+function buildSummaryHtml({ before, after }) {
+  const rows = [
+    buildMetricRow('Requests', before.total, after.total, formatNumber),
+    buildMetricRow('4xx rate', before.rate4xx, after.rate4xx, formatRate),
+    buildMetricRow('5xx rate', before.rate5xx, after.rate5xx, formatRate),
+  ];
+  if (before.latency && after.latency) {
+    ['p50', 'p95', 'p99'].forEach((label, i) => {
+      rows.push(buildMetricRow(label, before.latency[i], after.latency[i], formatQueryTime));
+    });
+  }
+  return `
+    <table class="release-impact-table">
+      <thead><tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  `;
+}
+
+function buildValueList(label, values) {
+  if (values.length === 0) {
+    return '';
+  }
+  return `
+    <div class="release-impact-values">
+      <span class="release-impact-values-label">${label} share grew</span>
+      <ol>
+        ${values.map((v) => `
+          <li>
+            <span class="release-impact-dim">${escapeHtml(v.dim || '(empty)')}</span>
+            <span>${formatShare(v.baselineShare)} → ${formatShare(v.anomalyShare)}</span>
+          </li>
+        `).join('')}
+      </ol>
+    </div>
+  `;
+}
+
+function buildFacetsHtml(facets) {
+  if (facets.length === 0) {
+    return '<p class="release-impact-empty">No facet value gained a larger share of errors after the release.</p>';
+  }
+  return `
+    <div class="release-impact-facets">
+      ${facets.map((f) => `
+        <section>
+          <h4>${escapeHtml(getFacetTitle(f.facetId))}</h4>
+          ${buildValueList('5xx', f.gained5xx)}
+          ${buildValueList('4xx', f.gained4xx)}
+        </section>
+      `).join('')}
+    </div>
+  `;
+}
+
+function buildScopeHtml({ scope, unmatchedScope }) {
+  if (scope) {
+    return `Scoped to <code>${escapeHtml(scope.column)}</code> containing <code>${escapeHtml(scope.value)}</code>`;
+  }
+  if (unmatchedScope) {
+    return `No traffic matched <code>${escapeHtml(unmatchedScope.column)}</code> containing <code>${escapeHtml(unmatchedScope.value)}</code>; showing all traffic`;
+  }
+  return 'All traffic on this dashboard (no related hosts or functions can be inferred for this repo)';
+}
+
+/**
+ * Render an analysis into the dialog body.
+ * @param {Awaited<ReturnType<typeof analyzeReleaseImpact>>} result
+ * @returns {string} HTML
+ */
+function buildBodyHtml(result) {
+  const { assessment, minutes } = result;
+  const verdict = assessment.suspicious
+    ? `<span class="release-impact-verdict suspicious">Suspicious</span>
+       <ul class="release-impact-reasons">${assessment.reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>`
+    : '<span class="release-impact-verdict">No significant regression after this release</span>';
+  return `
+    <div class="release-impact-assessment">${verdict}</div>
+    <p class="release-impact-scope">${buildScopeHtml(result)} · ${minutes} minutes before vs after</p>
+    ${buildSummaryHtml(result.summary)}
+    <section>
+      <h3>Top changed facet values</h3>
+      ${buildFacetsHtml(result.facets)}
+    </section>
+  `;
+}
+
+async function loadIntoDialog() {
+  abortController?.abort();
+  abortController = new AbortController();
+  const { signal } = abortController;
+  const body = dialog.querySelector('.release-impact-body');
+  const minutes = Number(dialog.querySelector('.release-impact-window').value);
+  body.innerHTML = '<p class="release-impact-empty">Analyzing…</p>';
+  try {
+    const result = await analyzeReleaseImpact(currentRelease, {
+      minutes, steps: getDetectedSteps(), slackMs: getBucketMs(getLastChartData()), signal,
+    });
+    if (!signal.aborted) {
+      body.innerHTML = buildBodyHtml(result);
+    }
+  } catch (err) {
+    if (isAbortError(err)) {
+      return;
+    }
+    body.innerHTML = `<p class="release-impact-error">${escapeHtml(getQueryErrorDetails(err).message)}</p>`;
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'releaseImpactModal';
+  const options = IMPACT_WINDOW_MINUTES.map((m) => (
+    `<option value="${m}"${m === DEFAULT_IMPACT_WINDOW ? ' selected' : ''}>${m} min</option>`
+  )).join('');
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>Release impact <span class="release-impact-title"></span></h2>
+      <button type="button" class="modal-close" data-action="release-impact-close" aria-label="Close">×</button>
+    </div>
+    <div class="release-impact-body"></div>
+    <div class="manage-cols-footer">
+      <label class="release-impact-hint">Window before/after
+        <select class="release-impact-window">${options}</select>
+      </label>
+      <button type="button" class="manage-cols-btn" data-action="release-impact-close">Close</button>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="release-impact-close"]')) {
+      e.stopPropagation();
+      dialog.close();
+    }
+  });
+  dialog.querySelector('.release-impact-window').addEventListener('change', () => loadIntoDialog());
+  dialog.addEventListener('close', () => abortController?.abort());
+  return dialog;
+}
+
+/**
+ * Open the release impact dialog and analyze the release with the current filters.
+ * @param {Object} release - Release row with repo, tag, published
+ */
+export function openReleaseImpactDialog(release) {
+  buildDialog();
+  currentRelease = release;
+  dialog.querySelector('.release-impact-title').textContent = `· ${release.repo} ${release.tag}`;
+  dialog.showModal();
+  loadIntoDialog();
+}
@@ -0,0 +1,340 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Release impact analysis: error rates and latency in the N minutes before and after a
+ * release was published (release-impact.sql), and the facet values whose share of 4xx/5xx
+ * grew after it (investigate-facet.sql with the after window as the "anomaly").
+ * A release is suspicious when a chart anomaly starts right after it, or when its error
+ * rates or p95 latency step up significantly.
+ */
+
+import { query, isAbortError } from './api.js';
+import { getInvestigableBreakdowns } from './anomaly-investigation.js';
+import { getFacetFilters } from './breakdowns/index.js';
+import { getLatencyCategoryLabel } from './chart-latency.js';
+import { parseUTC } from './chart-state.js';
+import { createLimiter } from './concurrency-limiter.js';
+import { DATABASE } from './config.js';
+import { investigateFacet } from './investigation-data.js';
+import {
+  buildSampleCountFragment, buildStatusAggregations, getLatencyQuantilesAgg,
+} from './query-aggregations.js';
+import { getSampleCount } from './sampling.js';
+import { loadSql } from './sql-loader.js';
+import { state } from './state.js';
+import { getHostFilter, getTable } from './time.js';
+
+/** Window sizes offered in the impact dialog, in minutes */
+export const IMPACT_WINDOW_MINUTES = [15, 30, 60];
+export const DEFAULT_IMPACT_WINDOW = 30;
+
+// Columns naming the deployed function or worker; release repos are matched against them
+const SCOPE_COLUMNS = ['function_name', 'script_name'];
+// Facets compared before/after, and how many of their queries run at once
+const MAX_IMPACT_FACETS = 4;
+const MAX_CONCURRENT = 2;
+const TOP_VALUES = 5;
+// An error rate step must be this many standard errors and this relative increase
+const MIN_Z_SCORE = 3;
+const MIN_RATE_RATIO = 1.5;
+const MIN_LATENCY_RATIO = 1.5;
+
+const CATEGORY_LABELS = { red: '5xx', yellow: '4xx', green: '2xx' };
+
+// Format timestamps without 'Z' suffix for ClickHouse
+function formatTs(d) {
+  return d.toISOString().replace('Z', '').replace('T', ' ');
+}
+
+/**
+ * Impact windows around a release.
+ * @param {Object} release - Release row with published
+ * @param {number} minutes - Window length on each side
+ * @returns {{ published: Date, start: Date, end: Date }}
+ */
+export function getImpactWindow(release, minutes) {
+  const published = parseUTC(release.published);
+  const windowMs = minutes * 60 * 1000;
+  return {
+    published,
+    start: new Date(published.getTime() - windowMs),
+    end: new Date(published.getTime() + windowMs),
+  };
+}
+
+/**
+ * Narrow the analysis to the released service when the dashboard has a column naming
+ * functions or workers (e.g. helix-admin → function_name containing "admin").
+ * @param {Object} release - Release row with repo
+ * @returns {{ column: string, value: string, sql: string }|null} null when not inferable
+ */
+export function inferReleaseScope(release) {
+  const column = state.hostFilterColumn;
+  if (!SCOPE_COLUMNS.includes(column)) {
+    return null;
+  }
+  const value = String(release.repo || '').split('/').pop().replace(/^helix-/, '');
+  if (!value) {
+    return null;
+  }
+  const escaped = value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  return { column, value, sql: `AND positionCaseInsensitive(\`${column}\`, '${escaped}') > 0` };
+}
+
+// Error spikes, traffic dips and latency spikes are the steps a release can be blamed for
+function isRegression(step) {
+  if (step.metric === 'latency') {
+    return step.type === 'spike';
+  }
+  return step.category === 'green' ? step.type === 'dip' : step.type === 'spike';
+}
+
+/**
+ * Chart anomalies that start shortly after a release.
+ * @param {Object} release - Release row with published
+ * @param {Array<Object>} steps - Detected steps with startTime, type, category, metric
+ * @param {Object} options
+ * @param {number} options.windowMs - How long after the release a step still counts
+ * @param {number} [options.slackMs=0] - Tolerance before the release (the chart bucket
+ *   containing the release starts before it)
+ * @returns {Array<Object>} Regression steps, by rank
+ */
+export function findStepsAfterRelease(release, steps, { windowMs, slackMs = 0 }) {
+  const published = parseUTC(release.published).getTime();
+  return (steps || []).filter((s) => {
+    if (!s.startTime || !isRegression(s)) {
+      return false;
+    }
+    const start = new Date(s.startTime).getTime();
+    return start >= published - slackMs && start <= published + windowMs;
+  });
+}
+
+/**
+ * Chart bucket size, the slack for findStepsAfterRelease(): a step in the bucket that
+ * contains the release starts before it.
+ * @param {Array<Object>} data - Time series rows with t
+ * @returns {number} 0 when unknown
+ */
+export function getBucketMs(data) {
+  return data && data.length >= 2 ? parseUTC(data[1].t) - parseUTC(data[0].t) : 0;
+}
+
+/**
+ * Flag releases followed by a chart anomaly within the default impact window.
+ * @param {Array<Object>} releases - Release rows with published
+ * @param {Array<Object>} steps - Detected steps
+ * @param {Array<Object>} data - Chart time series rows
+ * @returns {Array<Object>} Copies of the releases with suspicious set
+ */
+export function markSuspiciousReleases(releases, steps, data) {
+  const options = { windowMs: DEFAULT_IMPACT_WINDOW * 60 * 1000, slackMs: getBucketMs(data) };
+  return releases.map((release) => ({
+    ...release,
+    suspicious: findStepsAfterRelease(release, steps, options).length > 0,
+  }));
+}
+
+/**
+ * Describe a step the way the chart scrubber does, e.g. "Spike #1 (5xx)".
+ * @param {Object} step
+ * @returns {string}
+ */
+export function describeStep(step) {
+  const label = step.metric === 'latency'
+    ? getLatencyCategoryLabel(step.category)
+    : CATEGORY_LABELS[step.category];
+  return `${step.type === 'spike' ? 'Spike' : 'Dip'} #${step.rank} (${label})`;
+}
+
+function parseSide(row) {
+  const total = Number(row?.cnt) || 0;
+  const cnt4xx = Number(row?.cnt_4xx) || 0;
+  const cnt5xx = Number(row?.cnt_5xx) || 0;
+  return {
+    total,
+    sampleCnt: getSampleCount(row),
+    cnt4xx,
+    cnt5xx,
+    rate4xx: total > 0 ? cnt4xx / total : 0,
+    rate5xx: total > 0 ? cnt5xx / total : 0,
+    latency: Array.isArray(row?.latency) ? row.latency.map(Number) : null,
+  };
+}
+
+/**
+ * Split release-impact.sql rows into the before and after windows.
+ * @param {Array<Object>} rows - Rows with after (0/1), cnt, cnt_4xx, cnt_5xx, sample_cnt?,
+ *   latency?
+ * @returns {{ before: Object, after: Object }}
+ */
+export function parseImpactRows(rows) {
+  const isAfter = (row) => Number(row.after) === 1 || row.after === true;
+  return {
+    before: parseSide(rows.find((row) => !isAfter(row))),
+    after: parseSide(rows.find(isAfter)),
+  };
+}
+
+/**
+ * Two-proportion z-score of a rate change (x1 of n1 before, x2 of n2 after).
+ * @returns {number} 0 when either side has no requests
+ */
+export function rateZScore(x1, n1, x2, n2) {
+  if (n1 <= 0 || n2 <= 0) {
+    return 0;
+  }
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  return se > 0 ? (x2 / n2 - x1 / n1) / se : 0;
+}
+
+// Sampled tables count sum(weight); significance rests on the rows actually sampled
+function getObservedRows(side) {
+  return side.sampleCnt ?? side.total;
+}
+
+function isRateStep(before, after, key) {
+  const r1 = before[`rate${key}`];
+  const r2 = after[`rate${key}`];
+  const n1 = getObservedRows(before);
+  const n2 = getObservedRows(after);
+  return rateZScore(r1 * n1, n1, r2 * n2, n2) >= MIN_Z_SCORE
+    && r2 >= r1 * MIN_RATE_RATIO;
+}
+
+/**
+ * Decide whether a release looks responsible for a regression.
+ * @param {{ before: Object, after: Object }} summary - parseImpactRows() result
+ * @param {Array<Object>} stepsAfter - findStepsAfterRelease() result
+ * @returns {{ suspicious: boolean, reasons: string[] }}
+ */
+export function assessImpact({ before, after }, stepsAfter = []) {
+  const reasons = stepsAfter.map((s) => `${describeStep(s)} starts after the release`);
+  if (isRateStep(before, after, '5xx')) {
+    reasons.push('5xx rate stepped up');
+  }
+  if (isRateStep(before, after, '4xx')) {
+    reasons.push('4xx rate stepped up');
+  }
+  const p95Before = before.latency?.[1];
+  const p95After = after.latency?.[1];
+  if (p95Before > 0 && p95After >= p95Before * MIN_LATENCY_RATIO) {
+    reasons.push('p95 latency stepped up');
+  }
+  return { suspicious: reasons.length > 0, reasons };
+}
+
+/**
+ * SQL comparing the windows before and after a release.
+ * @param {Object} release - Release row with published
+ * @param {number} minutes - Window length on each side
+ * @param {{ sql: string }|null} scope - inferReleaseScope() result
+ * @returns {Promise<string>}
+ */
+export function buildReleaseImpactSql(release, minutes, scope) {
+  const { published, start, end } = getImpactWindow(release, minutes);
+  const latency = state.latencyColumn
+    ? `,\n  ${getLatencyQuantilesAgg(state.latencyColumn)} as latency`
+    : '';
+  return loadSql('release-impact', {
+    ...buildStatusAggregations(false, ''),
+    sampleCol: buildSampleCountFragment(),
+    latency,
+    published: formatTs(published),
+    database: DATABASE,
+    table: getTable(),
+    timeFilter: `timestamp >= toDateTime64('${formatTs(start)}', 3) AND timestamp < toDateTime64('${formatTs(end)}', 3)`,
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
+    scope: scope?.sql || '',
+    additionalWhereClause: state.additionalWhereClause || '',
+  });
+}
+
+async function loadSummary(release, minutes, scope, signal) {
+  const sql = await buildReleaseImpactSql(release, minutes, scope);
+  const result = await query(sql, { signal, cacheTtl: 300 });
+  return parseImpactRows(result.data || []);
+}
+
+// Facet values whose share of 5xx (rank 1) and 4xx (rank 2) grew after the release
+async function loadFacetChanges(release, minutes, scope, signal) {
+  const { published, start, end } = getImpactWindow(release, minutes);
+  const windows = ['red', 'yellow'].map((category, i) => ({
+    rank: i + 1, category, type: 'spike', start: published, end: new Date(end.getTime() - 1000),
+  }));
+  // The scope rides along with the time filter; hostFilter follows it with AND
+  const timeFilter = `timestamp >= toDateTime64('${formatTs(start)}', 3) AND timestamp < toDateTime64('${formatTs(end)}', 3) ${scope?.sql || ''}`;
+  const limit = createLimiter(MAX_CONCURRENT);
+  const facets = await Promise.all(getInvestigableBreakdowns().slice(0, MAX_IMPACT_FACETS)
+    .map((b) => limit(async () => {
+      if (signal?.aborted) {
+        return null;
+      }
+      try {
+        const { contributors } = await investigateFacet(b, windows, { signal, timeFilter });
+        return {
+          facetId: b.id,
+          gained5xx: contributors[1].slice(0, TOP_VALUES),
+          gained4xx: contributors[2].slice(0, TOP_VALUES),
+        };
+      } catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
+        // eslint-disable-next-line no-console
+        console.warn(`Release impact failed (${b.id}):`, err);
+        return null;
+      }
+    })));
+  return facets.filter((f) => f && (f.gained5xx.length > 0 || f.gained4xx.length > 0));
+}
+
+/**
+ * Analyze a release: before/after summary, facet changes and the suspicious verdict.
+ * When the inferred scope matches no traffic, the analysis falls back to all traffic.
+ * @param {Object} release - Release row with repo, tag, published
+ * @param {Object} [options]
+ * @param {number} [options.minutes] - Window length on each side
+ * @param {Array<Object>} [options.steps] - Detected chart steps
+ * @param {number} [options.slackMs] - See findStepsAfterRelease()
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ minutes: number, scope: Object|null, unmatchedScope: Object|null,
+ *   summary: Object, facets: Array<Object>, stepsAfter: Array<Object>, assessment: Object }>}
+ */
+export async function analyzeReleaseImpact(release, {
+  minutes = DEFAULT_IMPACT_WINDOW, steps = [], slackMs = 0, signal,
+} = {}) {
+  let scope = inferReleaseScope(release);
+  let unmatchedScope = null;
+  let summary = await loadSummary(release, minutes, scope, signal);
+  if (scope && summary.before.total === 0 && summary.after.total === 0) {
+    unmatchedScope = scope;
+    scope = null;
+    summary = await loadSummary(release, minutes, scope, signal);
+  }
+  const facets = await loadFacetChanges(release, minutes, scope, signal);
+  const stepsAfter = findStepsAfterRelease(release, steps, {
+    windowMs: minutes * 60 * 1000, slackMs,
+  });
+  return {
+    minutes,
+    scope,
+    unmatchedScope,
+    summary,
+    facets,
+    stepsAfter,
+    assessment: assessImpact(summary, stepsAfter),
+  };
+}
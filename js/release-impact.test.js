@@ -0,0 +1,195 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { state } from './state.js';
+import {
+  inferReleaseScope, findStepsAfterRelease, markSuspiciousReleases, parseImpactRows,
+  rateZScore, assessImpact, analyzeReleaseImpact,
+} from './release-impact.js';
+
+const release = { repo: 'adobe/helix-admin', tag: 'v12.3.1', published: '2026-01-15 10:00:00.000' };
+
+function step(minutes, overrides = {}) {
+  return {
+    rank: 1,
+    type: 'spike',
+    category: 'red',
+    metric: 'requests',
+    startTime: new Date(Date.UTC(2026, 0, 15, 10, minutes)),
+    ...overrides,
+  };
+}
+
+describe('inferReleaseScope', () => {
+  let savedColumn;
+  beforeEach(() => { savedColumn = state.hostFilterColumn; });
+  afterEach(() => { state.hostFilterColumn = savedColumn; });
+
+  it('matches the repo against function names', () => {
+    state.hostFilterColumn = 'function_name';
+    const scope = inferReleaseScope(release);
+    assert.strictEqual(scope.value, 'admin');
+    assert.include(scope.sql, "positionCaseInsensitive(`function_name`, 'admin') > 0");
+  });
+
+  it('returns null for dashboards without a service column', () => {
+    state.hostFilterColumn = null;
+    assert.isNull(inferReleaseScope(release));
+  });
+});
+
+describe('findStepsAfterRelease', () => {
+  const options = { windowMs: 30 * 60 * 1000, slackMs: 60 * 1000 };
+
+  it('keeps regressions that start within the window', () => {
+    const steps = [
+      step(5),
+      step(0, { rank: 2, category: 'green', type: 'dip' }),
+      step(-5, { rank: 3 }),
+      step(45, { rank: 4 }),
+      step(10, { rank: 5, category: 'green', type: 'spike' }),
+    ];
+    assert.deepEqual(findStepsAfterRelease(release, steps, options).map((s) => s.rank), [1, 2]);
+  });
+
+  it('accepts a step in the bucket that contains the release', () => {
+    const steps = [{ ...step(0), startTime: new Date(Date.UTC(2026, 0, 15, 9, 59, 30)) }];
+    assert.lengthOf(findStepsAfterRelease(release, steps, options), 1);
+  });
+
+  it('flags releases followed by an anomaly', () => {
+    const data = [{ t: '2026-01-15 09:59:00' }, { t: '2026-01-15 10:00:00' }];
+    const other = { ...release, published: '2026-01-15 08:00:00.000' };
+    const marked = markSuspiciousReleases([release, other], [step(5)], data);
+    assert.deepEqual(marked.map((r) => r.suspicious), [true, false]);
+    assert.notProperty(release, 'suspicious');
+  });
+});
+
+describe('assessImpact', () => {
+  it('parses the before and after rows', () => {
+    const { before, after } = parseImpactRows([
+      {
+        after: 1, cnt: '1000', cnt_4xx: '10', cnt_5xx: '50', latency: [10, 40, 90],
+      },
+      {
+        after: 0, cnt: '1000', cnt_4xx: '10', cnt_5xx: '5', latency: [10, 20, 50],
+      },
+    ]);
+    assert.strictEqual(before.rate5xx, 0.005);
+    assert.strictEqual(after.rate5xx, 0.05);
+    assert.deepEqual(after.latency, [10, 40, 90]);
+  });
+
+  it('flags significant error rate and latency steps', () => {
+    const summary = parseImpactRows([
+      {
+        after: 0, cnt: '1000', cnt_4xx: '10', cnt_5xx: '5', latency: [10, 20, 50],
+      },
+      {
+        after: 1, cnt: '1000', cnt_4xx: '12', cnt_5xx: '50', latency: [10, 40, 90],
+      },
+    ]);
+    assert.isAbove(rateZScore(5, 1000, 50, 1000), 3);
+    const { suspicious, reasons } = assessImpact(summary, [step(5)]);
+    assert.isTrue(suspicious);
+    assert.deepEqual(reasons, [
+      'Spike #1 (5xx) starts after the release',
+      '5xx rate stepped up',
+      'p95 latency stepped up',
+    ]);
+  });
+
+  it('does not flag noise on small samples', () => {
+    const summary = parseImpactRows([
+      {
+        after: 0, cnt: '20', cnt_4xx: '0', cnt_5xx: '0',
+      },
+      {
+        after: 1, cnt: '20', cnt_4xx: '0', cnt_5xx: '1',
+      },
+    ]);
+    assert.deepEqual(assessImpact(summary, []), { suspicious: false, reasons: [] });
+  });
+});
+
+describe('assessImpact on sampled tables', () => {
+  it('tests significance on the sampled rows, not the weighted counts', () => {
+    const rows = [
+      {
+        after: 0, cnt: '10000', cnt_4xx: '0', cnt_5xx: '50',
+      },
+      {
+        after: 1, cnt: '10000', cnt_4xx: '0', cnt_5xx: '200',
+      },
+    ];
+    assert.isTrue(assessImpact(parseImpactRows(rows), []).suspicious);
+    const sampled = rows.map((row) => ({ ...row, sample_cnt: '100' }));
+    assert.strictEqual(parseImpactRows(sampled).after.sampleCnt, 100);
+    const assessment = assessImpact(parseImpactRows(sampled), []);
+    assert.deepEqual(assessment, { suspicious: false, reasons: [] });
+  });
+});
+
+describe('analyzeReleaseImpact', () => {
+  let originalFetch;
+  let queries;
+  let responses;
+  const saved = {};
+
+  beforeEach(() => {
+    ['credentials', 'breakdowns', 'hostFilterColumn', 'latencyColumn']
+      .forEach((key) => { saved[key] = state[key]; });
+    state.credentials = { user: 'test', password: 'test' };
+    state.breakdowns = [];
+    state.hostFilterColumn = 'function_name';
+    state.latencyColumn = null;
+    queries = [];
+    originalFetch = window.fetch;
+    window.fetch = async (url, options) => {
+      if (url.endsWith('.sql')) {
+        return { ok: true, text: async () => 'SELECT {{aggTotal}} FROM {{table}} WHERE {{timeFilter}} {{scope}}' };
+      }
+      queries.push(options.body);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ data: responses.shift() || [], statistics: { elapsed: 0.1 } }),
+      };
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    Object.assign(state, saved);
+  });
+
+  it('scopes the comparison to the released function', async () => {
+    responses = [[{ after: 0, cnt: '100' }, { after: 1, cnt: '100' }]];
+    const result = await analyzeReleaseImpact(release, { minutes: 15 });
+    assert.lengthOf(queries, 1);
+    assert.include(queries[0], "positionCaseInsensitive(`function_name`, 'admin')");
+    assert.include(queries[0], '2026-01-15 09:45:00.000');
+    assert.strictEqual(result.scope.value, 'admin');
+    assert.isFalse(result.assessment.suspicious);
+  });
+
+  it('falls back to all traffic when the scope matches nothing', async () => {
+    responses = [[], [{ after: 0, cnt: '100' }, { after: 1, cnt: '100' }]];
+    const result = await analyzeReleaseImpact(release);
+    assert.lengthOf(queries, 2);
+    assert.notInclude(queries[1], 'positionCaseInsensitive');
+    assert.isNull(result.scope);
+    assert.strictEqual(result.unmatchedScope.value, 'admin');
+    assert.strictEqual(result.summary.after.total, 100);
+  });
+});
@@ -12,7 +12,12 @@
 import { query } from './api.js';
 import { parseUTC } from './chart-state.js';
 import { loadSql } from './sql-loader.js';
-import { renderReleaseTooltipHtml } from './templates/release-tooltip.js';
+import {
+  renderReleaseTooltipHtml, renderReleaseClusterTooltipHtml,
+} from './templates/release-tooltip.js';
+
+// Ships closer than this many pixels are drawn as one cluster with a count badge
+const CLUSTER_GAP = 16;
 
 // Get releases within a time range from ClickHouse
 export async function getReleasesInRange(startTime, endTime) {
@@ -112,6 +117,68 @@ function getShipColor(release, cssVar) {
   return cssVar('--status-ok') || '#12b76a';
 }
 
+// Ring a release that is followed by an anomaly (release.suspicious)
+function drawSuspiciousMarker(ctx, x, y, color) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, 11, 0, Math.PI * 2);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([2, 2]);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Draw the release count of a cluster in place of its ships
+function drawClusterBadge(ctx, x, y, count, color, textColor) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(x, y, 8, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.font = 'bold 9px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = textColor;
+  ctx.fillText(count > 99 ? '99+' : String(count), x, y + 0.5);
+  ctx.restore();
+}
+
+// Draw a single release (ship, or wrench for config changes) or a cluster badge
+function drawReleaseSymbol(ctx, x, y, releases, cssVar) {
+  const [release] = releases;
+  const secondary = cssVar('--text-secondary') || '#667085';
+  if (releases.length > 1) {
+    drawClusterBadge(ctx, x, y, releases.length, secondary, cssVar('--chart-bg') || '#fff');
+  } else if (release.repo === 'aem-certificate-rotation') {
+    drawWrench(ctx, x, y, secondary);
+  } else {
+    drawShip(ctx, x, y, getShipColor(release, cssVar));
+  }
+  if (releases.some((r) => r.suspicious)) {
+    drawSuspiciousMarker(ctx, x, y, cssVar('--status-server-error') || '#f04438');
+  }
+}
+
+/**
+ * Group ship x positions so that neighbours closer than the gap share a cluster.
+ * @param {Array<{ x: number }>} items - Items sorted by x
+ * @param {number} [gap] - Minimum distance in pixels between separate ships
+ * @returns {Array<Array<Object>>} Clusters in x order
+ */
+export function clusterByX(items, gap = CLUSTER_GAP) {
+  const clusters = [];
+  for (const item of items) {
+    const last = clusters[clusters.length - 1];
+    if (last && item.x - last[last.length - 1].x < gap) {
+      last.push(item);
+    } else {
+      clusters.push([item]);
+    }
+  }
+  return clusters;
+}
+
 // Render ship symbols on the chart canvas
 export function renderReleaseShips(ctx, releases, data, chartDimensions, timeRange = null) {
   if (!releases || releases.length === 0) { return []; }
@@ -135,20 +202,25 @@ export function renderReleaseShips(ctx, releases, data, chartDimensions, timeRan
   const cssVar = (name) => styles.getPropertyValue(name).trim();
 
   const shipPositions = [];
-
-  for (const release of releases) {
-    const publishedTime = parseUTC(release.published).getTime();
-    const x = padding.left + (chartWidth * (publishedTime - startTime)) / timeRangeMs;
-    const y = 10;
-
-    if (release.repo === 'aem-certificate-rotation') {
-      drawWrench(ctx, x, y, cssVar('--text-secondary') || '#667085');
-    } else {
-      drawShip(ctx, x, y, getShipColor(release, cssVar));
-    }
-
+  const y = 10;
+  const items = releases.map((release) => ({
+    release,
+    x: padding.left
+      + (chartWidth * (parseUTC(release.published).getTime() - startTime)) / timeRangeMs,
+  })).sort((a, b) => a.x - b.x);
+
+  for (const cluster of clusterByX(items)) {
+    const x = cluster.reduce((sum, item) => sum + item.x, 0) / cluster.length;
+    const clusterReleases = cluster.map((item) => item.release);
+    drawReleaseSymbol(ctx, x, y, clusterReleases, cssVar);
+
+    // Clusters have no single release; hovering lists their releases
     shipPositions.push({
-      x, y, release, radius: 12,
+      x,
+      y,
+      release: cluster.length > 1 ? null : clusterReleases[0],
+      releases: clusterReleases,
+      radius: 12,
     });
   }
 
@@ -157,12 +229,53 @@ export function renderReleaseShips(ctx, releases, data, chartDimensions, timeRan
 
 // Create and manage the release tooltip
 let tooltipElement = null;
+// Pinned cluster list: its releases, what picking one does and its document listeners
+// (null while hovering)
+let pinned = null;
+
+// Hide the hover tooltip; a pinned cluster list stays open
+export function hideReleaseTooltip() {
+  if (tooltipElement && !pinned) {
+    tooltipElement.style.display = 'none';
+  }
+}
+
+// Hide the tooltip, pinned or not
+export function closeReleaseTooltip() {
+  if (pinned) {
+    pinned.listeners.abort();
+    pinned = null;
+    tooltipElement.classList.remove('pinned');
+  }
+  hideReleaseTooltip();
+}
+
+function closePinnedOnOutsideClick(e) {
+  if (!tooltipElement.contains(e.target)) {
+    closeReleaseTooltip();
+  }
+}
+
+function closePinnedOnEscape(e) {
+  if (e.key === 'Escape') {
+    closeReleaseTooltip();
+  }
+}
+
+function handleTooltipClick(e) {
+  const item = e.target.closest('[data-release-index]');
+  if (!item || !pinned) { return; }
+  const { releases, onSelect } = pinned;
+  closeReleaseTooltip();
+  onSelect(releases[Number(item.dataset.releaseIndex)]);
+}
 
 function ensureTooltip() {
   if (!tooltipElement) {
     tooltipElement = document.createElement('div');
     tooltipElement.className = 'release-tooltip';
     tooltipElement.style.display = 'none';
+    tooltipElement.addEventListener('click', handleTooltipClick);
     document.body.appendChild(tooltipElement);
   }
   return tooltipElement;
@@ -216,22 +329,20 @@ function formatReleaseNotes(body) {
   return htmlLines.join('<br>');
 }
 
-// Show tooltip for a release
-export function showReleaseTooltip(release, x, y) {
-  const tooltip = ensureTooltip();
-  const published = parseUTC(release.published);
-  const timeStr = published.toLocaleString([], {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
+// Published time in UTC; the cluster list leaves out the date
+function formatPublished(release, withDate = true) {
+  const date = withDate ? { year: 'numeric', month: 'short', day: 'numeric' } : {};
+  return parseUTC(release.published).toLocaleString([], {
+    ...date,
     hour: '2-digit',
     minute: '2-digit',
     timeZone: 'UTC',
   });
+}
 
-  tooltip.innerHTML = renderReleaseTooltipHtml(release, timeStr, formatReleaseNotes);
-
-  // Position tooltip above the ship
+// Position the tooltip above the ship, within the viewport
+function positionTooltip(x, y) {
+  const tooltip = tooltipElement;
   tooltip.style.display = 'block';
 
   // Get viewport dimensions
@@ -256,11 +367,53 @@ export function showReleaseTooltip(release, x, y) {
   tooltip.style.top = `${top}px`;
 }
 
-// Hide the tooltip
-export function hideReleaseTooltip() {
-  if (tooltipElement) {
-    tooltipElement.style.display = 'none';
-  }
+// Show tooltip for a release (hover); a pinned cluster list stays until it is closed
+export function showReleaseTooltip(release, x, y) {
+  if (pinned) { return; }
+  const tooltip = ensureTooltip();
+  tooltip.innerHTML = renderReleaseTooltipHtml(
+    release,
+    formatPublished(release),
+    formatReleaseNotes,
+  );
+  positionTooltip(x, y);
+}
+
+// Show the releases of a cluster (hover)
+export function showReleaseClusterTooltip(releases, x, y) {
+  if (pinned) { return; }
+  const tooltip = ensureTooltip();
+  tooltip.innerHTML = renderReleaseClusterTooltipHtml(releases, (r) => formatPublished(r, false));
+  positionTooltip(x, y);
+}
+
+/**
+ * Pin the release list of a clicked cluster so one release can be picked. It stays open
+ * until a release is picked, the user clicks elsewhere or presses Escape.
+ * @param {Array<Object>} releases
+ * @param {number} x
+ * @param {number} y
+ * @param {(release: Object) => void} onSelect
+ */
+export function pinReleaseClusterTooltip(releases, x, y, onSelect) {
+  closeReleaseTooltip();
+  const tooltip = ensureTooltip();
+  tooltip.innerHTML = renderReleaseClusterTooltipHtml(
+    releases,
+    (r) => formatPublished(r, false),
+    true,
+  );
+  tooltip.classList.add('pinned');
+  positionTooltip(x, y);
+  const listeners = new AbortController();
+  pinned = { releases, onSelect, listeners };
+  // After the current click, which would otherwise count as outside
+  setTimeout(() => {
+    if (listeners.signal.aborted) { return; }
+    const { signal } = listeners;
+    document.addEventListener('mousedown', closePinnedOnOutsideClick, { signal });
+    document.addEventListener('keydown', closePinnedOnEscape, { signal });
+  }, 0);
 }
 
 // Check if a point is near any ship
@@ -0,0 +1,130 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** Request journey timeline in the log detail modal (see correlation.js). */
+
+import { isAbortError } from './api.js';
+import { CORRELATION_TABLES, hasCorrelations, traceRequestJourney } from './correlation.js';
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+
+const SECTION_ID = 'requestJourney';
+const RESULT_ID = 'requestJourneyResult';
+
+let abortController = null;
+
+/**
+ * Section with the "trace" button, placed first in the log detail table. Empty for
+ * tables without correlation links.
+ * @returns {string}
+ */
+export function buildJourneySectionHtml() {
+  if (!hasCorrelations(state.tableName)) {
+    return '';
+  }
+  return `<tbody class="log-detail-group" id="${SECTION_ID}">`
+    + '<tr><td colspan="2" class="log-detail-group-title">Request journey</td></tr>'
+    + '<tr><td colspan="2"><button type="button" class="detail-filter-btn" '
+    + 'data-action="trace-request-journey" title="Find this request in the related tables">'
+    + 'trace across tables</button></td></tr>'
+    + '</tbody>';
+}
+
+function formatOffset(ms) {
+  if (ms === 0) {
+    return '0 ms';
+  }
+  const sign = ms > 0 ? '+' : '−';
+  const abs = Math.abs(ms);
+  return abs < 1000 ? `${sign}${abs} ms` : `${sign}${(abs / 1000).toFixed(2)} s`;
+}
+
+function formatSummary(table, row) {
+  const fields = CORRELATION_TABLES[table]?.fields || [];
+  return fields
+    .filter((key) => row[key] !== undefined && row[key] !== null && row[key] !== '')
+    .map((key) => `${key.split('.').pop()}: ${row[key]}`)
+    .join(' · ');
+}
+
+/**
+ * Render the journey as a tbody: one line per row with its offset from the starting row,
+ * how it was matched and its summary fields; the full row is behind a disclosure.
+ * @param {{ entries: import('./correlation.js').JourneyEntry[],
+ *   errors: Array<{ table: string, message: string }> }} journey
+ * @returns {string}
+ */
+export function renderJourneyHtml({ entries, errors }) {
+  const start = entries.find((entry) => entry.hop === 0);
+  const startTime = new Date(start.row.timestamp).getTime();
+  const bodyRowsHtml = entries.map((entry) => {
+    const label = CORRELATION_TABLES[entry.table]?.label || entry.table;
+    const offset = formatOffset(new Date(entry.row.timestamp).getTime() - startTime);
+    const via = entry.via ? `via ${entry.via}` : 'this row';
+    return `<tr class="${entry === start ? 'journey-start' : ''}">`
+      + `<td>${escapeHtml(offset)}</td>`
+      + `<td>${escapeHtml(label)}</td>`
+      + `<td class="journey-via">${escapeHtml(via)}</td>`
+      + `<td class="journey-summary"><details><summary>${escapeHtml(formatSummary(entry.table, entry.row))}</summary>`
+      + `<pre>${escapeHtml(JSON.stringify(entry.row, null, 2))}</pre></details></td>`
+      + '</tr>';
+  }).join('');
+  const errorsHtml = errors.map(({ table, message }) => (
+    `<tr><td colspan="2" class="empty-value">${escapeHtml(CORRELATION_TABLES[table]?.label || table)}: `
+    + `${escapeHtml(message)}</td></tr>`
+  )).join('');
+  const emptyHtml = entries.length === 1
+    ? '<tr><td colspan="2" class="empty-value">No related rows found</td></tr>'
+    : '';
+
+  return `<tbody class="log-detail-group" id="${RESULT_ID}">`
+    + '<tr><td colspan="2"><table class="ray-id-result-table request-journey-table">'
+    + '<thead><tr><th>Offset</th><th>Table</th><th>Matched</th><th>Summary</th></tr></thead>'
+    + `<tbody>${bodyRowsHtml}</tbody></table></td></tr>`
+    + `${emptyHtml}${errorsHtml}</tbody>`;
+}
+
+function showResult(html) {
+  document.getElementById(RESULT_ID)?.remove();
+  document.getElementById(SECTION_ID)?.insertAdjacentHTML('afterend', html);
+}
+
+/**
+ * Wire up the "trace across tables" button inside the log detail modal.
+ * @param {HTMLElement} modal - the #logDetailModal dialog element
+ * @param {() => Object|null} getRow - Row currently shown in the modal
+ */
+export function initRequestJourney(modal, getRow) {
+  modal.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-action="trace-request-journey"]');
+    const row = btn && getRow();
+    if (!row) { return; }
+
+    abortController?.abort();
+    abortController = new AbortController();
+    const { signal } = abortController;
+    showResult(`<tbody class="log-detail-group" id="${RESULT_ID}">`
+      + '<tr><td colspan="2">Tracing…</td></tr></tbody>');
+
+    try {
+      const journey = await traceRequestJourney(state.tableName, row, { signal });
+      showResult(renderJourneyHtml(journey));
+    } catch (err) {
+      if (!isAbortError(err)) {
+        showResult(`<tbody class="log-detail-group" id="${RESULT_ID}">`
+          + `<tr><td colspan="2" class="empty-value">Trace failed: ${escapeHtml(err.message || String(err))}</td></tr></tbody>`);
+      }
+    }
+  });
+  // A trace still running belongs to the row that was open
+  modal.addEventListener('close', () => abortController?.abort());
+}
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Confidence of weighted counts on sampled tables. A count of sum(weight) over n sampled
+ * rows has a relative standard error of about 1/√n (Poisson), whatever the weights, so the
+ * raw row count (`sample_cnt`, see buildSampleCountFragment) is all we need.
+ */
+
+import { LOW_SAMPLE_ROWS } from './constants.js';
+import { formatNumber } from './format.js';
+
+// Two-sided 95% normal quantile
+const Z_95 = 1.96;
+
+/**
+ * Sampled row count of a result row, or null when the query did not report one
+ * (unsampled tables, facet tables).
+ * @param {Object|null|undefined} row
+ * @returns {number|null}
+ */
+export function getSampleCount(row) {
+  if (row?.sample_cnt === undefined || row.sample_cnt === null) {
+    return null;
+  }
+  return Number(row.sample_cnt) || 0;
+}
+
+/**
+ * @param {number|null} sampleCnt
+ * @returns {boolean} Whether a value rests on too few sampled rows to trust
+ */
+export function isLowSample(sampleCnt) {
+  return sampleCnt !== null && sampleCnt < LOW_SAMPLE_ROWS;
+}
+
+/**
+ * 95% confidence interval of a weighted count.
+ * @param {number} count - Weighted count
+ * @param {number|null} sampleCnt - Sampled rows behind it
+ * @returns {{ low: number, high: number, relative: number }|null} null without a sample
+ *   count; `relative` is the margin as a fraction of the count
+ */
+export function getCountInterval(count, sampleCnt) {
+  if (sampleCnt === null || sampleCnt <= 0) {
+    return null;
+  }
+  const relative = Z_95 / Math.sqrt(sampleCnt);
+  const margin = count * relative;
+  return { low: Math.max(0, count - margin), high: count + margin, relative };
+}
+
+/**
+ * 95% confidence margin of a rate (e.g. an error rate) measured on sampled rows.
+ * @param {number} ratio - Between 0 and 1
+ * @param {number|null} sampleCnt
+ * @returns {number|null} Margin in the ratio's units, or null without a sample count
+ */
+export function getRatioMargin(ratio, sampleCnt) {
+  if (sampleCnt === null || sampleCnt <= 0) {
+    return null;
+  }
+  return Z_95 * Math.sqrt((ratio * (1 - ratio)) / sampleCnt);
+}
+
+/**
+ * Tooltip for a weighted count, e.g. "95% CI 28–52 · 4 sampled rows (low sample)".
+ * @param {number} count
+ * @param {number|null} sampleCnt
+ * @param {(n: number) => string} [formatter]
+ * @returns {string} Empty without a sample count
+ */
+export function formatCountConfidence(count, sampleCnt, formatter = formatNumber) {
+  const interval = getCountInterval(count, sampleCnt);
+  if (!interval) {
+    return '';
+  }
+  const rows = `${formatNumber(sampleCnt)} sampled row${sampleCnt === 1 ? '' : 's'}`;
+  const low = isLowSample(sampleCnt) ? ' (low sample)' : '';
+  const range = `${formatter(Math.round(interval.low))}–${formatter(Math.round(interval.high))}`;
+  return `95% CI ${range} · ${rows}${low}`;
+}
+
+/**
+ * Scrubber badge with the 95% margin of a chart bucket's request count, e.g. "±4%", or
+ * "low sample" when the bucket rests on few sampled rows.
+ * @param {Object} dataPoint - Time series row with cnt_ok, cnt_4xx, cnt_5xx and sample_cnt
+ * @returns {string} HTML string, empty for unsampled tables
+ */
+export function buildSampleBadge(dataPoint) {
+  const sampleCnt = getSampleCount(dataPoint);
+  const total = ['cnt_ok', 'cnt_4xx', 'cnt_5xx']
+    .reduce((sum, key) => sum + (Number(dataPoint[key]) || 0), 0);
+  const interval = getCountInterval(total, sampleCnt);
+  if (!interval) {
+    return '';
+  }
+  const title = formatCountConfidence(total, sampleCnt);
+  if (isLowSample(sampleCnt)) {
+    return `<span class="scrubber-value scrubber-sample low-sample" title="${title}">low sample</span>`;
+  }
+  const pct = interval.relative * 100;
+  const label = pct < 1 ? '±<1%' : `±${Math.round(pct)}%`;
+  return `<span class="scrubber-value scrubber-sample" title="${title}">${label}</span>`;
+}
@@ -0,0 +1,58 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  buildSampleBadge, formatCountConfidence, getCountInterval, getRatioMargin, getSampleCount,
+  isLowSample,
+} from './sampling.js';
+
+describe('sampling', () => {
+  it('reads the sampled row count when the query reported one', () => {
+    assert.strictEqual(getSampleCount({ sample_cnt: '42' }), 42);
+    assert.isNull(getSampleCount({ cnt: '42' }));
+    assert.isNull(getSampleCount(null));
+  });
+
+  it('flags values under LOW_SAMPLE_ROWS sampled rows', () => {
+    assert.isTrue(isLowSample(5));
+    assert.isFalse(isLowSample(30));
+    assert.isFalse(isLowSample(null));
+  });
+
+  it('widens the count interval as the sample shrinks', () => {
+    const interval = getCountInterval(1000, 100);
+    assert.closeTo(interval.relative, 0.196, 1e-9);
+    assert.closeTo(interval.low, 804, 1e-9);
+    assert.closeTo(interval.high, 1196, 1e-9);
+    assert.strictEqual(getCountInterval(100, 1).low, 0);
+    assert.isNull(getCountInterval(100, null));
+  });
+
+  it('uses the binomial margin for rates', () => {
+    assert.closeTo(getRatioMargin(0.5, 100), 0.098, 1e-9);
+    assert.isNull(getRatioMargin(0.5, null));
+  });
+
+  it('formats the interval for tooltips', () => {
+    assert.strictEqual(formatCountConfidence(40, 4), '95% CI 1–79 · 4 sampled rows (low sample)');
+    assert.strictEqual(formatCountConfidence(40, null), '');
+  });
+
+  it('builds a scrubber badge from a time series bucket', () => {
+    const bucket = {
+      cnt_ok: '900', cnt_4xx: '80', cnt_5xx: '20', sample_cnt: '400',
+    };
+    assert.include(buildSampleBadge(bucket), '>±10%<');
+    assert.include(buildSampleBadge({ ...bucket, sample_cnt: '3' }), '>low sample<');
+    assert.strictEqual(buildSampleBadge({ cnt_ok: '900' }), '');
+  });
+});
@@ -0,0 +1,257 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Saved views: named dashboard states stored in ClickHouse (sql/saved_views_table.sql).
+ * The server sets the owner on insert; saving again under the same name updates the view
+ * and deleting writes a tombstone row.
+ */
+
+import { DATABASE } from './config.js';
+import { query, execute, getQueryErrorDetails } from './api.js';
+import { state } from './state.js';
+import { loadSql } from './sql-loader.js';
+import { buildStateParams } from './url-state.js';
+
+// Pages a view may link to; rows naming anything else are dropped so a shared view can't
+// send the team off-site (e.g. dashboard "/evil.example" would make "//evil.example")
+const DASHBOARD_PAGES = [
+  'delivery.html',
+  'backend.html',
+  'admin.html',
+  'da.html',
+  'da-workers.html',
+  'helix-mixer.html',
+  'lambda.html',
+];
+
+let savedViews = null; // Cached list (null: not loaded yet)
+let savedViewsPromise = null;
+let dialog = null;
+
+/**
+ * Page the current dashboard is served from, e.g. delivery.html.
+ * @returns {string}
+ */
+export function getDashboardPage() {
+  return window.location.pathname.split('/').pop() || 'delivery.html';
+}
+
+/**
+ * URL parameters to store for the current state. Plain query timestamps are dropped so
+ * the view opens relative to now; an explicit custom range (ts + te) is kept.
+ * Pinned log columns are included even though the dashboard URL doesn't carry them.
+ * @returns {string}
+ */
+export function buildSavedViewQuery() {
+  const params = buildStateParams(null);
+  if (!params.has('te')) {
+    params.delete('ts');
+  }
+  params.delete('live');
+  if (state.pinnedColumns.length > 0) {
+    params.set('pinned', state.pinnedColumns.join(','));
+  }
+  return params.toString();
+}
+
+/**
+ * Convert a saved-views result row into a view object.
+ * @param {Object} row
+ * @returns {Object|null} null when the row names an unknown dashboard page
+ */
+export function parseSavedViewRow(row) {
+  const dashboard = row.view_dashboard;
+  if (!DASHBOARD_PAGES.includes(dashboard)) {
+    return null;
+  }
+  const viewQuery = row.view_query;
+  return {
+    id: row.id,
+    owner: row.owner,
+    name: row.view_name,
+    dashboard,
+    table: row.view_table,
+    query: viewQuery,
+    shared: Number(row.view_shared) === 1,
+    mine: row.owner === state.credentials?.user,
+    href: viewQuery ? `/${dashboard}?${viewQuery}` : `/${dashboard}`,
+  };
+}
+
+/**
+ * Load the views visible to the current user (own plus shared), cached until changed.
+ * Failures (e.g. table missing or no grant) are logged and yield an empty list.
+ * @returns {Promise<Object[]>}
+ */
+export function loadSavedViews() {
+  if (savedViews) {
+    return Promise.resolve(savedViews);
+  }
+  if (!savedViewsPromise) {
+    savedViewsPromise = loadSql('saved-views', { database: DATABASE })
+      .then((sql) => query(sql, { skipCache: true }))
+      .then((result) => {
+        savedViews = result.data.map(parseSavedViewRow).filter(Boolean);
+        return savedViews;
+      })
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.warn('Failed to load saved views:', err);
+        return [];
+      })
+      .finally(() => {
+        savedViewsPromise = null;
+      });
+  }
+  return savedViewsPromise;
+}
+
+/** Forget the cached list so the next loadSavedViews() queries again. */
+export function invalidateSavedViews() {
+  savedViews = null;
+}
+
+// Own view with this name on the current dashboard, which saving would update
+function findOwnView(views, name) {
+  const dashboard = getDashboardPage();
+  return views.find((v) => v.mine && v.dashboard === dashboard && v.name === name.trim());
+}
+
+function insertViewRow(row) {
+  return execute(`INSERT INTO ${DATABASE}.saved_views (id, name, dashboard, table_name, query, shared, deleted) FORMAT JSONEachRow\n${JSON.stringify(row)}`);
+}
+
+/**
+ * Save the current dashboard state. Saving over an own view with the same name (on the
+ * same dashboard) updates it instead of creating a duplicate.
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {boolean} [options.shared]
+ * @returns {Promise<void>}
+ */
+export async function saveCurrentView({ name, shared = false }) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Name the view');
+  }
+  const views = await loadSavedViews();
+  const existing = findOwnView(views, trimmed);
+  await insertViewRow({
+    id: existing?.id || crypto.randomUUID(),
+    name: trimmed,
+    dashboard: getDashboardPage(),
+    table_name: state.tableName || '',
+    query: buildSavedViewQuery(),
+    shared: shared ? 1 : 0,
+    deleted: 0,
+  });
+  invalidateSavedViews();
+}
+
+/**
+ * Delete one of the current user's views.
+ * @param {Object} view - View from loadSavedViews
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedView(view) {
+  if (!view.mine) {
+    throw new Error('Only the owner can delete a view');
+  }
+  await insertViewRow({
+    id: view.id,
+    name: view.name,
+    dashboard: view.dashboard,
+    table_name: view.table,
+    query: view.query,
+    shared: view.shared ? 1 : 0,
+    deleted: 1,
+  });
+  invalidateSavedViews();
+}
+
+// Re-saving a view keeps its sharing unless the user changes it
+async function syncSharedCheckbox(form) {
+  const { name, shared } = form.elements;
+  const existing = findOwnView(await loadSavedViews(), name.value);
+  if (existing) {
+    shared.checked = existing.shared;
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'saveViewModal';
+  dialog.innerHTML = `
+    <form method="dialog" class="save-view-form">
+      <div class="manage-cols-header">
+        <h2>Save view</h2>
+        <button type="button" class="modal-close" data-action="save-view-cancel" aria-label="Close">×</button>
+      </div>
+      <div class="save-view-body">
+        <label>Name <input type="text" name="name" required autocomplete="off"></label>
+        <label class="save-view-shared"><input type="checkbox" name="shared"> Share with team</label>
+        <p class="save-view-hint">Saves filters, time range, pinned and hidden facets and pinned columns.</p>
+        <p class="save-view-error" hidden></p>
+      </div>
+      <div class="manage-cols-footer">
+        <button type="button" class="manage-cols-btn" data-action="save-view-cancel">Cancel</button>
+        <button type="submit" class="manage-cols-btn primary">Save</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(dialog);
+
+  const form = dialog.querySelector('form');
+  const errorEl = dialog.querySelector('.save-view-error');
+  form.elements.name.addEventListener('input', () => syncSharedCheckbox(form));
+  dialog.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="save-view-cancel"]')) {
+      e.stopPropagation();
+      dialog.close();
+    }
+  });
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
+    errorEl.hidden = true;
+    try {
+      const { name, shared } = form.elements;
+      await saveCurrentView({ name: name.value, shared: shared.checked });
+      dialog.close();
+    } catch (err) {
+      errorEl.textContent = getQueryErrorDetails(err).message;
+      errorEl.hidden = false;
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+  return dialog;
+}
+
+/**
+ * Open the save view dialog. Naming an own view pre-fills its sharing.
+ * @param {string} [name] - Initial name (e.g. what was typed into the palette)
+ * @returns {Promise<void>} Resolves once the sharing checkbox is filled in
+ */
+export function openSaveViewDialog(name = '') {
+  buildDialog();
+  const form = dialog.querySelector('form');
+  form.elements.name.value = name;
+  form.elements.shared.checked = false;
+  dialog.querySelector('.save-view-error').hidden = true;
+  dialog.showModal();
+  form.elements.name.focus();
+  return syncSharedCheckbox(form);
+}
@@ -0,0 +1,222 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  buildSavedViewQuery, parseSavedViewRow, saveCurrentView, deleteSavedView, loadSavedViews,
+  getDashboardPage, openSaveViewDialog, invalidateSavedViews,
+} from './saved-views.js';
+import { state } from './state.js';
+import {
+  setQueryTimestamp, setCustomTimeRange, clearCustomTimeRange,
+} from './time.js';
+
+function viewRow(overrides = {}) {
+  return {
+    id: 'v1',
+    owner: 'alice',
+    view_name: 'Errors',
+    view_dashboard: getDashboardPage(),
+    view_table: 'delivery',
+    view_query: 't=1h',
+    view_shared: 0,
+    ...overrides,
+  };
+}
+
+let originalFetch;
+let savedState;
+
+beforeEach(() => {
+  originalFetch = window.fetch;
+  savedState = {
+    credentials: state.credentials,
+    tableName: state.tableName,
+    timeRange: state.timeRange,
+    filters: state.filters,
+    pinnedColumns: state.pinnedColumns,
+    liveMode: state.liveMode,
+  };
+  state.credentials = { user: 'alice', password: 'p' };
+  state.tableName = 'delivery';
+  state.timeRange = '1h';
+  state.filters = [];
+  state.pinnedColumns = [];
+  state.liveMode = null;
+  clearCustomTimeRange();
+  setQueryTimestamp(null);
+  invalidateSavedViews();
+});
+
+afterEach(() => {
+  window.fetch = originalFetch;
+  Object.assign(state, savedState);
+  clearCustomTimeRange();
+  setQueryTimestamp(null);
+});
+
+/**
+ * Mock fetch: the saved-views template, a list result and recorded INSERT bodies.
+ */
+function mockFetch(rows) {
+  const inserts = [];
+  window.fetch = async (url, options) => {
+    if (typeof url === 'string' && url.endsWith('.sql')) {
+      return { ok: true, text: async () => 'SELECT {{database}}' };
+    }
+    if (options.body.startsWith('INSERT')) {
+      inserts.push(options.body);
+      return { ok: true, text: async () => '' };
+    }
+    return { ok: true, json: async () => ({ data: rows }) };
+  };
+  return inserts;
+}
+
+function insertedRow(body) {
+  const [header, json] = body.split('\n');
+  assert.include(header, 'saved_views');
+  assert.include(header, 'FORMAT JSONEachRow');
+  return JSON.parse(json);
+}
+
+describe('buildSavedViewQuery', () => {
+  it('drops the query timestamp so the view opens relative to now', () => {
+    setQueryTimestamp(new Date('2026-01-15T10:00:00Z'));
+    const params = new URLSearchParams(buildSavedViewQuery());
+    assert.isFalse(params.has('ts'));
+  });
+
+  it('keeps an explicit custom time range', () => {
+    setCustomTimeRange(new Date('2026-01-15T10:00:00Z'), new Date('2026-01-15T11:00:00Z'));
+    const params = new URLSearchParams(buildSavedViewQuery());
+    assert.strictEqual(params.get('ts'), '2026-01-15T10:00:00.000Z');
+    assert.strictEqual(params.get('te'), '2026-01-15T11:00:00.000Z');
+  });
+
+  it('drops live mode and adds pinned columns', () => {
+    state.liveMode = '10s';
+    state.pinnedColumns = ['request.host', 'response.status'];
+    const params = new URLSearchParams(buildSavedViewQuery());
+    assert.isFalse(params.has('live'));
+    assert.strictEqual(params.get('pinned'), 'request.host,response.status');
+  });
+});
+
+describe('parseSavedViewRow', () => {
+  it('marks own views and builds the link', () => {
+    const view = parseSavedViewRow(viewRow());
+    assert.isTrue(view.mine);
+    assert.isFalse(view.shared);
+    assert.strictEqual(view.href, `/${getDashboardPage()}?t=1h`);
+  });
+
+  it('recognizes views shared by others', () => {
+    const view = parseSavedViewRow(viewRow({ owner: 'bob', view_shared: '1', view_query: '' }));
+    assert.isFalse(view.mine);
+    assert.isTrue(view.shared);
+    assert.strictEqual(view.href, `/${getDashboardPage()}`);
+  });
+});
+
+describe('parseSavedViewRow (dashboard check)', () => {
+  it('drops rows that do not name a known dashboard page', () => {
+    assert.isNull(parseSavedViewRow(viewRow({ view_dashboard: '/evil.example' })));
+    assert.isNull(parseSavedViewRow(viewRow({ view_dashboard: 'https://evil.example/x.html' })));
+    assert.isNull(parseSavedViewRow(viewRow({ view_dashboard: 'configs.html' })));
+    assert.strictEqual(parseSavedViewRow(viewRow({ view_dashboard: 'lambda.html' })).href, '/lambda.html?t=1h');
+  });
+
+  it('leaves dropped rows out of the list', async () => {
+    mockFetch([viewRow(), viewRow({ id: 'v2', owner: 'bob', view_dashboard: '/evil.example' })]);
+    const views = await loadSavedViews();
+    assert.deepEqual(views.map((v) => v.id), ['v1']);
+  });
+});
+
+describe('saveCurrentView', () => {
+  it('rejects an empty name', async () => {
+    mockFetch([]);
+    try {
+      await saveCurrentView({ name: '  ' });
+      assert.fail('should have thrown');
+    } catch (err) {
+      assert.strictEqual(err.message, 'Name the view');
+    }
+  });
+
+  it('inserts a new view with the current state', async () => {
+    const inserts = mockFetch([]);
+    await saveCurrentView({ name: ' Errors ', shared: true });
+    assert.strictEqual(inserts.length, 1);
+    const row = insertedRow(inserts[0]);
+    assert.strictEqual(row.name, 'Errors');
+    assert.strictEqual(row.table_name, 'delivery');
+    assert.strictEqual(row.shared, 1);
+    assert.strictEqual(row.deleted, 0);
+    assert.include(row.query, 't=1h');
+    assert.isNotEmpty(row.id);
+  });
+
+  it('updates an own view with the same name instead of duplicating it', async () => {
+    const inserts = mockFetch([viewRow({ id: 'existing' })]);
+    await saveCurrentView({ name: 'Errors' });
+    assert.strictEqual(insertedRow(inserts[0]).id, 'existing');
+  });
+
+  it('does not overwrite a view shared by someone else', async () => {
+    const inserts = mockFetch([viewRow({ id: 'theirs', owner: 'bob', view_shared: 1 })]);
+    await saveCurrentView({ name: 'Errors' });
+    assert.notStrictEqual(insertedRow(inserts[0]).id, 'theirs');
+  });
+});
+
+describe('deleteSavedView', () => {
+  it('writes a tombstone for own views', async () => {
+    const inserts = mockFetch([viewRow()]);
+    const [view] = await loadSavedViews();
+    await deleteSavedView(view);
+    const row = insertedRow(inserts[0]);
+    assert.strictEqual(row.id, 'v1');
+    assert.strictEqual(row.deleted, 1);
+  });
+
+  it('refuses to delete views of other users', async () => {
+    const inserts = mockFetch([]);
+    try {
+      await deleteSavedView(parseSavedViewRow(viewRow({ owner: 'bob' })));
+      assert.fail('should have thrown');
+    } catch (err) {
+      assert.include(err.message, 'owner');
+    }
+    assert.strictEqual(inserts.length, 0);
+  });
+});
+
+describe('openSaveViewDialog', () => {
+  afterEach(() => {
+    document.getElementById('saveViewModal')?.close();
+  });
+
+  it('keeps a shared view shared when it is saved again', async () => {
+    mockFetch([viewRow({ id: 'shared-view', view_name: 'Team errors', view_shared: 1 })]);
+    await openSaveViewDialog('Team errors');
+    const form = document.querySelector('#saveViewModal form');
+    assert.isTrue(form.elements.shared.checked);
+  });
+
+  it('leaves sharing off for a new name', async () => {
+    mockFetch([viewRow({ view_name: 'Team errors', view_shared: 1 })]);
+    await openSaveViewDialog('Something new');
+    const form = document.querySelector('#saveViewModal form');
+    assert.isFalse(form.elements.shared.checked);
+  });
+});
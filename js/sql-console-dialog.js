@@ -0,0 +1,236 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/** SQL console dialog: editor with macro chips, sortable result table and optional chart. */
+
+import { isAbortError, getQueryErrorDetails } from './api.js';
+import { formatNumber, formatQueryTime } from './format.js';
+import {
+  getConsoleMacros, runConsoleQuery, loadConsoleSql, saveConsoleSql, sortConsoleRows,
+  getConsoleChartSpec,
+} from './sql-console.js';
+import { escapeHtml } from './utils.js';
+
+let dialog = null;
+let abortController = null;
+let result = null; // Last successful result
+let sort = null; // { column, descending } applied to the result table
+let showChart = false;
+
+const MAX_RENDERED_ROWS = 1000;
+const MAX_BARS = 30;
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 200;
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '<span class="sql-console-null">NULL</span>';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return escapeHtml(text);
+}
+
+function buildTableHtml() {
+  const rows = sort ? sortConsoleRows(result.rows, sort.column, sort.descending) : result.rows;
+  const header = result.columns.map(({ name, type }) => {
+    let indicator = '';
+    if (sort?.column === name) {
+      indicator = sort.descending ? ' ▼' : ' ▲';
+    }
+    return `<th data-action="sql-console-sort" data-col="${escapeHtml(name)}" title="${escapeHtml(type)}">${escapeHtml(name)}${indicator}</th>`;
+  }).join('');
+  const body = rows.slice(0, MAX_RENDERED_ROWS).map((row) => (
+    `<tr>${result.columns.map(({ name }) => `<td>${formatCell(row[name])}</td>`).join('')}</tr>`
+  )).join('');
+  return `<table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function buildLineChartSvg(spec, rows, max) {
+  const ordered = sortConsoleRows(rows, spec.x, false);
+  const step = ordered.length > 1 ? CHART_WIDTH / (ordered.length - 1) : 0;
+  return spec.series.map((name, s) => {
+    const points = ordered.map((row, i) => {
+      const y = CHART_HEIGHT - ((Number(row[name]) || 0) / max) * CHART_HEIGHT;
+      return `${(i * step).toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    return `<polyline class="sql-console-series-${s}" points="${points}"/>`;
+  }).join('');
+}
+
+function buildBarChartSvg(spec, rows, max) {
+  const shown = rows.slice(0, MAX_BARS);
+  const slot = CHART_WIDTH / shown.length;
+  const barWidth = (slot * 0.8) / spec.series.length;
+  return shown.map((row, i) => spec.series.map((name, s) => {
+    const height = ((Number(row[name]) || 0) / max) * CHART_HEIGHT;
+    const x = i * slot + slot * 0.1 + s * barWidth;
+    return `<rect class="sql-console-series-${s}" x="${x.toFixed(1)}" y="${(CHART_HEIGHT - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}"><title>${escapeHtml(String(row[spec.x]))}: ${escapeHtml(name)} ${formatNumber(Number(row[name]) || 0)}</title></rect>`;
+  }).join('')).join('');
+}
+
+function buildChartHtml(spec) {
+  const { rows } = result;
+  const values = rows.flatMap((row) => spec.series.map((name) => Number(row[name]) || 0));
+  const max = Math.max(1, ...values);
+  const shapes = spec.kind === 'line'
+    ? buildLineChartSvg(spec, rows, max)
+    : buildBarChartSvg(spec, rows, max);
+  const legend = spec.series.map((name, s) => (
+    `<span class="sql-console-legend sql-console-series-${s}">${escapeHtml(name)}</span>`
+  )).join('');
+  return `
+    <div class="sql-console-chart-meta">${legend}<span>max ${formatNumber(max)}</span></div>
+    <svg class="sql-console-chart ${spec.kind}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Query result chart">${shapes}</svg>
+  `;
+}
+
+function renderResult() {
+  const output = dialog.querySelector('.sql-console-output');
+  const spec = result.rows.length > 0 ? getConsoleChartSpec(result.columns) : null;
+  const chartToggle = dialog.querySelector('[data-action="sql-console-chart"]');
+  chartToggle.hidden = !spec;
+  chartToggle.classList.toggle('active', showChart && !!spec);
+  const { rows, statistics } = result;
+  const truncated = rows.length > MAX_RENDERED_ROWS
+    ? ` · showing the first ${formatNumber(MAX_RENDERED_ROWS)}`
+    : '';
+  const timing = statistics ? ` · ${formatQueryTime(statistics.elapsed * 1000)}` : '';
+  output.innerHTML = `
+    <div class="sql-console-summary">${formatNumber(rows.length)} rows${timing}${truncated}</div>
+    ${showChart && spec ? buildChartHtml(spec) : ''}
+    <div class="sql-console-table">${buildTableHtml()}</div>
+    <details class="sql-console-expanded"><summary>Expanded SQL</summary><pre>${escapeHtml(result.sql)}</pre></details>
+  `;
+}
+
+function renderError(err) {
+  const { label, message } = getQueryErrorDetails(err);
+  dialog.querySelector('.sql-console-output').innerHTML = `
+    <div class="sql-console-error"><strong>${escapeHtml(label)}</strong> ${escapeHtml(message)}</div>
+  `;
+}
+
+async function runQuery() {
+  const text = dialog.querySelector('textarea').value;
+  saveConsoleSql(text);
+  abortController?.abort();
+  abortController = new AbortController();
+  const { signal } = abortController;
+  const runBtn = dialog.querySelector('[data-action="sql-console-run"]');
+  runBtn.disabled = true;
+  dialog.querySelector('.sql-console-output').classList.add('updating');
+  try {
+    result = await runConsoleQuery(text, { signal });
+    sort = null;
+    renderResult();
+  } catch (err) {
+    if (!isAbortError(err)) {
+      renderError(err);
+    }
+  } finally {
+    // A newer run owns the controls now
+    if (abortController.signal === signal) {
+      runBtn.disabled = false;
+      dialog.querySelector('.sql-console-output').classList.remove('updating');
+    }
+  }
+}
+
+// Insert a {{macro}} at the cursor
+function insertMacro(name) {
+  const textarea = dialog.querySelector('textarea');
+  const { selectionStart, selectionEnd, value } = textarea;
+  const macro = `{{${name}}}`;
+  textarea.value = value.slice(0, selectionStart) + macro + value.slice(selectionEnd);
+  textarea.focus();
+  textarea.setSelectionRange(selectionStart + macro.length, selectionStart + macro.length);
+}
+
+function toggleSort(column) {
+  if (sort?.column === column) {
+    sort = { column, descending: !sort.descending };
+  } else {
+    sort = { column, descending: true };
+  }
+  renderResult();
+}
+
+function buildMacroChips() {
+  return Object.entries(getConsoleMacros()).map(([name, value]) => (
+    `<button type="button" class="sql-console-macro" data-action="sql-console-macro" data-macro="${name}" title="${escapeHtml(value || '(empty)')}">{{${name}}}</button>`
+  )).join('');
+}
+
+function handleClick(e) {
+  const target = e.target.closest('[data-action]');
+  if (!target) { return; }
+  const { action } = target.dataset;
+  if (!action.startsWith('sql-console-')) { return; }
+  e.stopPropagation();
+  if (action === 'sql-console-close') {
+    dialog.close();
+  } else if (action === 'sql-console-run') {
+    runQuery();
+  } else if (action === 'sql-console-macro') {
+    insertMacro(target.dataset.macro);
+  } else if (action === 'sql-console-sort') {
+    toggleSort(target.dataset.col);
+  } else if (action === 'sql-console-chart') {
+    showChart = !showChart;
+    renderResult();
+  }
+}
+
+function buildDialog() {
+  if (dialog) { return dialog; }
+  dialog = document.createElement('dialog');
+  dialog.id = 'sqlConsoleModal';
+  dialog.innerHTML = `
+    <div class="manage-cols-header">
+      <h2>SQL console</h2>
+      <button type="button" class="modal-close" data-action="sql-console-close" aria-label="Close">×</button>
+    </div>
+    <div class="sql-console-body">
+      <div class="sql-console-macros"></div>
+      <textarea spellcheck="false" aria-label="SQL query"></textarea>
+      <div class="sql-console-actions">
+        <button type="button" class="manage-cols-btn primary" data-action="sql-console-run">Run</button>
+        <span class="sql-console-hint">Ctrl/⌘+Enter · macros expand to the dashboard's current time range and filters</span>
+        <button type="button" class="manage-cols-btn" data-action="sql-console-chart" hidden>Chart</button>
+      </div>
+      <div class="sql-console-output"></div>
+    </div>
+  `;
+  document.body.appendChild(dialog);
+  dialog.addEventListener('click', handleClick);
+  dialog.querySelector('textarea').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      runQuery();
+    }
+  });
+  dialog.addEventListener('close', () => abortController?.abort());
+  return dialog;
+}
+
+/** Open the SQL console with macros for the current dashboard state */
+export function openSqlConsole() {
+  buildDialog();
+  // Macro values follow the dashboard, so refresh their tooltips on every open
+  dialog.querySelector('.sql-console-macros').innerHTML = buildMacroChips();
+  const textarea = dialog.querySelector('textarea');
+  if (!textarea.value) {
+    textarea.value = loadConsoleSql();
+  }
+  dialog.showModal();
+  textarea.focus();
+}
@@ -0,0 +1,165 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * SQL console: free-form queries with the dashboard's context available as {{macros}}
+ * (the same placeholders and interpolate() as the SQL templates). Queries go through query(),
+ * so auth, the query cache and QueryError classification apply as everywhere else.
+ */
+
+import { query } from './api.js';
+import { getFacetFilters } from './breakdowns/index.js';
+import { DATABASE } from './config.js';
+import { interpolate } from './sql-loader.js';
+import { state } from './state.js';
+import {
+  getTable, getTimeBucket, getTimeBucketStep, getTimeFilter, getHostFilter,
+  getTimeRangeStart, getTimeRangeEnd,
+} from './time.js';
+
+const STORAGE_KEY = 'sqlConsoleQuery';
+
+export const DEFAULT_CONSOLE_SQL = `SELECT {{bucket}} AS t, count() AS requests
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
+GROUP BY t
+ORDER BY t`;
+
+/**
+ * Macro values for the current dashboard context, keyed by macro name.
+ * @returns {Record<string, string>}
+ */
+export function getConsoleMacros() {
+  return {
+    database: DATABASE,
+    table: getTable(),
+    timeFilter: getTimeFilter(),
+    hostFilter: getHostFilter(),
+    facetFilters: getFacetFilters(),
+    additionalWhereClause: state.additionalWhereClause || '',
+    bucket: getTimeBucket(),
+    rangeStart: getTimeRangeStart(),
+    rangeEnd: getTimeRangeEnd(),
+    step: getTimeBucketStep(),
+  };
+}
+
+/**
+ * Expand macros and tidy the statement for query(), which appends FORMAT JSON itself.
+ * @param {string} text - Query as typed
+ * @param {Record<string, string>} [macros]
+ * @returns {string}
+ * @throws {Error} For empty queries, unknown macros or an explicit FORMAT clause
+ */
+export function expandConsoleSql(text, macros = getConsoleMacros()) {
+  const sql = interpolate(text, macros).trim().replace(/[;\s]+$/, '');
+  if (!sql) {
+    throw new Error('Enter a query');
+  }
+  if (/\bFORMAT\s+\w+$/i.test(sql)) {
+    throw new Error('Leave out FORMAT: console results are always fetched as JSON');
+  }
+  return sql;
+}
+
+/**
+ * Run a console query.
+ * @param {string} text - Query as typed
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ sql: string, columns: Array<{ name: string, type: string }>,
+ *   rows: Array<Object>, statistics: Object|undefined }>}
+ */
+export async function runConsoleQuery(text, { signal } = {}) {
+  const sql = expandConsoleSql(text);
+  const result = await query(sql, { signal });
+  return {
+    sql,
+    columns: result.meta || [],
+    rows: result.data || [],
+    statistics: result.statistics,
+  };
+}
+
+export function loadConsoleSql() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || DEFAULT_CONSOLE_SQL;
+  } catch {
+    return DEFAULT_CONSOLE_SQL;
+  }
+}
+
+export function saveConsoleSql(text) {
+  try {
+    localStorage.setItem(STORAGE_KEY, text);
+  } catch {
+    // Storage full or unavailable: the query just isn't remembered
+  }
+}
+
+const NUMERIC_TYPE = /^(Nullable\()?(U?Int|Float|Decimal)/;
+const TIME_TYPE = /^(Nullable\()?(DateTime|Date)/;
+
+function compareValues(a, b) {
+  if (a === b) { return 0; }
+  if (a === null || a === undefined) { return 1; }
+  if (b === null || b === undefined) { return -1; }
+  // 64-bit integers arrive as strings in ClickHouse JSON, so compare numerically when both are
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) {
+    return na - nb;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Sort result rows by a column (nulls last either way). Returns a new array.
+ * @param {Array<Object>} rows
+ * @param {string} column
+ * @param {boolean} descending
+ * @returns {Array<Object>}
+ */
+export function sortConsoleRows(rows, column, descending) {
+  const direction = descending ? -1 : 1;
+  return [...rows].sort((ra, rb) => {
+    const a = ra[column];
+    const b = rb[column];
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return compareValues(a, b);
+    }
+    return direction * compareValues(a, b);
+  });
+}
+
+/**
+ * How to chart a result, if at all: a line chart over a leading Date/DateTime column,
+ * otherwise bars per value of the first non-numeric column. Up to four numeric series.
+ * @param {Array<{ name: string, type: string }>} columns
+ * @returns {{ kind: 'line'|'bar', x: string, series: string[] }|null}
+ */
+export function getConsoleChartSpec(columns) {
+  const numeric = columns.filter((c) => NUMERIC_TYPE.test(c.type));
+  if (columns.length < 2 || numeric.length === 0) {
+    return null;
+  }
+  const [first] = columns;
+  if (TIME_TYPE.test(first.type)) {
+    const series = numeric.filter((c) => c !== first).slice(0, 4).map((c) => c.name);
+    return series.length > 0 ? { kind: 'line', x: first.name, series } : null;
+  }
+  const label = columns.find((c) => !NUMERIC_TYPE.test(c.type));
+  if (!label) {
+    return null;
+  }
+  return { kind: 'bar', x: label.name, series: numeric.slice(0, 4).map((c) => c.name) };
+}
@@ -0,0 +1,110 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import {
+  getConsoleMacros, expandConsoleSql, runConsoleQuery, sortConsoleRows, getConsoleChartSpec,
+} from './sql-console.js';
+import { state } from './state.js';
+
+describe('getConsoleMacros', () => {
+  it('exposes the dashboard filters as macros', () => {
+    const savedFilters = state.filters;
+    const savedWhere = state.additionalWhereClause;
+    state.filters = [{ col: '`request.host`', value: 'example.com', exclude: false }];
+    state.additionalWhereClause = "AND `source` = 'fastly'";
+    const macros = getConsoleMacros();
+    assert.include(macros.facetFilters, "`request.host` = 'example.com'");
+    assert.strictEqual(macros.additionalWhereClause, "AND `source` = 'fastly'");
+    assert.include(macros.timeFilter, 'timestamp');
+    assert.containsAllKeys(macros, ['database', 'table', 'hostFilter', 'bucket']);
+    state.filters = savedFilters;
+    state.additionalWhereClause = savedWhere;
+  });
+});
+
+describe('expandConsoleSql', () => {
+  const macros = { table: 'delivery', timeFilter: 'timestamp > now() - 1' };
+
+  it('interpolates macros and drops trailing semicolons', () => {
+    assert.strictEqual(
+      expandConsoleSql('SELECT 1 FROM {{table}} WHERE {{timeFilter}};\n', macros),
+      'SELECT 1 FROM delivery WHERE timestamp > now() - 1',
+    );
+  });
+
+  it('rejects unknown macros, empty queries and FORMAT clauses', () => {
+    assert.throws(() => expandConsoleSql('SELECT {{nope}}', macros), /nope/);
+    assert.throws(() => expandConsoleSql('  ;', macros), /Enter a query/);
+    assert.throws(() => expandConsoleSql('SELECT 1 FORMAT CSV', macros), /FORMAT/);
+  });
+});
+
+describe('runConsoleQuery', () => {
+  it('runs the expanded query through query() and returns columns and rows', async () => {
+    const originalFetch = window.fetch;
+    const savedCredentials = state.credentials;
+    state.credentials = { user: 'u', password: 'p' };
+    let body;
+    window.fetch = async (url, opts) => {
+      body = opts.body;
+      return {
+        ok: true,
+        json: async () => ({ meta: [{ name: 'x', type: 'UInt8' }], data: [{ x: 1 }] }),
+      };
+    };
+    try {
+      const result = await runConsoleQuery('SELECT 1 AS x;');
+      assert.strictEqual(body, 'SELECT 1 AS x FORMAT JSON');
+      assert.deepEqual(result.columns, [{ name: 'x', type: 'UInt8' }]);
+      assert.deepEqual(result.rows, [{ x: 1 }]);
+    } finally {
+      window.fetch = originalFetch;
+      state.credentials = savedCredentials;
+    }
+  });
+});
+
+describe('sortConsoleRows', () => {
+  const rows = [{ n: '10', s: 'b' }, { n: '9', s: null }, { n: '100', s: 'a' }];
+
+  it('sorts 64-bit integer strings numerically', () => {
+    assert.deepEqual(sortConsoleRows(rows, 'n', true).map((r) => r.n), ['100', '10', '9']);
+  });
+
+  it('keeps nulls last in both directions', () => {
+    assert.deepEqual(sortConsoleRows(rows, 's', false).map((r) => r.s), ['a', 'b', null]);
+    assert.deepEqual(sortConsoleRows(rows, 's', true).map((r) => r.s), ['b', 'a', null]);
+  });
+});
+
+describe('getConsoleChartSpec', () => {
+  it('draws lines over a leading time column', () => {
+    const spec = getConsoleChartSpec([
+      { name: 't', type: 'DateTime' },
+      { name: 'requests', type: 'UInt64' },
+      { name: 'errors', type: 'Nullable(UInt64)' },
+    ]);
+    assert.deepEqual(spec, { kind: 'line', x: 't', series: ['requests', 'errors'] });
+  });
+
+  it('draws bars per label otherwise', () => {
+    const spec = getConsoleChartSpec([
+      { name: 'host', type: 'LowCardinality(String)' },
+      { name: 'cnt', type: 'UInt64' },
+    ]);
+    assert.deepEqual(spec, { kind: 'bar', x: 'host', series: ['cnt'] });
+  });
+
+  it('does not chart results without numbers', () => {
+    assert.isNull(getConsoleChartSpec([{ name: 'a', type: 'String' }, { name: 'b', type: 'String' }]));
+  });
+});
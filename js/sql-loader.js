@@ -64,22 +64,38 @@ const ALL_TEMPLATES = [
   'time-series-backend',
   'time-series-da-workers',
   'time-series-helix-mixer',
-  'ray-id-lookup',
-  'ray-id-lookup-worker',
+  'time-series-latency',
+  'time-series-bytes',
+  'time-series-split',
+  'cache-ratio-series',
+  'cache-ratio-breakdown',
+  'pivot',
+  'heatmap',
+  'correlation-hop',
   'logs',
   'logs-more',
+  'logs-export',
   'breakdown',
   'breakdown-facet',
+  'breakdown-facet-rollup',
+  'breakdown-delta',
+  'breakdown-facet-delta',
   'breakdown-missing',
   'autocomplete-hosts',
   'autocomplete-forwarded',
   'autocomplete-functions',
   'releases',
+  'release-repos',
+  'oncall-shifts',
+  'release-impact',
   'facet-search-initial',
   'facet-search-pattern',
   'investigate-facet',
   'investigate-selection',
   'optel-token',
+  'saved-views',
+  'grid-stat',
+  'table-bytes-per-row',
 ];
 
 /**
@@ -9,7 +9,7 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import { DEFAULT_TIME_RANGE, DEFAULT_TOP_N } from './constants.js';
+import { DEFAULT_FACET_ROW_BUDGET, DEFAULT_TIME_RANGE, DEFAULT_TOP_N } from './constants.js';
 
 const storage = (typeof localStorage !== 'undefined' && typeof localStorage.getItem === 'function')
   ? localStorage
@@ -37,6 +37,15 @@ export const state = {
   title: '', // Custom title from URL
   chartData: null, // Store chart data for redrawing when view changes
   contentTypeMode: 'count', // 'count' or 'bytes' for content-types facet
+  chartMode: 'requests', // Key of CHART_MODES - metric plotted by the main chart
+  compareMode: null, // null | '1d' | '1w' - period-over-period chart overlay
+  chartSplit: null, // null | breakdown id - requests chart stacked by that facet's top values
+  anomalyDetector: 'window', // Key of ANOMALY_DETECTORS - baseline used to flag chart anomalies
+  anomalySensitivity: 'medium', // Key of ANOMALY_SENSITIVITIES - anomaly threshold scale
+  releaseRepos: [], // Repos whose release ships are drawn (empty = all)
+  releaseSearch: '', // Only draw releases whose tag or notes contain this text
+  facetDeltaMode: null, // null | 'count' | 'mover' - facet change vs previous window
+  liveMode: null, // null | '10s' | '30s' | '1m' - auto-refresh interval
   pinnedFacets: [], // Facet IDs pinned to top
   hiddenFacets: [], // Facet IDs hidden at bottom
   additionalWhereClause: '', // Additional WHERE clause for queries (e.g., delivery exclusions)
@@ -44,8 +53,10 @@ export const state = {
   logsTableName: null, // Override table for logs queries (falls back to tableName)
   timeSeriesTemplate: 'time-series', // SQL template name for chart (e.g. time-series-lambda)
   weightColumn: null, // When set (e.g. 'weight'), counts use sum(weight) / sumIf(weight, ...)
+  latencyColumn: null, // Response time column (ms) enabling the latency chart mode
   aggregations: null, // Optional { aggTotal, aggOk, agg4xx, agg5xx } for non-CDN tables
   hostFilterColumn: null, // Optional column for header filter (e.g. function_name for lambda)
+  facetRowBudget: DEFAULT_FACET_ROW_BUDGET, // Estimated rows above which heavy facets wait
   searchFilter: '', // Free-text search routed to requestIdColumn (UUID input) or messageColumn
   requestIdColumn: null, // Column to exact-match when input is a UUID (e.g. request_id)
   messageColumn: null, // Column to substring-match otherwise (e.g. message)
@@ -0,0 +1,115 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { detectSteps, detectSeasonalSteps, explainAnomaly } from './step-detection.js';
+
+const HOURS = 24;
+
+// Deterministic noise in [-1, 1) so the tests don't flake
+function noiseSource(seed) {
+  let x = seed;
+  return () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return (x / 2147483648) * 2 - 1;
+  };
+}
+
+// 7 days of hourly traffic with a strong daily cycle and ~3% noise
+function dailyCycle(days = 7) {
+  const noise = noiseSource(42);
+  const ok = [];
+  const client = [];
+  const server = [];
+  for (let i = 0; i < days * HOURS; i += 1) {
+    const cycle = Math.sin((2 * Math.PI * i) / HOURS);
+    ok.push(Math.round((10000 + 8000 * cycle) * (1 + 0.03 * noise())));
+    client.push(Math.round((500 + 400 * cycle) * (1 + 0.03 * noise())));
+    server.push(Math.round(20 + 15 * cycle));
+  }
+  return { ok, client, server };
+}
+
+describe('detectSeasonalSteps', () => {
+  it('does not flag a daily traffic cycle', () => {
+    const series = dailyCycle();
+    assert.isNotEmpty(detectSteps(series, 5, { endMargin: 0 }), 'window detector flags the cycle');
+    assert.deepEqual(detectSeasonalSteps(series, 5, { endMargin: 0, period: HOURS }), []);
+  });
+
+  it('flags an error spike against the same time on other days', () => {
+    const series = dailyCycle();
+    for (let i = 100; i <= 102; i += 1) {
+      series.server[i] += 200;
+    }
+    const [top] = detectSeasonalSteps(series, 5, { endMargin: 0, period: HOURS });
+    assert.strictEqual(top.category, 'red');
+    assert.strictEqual(top.type, 'spike');
+    assert.isAtMost(top.startIndex, 100);
+    assert.isAtLeast(top.endIndex, 102);
+    assert.strictEqual(top.reason.baseline, 'seasonal');
+    assert.isAbove(top.reason.observed, top.reason.expected * 2);
+    assert.isAtLeast(top.reason.zScore, top.reason.threshold);
+  });
+
+  it('flags a slow ramp that the daily cycle would hide', () => {
+    const series = dailyCycle();
+    // Last day: traffic climbs steadily to double the usual level
+    for (let i = 6 * HOURS; i < 7 * HOURS; i += 1) {
+      series.ok[i] = Math.round(series.ok[i] * (1 + (i - 6 * HOURS) / HOURS));
+    }
+    const steps = detectSeasonalSteps(series, 5, { endMargin: 0, period: HOURS });
+    const ramp = steps.find((s) => s.category === 'green' && s.type === 'spike');
+    assert.ok(ramp, 'ramp detected');
+    assert.isAtLeast(ramp.startIndex, 6 * HOURS);
+  });
+
+  it('flags smaller deviations at higher sensitivity', () => {
+    const series = dailyCycle();
+    for (let i = 80; i <= 81; i += 1) {
+      series.client[i] = Math.round(series.client[i] * 1.15);
+    }
+    const hitsBump = (steps) => steps.some((s) => s.startIndex <= 81 && s.endIndex >= 80);
+    const options = { endMargin: 0, period: HOURS };
+    assert.isFalse(hitsBump(detectSeasonalSteps(series, 5, { ...options, thresholdScale: 1.5 })));
+    assert.isTrue(hitsBump(detectSeasonalSteps(series, 5, { ...options, thresholdScale: 0.7 })));
+  });
+
+  it('falls back to the window median for short windows', () => {
+    const series = dailyCycle(1);
+    series.server[10] += 200;
+    const [top] = detectSeasonalSteps(series, 5, { endMargin: 0, period: HOURS });
+    assert.strictEqual(top.startIndex, 10);
+    assert.strictEqual(top.reason.baseline, 'window');
+  });
+
+  it('respects endMargin', () => {
+    const series = dailyCycle();
+    series.server[series.server.length - 1] += 500;
+    const steps = detectSeasonalSteps(series, 5, { endMargin: 2, period: HOURS });
+    assert.isFalse(steps.some((s) => s.endIndex >= series.server.length - 2));
+  });
+});
+
+describe('explainAnomaly', () => {
+  it('describes the observed and expected values', () => {
+    const text = explainAnomaly({
+      reason: {
+        baseline: 'seasonal', observed: 1520, expected: 480.4, zScore: 6.27, threshold: 3,
+      },
+    });
+    assert.strictEqual(text, '1.52K vs 480 expected (same time on other days), 6.3σ ≥ 3σ');
+  });
+
+  it('is empty without a reason', () => {
+    assert.strictEqual(explainAnomaly({ magnitude: 2 }), '');
+  });
+});
@@ -9,6 +9,8 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { formatNumber } from './format.js';
+
 /**
  * Calculate median of an array
  */
@@ -91,6 +93,35 @@ function findAnomalyRegions(deviations, threshold, direction, startMargin, endMa
   return regions;
 }
 
+/**
+ * Greedily select non-overlapping regions (higher score wins).
+ * Each selected anomaly creates an exclusion zone of half its width on each side,
+ * so wider anomalies push neighbors further away while narrow spikes allow closer detections
+ * @param {Array} candidates - Scored regions ({ start, end, score })
+ * @param {number} maxCount - Maximum number of regions to select
+ * @returns {Array} Selected regions, highest score first
+ */
+function selectNonOverlapping(candidates, maxCount) {
+  const sorted = [...candidates].sort((a, b) => b.score - a.score);
+  const selected = [];
+  for (const candidate of sorted) {
+    if (selected.length >= maxCount) { break; }
+
+    // Check if this candidate overlaps or is too close to any already selected region
+    const overlaps = selected.some((s) => {
+      const sGap = Math.ceil((s.end - s.start + 1) / 2);
+      const candidateGap = Math.ceil((candidate.end - candidate.start + 1) / 2);
+      const exclusion = sGap + candidateGap;
+      return !(candidate.end < s.start - exclusion || candidate.start > s.end + exclusion);
+    });
+
+    if (!overlaps) {
+      selected.push(candidate);
+    }
+  }
+  return selected;
+}
+
 /**
  * Detect the most significant anomaly in CDN traffic.
  *
@@ -223,6 +254,7 @@ export function detectStep(series, options = {}) {
  * @param {number} [maxCount=5] - Maximum number of anomalies to return
  * @param {Object} [options] - Optional configuration
  * @param {number} [options.endMargin=2] - Number of trailing data points to exclude
+ * @param {number} [options.thresholdScale=1] - Multiplier on the 1 sigma threshold (sensitivity)
  * @returns {Array} - Array of { startIndex, endIndex, type, magnitude, category, rank }
  */
 export function detectSteps(series, maxCount = 5, options = {}) {
@@ -265,11 +297,12 @@ export function detectSteps(series, maxCount = 5, options = {}) {
   const yellowSigma = stdDev(validYellowDeviations);
   const redSigma = stdDev(validRedDeviations);
 
-  // Threshold for significance: 1 standard deviation (sigma)
+  // Threshold for significance: 1 standard deviation (sigma), scaled by sensitivity
   // Only flag deviations that exceed normal variance
-  const greenThreshold = greenSigma;
-  const yellowThreshold = yellowSigma;
-  const redThreshold = redSigma;
+  const thresholdScale = options.thresholdScale ?? 1;
+  const greenThreshold = greenSigma * thresholdScale;
+  const yellowThreshold = yellowSigma * thresholdScale;
+  const redThreshold = redSigma * thresholdScale;
 
   // Find anomaly regions for each category and direction
   const redSpikeRegions = findAnomalyRegions(redDeviations, redThreshold, 'above', startMargin, endMargin);
@@ -350,38 +383,164 @@ export function detectSteps(series, maxCount = 5, options = {}) {
     return [];
   }
 
-  // Sort by score descending
-  candidates.sort((a, b) => b.score - a.score);
+  const selected = selectNonOverlapping(candidates, maxCount);
 
-  // Greedily select non-overlapping regions (higher score wins)
-  // Each selected anomaly creates an exclusion zone of half its width on each side,
-  // so wider anomalies push neighbors further away while narrow spikes allow closer detections
-  const selected = [];
-  for (const candidate of candidates) {
-    if (selected.length >= maxCount) { break; }
+  // Return with rank (1-based for display)
+  return selected.map((c, index) => ({
+    startIndex: c.start,
+    endIndex: c.end,
+    type: c.type,
+    magnitude: c.peakDeviation,
+    category: c.category,
+    duration: c.duration,
+    score: c.score,
+    rank: index + 1,
+  }));
+}
 
-    // Check if this candidate overlaps or is too close to any already selected region
-    const overlaps = selected.some((s) => {
-      const sGap = Math.ceil((s.end - s.start + 1) / 2);
-      const candidateGap = Math.ceil((candidate.end - candidate.start + 1) / 2);
-      const exclusion = sGap + candidateGap;
-      return !(candidate.end < s.start - exclusion || candidate.start > s.end + exclusion);
-    });
+/** Robust z-score threshold of the seasonal detector at the default sensitivity */
+const SEASONAL_Z_THRESHOLD = 4;
 
-    if (!overlaps) {
-      selected.push(candidate);
+/** Turns a median absolute deviation into a standard deviation estimate for normal noise */
+const MAD_TO_SIGMA = 1.4826;
+
+/** Minimum number of whole periods in the window before same-slot baselines are used */
+const MIN_SEASONAL_PERIODS = 3;
+
+/**
+ * Expected value per bucket: the median of the same slot in the other periods of the
+ * valid range (e.g. the same time on the other days of a 7-day window).
+ * @param {number[]} values - Series values
+ * @param {number} period - Buckets per period
+ * @param {number} first - First valid index
+ * @param {number} last - Last valid index
+ * @returns {Array<number|null>} Baseline per bucket, null when the slot has no peers
+ */
+function seasonalBaseline(values, period, first, last) {
+  return values.map((_, i) => {
+    const peers = [];
+    for (let j = i - period; j >= first; j -= period) { peers.push(values[j]); }
+    for (let j = i + period; j <= last; j += period) { peers.push(values[j]); }
+    return peers.length > 0 ? median(peers) : null;
+  });
+}
+
+/**
+ * Decompose a series into expected values and robust z-scores of the relative residuals.
+ * Noise is estimated from the median absolute deviation of the residuals and floored by
+ * the Poisson noise of the expected count, so sparse series don't flag every blip.
+ * @param {number[]} values - Series values
+ * @param {Object} range - { first, last, period }
+ * @returns {{ expected: number[], zScores: number[], seasonal: boolean }}
+ */
+function decomposeSeries(values, { first, last, period }) {
+  const valid = values.slice(first, last + 1);
+  const level = median(valid);
+  const seasonal = period >= 2 && valid.length >= period * MIN_SEASONAL_PERIODS;
+  const expected = seasonal
+    ? seasonalBaseline(values, period, first, last).map((b) => b ?? level)
+    : values.map(() => level);
+
+  // Relative residuals: traffic noise grows with volume, so peaks and troughs compare fairly
+  const residuals = values.map((v, i) => (v - expected[i]) / Math.max(expected[i], 1));
+  const validResiduals = residuals.slice(first, last + 1);
+  const center = median(validResiduals);
+  const sigma = MAD_TO_SIGMA * median(validResiduals.map((r) => Math.abs(r - center)));
+  const zScores = residuals.map(
+    (r, i) => r / Math.max(sigma, 1 / Math.sqrt(Math.max(expected[i], 1))),
+  );
+  return { expected, zScores, seasonal };
+}
+
+/**
+ * Detect up to maxCount anomalies against a seasonality-aware baseline.
+ * When the window spans at least three periods (e.g. days), each bucket is compared with
+ * the same slot in the other periods, so daily traffic cycles are not flagged while
+ * incidents and slow ramps still stand out. Shorter windows fall back to the window median.
+ * Deviations are robust z-scores, so one threshold fits every category.
+ *
+ * @param {Object} series - Object with ok, client, server arrays
+ * @param {number} [maxCount=5] - Maximum number of anomalies to return
+ * @param {Object} [options] - Optional configuration
+ * @param {number} [options.endMargin=2] - Number of trailing data points to exclude
+ * @param {number} [options.period=0] - Buckets per seasonal period (0 disables seasonality)
+ * @param {number} [options.thresholdScale=1] - Multiplier on the z-score threshold
+ * @returns {Array} - detectSteps() results, each with a `reason` explaining why it was flagged:
+ *   { baseline: 'seasonal'|'window', observed, expected, zScore, threshold }
+ */
+export function detectSeasonalSteps(series, maxCount = 5, options = {}) {
+  const len = series.ok.length;
+  if (len < 8) { return []; }
+
+  const startMargin = 2;
+  const endMargin = options.endMargin !== undefined ? options.endMargin : 2;
+  const range = { first: startMargin, last: len - endMargin - 1, period: options.period || 0 };
+  if (range.last < range.first) { return []; }
+  const threshold = SEASONAL_Z_THRESHOLD * (options.thresholdScale ?? 1);
+
+  // Same priorities as detectSteps()
+  const categories = [
+    { category: 'red', values: series.server, weights: { spike: 2, dip: 1 } },
+    { category: 'yellow', values: series.client, weights: { spike: 2, dip: 1 } },
+    { category: 'green', values: series.ok, weights: { spike: 2, dip: 2 } },
+  ];
+
+  const candidates = [];
+  for (const { category, values, weights } of categories) {
+    const { expected, zScores, seasonal } = decomposeSeries(values, range);
+    for (const [type, direction] of [['spike', 'above'], ['dip', 'below']]) {
+      const regions = findAnomalyRegions(zScores, threshold, direction, startMargin, endMargin);
+      for (const region of regions) {
+        let peak = region.start;
+        for (let i = region.start; i <= region.end; i += 1) {
+          if (Math.abs(zScores[i]) > Math.abs(zScores[peak])) { peak = i; }
+        }
+        const base = expected[peak];
+        candidates.push({
+          ...region,
+          score: region.peakDeviation * Math.sqrt(region.duration) * weights[type],
+          category,
+          type,
+          magnitude: base > 0 ? Math.abs(values[peak] - base) / base : region.peakDeviation,
+          reason: {
+            baseline: seasonal ? 'seasonal' : 'window',
+            observed: values[peak],
+            expected: base,
+            zScore: zScores[peak],
+            threshold,
+          },
+        });
+      }
     }
   }
 
-  // Return with rank (1-based for display)
-  return selected.map((c, index) => ({
+  return selectNonOverlapping(candidates, maxCount).map((c, index) => ({
     startIndex: c.start,
     endIndex: c.end,
     type: c.type,
-    magnitude: c.peakDeviation,
+    magnitude: c.magnitude,
     category: c.category,
     duration: c.duration,
     score: c.score,
     rank: index + 1,
+    reason: c.reason,
   }));
 }
+
+function formatValue(value) {
+  return formatNumber(Math.round(value));
+}
+
+/**
+ * Human readable "why flagged" line for a detected anomaly.
+ * @param {Object} step - Anomaly with a `reason` from detectSeasonalSteps()
+ * @returns {string} Explanation, or '' when the detector gave no reason
+ */
+export function explainAnomaly(step) {
+  const reason = step?.reason;
+  if (!reason) { return ''; }
+  const baseline = reason.baseline === 'seasonal' ? 'same time on other days' : 'window median';
+  const z = Math.abs(reason.zScore).toFixed(1);
+  return `${formatValue(reason.observed)} vs ${formatValue(reason.expected)} expected `
+    + `(${baseline}), ${z}σ ≥ ${reason.threshold.toFixed(1).replace(/\.0$/, '')}σ`;
+}
@@ -11,6 +11,8 @@
  */
 import { escapeHtml, isSyntheticBucket, sanitizeUrl } from '../utils.js';
 import { getColorIndicatorHtml } from '../colors/index.js';
+import { computeDelta, formatDelta } from '../format.js';
+import { formatCountConfidence, getSampleCount, isLowSample } from '../sampling.js';
 
 /**
  * Format dimension value with dimmed prefix if applicable.
@@ -105,6 +107,7 @@ function buildExcludeBtn(isSynthetic, isExcluded, filterAttrs) {
  * @param {Function|undefined} params.filterValueFn
  * @param {string|undefined} params.filterOp
  * @param {number} params.rowIndex
+ * @param {{ cnt: number, prevCnt: number }|null} [params.deltaTotals] - Set in delta mode
  * @returns {string} HTML string
  */
 /**
@@ -133,9 +136,9 @@ function getFilterState(columnFilters, rowDim) {
 }
 
 /**
- * Build row CSS class based on filter state
+ * Build row CSS class based on filter and sample state
  */
-function buildRowClass(isSynthetic, isIncluded, isExcluded, isFilteredValue) {
+function buildRowClass(isSynthetic, isIncluded, isExcluded, isFilteredValue, lowSample) {
   let filterClass = '';
   if (isIncluded) {
     filterClass = 'filter-included';
@@ -145,6 +148,9 @@ function buildRowClass(isSynthetic, isIncluded, isExcluded, isFilteredValue) {
   if (isFilteredValue) {
     filterClass += ' filtered-value-row';
   }
+  if (lowSample) {
+    filterClass += ' low-sample';
+  }
   return isSynthetic ? `synthetic-row ${filterClass}` : filterClass.trim();
 }
 
@@ -196,9 +202,15 @@ function buildFilterTag(colorIndicator, formattedDim, linkUrl, isIncluded, isExc
 }
 
 /**
- * Build filter attributes string for a row
+ * Build the add-filter data attributes for a facet value (see handleAddFilter in ui/actions.js)
+ * @param {string} col - Facet column
+ * @param {string} rowDim - Facet value
+ * @param {string|undefined} filterCol - Column to filter on instead of col
+ * @param {Function|undefined} filterValueFn - Maps the value to the filter value
+ * @param {string|undefined} filterOp - Filter operator (default '=')
+ * @returns {string}
  */
-function buildFilterAttrs(col, rowDim, filterCol, filterValueFn, filterOp) {
+export function buildFilterAttrs(col, rowDim, filterCol, filterValueFn, filterOp) {
   const actualFilterCol = filterCol || col;
   const actualFilterValue = filterValueFn ? filterValueFn(rowDim || '') : (rowDim || '');
   return [
@@ -210,6 +222,76 @@ function buildFilterAttrs(col, rowDim, filterCol, filterValueFn, filterOp) {
   ].join(' ');
 }
 
+/**
+ * Format how a dim's share of the facet total moved between windows.
+ * @returns {string|null} e.g. "0.10% → 4.00%", or null without totals
+ */
+function formatShareChange(cnt, prev, deltaTotals) {
+  if (!deltaTotals || !(deltaTotals.cnt > 0) || !(deltaTotals.prevCnt > 0)) {
+    return null;
+  }
+  const prevShare = (prev / deltaTotals.prevCnt) * 100;
+  const share = (cnt / deltaTotals.cnt) * 100;
+  return `${prevShare.toFixed(2)}% \u2192 ${share.toFixed(2)}%`;
+}
+
+/**
+ * Build the previous-window count and change cell for facet delta mode.
+ * @param {number} cnt - Count in the selected window
+ * @param {number|string|undefined} prevCnt - Count in the previous window
+ * @param {{ cnt: number, prevCnt: number }|null} deltaTotals - Facet totals (null: no cell)
+ * @param {Function} valueFormatter - Number formatter
+ * @returns {string} HTML string
+ */
+export function buildDeltaCell(cnt, prevCnt, deltaTotals, valueFormatter) {
+  if (!deltaTotals) {
+    return '';
+  }
+  if (prevCnt === undefined || prevCnt === null) {
+    return '<td class="delta"></td>';
+  }
+  const prev = parseInt(prevCnt, 10) || 0;
+  const delta = computeDelta(cnt, prev);
+  let direction = 'flat';
+  if (delta.abs > 0) {
+    direction = 'up';
+  } else if (delta.abs < 0) {
+    direction = 'down';
+  }
+  const change = prev === 0 && cnt > 0 ? 'new' : formatDelta(delta, valueFormatter);
+  const sign = delta.abs >= 0 ? '+' : '-';
+  const titleParts = [
+    `Previous: ${valueFormatter(prev)}`,
+    `Change: ${sign}${valueFormatter(Math.abs(delta.abs))}`,
+  ];
+  const shareChange = formatShareChange(cnt, prev, deltaTotals);
+  if (shareChange) {
+    titleParts.push(`Share: ${shareChange}`);
+  }
+  return `<td class="delta delta-${direction}" title="${escapeHtml(titleParts.join(' \u00B7 '))}">`
+    + `<span class="delta-prev">${valueFormatter(prev)}</span>`
+    + `<span class="delta-change">${change}</span></td>`;
+}
+
+/**
+ * Build the count cell. On sampled tables the tooltip gives the 95% confidence interval,
+ * and counts resting on few sampled rows get a "low sample" marker.
+ * @param {number} cnt - Weighted count
+ * @param {number|null} sampleCnt - Sampled rows behind it (null: unknown)
+ * @param {Function} valueFormatter - Number formatter
+ * @returns {string} HTML string
+ */
+export function buildCountCell(cnt, sampleCnt, valueFormatter) {
+  const confidence = formatCountConfidence(cnt, sampleCnt, valueFormatter);
+  const titleAttr = confidence ? ` title="${escapeHtml(confidence)}"` : '';
+  const marker = isLowSample(sampleCnt)
+    ? '<span class="low-sample-marker" aria-label="low sample">~</span>'
+    : '';
+  return `<td class="count"${titleAttr}>
+        <span class="value">${marker}${valueFormatter(cnt)}</span>
+      </td>`;
+}
+
 function buildMobileActions(isIncluded, isExcluded, filterAttrs) {
   const filterAction = isIncluded ? 'remove-filter-value' : 'add-filter';
   const filterLabel = isIncluded ? 'Clear' : 'Filter';
@@ -231,7 +313,7 @@ function buildMobileActions(isIncluded, isExcluded, filterAttrs) {
 export function buildBreakdownRow({
   row, col, maxCount, columnFilters, valueFormatter,
   linkPrefix, linkSuffix, linkFn, dimPrefixes, dimFormatFn,
-  filterCol, filterValueFn, filterOp, rowIndex,
+  filterCol, filterValueFn, filterOp, rowIndex, deltaTotals,
 }) {
   const cnt = parseInt(row.cnt, 10);
   const dim = row.dim || '(empty)';
@@ -245,7 +327,14 @@ export function buildBreakdownRow({
   const { pct5xx, pct4xx, pctOk } = calculateBarPercentages(cnt, cntOk, cnt4xx, cnt5xx);
 
   const { isIncluded, isExcluded } = getFilterState(columnFilters, row.dim);
-  const rowClass = buildRowClass(isSynthetic, isIncluded, isExcluded, row.isFilteredValue === true);
+  const sampleCnt = getSampleCount(row);
+  const rowClass = buildRowClass(
+    isSynthetic,
+    isIncluded,
+    isExcluded,
+    row.isFilteredValue === true,
+    isLowSample(sampleCnt),
+  );
 
   const { formattedDim, linkUrl, colorIndicator } = buildDimParts({
     row, dim, col, linkPrefix, linkSuffix, linkFn, dimPrefixes, dimFormatFn,
@@ -268,13 +357,12 @@ export function buildBreakdownRow({
   const mobileActions = buildMobileActions(isIncluded, isExcluded, filterAttrs);
 
   const excludeBtn = buildExcludeBtn(isSynthetic, isExcluded, filterAttrs);
+  const deltaCell = buildDeltaCell(cnt, row.prev_cnt, deltaTotals, valueFormatter);
 
   return `
     <tr class="${rowClass}" tabindex="0" role="option" aria-selected="${ariaSelected}" data-value-index="${rowIndex}" data-dim="${dimDataAttr}">
       <td class="dim dim-clickable" title="${escapeHtml(dim)}" data-action="${dimAction}" ${filterAttrs} data-exclude="${dimExclude}" data-bg-color="${bgAttr}">${filterTag}${excludeBtn}${mobileActions}</td>
-      <td class="count">
-        <span class="value">${valueFormatter(cnt)}</span>
-      </td>
+      ${buildCountCell(cnt, sampleCnt, valueFormatter)}${deltaCell}
       <td class="bar">
         <div class="bar-inner${overflowClass}" style="width: ${barWidth}%">
           <div class="bar-segment bar-5xx" style="width: ${pct5xx}%"></div>
@@ -299,17 +387,18 @@ export function buildBreakdownRow({
  * @param {string} params.title - Facet title
  * @param {string|undefined} params.filterCol
  * @param {Function} params.valueFormatter - Number formatter
+ * @param {{ cnt: number, prevCnt: number }|null} [params.deltaTotals] - Set in delta mode
  * @returns {string} HTML string
  */
 export function buildOtherRow({
   otherRow, maxCount, rowIndex, nextN, isContinuous,
-  col, id, title, filterCol, valueFormatter,
+  col, id, title, filterCol, valueFormatter, deltaTotals = null,
 }) {
   if (isContinuous && nextN) {
     return `
       <tr class="other-row" tabindex="0" role="option" aria-selected="false" data-value-index="${rowIndex}" data-action="increase-topn" title="Click to show ${nextN} buckets with finer granularity">
         <td class="dim"><span class="dim-prefix">(more)</span></td>
-        <td class="count"></td>
+        <td class="count"></td>${deltaTotals ? '<td class="delta"></td>' : ''}
         <td class="bar"></td>
       </tr>
     `;
@@ -329,6 +418,7 @@ export function buildOtherRow({
   const pct4xx = cnt > 0 ? (cnt4xx / cnt) * 100 : 0;
   const pctOk = cnt > 0 ? (cntOk / cnt) * 100 : 0;
   const overflowClass = isOverflow ? ' bar-overflow' : '';
+  const deltaCell = buildDeltaCell(cnt, otherRow.prev_cnt, deltaTotals, valueFormatter);
 
   const actualFilterCol = filterCol || col;
   const searchAttrs = [
@@ -345,7 +435,7 @@ export function buildOtherRow({
       </td>
       <td class="count">
         <span class="value">${valueFormatter(cnt)}</span>
-      </td>
+      </td>${deltaCell}
       <td class="bar">
         <div class="bar-inner${overflowClass}" style="width: ${barWidth}%">
           <div class="bar-segment bar-5xx" style="width: ${pct5xx}%"></div>
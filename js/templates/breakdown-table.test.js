@@ -16,6 +16,8 @@ import {
   buildDimParts,
   buildBreakdownRow,
   buildOtherRow,
+  buildDeltaCell,
+  buildCountCell,
 } from './breakdown-table.js';
 
 describe('formatDimWithPrefix', () => {
@@ -312,6 +314,60 @@ describe('buildBreakdownRow', () => {
   });
 });
 
+describe('buildBreakdownRow (sampling)', () => {
+  const params = {
+    col: '`request.host`',
+    maxCount: 1000,
+    columnFilters: [],
+    valueFormatter: formatNumber,
+    rowIndex: 0,
+  };
+
+  it('dims rows resting on few sampled rows', () => {
+    const html = buildBreakdownRow({
+      ...params,
+      row: {
+        dim: 'rare.com', cnt: '40', cnt_ok: '40', cnt_4xx: '0', cnt_5xx: '0', sample_cnt: '4',
+      },
+    });
+    assert.include(html, 'class="low-sample"');
+    assert.include(html, 'low-sample-marker');
+    assert.include(html, '4 sampled rows (low sample)');
+  });
+
+  it('leaves well-sampled and unsampled rows alone', () => {
+    const sampled = buildBreakdownRow({
+      ...params,
+      row: {
+        dim: 'a.com', cnt: '5000', cnt_ok: '5000', cnt_4xx: '0', cnt_5xx: '0', sample_cnt: '500',
+      },
+    });
+    const unsampled = buildBreakdownRow({
+      ...params,
+      row: {
+        dim: 'b.com', cnt: '5', cnt_ok: '5', cnt_4xx: '0', cnt_5xx: '0',
+      },
+    });
+    assert.notInclude(sampled, 'low-sample');
+    assert.include(sampled, '95% CI');
+    assert.notInclude(unsampled, 'low-sample');
+    assert.notInclude(unsampled, '95% CI');
+  });
+});
+
+describe('buildCountCell', () => {
+  it('puts the confidence interval in the tooltip', () => {
+    const html = buildCountCell(1000, 100, formatNumber);
+    assert.include(html, 'title="95% CI 804–1.20K · 100 sampled rows"');
+    assert.include(html, '<span class="value">1.00K</span>');
+  });
+
+  it('renders a plain cell without a sample count', () => {
+    const html = buildCountCell(1000, null, formatNumber);
+    assert.notInclude(html, 'title=');
+  });
+});
+
 describe('buildOtherRow', () => {
   const baseParams = {
     maxCount: 1000,
@@ -415,3 +471,97 @@ describe('buildOtherRow', () => {
     assert.include(html, 'data-filter-col="custom_col"');
   });
 });
+
+describe('buildDeltaCell', () => {
+  const deltaTotals = { cnt: 1000, prevCnt: 1000 };
+
+  it('returns empty string outside delta mode', () => {
+    assert.strictEqual(buildDeltaCell(10, '5', null, formatNumber), '');
+  });
+
+  it('renders an empty cell when the row has no previous count', () => {
+    assert.strictEqual(buildDeltaCell(10, undefined, deltaTotals, formatNumber), '<td class="delta"></td>');
+  });
+
+  it('renders previous count and percent change for increases', () => {
+    const html = buildDeltaCell(150, '100', deltaTotals, formatNumber);
+    assert.include(html, 'delta-up');
+    assert.include(html, '<span class="delta-prev">100</span>');
+    assert.include(html, '<span class="delta-change">+50%</span>');
+    assert.include(html, 'Change: +50');
+  });
+
+  it('renders decreases with a down class', () => {
+    const html = buildDeltaCell(50, '100', deltaTotals, formatNumber);
+    assert.include(html, 'delta-down');
+    assert.include(html, '-50%');
+  });
+
+  it('labels dims absent from the previous window as new', () => {
+    const html = buildDeltaCell(40, '0', deltaTotals, formatNumber);
+    assert.include(html, '<span class="delta-change">new</span>');
+  });
+
+  it('includes share of total movement in the title', () => {
+    const html = buildDeltaCell(40, '1', deltaTotals, formatNumber);
+    assert.include(html, 'Share: 0.10% \u2192 4.00%');
+  });
+});
+
+describe('buildBreakdownRow (delta mode)', () => {
+  it('adds a delta cell between count and bar', () => {
+    const html = buildBreakdownRow({
+      row: {
+        dim: 'a.com', cnt: '200', cnt_ok: '200', cnt_4xx: '0', cnt_5xx: '0', prev_cnt: '100',
+      },
+      col: '`request.host`',
+      maxCount: 200,
+      columnFilters: [],
+      valueFormatter: formatNumber,
+      rowIndex: 0,
+      deltaTotals: { cnt: 200, prevCnt: 100 },
+    });
+    const countIdx = html.indexOf('class="count"');
+    const deltaIdx = html.indexOf('class="delta delta-up"');
+    const barIdx = html.indexOf('class="bar"');
+    assert.isAbove(deltaIdx, countIdx);
+    assert.isAbove(barIdx, deltaIdx);
+  });
+});
+
+describe('buildOtherRow (delta mode)', () => {
+  it('renders the other row change', () => {
+    const html = buildOtherRow({
+      otherRow: {
+        cnt: 50, cnt_ok: 50, cnt_4xx: 0, cnt_5xx: 0, prev_cnt: 100,
+      },
+      maxCount: 100,
+      rowIndex: 3,
+      nextN: 10,
+      isContinuous: false,
+      col: '`request.host`',
+      id: 'breakdown-hosts',
+      title: 'Hosts',
+      valueFormatter: formatNumber,
+      deltaTotals: { cnt: 500, prevCnt: 500 },
+    });
+    assert.include(html, 'delta-down');
+    assert.include(html, '-50%');
+  });
+
+  it('keeps column count for the continuous (more) row', () => {
+    const html = buildOtherRow({
+      otherRow: null,
+      maxCount: 100,
+      rowIndex: 3,
+      nextN: 10,
+      isContinuous: true,
+      col: '`x`',
+      id: 'breakdown-x',
+      title: 'X',
+      valueFormatter: formatNumber,
+      deltaTotals: { cnt: 500, prevCnt: 500 },
+    });
+    assert.include(html, '<td class="delta"></td>');
+  });
+});
@@ -74,6 +74,51 @@ export function renderQueryPaletteItem({ query, isSelected, index }) {
   `;
 }
 
+/**
+ * Render a saved view palette item; own views get a delete button.
+ * @param {Object} params
+ * @param {Object} params.view - View from loadSavedViews
+ * @param {boolean} params.isSelected - Whether this item is selected
+ * @param {number} params.index - Item index
+ * @returns {string} HTML string
+ */
+export function renderViewPaletteItem({ view, isSelected, index }) {
+  let owner = `shared by ${escapeHtml(view.owner)}`;
+  if (view.mine) {
+    owner = view.shared ? 'mine · shared' : 'mine';
+  }
+  const deleteBtn = view.mine
+    ? '<button type="button" class="palette-view-delete" title="Delete view" aria-label="Delete view">×</button>'
+    : '';
+  return `
+    <div class="palette-item palette-query palette-view${isSelected ? ' selected' : ''}" data-index="${index}" data-type="view" data-href="${escapeHtml(view.href)}">
+      <div class="palette-query-content">
+        <span class="palette-item-title">${escapeHtml(view.name)}</span>
+        <span class="palette-query-desc">${escapeHtml(view.dashboard)} · ${owner}</span>
+      </div>
+      <span class="palette-query-badge">view</span>
+      ${deleteBtn}
+    </div>
+  `;
+}
+
+/**
+ * Render the "save current view" palette action.
+ * @param {Object} params
+ * @param {string} params.name - Name typed into the palette (may be empty)
+ * @param {boolean} params.isSelected - Whether this item is selected
+ * @param {number} params.index - Item index
+ * @returns {string} HTML string
+ */
+export function renderSaveViewPaletteItem({ name, isSelected, index }) {
+  const label = name ? `Save current view as “${escapeHtml(name)}”…` : 'Save current view…';
+  return `
+    <div class="palette-item palette-save-view${isSelected ? ' selected' : ''}" data-index="${index}" data-type="save-view">
+      <span class="palette-item-title">${label}</span>
+    </div>
+  `;
+}
+
 /**
  * Render the full palette list HTML.
  * @param {Array} results - Array of result objects with type, facet/query, matchedValue
@@ -98,6 +143,10 @@ export function renderPaletteListHtml(results, selectedIndex, facetColumns) {
         isSelected,
         index: i,
       });
+    } else if (r.type === 'view') {
+      return renderViewPaletteItem({ view: r.view, isSelected, index: i });
+    } else if (r.type === 'save-view') {
+      return renderSaveViewPaletteItem({ name: r.name, isSelected, index: i });
     }
     return '';
   }).join('');
@@ -13,6 +13,8 @@ import { assert } from 'chai';
 import {
   renderFacetPaletteItem,
   renderQueryPaletteItem,
+  renderViewPaletteItem,
+  renderSaveViewPaletteItem,
   renderPaletteListHtml,
 } from './facet-palette-list.js';
 
@@ -130,6 +132,49 @@ describe('renderQueryPaletteItem', () => {
   });
 });
 
+describe('renderViewPaletteItem', () => {
+  const view = {
+    id: 'v1',
+    owner: 'bob',
+    name: 'Errors <5xx>',
+    dashboard: 'delivery.html',
+    href: '/delivery.html?t=1h',
+    shared: true,
+    mine: false,
+  };
+
+  it('renders a shared view with owner and no delete button', () => {
+    const html = renderViewPaletteItem({ view, isSelected: false, index: 2 });
+    assert.include(html, 'data-type="view"');
+    assert.include(html, 'data-href="/delivery.html?t=1h"');
+    assert.include(html, 'Errors &lt;5xx&gt;');
+    assert.include(html, 'shared by bob');
+    assert.notInclude(html, 'palette-view-delete');
+  });
+
+  it('renders a delete button for own views', () => {
+    const html = renderViewPaletteItem({
+      view: { ...view, mine: true }, isSelected: true, index: 0,
+    });
+    assert.include(html, 'mine · shared');
+    assert.include(html, 'palette-view-delete');
+    assert.include(html, 'selected');
+  });
+});
+
+describe('renderSaveViewPaletteItem', () => {
+  it('includes the typed name', () => {
+    const html = renderSaveViewPaletteItem({ name: 'errors', isSelected: false, index: 3 });
+    assert.include(html, 'data-type="save-view"');
+    assert.include(html, '“errors”');
+  });
+
+  it('falls back to a generic label without a name', () => {
+    const html = renderSaveViewPaletteItem({ name: '', isSelected: false, index: 0 });
+    assert.include(html, 'Save current view…');
+  });
+});
+
 describe('renderPaletteListHtml', () => {
   it('renders mixed facet and query items', () => {
     const results = [
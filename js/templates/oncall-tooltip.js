@@ -0,0 +1,32 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { escapeHtml } from '../utils.js';
+
+/**
+ * Render the oncall shift tooltip HTML content.
+ * @param {Object} shift - Shift with user and summary
+ * @param {string} timeStr - Formatted shift start – end string
+ * @returns {string} HTML string
+ */
+export function renderOncallTooltipHtml(shift, timeStr) {
+  const summary = shift.summary
+    ? `<div class="release-tooltip-body">${escapeHtml(shift.summary)}</div>`
+    : '';
+  return `
+    <div class="release-tooltip-header">
+      <span class="oncall-label">On call</span>
+      <span class="release-repo">${escapeHtml(shift.user)}</span>
+    </div>
+    <div class="release-tooltip-time">${timeStr} UTC</div>
+    ${summary}
+  `;
+}
@@ -0,0 +1,27 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { assert } from 'chai';
+import { renderOncallTooltipHtml } from './oncall-tooltip.js';
+
+describe('renderOncallTooltipHtml', () => {
+  it('renders the engineer, shift time and summary', () => {
+    const html = renderOncallTooltipHtml({ user: 'alice', summary: 'Primary <CDN>' }, 'Jan 15, 00:00 – Jan 15, 12:00');
+    assert.include(html, 'alice');
+    assert.include(html, 'Jan 15, 00:00 – Jan 15, 12:00 UTC');
+    assert.include(html, 'Primary &lt;CDN&gt;');
+  });
+
+  it('omits the body without a summary', () => {
+    const html = renderOncallTooltipHtml({ user: 'bob', summary: '' }, '12:00');
+    assert.notInclude(html, 'release-tooltip-body');
+  });
+});
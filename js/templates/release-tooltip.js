@@ -10,20 +10,56 @@
  * governing permissions and limitations under the License.
  */
 
+import { escapeHtml } from '../utils.js';
+
 /**
  * Render the release tooltip HTML content.
- * @param {Object} release - Release data with repo, tag, body
+ * @param {Object} release - Release data with repo, tag, body and optional suspicious
  * @param {string} timeStr - Formatted published time string
  * @param {Function} formatReleaseNotes - Function to format body as HTML
  * @returns {string} HTML string
  */
 export function renderReleaseTooltipHtml(release, timeStr, formatReleaseNotes) {
+  const suspicious = release.suspicious
+    ? '<div class="release-tooltip-suspicious">Anomaly starts shortly after this release</div>'
+    : '';
   return `
     <div class="release-tooltip-header">
       <span class="release-repo">${release.repo}</span>
       <span class="release-tag">${release.tag}</span>
     </div>
     <div class="release-tooltip-time">${timeStr} UTC</div>
+    ${suspicious}
     <div class="release-tooltip-body">${formatReleaseNotes(release.body)}</div>
+    <div class="release-tooltip-hint">Click to analyze impact</div>
+  `;
+}
+
+/**
+ * Render the tooltip listing the releases of a ship cluster.
+ * @param {Array<Object>} releases - Releases with repo, tag, published, optional suspicious
+ * @param {Function} formatTime - Formats a release's published time
+ * @param {boolean} [selectable] - Render each release as a button (pinned after a click)
+ * @returns {string} HTML string
+ */
+export function renderReleaseClusterTooltipHtml(releases, formatTime, selectable = false) {
+  const items = releases.map((release, index) => {
+    const content = `
+        <span class="release-cluster-time">${formatTime(release)}</span>
+        <span class="release-repo">${escapeHtml(release.repo)}</span>
+        <span class="release-tag">${escapeHtml(release.tag)}</span>`;
+    const entry = selectable
+      ? `<button type="button" class="release-cluster-item" data-release-index="${index}">${content}</button>`
+      : content;
+    return `
+      <li class="${release.suspicious ? 'suspicious' : ''}">${entry}</li>`;
+  }).join('');
+  const hint = selectable ? 'Pick a release to analyze its impact' : 'Click to pick a release';
+  return `
+    <div class="release-tooltip-header">
+      <span class="release-repo">${releases.length} releases</span>
+    </div>
+    <ol class="release-cluster-list">${items}</ol>
+    <div class="release-tooltip-hint">${hint}</div>
   `;
 }
@@ -10,7 +10,7 @@
  * governing permissions and limitations under the License.
  */
 import { assert } from 'chai';
-import { renderReleaseTooltipHtml } from './release-tooltip.js';
+import { renderReleaseTooltipHtml, renderReleaseClusterTooltipHtml } from './release-tooltip.js';
 
 describe('renderReleaseTooltipHtml', () => {
   it('renders release info', () => {
@@ -38,4 +38,40 @@ describe('renderReleaseTooltipHtml', () => {
     const html = renderReleaseTooltipHtml(release, '12:00', formatter);
     assert.include(html, 'RAW NOTES');
   });
+
+  it('flags suspicious releases and hints at impact analysis', () => {
+    const plain = renderReleaseTooltipHtml({ repo: 'r', tag: 't', body: 'b' }, '12:00', (b) => b);
+    assert.notInclude(plain, 'release-tooltip-suspicious');
+    assert.include(plain, 'Click to analyze impact');
+    const release = {
+      repo: 'r', tag: 't', body: 'b', suspicious: true,
+    };
+    const html = renderReleaseTooltipHtml(release, '12:00', (b) => b);
+    assert.include(html, 'release-tooltip-suspicious');
+  });
+
+  it('lists the releases of a cluster', () => {
+    const releases = [
+      { repo: 'adobe/helix-admin', tag: 'v1.0.1', published: '10:00' },
+      {
+        repo: 'adobe/helix-html2md', tag: 'v2.0.0', published: '10:02', suspicious: true,
+      },
+    ];
+    const html = renderReleaseClusterTooltipHtml(releases, (r) => r.published);
+    assert.include(html, '2 releases');
+    assert.include(html, 'adobe/helix-html2md');
+    assert.include(html, '10:02');
+    assert.include(html, 'class="suspicious"');
+    assert.notInclude(html, 'data-release-index');
+  });
+
+  it('renders selectable releases for a pinned cluster', () => {
+    const releases = [
+      { repo: 'adobe/helix-admin', tag: 'v1.0.1', published: '10:00' },
+      { repo: 'adobe/helix-html2md', tag: 'v2.0.0', published: '10:02' },
+    ];
+    const html = renderReleaseClusterTooltipHtml(releases, (r) => r.published, true);
+    assert.include(html, 'data-release-index="1"');
+    assert.include(html, 'Pick a release to analyze its impact');
+  });
 });
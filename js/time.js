@@ -255,17 +255,29 @@ export function getTimeBucket() {
 // Re-export getTimeBucketStep for external use
 export { getTimeBucketStep };
 
+/**
+ * Length of one time bucket (getTimeBucket()) in milliseconds.
+ * @returns {number}
+ */
+export function getTimeBucketStepMs() {
+  return parseIntervalToMs(getTimeBucketStep());
+}
+
 // Pitfall: `timestamp` is DateTime64(3) (millisecond precision). Using toDateTime()
 // (second precision) for bounds causes sub-second rows at bucket edges to be
 // double-counted or missed. toStartOfMinute() normalises both sides to the same
 // minute-level precision, avoiding the DateTime64 truncation mismatch.
-export function getTimeFilter() {
-  const { start, end } = getTimeFilterBounds();
+function buildTimeFilter(start, end) {
   const startIso = formatSqlDateTime(start);
   const endIso = formatSqlDateTime(end);
   return `toStartOfMinute(timestamp) BETWEEN toStartOfMinute(toDateTime('${startIso}')) AND toStartOfMinute(toDateTime('${endIso}'))`;
 }
 
+export function getTimeFilter() {
+  const { start, end } = getTimeFilterBounds();
+  return buildTimeFilter(start, end);
+}
+
 const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 function getSearchClause() {
@@ -328,7 +340,89 @@ export function getTimeRangeEnd() {
 }
 
 /**
- * Get time filter bounds formatted for the cdn_facet_minutes table.
+ * Time filter and WITH FILL bounds for the selected window shifted back in time.
+ * Used by the chart's period-over-period comparison overlay.
+ * @param {number} offsetMs - How far back to shift the window
+ * @returns {{ timeFilter: string, rangeStart: string, rangeEnd: string }}
+ */
+export function getShiftedTimeWindow(offsetMs) {
+  const shift = (date) => new Date(date.getTime() - offsetMs);
+  const { start, end } = getTimeFilterBounds();
+  const fill = getFillBounds();
+  return {
+    timeFilter: buildTimeFilter(shift(start), shift(end)),
+    rangeStart: `toDateTime('${formatSqlDateTime(shift(fill.start))}')`,
+    rangeEnd: `toDateTime('${formatSqlDateTime(shift(fill.end))}')`,
+  };
+}
+
+/**
+ * Time bounds for facet delta mode: the selected window plus the equal-length
+ * window right before it, so both can be counted in one pass.
+ * @returns {{ timeFilter: string, currentCondition: string, startTime: string,
+ *   endTime: string, currentStartTime: string }}
+ */
+export function getDeltaTimeWindow() {
+  const { start, end } = getTimeFilterBounds();
+  const baselineStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+  const currentStartTime = formatSqlDateTime(start);
+  return {
+    timeFilter: buildTimeFilter(baselineStart, end),
+    currentCondition: `toStartOfMinute(timestamp) >= toStartOfMinute(toDateTime('${currentStartTime}'))`,
+    startTime: formatSqlDateTime(baselineStart),
+    endTime: formatSqlDateTime(end),
+    currentStartTime,
+  };
+}
+
+/**
+ * Time filter and WITH FILL bounds for the last `minutes` complete minutes before `now`,
+ * independent of the selected range. Used by alert rule evaluation.
+ * @param {number} minutes - Window length in minutes
+ * @param {Date} [now]
+ * @returns {{ timeFilter: string, rangeStart: string, rangeEnd: string,
+ *   startMs: number, endMs: number }} endMs is exclusive
+ */
+export function getTrailingMinutesWindow(minutes, now = new Date()) {
+  const endMs = floorToInterval(now, MINUTE_MS).getTime();
+  const startMs = endMs - minutes * MINUTE_MS;
+  return {
+    timeFilter: buildTimeFilter(new Date(startMs), new Date(endMs - MINUTE_MS)),
+    rangeStart: `toDateTime('${formatSqlDateTime(new Date(startMs))}')`,
+    rangeEnd: `toDateTime('${formatSqlDateTime(new Date(endMs))}')`,
+    startMs,
+    endMs,
+  };
+}
+
+/**
+ * Time filter, bucket and WITH FILL bounds for a predefined range ending at `now`,
+ * independent of the selected range. Used by the panels of the grid page.
+ * @param {string} timeRange - TIME_RANGES key, e.g. '1h'
+ * @param {Date} [now]
+ * @returns {{ timeFilter: string, bucket: string, step: string, rangeStart: string,
+ *   rangeEnd: string, startMs: number, endMs: number }}
+ */
+export function getRangeWindow(timeRange, now = new Date()) {
+  const range = TIME_RANGES[timeRange] || TIME_RANGES[TIME_RANGE_ORDER[0]];
+  const end = floorToInterval(now, MINUTE_MS);
+  const start = new Date(end.getTime() - range.periodMs);
+  const stepMs = parseIntervalToMs(range.step);
+  const fillStart = floorToInterval(start, stepMs);
+  const fillEnd = floorToInterval(new Date(end.getTime() + MINUTE_MS - 1), stepMs);
+  return {
+    timeFilter: buildTimeFilter(start, end),
+    bucket: range.bucket,
+    step: range.step,
+    rangeStart: `toDateTime('${formatSqlDateTime(fillStart)}')`,
+    rangeEnd: `toDateTime('${formatSqlDateTime(fillEnd)}')`,
+    startMs: fillStart.getTime(),
+    endMs: fillEnd.getTime(),
+  };
+}
+
+/**
+ * Get time filter bounds formatted for the facet-minute tables (e.g. cdn_facet_minutes).
  * @returns {{ startTime: string, endTime: string }}
  */
 export function getFacetTimeFilter() {
@@ -14,10 +14,11 @@ import { state } from './state.js';
 import {
   setQueryTimestamp, setCustomTimeRange, clearCustomTimeRange,
   isCustomTimeRange, getCustomTimeRange, customTimeRange,
-  getTimeFilter, getTimeBucket, getTimeBucketStep, getPeriodMs,
+  getTimeFilter, getTimeBucket, getTimeBucketStep, getTimeBucketStepMs, getPeriodMs,
   getInterval, getTimeRangeBounds, getTimeRangeStart, getTimeRangeEnd,
   getTable, getLogsTable, getHostFilter,
   getFacetTimeFilter, zoomOut, formatHumanReadableDurationMs, snapSelectionToMinuteBounds,
+  getShiftedTimeWindow, getTrailingMinutesWindow, getRangeWindow,
 } from './time.js';
 
 beforeEach(() => {
@@ -194,6 +195,76 @@ describe('getFacetTimeFilter', () => {
   });
 });
 
+describe('getShiftedTimeWindow', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  it('shifts the time filter back by the offset', () => {
+    const { timeFilter } = getShiftedTimeWindow(DAY_MS);
+    assert.include(timeFilter, "toDateTime('2026-01-19 11:34:00')");
+    assert.include(timeFilter, "toDateTime('2026-01-19 12:34:00')");
+  });
+
+  it('shifts the fill bounds back by the offset', () => {
+    const { rangeStart, rangeEnd } = getShiftedTimeWindow(DAY_MS);
+    const current = getTimeRangeBounds();
+    const expectedStart = new Date(current.start.getTime() - DAY_MS);
+    const expectedEnd = new Date(current.end.getTime() - DAY_MS);
+    assert.include(rangeStart, expectedStart.toISOString().replace('T', ' ').slice(0, 19));
+    assert.include(rangeEnd, expectedEnd.toISOString().replace('T', ' ').slice(0, 19));
+  });
+
+  it('matches the current window with zero offset', () => {
+    const { timeFilter, rangeStart, rangeEnd } = getShiftedTimeWindow(0);
+    assert.strictEqual(timeFilter, getTimeFilter());
+    assert.strictEqual(rangeStart, getTimeRangeStart());
+    assert.strictEqual(rangeEnd, getTimeRangeEnd());
+  });
+});
+
+describe('getTrailingMinutesWindow', () => {
+  const now = new Date('2026-01-20T12:34:56Z');
+
+  it('covers the last complete minutes before now', () => {
+    const { timeFilter, startMs, endMs } = getTrailingMinutesWindow(5, now);
+    assert.include(timeFilter, "toDateTime('2026-01-20 12:29:00')");
+    assert.include(timeFilter, "toDateTime('2026-01-20 12:33:00')");
+    assert.strictEqual(startMs, Date.parse('2026-01-20T12:29:00Z'));
+    assert.strictEqual(endMs, Date.parse('2026-01-20T12:34:00Z'));
+  });
+
+  it('fills up to the exclusive end so every minute gets a row', () => {
+    const { rangeStart, rangeEnd } = getTrailingMinutesWindow(5, now);
+    assert.strictEqual(rangeStart, "toDateTime('2026-01-20 12:29:00')");
+    assert.strictEqual(rangeEnd, "toDateTime('2026-01-20 12:34:00')");
+  });
+
+  it('ignores the selected dashboard range', () => {
+    setCustomTimeRange(new Date('2026-01-01T00:00:00Z'), new Date('2026-01-01T01:00:00Z'));
+    const { endMs } = getTrailingMinutesWindow(1, now);
+    assert.strictEqual(endMs, Date.parse('2026-01-20T12:34:00Z'));
+  });
+});
+
+describe('getRangeWindow', () => {
+  const now = new Date('2026-01-20T12:34:56Z');
+
+  it('uses the bucket and step of the named range', () => {
+    const window = getRangeWindow('24h', now);
+    assert.strictEqual(window.bucket, 'toStartOfFiveMinutes(timestamp)');
+    assert.strictEqual(window.step, 'INTERVAL 5 MINUTE');
+    assert.include(window.timeFilter, "toDateTime('2026-01-19 12:34:00')");
+    assert.include(window.timeFilter, "toDateTime('2026-01-20 12:34:00')");
+    assert.strictEqual(window.rangeStart, "toDateTime('2026-01-19 12:30:00')");
+    assert.strictEqual(window.rangeEnd, "toDateTime('2026-01-20 12:30:00')");
+  });
+
+  it('ignores the selected dashboard range', () => {
+    state.timeRange = '7d';
+    const { startMs } = getRangeWindow('1h', now);
+    assert.strictEqual(startMs, Date.parse('2026-01-20T11:34:00Z'));
+  });
+});
+
 describe('custom time range state', () => {
   it('isCustomTimeRange returns false when no custom range set', () => {
     clearCustomTimeRange();
@@ -365,6 +436,7 @@ describe('getTimeBucketStep for various custom durations', () => {
       new Date('2026-01-20T00:00:00Z'),
     );
     assert.strictEqual(getTimeBucketStep(), 'INTERVAL 10 MINUTE');
+    assert.strictEqual(getTimeBucketStepMs(), 600000);
   });
 
   it('returns predefined step for standard range', () => {
@@ -21,10 +21,18 @@
  * @property {(facetId: string) => void} toggleFacetPin
  * @property {(facetId: string) => void} toggleFacetHide
  * @property {(modeKey: string) => void} toggleFacetMode
+ * @property {(mode: string) => void} setChartMode
+ * @property {(mode: string) => void} toggleCompareMode
+ * @property {(mode: string) => void} toggleAnomalyDetector
+ * @property {() => void} cycleAnomalySensitivity
+ * @property {() => void} toggleReleaseFilter
+ * @property {() => void} clearReleaseFilter
+ * @property {() => void} cycleFacetDeltaMode
  * @property {() => void} closeQuickLinksModal
  * @property {(el: HTMLElement) => void} closeDialog
  * @property {Function} openFacetSearch - (col, facetId, filterCol, title)
  * @property {(facetId: string) => Promise<void>} copyFacetTsv
+ * @property {(facetId: string) => void} runFacetAnyway
  */
 
 /**
@@ -102,10 +110,18 @@ export function initActionHandlers(handlers) {
       'toggle-facet-pin': () => handlers.toggleFacetPin?.(target.dataset.facet || ''),
       'toggle-facet-hide': () => handlers.toggleFacetHide?.(target.dataset.facet || ''),
       'toggle-facet-mode': () => handlers.toggleFacetMode?.(target.dataset.mode || ''),
+      'set-chart-mode': () => handlers.setChartMode?.(target.dataset.mode || ''),
+      'toggle-compare-mode': () => handlers.toggleCompareMode?.(target.dataset.mode || ''),
+      'toggle-anomaly-detector': () => handlers.toggleAnomalyDetector?.(target.dataset.mode || ''),
+      'cycle-anomaly-sensitivity': () => handlers.cycleAnomalySensitivity?.(),
+      'toggle-release-filter': () => handlers.toggleReleaseFilter?.(),
+      'clear-release-filter': () => handlers.clearReleaseFilter?.(),
+      'cycle-facet-delta': () => handlers.cycleFacetDeltaMode?.(),
       'close-quick-links': () => handlers.closeQuickLinksModal?.(),
       'close-dialog': () => handlers.closeDialog?.(target),
       'copy-facet-tsv': () => handlers.copyFacetTsv?.(target.dataset.facet || ''),
       'clear-owner-repo-filter': () => handlers.clearOwnerRepoFilter?.(),
+      'run-facet-anyway': () => handlers.runFacetAnyway?.(target.dataset.facet || ''),
     };
 
     if (simpleActions[action]) {
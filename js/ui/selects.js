@@ -9,7 +9,9 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import { TIME_RANGES, TIME_RANGE_ORDER, TOP_N_OPTIONS } from '../constants.js';
+import {
+  LIVE_INTERVALS, TIME_RANGES, TIME_RANGE_ORDER, TOP_N_OPTIONS,
+} from '../constants.js';
 import { state } from '../state.js';
 import { customTimeRange, formatHumanReadableDurationMs } from '../time.js';
 
@@ -56,6 +58,28 @@ export function populateTopNSelect(selectEl) {
   });
 }
 
+/**
+ * Populate live mode select options (off plus each refresh interval).
+ * @param {HTMLSelectElement} select
+ */
+export function populateLiveModeSelect(selectEl) {
+  if (!selectEl) { return; }
+  const select = selectEl;
+  select.innerHTML = '';
+
+  const offOption = document.createElement('option');
+  offOption.value = '';
+  offOption.textContent = 'Live off';
+  select.appendChild(offOption);
+
+  Object.entries(LIVE_INTERVALS).forEach(([key, { label }]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
 /**
  * Update time range labels based on viewport size.
  * @param {HTMLSelectElement} select
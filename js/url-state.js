@@ -17,7 +17,8 @@ import {
 } from './time.js';
 import { renderActiveFilters } from './filters.js';
 import {
-  DEFAULT_TIME_RANGE, DEFAULT_TOP_N, TIME_RANGES, TOP_N_OPTIONS,
+  ANOMALY_DETECTORS, ANOMALY_SENSITIVITIES, COMPARE_PERIODS, DEFAULT_TIME_RANGE, DEFAULT_TOP_N,
+  LIVE_INTERVALS, TIME_RANGES, TOP_N_OPTIONS,
 } from './constants.js';
 import { isValidFilterColumn, isValidFilterOp } from './filter-sql.js';
 import { syncTimeRangeSelectDisplay } from './ui/selects.js';
@@ -58,10 +59,31 @@ function addBasicParams(params) {
   if (state.viewMode !== 'filters') { params.set('view', state.viewMode); }
   if (state.title) { params.set('title', state.title); }
   if (state.contentTypeMode !== 'count') { params.set('ctm', state.contentTypeMode); }
+  if (state.facetDeltaMode) { params.set('delta', state.facetDeltaMode); }
+  if (state.liveMode) { params.set('live', state.liveMode); }
 }
 
 /**
- * Add time range parameters to URL params
+ * Add chart mode, split, comparison and anomaly detection parameters to URL params
+ */
+function addChartParams(params) {
+  if (state.chartMode !== 'requests') { params.set('chart', state.chartMode); }
+  if (state.compareMode) { params.set('cmp', state.compareMode); }
+  if (state.chartSplit) { params.set('split', state.chartSplit); }
+  if (state.anomalyDetector !== 'window') { params.set('ad', state.anomalyDetector); }
+  if (state.anomalySensitivity !== 'medium') { params.set('as', state.anomalySensitivity); }
+}
+
+/**
+ * Add release overlay filter parameters to URL params
+ */
+function addReleaseParams(params) {
+  if (state.releaseRepos.length > 0) { params.set('rr', state.releaseRepos.join(',')); }
+  if (state.releaseSearch) { params.set('rq', state.releaseSearch); }
+}
+
+/**
+ * Add time range parameters to URL params (live mode always ends at now, so no ts)
  */
 function addTimeParams(params) {
   const ctr = customTimeRange();
@@ -69,7 +91,7 @@ function addTimeParams(params) {
   if (ctr) {
     params.set('ts', ctr.start.toISOString());
     params.set('te', ctr.end.toISOString());
-  } else if (qts) {
+  } else if (qts && !state.liveMode) {
     params.set('ts', qts.toISOString());
   }
 }
@@ -86,10 +108,17 @@ function addAnomalyParam(params, newAnomalyId) {
   }
 }
 
-export function saveStateToURL(newAnomalyId = undefined) {
+/**
+ * URL parameters describing the current dashboard state.
+ * @param {string|null} [newAnomalyId] - Anomaly to focus; undefined keeps the current one
+ * @returns {URLSearchParams}
+ */
+export function buildStateParams(newAnomalyId = undefined) {
   const params = new URLSearchParams();
 
   addBasicParams(params);
+  addChartParams(params);
+  addReleaseParams(params);
   addTimeParams(params);
 
   if (state.filters.length > 0) {
@@ -101,6 +130,11 @@ export function saveStateToURL(newAnomalyId = undefined) {
   if (state.pinnedFacets.length > 0) { params.set('pf', state.pinnedFacets.join(',')); }
   if (state.hiddenFacets.length > 0) { params.set('hf', state.hiddenFacets.join(',')); }
 
+  return params;
+}
+
+export function saveStateToURL(newAnomalyId = undefined) {
+  const params = buildStateParams(newAnomalyId);
   const newURL = params.toString()
     ? `${window.location.pathname}?${params}`
     : window.location.pathname;
@@ -143,6 +177,40 @@ function loadBasicState(params) {
   }
 }
 
+/**
+ * Load chart mode, anomaly detection and chart/facet comparison modes from URL params
+ * (cleared when absent)
+ */
+function loadCompareState(params) {
+  const chart = params.get('chart');
+  state.chartMode = chart === 'latency' ? 'latency' : 'requests';
+  const ad = params.get('ad');
+  state.anomalyDetector = ad && Object.hasOwn(ANOMALY_DETECTORS, ad) ? ad : 'window';
+  const as = params.get('as');
+  state.anomalySensitivity = as && Object.hasOwn(ANOMALY_SENSITIVITIES, as) ? as : 'medium';
+  state.chartSplit = params.get('split') || null;
+  const cmp = params.get('cmp');
+  state.compareMode = cmp && Object.hasOwn(COMPARE_PERIODS, cmp) ? cmp : null;
+  const delta = params.get('delta');
+  state.facetDeltaMode = ['count', 'mover'].includes(delta) ? delta : null;
+}
+
+/**
+ * Load the release overlay filter from URL params (cleared when absent)
+ */
+function loadReleaseState(params) {
+  state.releaseRepos = (params.get('rr') || '').split(',').filter((r) => r);
+  state.releaseSearch = params.get('rq') || '';
+}
+
+/**
+ * Load live mode from URL params (cleared when absent)
+ */
+function loadLiveState(params) {
+  const live = params.get('live');
+  state.liveMode = live && Object.hasOwn(LIVE_INTERVALS, live) ? live : null;
+}
+
 /**
  * Load time state from URL params
  */
@@ -198,6 +266,9 @@ export function loadStateFromURL() {
   const params = new URLSearchParams(window.location.search);
 
   loadBasicState(params);
+  loadCompareState(params);
+  loadReleaseState(params);
+  loadLiveState(params);
   if (!params.has('view')) { loadViewMode(); }
   loadTimeState(params);
   loadFiltersState(params);
@@ -227,6 +298,7 @@ function applyHiddenControls() {
   hideControl('host', elements.hostFilterInput);
   hideControl('owner', elements.ownerRepoFilterInput);
   hideControl('refresh', elements.refreshBtn);
+  hideControl('live', elements.liveModeSelect);
   hideControl('logout', elements.logoutBtn);
   hideControl('logs', elements.viewCycleBtn);
 }
@@ -32,6 +32,10 @@ function resetState() {
   state.viewMode = 'filters';
   state.title = '';
   state.contentTypeMode = 'count';
+  state.chartMode = 'requests';
+  state.compareMode = null;
+  state.facetDeltaMode = null;
+  state.liveMode = null;
   state.hiddenControls = [];
   state.pinnedColumns = [];
   state.pinnedFacets = [];
@@ -221,6 +225,78 @@ describe('loadStateFromURL', () => {
     });
   });
 
+  describe('chart mode', () => {
+    it('loads a valid chart mode', () => {
+      setURL({ chart: 'latency' });
+      loadStateFromURL();
+      assert.strictEqual(state.chartMode, 'latency');
+    });
+
+    it('falls back to requests for unknown or absent modes', () => {
+      setURL({ chart: 'constructor' });
+      loadStateFromURL();
+      assert.strictEqual(state.chartMode, 'requests');
+
+      state.chartMode = 'latency';
+      setURL({ t: '1h' });
+      loadStateFromURL();
+      assert.strictEqual(state.chartMode, 'requests');
+    });
+  });
+
+  describe('compare mode', () => {
+    it('loads a valid compare period', () => {
+      setURL({ cmp: '1w' });
+      loadStateFromURL();
+      assert.strictEqual(state.compareMode, '1w');
+    });
+
+    it('ignores unknown compare periods', () => {
+      setURL({ cmp: 'constructor' });
+      loadStateFromURL();
+      assert.isNull(state.compareMode);
+    });
+
+    it('clears compare mode when the param is absent', () => {
+      state.compareMode = '1d';
+      setURL({ t: '1h' });
+      loadStateFromURL();
+      assert.isNull(state.compareMode);
+    });
+  });
+
+  describe('facet delta mode', () => {
+    it('loads a valid delta mode', () => {
+      setURL({ delta: 'mover' });
+      loadStateFromURL();
+      assert.strictEqual(state.facetDeltaMode, 'mover');
+    });
+
+    it('ignores unknown delta modes', () => {
+      setURL({ delta: 'bogus' });
+      loadStateFromURL();
+      assert.isNull(state.facetDeltaMode);
+    });
+  });
+
+  describe('live mode', () => {
+    it('loads a valid live interval', () => {
+      setURL({ live: '30s' });
+      loadStateFromURL();
+      assert.strictEqual(state.liveMode, '30s');
+    });
+
+    it('ignores unknown live intervals and clears when absent', () => {
+      setURL({ live: '5s' });
+      loadStateFromURL();
+      assert.isNull(state.liveMode);
+      state.liveMode = '1m';
+      setURL({ t: '1h' });
+      loadStateFromURL();
+      assert.isNull(state.liveMode);
+    });
+  });
+
   describe('hidden controls', () => {
     it('parses comma-separated hidden controls', () => {
       setURL({ hide: 'timeRange,topN,host' });
@@ -573,6 +649,43 @@ describe('saveStateToURL', () => {
     assert.isFalse(params.has('ctm'));
   });
 
+  it('encodes chart mode only when not the default', () => {
+    saveStateToURL();
+    assert.isFalse(new URLSearchParams(window.location.search).has('chart'));
+    state.chartMode = 'latency';
+    saveStateToURL();
+    assert.strictEqual(new URLSearchParams(window.location.search).get('chart'), 'latency');
+  });
+
+  it('encodes compare mode when set', () => {
+    state.compareMode = '1d';
+    saveStateToURL();
+    const params = new URLSearchParams(window.location.search);
+    assert.strictEqual(params.get('cmp'), '1d');
+  });
+
+  it('omits compare mode when off', () => {
+    saveStateToURL();
+    const params = new URLSearchParams(window.location.search);
+    assert.isFalse(params.has('cmp'));
+  });
+
+  it('encodes facet delta mode when set', () => {
+    state.facetDeltaMode = 'count';
+    saveStateToURL();
+    const params = new URLSearchParams(window.location.search);
+    assert.strictEqual(params.get('delta'), 'count');
+  });
+
+  it('encodes live mode without pinning the query timestamp', () => {
+    state.liveMode = '10s';
+    setQueryTimestamp(new Date('2025-06-15T10:30:00.000Z'));
+    saveStateToURL();
+    const params = new URLSearchParams(window.location.search);
+    assert.strictEqual(params.get('live'), '10s');
+    assert.isFalse(params.has('ts'));
+  });
+
   it('encodes anomaly id when provided', () => {
     saveStateToURL('anomaly-123');
     const params = new URLSearchParams(window.location.search);
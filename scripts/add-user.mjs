@@ -19,7 +19,9 @@
 const CLICKHOUSE_HOST = 's2p5b8wmt5.eastus2.azure.clickhouse.cloud';
 const CLICKHOUSE_PORT = 443;
 const DATABASE = 'helix_logs_production';
-const TABLES = ['delivery', 'delivery_errors', 'admin', 'backend', 'da', 'da_worker_logs', 'cdn_facet_minutes', 'releases', 'oncall_shifts', 'lambda_logs', 'lambda_facet_minutes', 'optel_admin', 'user_shifts', 'site_configs', 'profile_configs', 'org_configs', 'site_configs_resolved'];
+const TABLES = ['delivery', 'delivery_errors', 'admin', 'backend', 'da', 'da_worker_logs', 'cdn_facet_minutes', 'cdn_facet_host_minutes', 'backend_facet_minutes', 'admin_facet_minutes', 'da_facet_minutes', 'da_worker_facet_minutes', 'helix_mixer_facet_minutes', 'releases', 'oncall_shifts', 'lambda_logs', 'lambda_facet_minutes', 'optel_admin', 'user_shifts', 'site_configs', 'profile_configs', 'org_configs', 'site_configs_resolved', 'saved_views'];
+// Tables dashboard users also write to (saved views from the facet palette)
+const INSERT_TABLES = ['saved_views'];
 const DICTIONARIES = ['asn_dict'];
 
 function generatePassword(length = 16) {
@@ -100,6 +102,13 @@ async function main() {
       console.log(`Granted SELECT on ${DATABASE}.${table}`);
     }
 
+    for (const table of INSERT_TABLES) {
+      const grantSql = `GRANT INSERT ON ${DATABASE}.${table} TO ${newUsername}`;
+      // eslint-disable-next-line no-await-in-loop -- Sequential grants to avoid race conditions
+      await query(grantSql, adminUser, adminPassword);
+      console.log(`Granted INSERT on ${DATABASE}.${table}`);
+    }
+
     // Grant dictGet access for ASN lookups
     for (const dict of DICTIONARIES) {
       const grantSql = `GRANT dictGet ON ${DATABASE}.${dict} TO ${newUsername}`;
@@ -0,0 +1,74 @@
+-- Admin facet pre-aggregation: table and materialized view
+-- Run against helix_logs_production on ClickHouse Cloud
+
+-- Pre-aggregation table: one row per (minute, facet, dim), same shape as cdn_facet_minutes
+CREATE TABLE IF NOT EXISTS helix_logs_production.admin_facet_minutes
+(
+    `minute`  DateTime,
+    `facet`   LowCardinality(String),
+    `dim`     String,
+    `cnt`     UInt64,
+    `cnt_ok`  UInt64,
+    `cnt_4xx` UInt64,
+    `cnt_5xx` UInt64
+) ENGINE = SummingMergeTree
+PARTITION BY toDate(minute)
+ORDER BY (facet, minute, dim)
+TTL minute + toIntervalDay(14);
+
+-- Materialized view: fans each admin row into thirteen facet rows via ARRAY JOIN.
+-- Facets covered: status_range, source, content_type, status, x_error_grouped, method,
+--   datacenter, accept_encoding, helix_route, helix_topic, helix_org, severity,
+--   cdn_version.
+-- Dims use the same expressions as the dashboard's breakdowns.
+-- Counts are weighted by the sampling `weight`, like the dashboard.
+-- High-cardinality facets (host, forwarded host, URL, referer, user agent, IPs,
+--   location, site/repo/owner) are excluded and always query the raw table.
+CREATE MATERIALIZED VIEW IF NOT EXISTS helix_logs_production.admin_facet_minutes_mv
+TO helix_logs_production.admin_facet_minutes
+AS SELECT
+    toStartOfMinute(timestamp) AS minute,
+    facet,
+    dim,
+    sum(weight)                                                         AS cnt,
+    sumIf(weight, `response.status` < 400)                              AS cnt_ok,
+    sumIf(weight, `response.status` >= 400 AND `response.status` < 500) AS cnt_4xx,
+    sumIf(weight, `response.status` >= 500)                             AS cnt_5xx
+FROM helix_logs_production.admin
+ARRAY JOIN
+    [
+        'status_range',
+        'source',
+        'content_type',
+        'status',
+        'x_error_grouped',
+        'method',
+        'datacenter',
+        'accept_encoding',
+        'helix_route',
+        'helix_topic',
+        'helix_org',
+        'severity',
+        'cdn_version'
+    ] AS facet,
+    [
+        concat(toString(intDiv(`response.status`, 100)), 'xx'),
+        toString(`source`),
+        toString(`response.headers.content_type`),
+        toString(`response.status`),
+        replaceRegexpAll(`response.headers.x_error`, '/[a-zA-Z0-9/_.-]+', '/...'),
+        toString(`request.method`),
+        toString(`cdn.datacenter`),
+        toString(`request.headers.accept_encoding`),
+        toString(`helix.route`),
+        toString(`helix.topic`),
+        toString(`helix.org`),
+        toString(`response.headers.x_severity`),
+        toString(`cdn.version`)
+    ] AS dim
+GROUP BY minute, facet, dim;
+
+-- Grant SELECT to all existing read-only dashboard users.
+-- Run this after creating the table for the first time.
+-- New users get access automatically via scripts/add-user.mjs.
+-- GRANT SELECT ON helix_logs_production.admin_facet_minutes TO <username>;
@@ -0,0 +1,78 @@
+-- Delivery facet rollup by host and status class: table and materialized view
+-- Run against helix_logs_production on ClickHouse Cloud
+
+-- Rollup table: one row per (minute, facet, dim, host, status class). Same facets and
+-- counts as cdn_facet_minutes, so facet queries filtered on host and/or status class
+-- can sum the matching rows instead of scanning delivery.
+CREATE TABLE IF NOT EXISTS helix_logs_production.cdn_facet_host_minutes
+(
+    `minute`       DateTime,
+    `facet`        LowCardinality(String),
+    `dim`          String,
+    `host`         String,
+    `status_range` LowCardinality(String),
+    `cnt`          UInt64,
+    `cnt_ok`       UInt64,
+    `cnt_4xx`      UInt64,
+    `cnt_5xx`      UInt64
+) ENGINE = SummingMergeTree
+PARTITION BY toDate(minute)
+ORDER BY (facet, host, minute, dim, status_range)
+TTL minute + toIntervalDay(14);
+
+-- Materialized view: fans each delivery row into the 15 cdn_facet_minutes facets via
+-- ARRAY JOIN, keeping `request.host` and the status class (as in the status_range facet).
+CREATE MATERIALIZED VIEW IF NOT EXISTS helix_logs_production.cdn_facet_host_minutes_mv
+TO helix_logs_production.cdn_facet_host_minutes
+AS SELECT
+    toStartOfMinute(timestamp) AS minute,
+    facet,
+    dim,
+    toString(`request.host`)                                        AS host,
+    concat(toString(intDiv(`response.status`, 100)), 'xx')         AS status_range,
+    sum(weight)                                                     AS cnt,
+    sumIf(weight, `response.status` < 400)                          AS cnt_ok,
+    sumIf(weight, `response.status` >= 400 AND `response.status` < 500) AS cnt_4xx,
+    sumIf(weight, `response.status` >= 500)                         AS cnt_5xx
+FROM helix_logs_production.delivery
+ARRAY JOIN
+    [
+        'datacenter',
+        'request_type',
+        'backend_type',
+        'content_type',
+        'status',
+        'accept',
+        'accept_encoding',
+        'cache_control',
+        'byo_cdn',
+        'x_error_grouped',
+        'method',
+        'cache_status',
+        'status_range',
+        'source',
+        'tier'
+    ] AS facet,
+    [
+        toString(`cdn.datacenter`),
+        toString(`helix.request_type`),
+        toString(`helix.backend_type`),
+        toString(`response.headers.content_type`),
+        toString(`response.status`),
+        toString(`request.headers.accept`),
+        toString(`request.headers.accept_encoding`),
+        toString(`request.headers.cache_control`),
+        toString(`request.headers.x_byo_cdn_type`),
+        replaceRegexpAll(`response.headers.x_error`, '/[a-zA-Z0-9/_.-]+', '/...'),
+        toString(`request.method`),
+        upper(`cdn.cache_status`),
+        concat(toString(intDiv(`response.status`, 100)), 'xx'),
+        toString(source),
+        toString(`helix.contentbus_prefix`)
+    ] AS dim
+GROUP BY minute, facet, dim, host, status_range;
+
+-- Grant SELECT to all existing read-only dashboard users.
+-- Run this after creating the table for the first time.
+-- New users get access automatically via scripts/add-user.mjs.
+-- GRANT SELECT ON helix_logs_production.cdn_facet_host_minutes TO <username>;
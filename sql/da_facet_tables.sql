@@ -0,0 +1,63 @@
+-- DA facet pre-aggregation: table and materialized view
+-- Run against helix_logs_production on ClickHouse Cloud
+
+-- Pre-aggregation table: one row per (minute, facet, dim), same shape as cdn_facet_minutes
+CREATE TABLE IF NOT EXISTS helix_logs_production.da_facet_minutes
+(
+    `minute`  DateTime,
+    `facet`   LowCardinality(String),
+    `dim`     String,
+    `cnt`     UInt64,
+    `cnt_ok`  UInt64,
+    `cnt_4xx` UInt64,
+    `cnt_5xx` UInt64
+) ENGINE = SummingMergeTree
+PARTITION BY toDate(minute)
+ORDER BY (facet, minute, dim)
+TTL minute + toIntervalDay(14);
+
+-- Materialized view: fans each da row into eight facet rows via ARRAY JOIN.
+-- Facets covered: status_range, content_type, status, x_error_grouped, method,
+--   datacenter, script_name, accept_encoding.
+-- Dims use the same expressions as the dashboard's breakdowns.
+-- Counts are weighted by the sampling `weight`, like the dashboard.
+-- High-cardinality facets (host, forwarded host, URL, referer, user agent, IPs,
+--   owner/repo) are excluded and always query the raw table.
+CREATE MATERIALIZED VIEW IF NOT EXISTS helix_logs_production.da_facet_minutes_mv
+TO helix_logs_production.da_facet_minutes
+AS SELECT
+    toStartOfMinute(timestamp) AS minute,
+    facet,
+    dim,
+    sum(weight)                                                         AS cnt,
+    sumIf(weight, `response.status` < 400)                              AS cnt_ok,
+    sumIf(weight, `response.status` >= 400 AND `response.status` < 500) AS cnt_4xx,
+    sumIf(weight, `response.status` >= 500)                             AS cnt_5xx
+FROM helix_logs_production.da
+ARRAY JOIN
+    [
+        'status_range',
+        'content_type',
+        'status',
+        'x_error_grouped',
+        'method',
+        'datacenter',
+        'script_name',
+        'accept_encoding'
+    ] AS facet,
+    [
+        concat(toString(intDiv(`response.status`, 100)), 'xx'),
+        toString(`response.headers.content_type`),
+        toString(`response.status`),
+        replaceRegexpAll(`response.headers.x_error`, '/[a-zA-Z0-9/_.-]+', '/...'),
+        toString(`request.method`),
+        toString(`cdn.datacenter`),
+        toString(`cdn.script_name`),
+        toString(`request.headers.accept_encoding`)
+    ] AS dim
+GROUP BY minute, facet, dim;
+
+-- Grant SELECT to all existing read-only dashboard users.
+-- Run this after creating the table for the first time.
+-- New users get access automatically via scripts/add-user.mjs.
+-- GRANT SELECT ON helix_logs_production.da_facet_minutes TO <username>;
@@ -0,0 +1,54 @@
+-- DA worker logs facet pre-aggregation: table and materialized view
+-- Run against helix_logs_production on ClickHouse Cloud
+
+-- Pre-aggregation table: one row per (minute, facet, dim), same shape as cdn_facet_minutes
+CREATE TABLE IF NOT EXISTS helix_logs_production.da_worker_facet_minutes
+(
+    `minute`  DateTime,
+    `facet`   LowCardinality(String),
+    `dim`     String,
+    `cnt`     UInt64,
+    `cnt_ok`  UInt64,
+    `cnt_4xx` UInt64,
+    `cnt_5xx` UInt64
+) ENGINE = SummingMergeTree
+PARTITION BY toDate(minute)
+ORDER BY (facet, minute, dim)
+TTL minute + toIntervalDay(14);
+
+-- Materialized view: fans each da_worker_logs row into four facet rows via ARRAY JOIN.
+-- Facets covered: outcome, status, script_name, method.
+-- Dims use the same expressions as the dashboard's breakdowns.
+-- Status classes match the dashboard: exceptions count as 5xx, status 0 is ok.
+-- High-cardinality facets (URL, script version, ray id, logs, exceptions) are excluded
+--   and always query the raw table.
+CREATE MATERIALIZED VIEW IF NOT EXISTS helix_logs_production.da_worker_facet_minutes_mv
+TO helix_logs_production.da_worker_facet_minutes
+AS SELECT
+    toStartOfMinute(timestamp) AS minute,
+    facet,
+    dim,
+    count()                                                                                                  AS cnt,
+    countIf(outcome NOT IN ('exception', 'exceeded') AND (`response.status` = 0 OR `response.status` < 400)) AS cnt_ok,
+    countIf(`response.status` >= 400 AND `response.status` < 500)                                            AS cnt_4xx,
+    countIf(outcome IN ('exception', 'exceeded') OR `response.status` >= 500)                                AS cnt_5xx
+FROM helix_logs_production.da_worker_logs
+ARRAY JOIN
+    [
+        'outcome',
+        'status',
+        'script_name',
+        'method'
+    ] AS facet,
+    [
+        toString(`outcome`),
+        toString(`response.status`),
+        toString(`script_name`),
+        toString(`request.method`)
+    ] AS dim
+GROUP BY minute, facet, dim;
+
+-- Grant SELECT to all existing read-only dashboard users.
+-- Run this after creating the table for the first time.
+-- New users get access automatically via scripts/add-user.mjs.
+-- GRANT SELECT ON helix_logs_production.da_worker_facet_minutes TO <username>;
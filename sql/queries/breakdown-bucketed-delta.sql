@@ -0,0 +1,22 @@
+SELECT
+  {{bucketExpr}} as dim,
+  sumIf(agg_total, is_current) as cnt,
+  sumIf(agg_ok, is_current) as cnt_ok,
+  sumIf(agg_4xx, is_current) as cnt_4xx,
+  sumIf(agg_5xx, is_current) as cnt_5xx,
+  sumIf(agg_total, NOT is_current) as prev_cnt{{outerSummaryCol}}
+FROM (
+  SELECT
+    {{rawCol}} as val,
+    {{currentCondition}} as is_current,
+    {{aggTotal}} as agg_total,
+    {{aggOk}} as agg_ok,
+    {{agg4xx}} as agg_4xx,
+    {{agg5xx}} as agg_5xx{{innerSummaryCol}}
+  FROM {{database}}.{{table}}
+  WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}
+  GROUP BY val, is_current
+)
+GROUP BY dim WITH TOTALS
+ORDER BY min(val)
+LIMIT {{topN}}
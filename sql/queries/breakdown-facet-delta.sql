@@ -0,0 +1,24 @@
+SELECT
+  dim,
+  sumIf(agg_total, is_current) as cnt,
+  sumIf(agg_ok, is_current) as cnt_ok,
+  sumIf(agg_4xx, is_current) as cnt_4xx,
+  sumIf(agg_5xx, is_current) as cnt_5xx,
+  sumIf(agg_total, NOT is_current) as prev_cnt{{summaryCol}}
+FROM (
+  SELECT dim,
+    cnt as agg_total,
+    cnt_ok as agg_ok,
+    cnt_4xx as agg_4xx,
+    cnt_5xx as agg_5xx,
+    minute >= toDateTime('{{currentStartTime}}') as is_current{{innerSummaryCol}}
+  FROM {{database}}.{{facetTable}}
+  WHERE facet = '{{facetName}}'
+    AND minute >= toDateTime('{{startTime}}')
+    AND minute <= toDateTime('{{endTime}}')
+    {{rollupFilters}}
+    {{dimFilter}}
+)
+GROUP BY dim WITH TOTALS
+ORDER BY {{orderBy}}
+LIMIT {{topN}}
@@ -6,7 +6,7 @@ SELECT
   sum(cnt_5xx) as cnt_5xx{{summaryCol}}
 FROM (
   SELECT dim, cnt, cnt_ok, cnt_4xx, cnt_5xx{{innerSummaryCol}}
-  FROM {{database}}.cdn_facet_minutes
+  FROM {{database}}.{{facetTable}}
   WHERE facet = '{{facetName}}'
     AND minute >= toDateTime('{{startTime}}')
     AND minute <= toDateTime('{{endTime}}')
@@ -3,7 +3,7 @@ SELECT
   {{aggTotal}} as cnt,
   {{aggOk}} as cnt_ok,
   {{agg4xx}} as cnt_4xx,
-  {{agg5xx}} as cnt_5xx
+  {{agg5xx}} as cnt_5xx{{sampleCol}}
 FROM {{database}}.{{table}}
 WHERE {{timeFilter}} {{hostFilter}} {{extra}} {{additionalWhereClause}}
   AND {{searchCol}} IN ({{valuesList}})
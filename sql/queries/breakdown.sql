@@ -3,7 +3,7 @@ SELECT
   {{aggTotal}} as cnt,
   {{aggOk}} as cnt_ok,
   {{agg4xx}} as cnt_4xx,
-  {{agg5xx}} as cnt_5xx{{summaryCol}}
+  {{agg5xx}} as cnt_5xx{{summaryCol}}{{sampleCol}}
 FROM {{database}}.{{table}}
 WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}
 GROUP BY dim WITH TOTALS
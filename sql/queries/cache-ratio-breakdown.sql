@@ -0,0 +1,11 @@
+SELECT
+  {{col}} as dim,
+  {{aggHit}} as cnt_hit,
+  {{aggMiss}} as cnt_miss,
+  {{aggPass}} as cnt_pass
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
+GROUP BY dim
+HAVING cnt_hit + cnt_miss + cnt_pass > 0
+ORDER BY cnt_miss + cnt_pass DESC
+LIMIT {{topN}}
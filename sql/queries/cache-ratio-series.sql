@@ -0,0 +1,9 @@
+SELECT
+  {{bucket}} as t,
+  {{aggHit}} as cnt_hit,
+  {{aggMiss}} as cnt_miss,
+  {{aggPass}} as cnt_pass
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
+GROUP BY t
+ORDER BY t WITH FILL FROM {{rangeStart}} TO {{rangeEnd}} STEP {{step}}
@@ -0,0 +1,5 @@
+SELECT *
+FROM {{database}}.{{table}}
+WHERE {{conditions}}
+ORDER BY timestamp
+LIMIT {{limit}}
@@ -0,0 +1,7 @@
+SELECT
+  {{aggTotal}} as cnt,
+  {{aggOk}} as cnt_ok,
+  {{agg4xx}} as cnt_4xx,
+  {{agg5xx}} as cnt_5xx
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
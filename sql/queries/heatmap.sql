@@ -0,0 +1,15 @@
+SELECT
+  t,
+  {{bucketExpr}} as dim,
+  sum(agg_total) as cnt
+FROM (
+  SELECT
+    {{bucket}} as t,
+    {{rawCol}} as val,
+    {{aggTotal}} as agg_total
+  FROM {{database}}.{{table}}
+  WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}
+  GROUP BY t, val
+)
+GROUP BY t, dim
+ORDER BY t
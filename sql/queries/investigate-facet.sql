@@ -1,24 +1,25 @@
-SELECT
-  dim,
-  sumIf(cat_cnt, {{anomalyMinuteFilter}}) as anomaly_cat_cnt,
-  sumIf(cat_cnt, NOT ({{anomalyMinuteFilter}})) as baseline_cat_cnt,
-  sumIf(cnt, {{anomalyMinuteFilter}}) as anomaly_total_cnt,
-  sumIf(cnt, NOT ({{anomalyMinuteFilter}})) as baseline_total_cnt
+SELECT *
 FROM (
   SELECT
-    toStartOfMinute(timestamp) as minute,
-    {{col}} as dim,
-    {{innerCnt}},
-    {{innerOk}},
-    {{inner4xx}},
-    {{inner5xx}},
-    {{catCountExpr}} as cat_cnt
-  FROM {{database}}.{{table}}
-  WHERE {{timeFilter}}
-    {{hostFilter}} {{facetFilters}} {{extra}}
-  GROUP BY minute, dim
+    dim,
+    {{stepColumns}},
+    sumIf(cnt_ok, {{baselineFilter}}) as base_ok,
+    sumIf(cnt_4xx, {{baselineFilter}}) as base_4xx,
+    sumIf(cnt_5xx, {{baselineFilter}}) as base_5xx,
+    {{candidateRanks}}
+  FROM (
+    SELECT
+      toStartOfMinute(timestamp) as minute,
+      {{col}} as dim,
+      {{innerCnt}},
+      {{innerOk}},
+      {{inner4xx}},
+      {{inner5xx}}
+    FROM {{database}}.{{table}}
+    WHERE {{timeFilter}}
+      {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}
+    GROUP BY minute, dim
+  )
+  GROUP BY dim
 )
-GROUP BY dim
-HAVING anomaly_cat_cnt > 0 OR baseline_cat_cnt > 0
-ORDER BY anomaly_cat_cnt DESC
-LIMIT 50
+WHERE {{candidateFilter}}
@@ -0,0 +1,5 @@
+SELECT *
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
+ORDER BY timestamp DESC
+LIMIT {{rowCap}}
@@ -0,0 +1,5 @@
+SELECT user, shift_start, shift_end, summary
+FROM helix_logs_production.oncall_shifts FINAL
+WHERE shift_start <= toDateTime64('{{endTime}}', 3)
+  AND shift_end >= toDateTime64('{{startTime}}', 3)
+ORDER BY shift_start, user
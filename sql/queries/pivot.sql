@@ -0,0 +1,39 @@
+SELECT
+  dim1, dim2, dim3,
+  cnt, cnt_4xx, cnt_5xx, bytes,
+  dim1_cnt, dim1_cnt_4xx, dim1_cnt_5xx, dim1_bytes,
+  dim2_cnt, dim2_cnt_4xx, dim2_cnt_5xx, dim2_bytes
+FROM (
+  SELECT
+    *,
+    dense_rank() OVER (ORDER BY dim1_cnt DESC, dim1) as dim1_rank,
+    dense_rank() OVER (PARTITION BY dim1 ORDER BY dim2_cnt DESC, dim2) as dim2_rank
+  FROM (
+    SELECT
+      *,
+      sum(cnt) OVER (PARTITION BY dim1) as dim1_cnt,
+      sum(cnt_4xx) OVER (PARTITION BY dim1) as dim1_cnt_4xx,
+      sum(cnt_5xx) OVER (PARTITION BY dim1) as dim1_cnt_5xx,
+      sum(bytes) OVER (PARTITION BY dim1) as dim1_bytes,
+      sum(cnt) OVER (PARTITION BY dim1, dim2) as dim2_cnt,
+      sum(cnt_4xx) OVER (PARTITION BY dim1, dim2) as dim2_cnt_4xx,
+      sum(cnt_5xx) OVER (PARTITION BY dim1, dim2) as dim2_cnt_5xx,
+      sum(bytes) OVER (PARTITION BY dim1, dim2) as dim2_bytes
+    FROM (
+      SELECT
+        toString({{col1}}) as dim1,
+        toString({{col2}}) as dim2,
+        toString({{col3}}) as dim3,
+        {{aggTotal}} as cnt,
+        {{agg4xx}} as cnt_4xx,
+        {{agg5xx}} as cnt_5xx,
+        {{aggBytes}} as bytes
+      FROM {{database}}.{{table}}
+      WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{primaryFilter}} {{additionalWhereClause}}
+      GROUP BY dim1, dim2, dim3
+    )
+  )
+)
+WHERE dim1_rank <= {{topN1}} AND dim2_rank <= {{topN2}}
+ORDER BY dim1_rank, dim2_rank, cnt DESC
+LIMIT {{topN3}} BY dim1, dim2
@@ -0,0 +1,9 @@
+SELECT
+  timestamp >= toDateTime64('{{published}}', 3) as after,
+  {{aggTotal}} as cnt,
+  {{agg4xx}} as cnt_4xx,
+  {{agg5xx}} as cnt_5xx{{sampleCol}}{{latency}}
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}}
+  {{hostFilter}} {{facetFilters}} {{scope}} {{additionalWhereClause}}
+GROUP BY after
@@ -0,0 +1,3 @@
+SELECT DISTINCT repo
+FROM helix_logs_production.releases FINAL
+ORDER BY repo
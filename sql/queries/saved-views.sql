@@ -0,0 +1,15 @@
+SELECT
+  id,
+  owner,
+  argMax(name, updated) AS view_name,
+  argMax(dashboard, updated) AS view_dashboard,
+  argMax(table_name, updated) AS view_table,
+  argMax(query, updated) AS view_query,
+  argMax(shared, updated) AS view_shared,
+  max(updated) AS last_updated
+FROM {{database}}.saved_views
+GROUP BY owner, id
+HAVING argMax(deleted, updated) = 0
+  AND (owner = currentUser() OR view_shared = 1)
+ORDER BY last_updated DESC
+LIMIT 500
@@ -0,0 +1,3 @@
+SELECT sum(data_compressed_bytes) AS bytes, sum(rows) AS rows
+FROM system.parts
+WHERE active AND database = '{{database}}' AND table = '{{table}}'
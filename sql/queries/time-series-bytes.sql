@@ -0,0 +1,11 @@
+SELECT
+  {{bucket}} as t,
+  {{countAgg}} as cnt,
+  {{bytesHit}} as bytes_hit,
+  {{bytesMiss}} as bytes_miss,
+  {{bytesPass}} as bytes_pass,
+  {{bytesOther}} as bytes_other
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
+GROUP BY t
+ORDER BY t WITH FILL FROM {{rangeStart}} TO {{rangeEnd}} STEP {{step}}
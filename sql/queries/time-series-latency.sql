@@ -0,0 +1,8 @@
+SELECT
+  {{bucket}} as t,
+  {{countAgg}} as cnt,
+  {{latencyQuantiles}} as latency
+FROM {{database}}.{{table}}
+WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{additionalWhereClause}}
+GROUP BY t
+ORDER BY t WITH FILL FROM {{rangeStart}} TO {{rangeEnd}} STEP {{step}}
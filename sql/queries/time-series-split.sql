@@ -0,0 +1,24 @@
+WITH top_values AS (
+  SELECT toString({{col}}) as dim
+  FROM {{database}}.{{table}}
+  WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}
+  GROUP BY dim
+  ORDER BY {{countAgg}} DESC
+  LIMIT {{topN}}
+)
+SELECT
+  t,
+  sum(dim_cnt) as cnt,
+  groupArray(dim) as dims,
+  groupArray(dim_cnt) as counts
+FROM (
+  SELECT
+    {{bucket}} as t,
+    if(toString({{col}}) IN (SELECT dim FROM top_values), toString({{col}}), '(other)') as dim,
+    {{countAgg}} as dim_cnt
+  FROM {{database}}.{{table}}
+  WHERE {{timeFilter}} {{hostFilter}} {{facetFilters}} {{extra}} {{additionalWhereClause}}
+  GROUP BY t, dim
+)
+GROUP BY t
+ORDER BY t WITH FILL FROM {{rangeStart}} TO {{rangeEnd}} STEP {{step}}
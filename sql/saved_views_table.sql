@@ -0,0 +1,26 @@
+-- Saved dashboard views, created from the facet palette ("Save current view...")
+-- Each save or delete inserts a new version; queries read the latest row per (owner, id).
+-- Created: 2026-10-18
+
+CREATE TABLE IF NOT EXISTS helix_logs_production.saved_views
+(
+    id String,
+    -- Set by the server on insert and cannot be supplied by the client, so users
+    -- can only overwrite or delete their own views
+    owner LowCardinality(String) MATERIALIZED currentUser(),
+    name String,
+    dashboard LowCardinality(String),  -- Page the view opens, e.g. delivery.html
+    table_name LowCardinality(String), -- Table the dashboard queries, e.g. delivery
+    query String,                      -- URL parameters produced by saveStateToURL
+    shared UInt8 DEFAULT 0,            -- Listed for the whole team, not just the owner
+    deleted UInt8 DEFAULT 0,           -- Tombstone
+    updated DateTime64(3, 'UTC') MATERIALIZED now64(3)
+)
+ENGINE = ReplacingMergeTree(updated)
+ORDER BY (owner, id);
+
+-- Dashboard users list views with SELECT and save them with INSERT.
+-- "shared" only controls listing: every dashboard user can read the table, so
+-- don't put anything in a view name that the team shouldn't see.
+-- scripts/add-user.mjs grants both to new users; for existing users run:
+--   GRANT SELECT, INSERT ON helix_logs_production.saved_views TO <user>;